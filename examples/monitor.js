@@ -5,12 +5,12 @@
 // how to use the following options:
 //
 // a) override the default promise library;
-// b) use pg-monitor to output all the query events;
-// c) change the default theme for pg-monitor.
-// d) add log handler to pg-monitor, to log events
+// b) use the built-in monitor to output all the query events;
+// c) log only specific events, in JSON format;
+// d) redirect the monitor output, to log events
 //    into a file or elsewhere.
 //
-// Packages used: pg-promise, pg-monitor, bluebird.
+// Packages used: pg-promise, bluebird.
 ////////////////////////////////////////////////////
 
 var promise = require('bluebird'); // or any other Promise/A+ compatible library;
@@ -22,18 +22,15 @@ var options = {
 var pgp = require('pg-promise')(options);
 // See all options: https://github.com/vitaly-t/pg-promise#initialization-options
 
-var monitor = require('pg-monitor');
-
-monitor.attach(options); // attach to all query events;
-// See API: https://github.com/vitaly-t/pg-monitor#attachoptions-events-override
-
-monitor.setTheme('matrix'); // change the default theme;
-// Other themes: https://github.com/vitaly-t/pg-monitor/wiki/Color-Themes
-
-monitor.log = function (msg, info) {
-    // save the screen messages into your own log file;
-};
-// See API: https://github.com/vitaly-t/pg-monitor#log
+pgp.monitor.attach(options, {
+    level: 'debug', // log all events, including connect/disconnect/receive;
+    format: 'json', // output JSON lines, instead of the default text;
+    output: function (line, info) {
+        // save the messages into your own log file;
+        console.log(line);
+    }
+});
+// See API: http://vitaly-t.github.io/pg-promise/monitor.html
 
 // Database connection details;
 var cn = {
@@ -0,0 +1,311 @@
+'use strict';
+
+var $npm = {
+    utils: require('./utils'),
+    events: require('./events')
+};
+
+var $arr = require('./array');
+
+/**
+ * @interface Database.$cache
+ * @description
+ * Query result cache of a {@link Database} object, available via hidden read-only property `db.$cache`.
+ *
+ * Results are cached only for queries that are executed with option `cache` (see {@link Database.query query}),
+ * which can be either `true` or an object `{ttl, tags}`:
+ *
+ * - `ttl` - time-to-live for the cached result, in seconds; results do not expire by default
+ * - `tags` - tag name or an array of tag names, for invalidating the result later on
+ *
+ * ```js
+ * db.any('SELECT * FROM countries', [], {cache: {ttl: 60, tags: 'lookups'}});
+ * ```
+ *
+ * The cache key is the fully formatted query, and only the rows are cached, i.e. the same cached rows serve methods
+ * {@link Database.one one}, {@link Database.many many}, {@link Database.any any}, etc. A cached result doesn't trigger
+ * events {@link event:query query} or {@link event:receive receive}, and it contains the rows as they were after event
+ * {@link event:receive receive} when they were cached. The rows are copied when cached and when served, so changing them
+ * doesn't affect the cache, while nested values other than arrays, plain objects, dates and buffers are not copied.
+ *
+ * Option `cache` is ignored inside transactions, to always get the data as the transaction sees it, and by method
+ * {@link Database.result result}.
+ *
+ * The cache is configured via initialization option `cache` = `{max, adapter}`, when creating the {@link Database} object:
+ *
+ * - `max` - maximum number of cached results, with the least recently used results removed first; default is 1000
+ * - `adapter` - storage for the cached results, to be used instead of the default in-memory storage, which must implement
+ *   methods `get(key)`, `set(key, value, ttl)` and `delete(key)`, and can return promises from them; the `ttl` is in seconds
+ *   or `undefined`. Each value is an object `{rows, expires, tags, tables}` that can be serialized with `JSON.stringify`,
+ *   so the adapter can be shared between processes, for example, as an external cache server. A result that's found
+ *   in the adapter is served without executing the query, even if it was cached by another process. Errors from methods
+ *   `set` and `delete` are reported via event {@link event:error error}, while an error from method `get` rejects the query.
+ *
+ * Limit `max` and method {@link Database.$cache.invalidate invalidate} apply only to the results that the {@link Database}
+ * object has cached or served itself, which are then removed from the adapter, while other processes sharing the adapter
+ * rely on the `ttl` for results they have cached themselves.
+ *
+ * Invalid settings will throw {@link external:TypeError TypeError} = `Invalid option 'cache' specified.`
+ *
+ * @property {number} max
+ * Maximum number of cached results.
+ *
+ * @property {number} size
+ * Number of results currently in the cache.
+ *
+ * @see {@link Database}
+ */
+function Cache(settings, dc, config) {
+
+    var $p = config.promise,
+        entries = {}, // cached entries {expires, tags, tables}, in the order of use;
+        count = 0;
+
+    settings = settings || {};
+
+    if (typeof settings !== 'object' || (settings.max !== undefined && (settings.max !== parseInt(settings.max) || settings.max < 1)) ||
+        (settings.adapter !== undefined && !isAdapter(settings.adapter))) {
+        throw new TypeError("Invalid option 'cache' specified.");
+    }
+
+    var max = settings.max || 1000,
+        adapter = settings.adapter || new MemoryAdapter();
+
+    $npm.utils.addReadProp(this, 'max', max);
+
+    Object.defineProperty(this, 'size', {
+        get: function () {
+            return count;
+        },
+        enumerable: true
+    });
+
+    // resolves with a copy of the cached rows, or with undefined;
+    this.get = function (key) {
+        var e = entries[key];
+        if (e && isExpired(e)) {
+            remove(key);
+            return $p.resolve();
+        }
+        // the adapter can have the result even without an entry, when it is shared:
+        return invoke('get', [key])
+            .then(function (value) {
+                if (!value || !Array.isArray(value.rows) || isExpired(value)) {
+                    if (entries[key]) {
+                        remove(key);
+                    }
+                    return;
+                }
+                use(key, {
+                    expires: value.expires,
+                    tags: value.tags || [],
+                    tables: value.tables || []
+                });
+                return copyRows(value.rows);
+            });
+    };
+
+    // adds a copy of the rows into the cache;
+    this.set = function (key, rows, opt, query) {
+        var e = {
+            expires: opt.ttl ? Date.now() + opt.ttl * 1000 : undefined,
+            tags: opt.tags,
+            tables: getTables(query)
+        };
+        use(key, e);
+        report(invoke('set', [key, {
+            rows: copyRows(rows),
+            expires: e.expires,
+            tags: e.tags,
+            tables: e.tables
+        }, opt.ttl]));
+    };
+
+    /**
+     * @method Database.$cache.invalidate
+     * @description
+     * Removes cached results, either all of them or those that match the filter.
+     *
+     * @param {string|object} [filter]
+     * Filter for the results to be removed, which can be:
+     *
+     * - `undefined` - to remove all cached results
+     * - a string - to remove results that were cached with such tag, or those that use such table
+     * - an object `{tag, table}` - to remove results that were cached with the tag and/or use the table
+     *
+     * The tables are determined from the query text, as the names that follow `FROM` and `JOIN`. Table names are
+     * case-insensitive, and a table name without schema matches the table in any schema.
+     *
+     * @returns {number}
+     * Number of cached results that have been removed.
+     *
+     * @example
+     *
+     * db.none('UPDATE countries SET name = $1 WHERE id = $2', ['France', 1])
+     *     .then(function () {
+     *         db.$cache.invalidate({table: 'countries'});
+     *     });
+     */
+    this.invalidate = function (filter) {
+        var tag, table, keys;
+        if (filter !== undefined) {
+            if (typeof filter === 'string') {
+                tag = table = filter;
+            } else {
+                if (!filter || typeof filter !== 'object') {
+                    throw new TypeError("Invalid cache filter.");
+                }
+                tag = filter.tag;
+                table = filter.table;
+            }
+        }
+        keys = $arr.filter(Object.keys(entries), function (key) {
+            var e = entries[key];
+            if (filter === undefined) {
+                return true;
+            }
+            return (tag !== undefined && e.tags.indexOf(tag) !== -1) ||
+                (table !== undefined && $arr.countIf(e.tables, function (t) {
+                    return matchTable(t, table);
+                }) > 0);
+        });
+        $arr.forEach(keys, remove);
+        return keys.length;
+    };
+
+    // sets the entry as the most recently used, removing the least recently used one, when over the maximum;
+    function use(key, e) {
+        if (entries[key]) {
+            delete entries[key];
+        } else {
+            count++;
+        }
+        entries[key] = e;
+        if (count > max) {
+            remove(Object.keys(entries)[0]);
+        }
+    }
+
+    function remove(key) {
+        delete entries[key];
+        count--;
+        report(invoke('delete', [key]));
+    }
+
+    // calls an adapter method, to return a promise, even when the method throws;
+    function invoke(method, args) {
+        try {
+            return $p.resolve(adapter[method].apply(adapter, args));
+        } catch (e) {
+            return $p.reject(e);
+        }
+    }
+
+    // reports a failed adapter call via event 'error';
+    function report(promise) {
+        promise.then(null, function (e) {
+            $npm.events.error(config.options, e, {dc: dc});
+        });
+    }
+}
+
+function isExpired(e) {
+    return !!e.expires && e.expires <= Date.now();
+}
+
+// copies the rows, so they can be changed without affecting the cache;
+function copyRows(rows) {
+    return $arr.map(rows, function (row) {
+        return Array.isArray(row) ? copyValue(row) : copyObject(row);
+    });
+}
+
+// copies arrays, plain objects, dates and buffers, while any other value is used as is;
+function copyValue(value) {
+    if (value && typeof value === 'object') {
+        if (Array.isArray(value)) {
+            return $arr.map(value, copyValue);
+        }
+        if (value instanceof Date) {
+            return new Date(value.getTime());
+        }
+        if (value instanceof Buffer) {
+            var b = typeof Buffer.alloc === 'function' ? Buffer.alloc(value.length) : new Buffer(value.length);
+            value.copy(b);
+            return b;
+        }
+        var proto = Object.getPrototypeOf(value);
+        if (!proto || proto === Object.prototype) {
+            return copyObject(value);
+        }
+    }
+    return value;
+}
+
+function copyObject(obj) {
+    var res = {};
+    for (var name in obj) {
+        if (Object.prototype.hasOwnProperty.call(obj, name)) {
+            res[name] = copyValue(obj[name]);
+        }
+    }
+    return res;
+}
+
+/////////////////////////////////////////////
+// Default in-memory storage of cached results.
+function MemoryAdapter() {
+    var data = {};
+    this.get = function (key) {
+        return data[key];
+    };
+    this.set = function (key, value) {
+        data[key] = value;
+    };
+    this.delete = function (key) {
+        delete data[key];
+    };
+}
+
+/////////////////////////////////////////////////
+// Parses a query option 'cache', returning either
+// {ttl, tags} or an error when invalid.
+Cache.parse = function (opt) {
+    if (opt === true) {
+        return {tags: []};
+    }
+    if (opt && typeof opt === 'object') {
+        var ttl = opt.ttl, tags = opt.tags === undefined ? [] : opt.tags;
+        if (typeof tags === 'string') {
+            tags = [tags];
+        }
+        if ((ttl === undefined || (typeof ttl === 'number' && ttl > 0)) && Array.isArray(tags)) {
+            return {ttl: ttl, tags: tags};
+        }
+    }
+    return new TypeError("Invalid option 'cache' specified.");
+};
+
+// returns all table names that follow FROM and JOIN in the query;
+function getTables(query) {
+    var tables = [], reg = /\b(?:from|join)\s+((?:"[^"]+"|[\w$]+)(?:\s*\.\s*(?:"[^"]+"|[\w$]+))?)/gi, m;
+    while ((m = reg.exec(query))) {
+        tables.push(m[1].replace(/"|\s/g, '').toLowerCase());
+    }
+    return tables;
+}
+
+// checks if a table name from the query matches the table name of a filter;
+function matchTable(name, table) {
+    table = table.replace(/"/g, '').toLowerCase();
+    if (table.indexOf('.') === -1) {
+        name = name.split('.').pop(); // ignoring the schema;
+    }
+    return name === table;
+}
+
+function isAdapter(a) {
+    return !!a && typeof a === 'object' && typeof a.get === 'function' && typeof a.set === 'function' && typeof a.delete === 'function';
+}
+
+module.exports = Cache;
@@ -0,0 +1,186 @@
+'use strict';
+
+var $npm = {
+    utils: require('./utils'),
+    events: require('./events')
+};
+
+var $arr = require('./array');
+
+////////////////////////////////////////////
+// Validates options 'timeout' and 'cancel',
+// returning an error when either is invalid.
+function validate(timeout, cancel) {
+    if (!$npm.utils.isNull(timeout) && (typeof timeout !== 'number' || !(timeout >= 0))) {
+        return new TypeError("Invalid option 'timeout' specified.");
+    }
+    if (!$npm.utils.isNull(cancel) && !isToken(cancel)) {
+        return new TypeError("Invalid option 'cancel' specified.");
+    }
+}
+
+/////////////////////////////////////////////////////////
+// Creates a query limit {timeout, cancel, deadline, parent},
+// with the deadline starting from the current time.
+function create(timeout, cancel, parent) {
+    return {
+        timeout: timeout > 0 ? timeout : undefined,
+        deadline: timeout > 0 ? Date.now() + timeout : undefined,
+        cancel: cancel || undefined,
+        parent: parent
+    };
+}
+
+// returns the list of all active limits, from the nearest one;
+function getLimits(limit) {
+    var limits = [];
+    while (limit) {
+        if (limit.timeout || limit.cancel) {
+            limits.push(limit);
+        }
+        limit = limit.parent;
+    }
+    return limits;
+}
+
+////////////////////////////////////////////////////
+// Checks whether any of the limits has been reached,
+// returning the limit when so.
+function check(limits) {
+    var now = Date.now();
+    return $arr.filter(limits, function (l) {
+        return (l.cancel && l.cancel.aborted) || (l.deadline && l.deadline <= now);
+    })[0];
+}
+
+///////////////////////////////////////////////////
+// Starts watching all the limits, to call cb(limit)
+// once any of them is reached, and returns the function
+// that stops watching.
+function watch(limits, cb) {
+    var timer, nearest, finished;
+    $arr.forEach(limits, function (l) {
+        if (l.deadline && (!nearest || l.deadline < nearest.deadline)) {
+            nearest = l;
+        }
+        if (l.cancel) {
+            l.cancel.addEventListener('abort', onAbort);
+        }
+    });
+    if (nearest) {
+        timer = setTimeout(function () {
+            trigger(nearest);
+        }, nearest.deadline - Date.now());
+    }
+
+    function onAbort() {
+        trigger($arr.filter(limits, function (l) {
+            return l.cancel && l.cancel.aborted;
+        })[0]);
+    }
+
+    function trigger(limit) {
+        if (!finished) {
+            stop();
+            cb(limit);
+        }
+    }
+
+    function stop() {
+        finished = true;
+        clearTimeout(timer);
+        $arr.forEach(limits, function (l) {
+            if (l.cancel) {
+                l.cancel.removeEventListener('abort', onAbort);
+            }
+        });
+    }
+
+    return stop;
+}
+
+///////////////////////////////////////////////////////
+// Cancels the query currently executing by the context
+// connection, via pg_cancel_backend from a side connection.
+//
+// The promise always resolves, while any error is reported
+// through the 'error' event.
+function backend(ctx, config) {
+    var pid = ctx.db.client.processID;
+    return config.promise(function (resolve) {
+        var client = new config.pgp.pg.Client(ctx.cn);
+        client.connect(function (err) {
+            if (err) {
+                finish(err);
+            } else {
+                client.query('select pg_cancel_backend($1)', [pid], function (err) {
+                    client.end();
+                    finish(err);
+                });
+            }
+        });
+
+        function finish(err) {
+            // istanbul ignore if: the side connection failing
+            // is not possible to reproduce in a test environment;
+            if (err) {
+                $npm.events.error(ctx.options, err, {
+                    cn: $npm.utils.getSafeConnection(ctx.cn),
+                    dc: ctx.dc
+                });
+            }
+            resolve();
+        }
+    });
+}
+
+//////////////////////////////////////////////////////////
+// Registers a query with the connection, which executes its
+// queries one at a time, in the order they were issued, and
+// calls onStart() once all the queries registered before it
+// have finished, i.e. when the query is being executed.
+//
+// Returns the function to be called when the query finishes.
+function enqueue(client, onStart) {
+    var queue = client.$queue, entry = {start: onStart};
+    if (!queue) {
+        queue = [];
+        $npm.utils.addReadProp(client, '$queue', queue, true);
+    }
+    queue.push(entry);
+    if (queue.length === 1) {
+        start(entry);
+    }
+    return function () {
+        var idx = queue.indexOf(entry);
+        if (idx !== -1) {
+            queue.splice(idx, 1);
+            if (!idx && queue.length) {
+                start(queue[0]);
+            }
+        }
+    };
+}
+
+function start(entry) {
+    var cb = entry.start;
+    if (cb) {
+        entry.start = null;
+        cb();
+    }
+}
+
+// checks for an AbortSignal-like object;
+function isToken(obj) {
+    return !!obj && typeof obj === 'object' && typeof obj.addEventListener === 'function' && typeof obj.removeEventListener === 'function';
+}
+
+module.exports = {
+    validate: validate,
+    create: create,
+    getLimits: getLimits,
+    check: check,
+    watch: watch,
+    backend: backend,
+    enqueue: enqueue
+};
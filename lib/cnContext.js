@@ -7,16 +7,26 @@
  * @param {object} cn
  * @param {} dc
  * @param {object} options
+ * @param {Pool} pool
  * @param {object} db
  * @param {number} txLevel
+ * @param {object} limit
+ * @param {string} target
+ * @param {Cache} cache
+ * @param {object} transform
  */
-function ConnectionContext(cn, dc, options, db, txLevel) {
+function ConnectionContext(cn, dc, options, pool, db, txLevel, limit, target, cache, transform) {
     
     this.cn = cn; // connection details;
     this.dc = dc; // database context;
     this.options = options; // library options;
+    this.pool = pool; // connection pool;
     this.db = db; // database session;
     this.txLevel = txLevel; // transaction level;
+    this.limit = limit; // query limit {timeout, cancel, deadline, parent};
+    this.target = target; // routing target: 'primary' or 'replica', when using replicas;
+    this.cache = cache; // query result cache;
+    this.transform = transform; // result row transformation {types, columns, keys};
 
     this.connect = function (db) {
         this.db = db;
@@ -29,8 +39,15 @@ function ConnectionContext(cn, dc, options, db, txLevel) {
         }
     };
 
+    // switches to the server selected by the router;
+    this.route = function (server) {
+        this.cn = server.cn;
+        this.pool = server.pool;
+        this.target = server.target;
+    };
+
     this.clone = function () {
-        return new ConnectionContext(this.cn, this.dc, this.options, this.db, this.txLevel);
+        return new ConnectionContext(this.cn, this.dc, this.options, this.pool, this.db, this.txLevel, this.limit, this.target, this.cache, this.transform);
     };
 }
 
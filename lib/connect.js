@@ -7,34 +7,31 @@ var $npm = {
 };
 
 function poolConnect(ctx, config) {
-    return config.promise(function (resolve, reject) {
-        config.pgp.pg.connect(ctx.cn, function (err, client, done) {
-            if (err) {
-                $npm.events.error(ctx.options, err, {
-                    cn: $npm.utils.getSafeConnection(ctx.cn),
-                    dc: ctx.dc
-                });
-                reject(err);
-            } else {
-                var isFresh = !client.$used;
-                if (isFresh) {
-                    $npm.utils.addReadProp(client, '$used', true, true);
-                }
-                setCtx(client, ctx);
-                var end = lockClientEnd(client);
-                resolve({
-                    isFresh: isFresh,
-                    client: client,
-                    done: function () {
-                        client.end = end;
-                        done();
-                        $npm.events.disconnect(ctx, client);
-                    }
-                });
-                $npm.events.connect(ctx, client, isFresh);
+    return ctx.pool.acquire()
+        .then(function (client) {
+            var isFresh = !client.$used;
+            if (isFresh) {
+                $npm.utils.addReadProp(client, '$used', true, true);
             }
+            setCtx(client, ctx);
+            var end = lockClientEnd(client);
+            $npm.events.connect(ctx, client, isFresh);
+            return {
+                isFresh: isFresh,
+                client: client,
+                done: function () {
+                    client.end = end;
+                    ctx.pool.release(client);
+                    $npm.events.disconnect(ctx, client);
+                }
+            };
+        }, function (err) {
+            $npm.events.error(ctx.options, err, {
+                cn: $npm.utils.getSafeConnection(ctx.cn),
+                dc: ctx.dc
+            });
+            return config.promise.reject(err);
         });
-    });
 }
 
 function directConnect(ctx, config) {
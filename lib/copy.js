@@ -0,0 +1,359 @@
+'use strict';
+
+var $npm = {
+    events: require('./events'),
+    utils: require('./utils'),
+    formatting: require('./formatting'),
+    cancel: require('./cancel'),
+    queryFile: require('./queryFile'),
+    TableName: require('./helpers/tableName'),
+    ColumnSet: require('./helpers/columnSet')
+};
+
+var $arr = require('./array');
+
+var chunkSize = 65536; // size of the data chunks, and the write buffer limit;
+
+/////////////////////////////////////////////////////
+// Executes COPY FROM STDIN / COPY TO STDOUT directly
+// through the connection, in CSV format.
+function $copy(ctx, req, isFrom, config) {
+
+    var $p = config.promise,
+        capSQL = ctx.options.capSQL,
+        error, text, columns, source, destination;
+
+    // istanbul ignore next:
+    // we do not provide code coverage for the Native Bindings specifics
+    if (ctx.options.pgNative) {
+        return $p.reject(new Error("COPY doesn't work with Native Bindings."));
+    }
+
+    try {
+        if (isFrom) {
+            text = prepareFrom();
+        } else {
+            text = prepareTo();
+        }
+    } catch (e) {
+        return $p.reject(e);
+    }
+
+    error = $npm.events.query(ctx.options, getContext());
+    if (error) {
+        release(false);
+        error = getError(error);
+        $npm.events.error(ctx.options, error, getContext());
+        return $p.reject(error);
+    }
+
+    var start, sent = 0, abort;
+
+    return $p(function (resolve, reject) {
+        var copyStream = isFrom ? {
+            startStreamingToConnection: sendData
+        } : {
+            handleChunk: receiveData
+        };
+        start = Date.now();
+        var done = $npm.cancel.enqueue(ctx.db.client);
+        ctx.db.client.query({text: text, stream: copyStream}, function (err, result) {
+            done();
+            err = error || err;
+            if (err && abort) {
+                abort();
+            }
+            release(!err);
+            if (err) {
+                err = getError(err);
+                $npm.events.error(ctx.options, err, getContext());
+                reject(err);
+            } else {
+                resolve({
+                    processed: result.rowCount, // total number of rows processed;
+                    duration: Date.now() - start // duration, in milliseconds;
+                });
+            }
+        });
+    });
+
+    function prepareFrom() {
+        var table = req.table;
+        source = req.source;
+        if (!Array.isArray(source) && !isReadable(source)) {
+            throw new TypeError("Invalid or missing COPY source.");
+        }
+        if (req.columns instanceof $npm.ColumnSet) {
+            columns = req.columns;
+            if ($npm.utils.isNull(table)) {
+                table = columns.table;
+            }
+        } else {
+            if ($npm.utils.isNull(req.columns)) {
+                throw new TypeError("Parameter 'columns' is required for COPY.");
+            }
+            columns = new $npm.ColumnSet(req.columns);
+        }
+        if (!columns.columns.length) {
+            throw new Error("Cannot COPY without any columns.");
+        }
+        if (!table) {
+            throw new Error("Table name is unknown.");
+        }
+        if (!(table instanceof $npm.TableName)) {
+            table = new $npm.TableName(table);
+        }
+        var q = capSQL ? sql.from.capCase : sql.from.lowCase;
+        return $npm.formatting.as.format(q, [table.name, columns.names]);
+    }
+
+    function prepareTo() {
+        var query = req.query;
+        destination = req.destination;
+        if (query instanceof $npm.queryFile) {
+            query.prepare();
+            if (query.error) {
+                throw query.error;
+            }
+            query = query.query;
+        }
+        if (!$npm.utils.isText(query)) {
+            throw new TypeError("Invalid COPY query.");
+        }
+        if (!destination || typeof destination.write !== 'function' || typeof destination.end !== 'function') {
+            throw new TypeError("Invalid or missing COPY destination.");
+        }
+        var q = capSQL ? sql.to.capCase : sql.to.lowCase;
+        return $npm.formatting.as.format(q, query);
+    }
+
+    // sends all rows from the source into the connection;
+    function sendData(connection) {
+        var socket = connection.stream, data = '', aborted;
+
+        abort = stop;
+
+        if (Array.isArray(source)) {
+            var index = 0;
+            sendArray();
+        } else {
+            source.on('data', onData);
+            source.once('end', onEnd);
+            source.once('error', onFail);
+        }
+
+        // stops reading the source once the query has failed, so nothing else
+        // is sent into the connection after it's been released;
+        function stop() {
+            aborted = true;
+            socket.removeListener('drain', sendArray);
+            socket.removeListener('drain', resume);
+            if (!Array.isArray(source)) {
+                source.removeListener('data', onData);
+                source.removeListener('end', onEnd);
+                source.removeListener('error', onFail);
+                source.on('error', function () {
+                    // errors after the failure are of no interest;
+                });
+                if (typeof source.unpipe === 'function') {
+                    source.unpipe();
+                }
+                source.pause();
+                if (typeof source.destroy === 'function') {
+                    source.destroy();
+                }
+            }
+        }
+
+        function sendArray() {
+            while (index < source.length) {
+                if (!encode(source[index], index++)) {
+                    return;
+                }
+                if (isFull()) {
+                    socket.once('drain', sendArray);
+                    return;
+                }
+            }
+            onEnd();
+        }
+
+        function onData(row) {
+            if (encode(row, sent) && isFull()) {
+                source.pause();
+                socket.once('drain', resume);
+            }
+        }
+
+        function resume() {
+            source.resume();
+        }
+
+        function onEnd() {
+            if (aborted) {
+                return;
+            }
+            if (data) {
+                connection.sendCopyFromChunk(toBuffer(data));
+            }
+            connection.endCopyFrom();
+        }
+
+        function onFail(err) {
+            if (!error && !aborted) {
+                error = err instanceof Error ? err : new $npm.utils.InternalError(err);
+                if (!Array.isArray(source)) {
+                    source.removeListener('data', onData);
+                    source.removeListener('end', onEnd);
+                }
+                connection.sendCopyFail(error.message || 'Failed to read the COPY source.');
+            }
+        }
+
+        // adds one row into the buffer, and sends the buffer when full;
+        function encode(row, idx) {
+            if (error || aborted) {
+                return false;
+            }
+            try {
+                if (!row || typeof row !== 'object') {
+                    throw new Error("Invalid COPY object at index " + idx + ".");
+                }
+                var obj = columns.prepare(row), values = new Array(columns.columns.length);
+                for (var i = 0; i < values.length; i++) {
+                    var c = columns.columns[i], name = c.prop || c.name;
+                    if (!(name in obj)) {
+                        throw new Error("Property '" + name + "' doesn't exist.");
+                    }
+                    values[i] = csvValue(obj[name], c.mod);
+                }
+                data += values.join() + '\n';
+            } catch (e) {
+                onFail(e);
+                return false;
+            }
+            sent++;
+            if (data.length >= chunkSize) {
+                connection.sendCopyFromChunk(toBuffer(data));
+                data = '';
+            }
+            return true;
+        }
+
+        function isFull() {
+            var size = socket.writableLength === undefined ? socket.bufferSize : socket.writableLength;
+            return size > chunkSize;
+        }
+    }
+
+    // ends the destination after a successful export, or destroys it, if possible, after a failure,
+    // so it is never left open;
+    function release(success) {
+        if (!isFrom) {
+            if (success || typeof destination.destroy !== 'function') {
+                destination.end();
+            } else {
+                destination.destroy();
+            }
+        }
+    }
+
+    // forwards a chunk of data into the destination;
+    function receiveData(chunk) {
+        if (!destination.write(chunk)) {
+            var socket = ctx.db.client.connection.stream;
+            socket.pause();
+            destination.once('drain', function () {
+                socket.resume();
+            });
+        }
+    }
+
+    function getError(e) {
+        return e instanceof $npm.utils.InternalError ? e.error : e;
+    }
+
+    function getContext() {
+        return {
+            client: ctx.db.client,
+            dc: ctx.dc,
+            query: text,
+            ctx: ctx.ctx
+        };
+    }
+}
+
+////////////////////////////////////////////////////////////
+// Converts a value into a CSV field for PostgreSQL COPY,
+// following the formatting rules of the library.
+//
+// NULL is represented by an empty field without quotes,
+// while all other values are always quoted.
+function csvValue(value, mod) {
+    if (typeof value === 'function') {
+        value = value();
+    }
+    if ($npm.utils.isNull(value)) {
+        return '';
+    }
+    var s;
+    if (mod === ':json') {
+        s = JSON.stringify(value);
+    } else {
+        s = csvText(value);
+    }
+    return '"' + s.replace(/"/g, '""') + '"';
+}
+
+// text presentation of a value, as PostgreSQL input expects it;
+function csvText(value) {
+    switch (typeof value) {
+        case 'string':
+            return value;
+        case 'boolean':
+            return value ? 'true' : 'false';
+        case 'number':
+            return value.toString();
+        default:
+            if (value instanceof Date) {
+                return $npm.formatting.as.date(value, true);
+            }
+            if (value instanceof Buffer) {
+                return $npm.formatting.as.buffer(value, true);
+            }
+            if (Array.isArray(value)) {
+                return '{' + $arr.map(value, function (v) {
+                        if ($npm.utils.isNull(v)) {
+                            return 'NULL';
+                        }
+                        if (Array.isArray(v)) {
+                            return csvText(v);
+                        }
+                        return '"' + csvText(v).replace(/\\/g, '\\\\').replace(/"/g, '\\"') + '"';
+                    }).join() + '}';
+            }
+            return JSON.stringify(value);
+    }
+}
+
+function isReadable(obj) {
+    return !!obj && typeof obj.on === 'function' && typeof obj.pause === 'function' && typeof obj.resume === 'function';
+}
+
+// istanbul ignore next: for older versions of Node.js
+function toBuffer(text) {
+    return typeof Buffer.alloc === 'function' ? Buffer.from(text) : new Buffer(text);
+}
+
+var sql = {
+    from: {
+        lowCase: "copy $1^$2^ from stdin (format csv)",
+        capCase: "COPY $1^$2^ FROM STDIN (FORMAT CSV)"
+    },
+    to: {
+        lowCase: "copy ($1^) to stdout (format csv)",
+        capCase: "COPY ($1^) TO STDOUT (FORMAT CSV)"
+    }
+};
+
+module.exports = $copy;
@@ -0,0 +1,178 @@
+'use strict';
+
+var $npm = {
+    utils: require('./utils'),
+    queryFile: require('./queryFile')
+};
+
+var cursorIndex = 0; // for unique cursor names;
+
+///////////////////////////////////////////////////////
+// Iterates through query data with a server-side cursor,
+// fetching rows in batches, inside an automatic transaction.
+function $cursor(obj, query, values, options, config) {
+
+    var self = this, $p = config.promise,
+        capSQL = config.options.capSQL,
+        batchSize = 100,
+        error, name, rows = [], index = 0,
+        task, // task protocol, while the cursor is open;
+        finish, // finishes the transaction callback;
+        result, // result of the transaction;
+        finished, queue = $p.resolve();
+
+    if (!$npm.utils.isNull(options)) {
+        if (typeof options !== 'object') {
+            error = new TypeError("Invalid parameter 'options' specified.");
+        } else {
+            if ('batchSize' in options) {
+                var bs = options.batchSize;
+                if (bs !== parseInt(bs) || bs < 1) {
+                    error = new TypeError("Invalid batch size specified.");
+                } else {
+                    batchSize = bs;
+                }
+            }
+        }
+    }
+
+    if (!error) {
+        if (query instanceof $npm.queryFile) {
+            query.prepare();
+            error = query.error;
+            query = query.query;
+        } else {
+            if (!$npm.utils.isText(query)) {
+                error = new TypeError("Invalid cursor query.");
+            }
+        }
+    }
+
+    name = 'pgp_cursor_' + (++cursorIndex);
+
+    var sql = {
+        declare: 'declare ' + name + ' no scroll cursor for ',
+        fetch: 'fetch ' + batchSize + ' from ' + name,
+        close: 'close ' + name
+    };
+
+    if (capSQL) {
+        sql.declare = sql.declare.toUpperCase();
+        sql.fetch = sql.fetch.toUpperCase();
+        sql.close = sql.close.toUpperCase();
+    }
+
+    var iterator = {
+        next: function () {
+            return enqueue(pull);
+        },
+        return: function (value) {
+            return enqueue(function () {
+                if (finished) {
+                    return {value: value, done: true};
+                }
+                rows = [];
+                return close()
+                    .then(function () {
+                        return {value: value, done: true};
+                    });
+            });
+        }
+    };
+
+    // istanbul ignore else:
+    // async iteration is not available in older versions of Node.js
+    if (typeof Symbol === 'function' && Symbol.asyncIterator) {
+        iterator[Symbol.asyncIterator] = function () {
+            return this;
+        };
+    }
+
+    return iterator;
+
+    // serializes all requests against the cursor;
+    function enqueue(cb) {
+        var p = queue.then(cb);
+        queue = p.then(dummy, dummy);
+        return p;
+    }
+
+    function pull() {
+        if (index < rows.length) {
+            return {value: rows[index++], done: false};
+        }
+        if (finished) {
+            return {value: undefined, done: true};
+        }
+        if (error) {
+            finished = true;
+            return $p.reject(error);
+        }
+        return (task ? $p.resolve() : open())
+            .then(function () {
+                return task.any(sql.fetch);
+            })
+            .then(function (data) {
+                if (data.length) {
+                    rows = data;
+                    index = 1;
+                    return {value: data[0], done: false};
+                }
+                return close()
+                    .then(function () {
+                        return {value: undefined, done: true};
+                    });
+            }, function (reason) {
+                return close(reason);
+            });
+    }
+
+    // opens the transaction and declares the cursor;
+    function open() {
+        return $p(function (resolve, reject) {
+            result = obj.tx.call(self, function (t) {
+                var session = $p(function (res, rej) {
+                    finish = function (reason) {
+                        if (reason === undefined) {
+                            res();
+                        } else {
+                            rej(reason);
+                        }
+                    };
+                });
+                t.none(sql.declare + query, values)
+                    .then(function () {
+                        task = t;
+                        resolve();
+                    }, finish);
+                return session;
+            });
+            result.then(null, reject);
+        });
+    }
+
+    // closes the cursor and finishes the transaction,
+    // with ROLLBACK when there is an error;
+    function close(reason) {
+        finished = true;
+        if (!task) {
+            return reason === undefined ? $p.resolve() : $p.reject(reason);
+        }
+        var t = task;
+        task = null;
+        var p = reason === undefined ? t.none(sql.close) : $p.resolve();
+        return p
+            .then(function () {
+                finish(reason);
+                return result;
+            }, function (e) {
+                finish(e);
+                return result;
+            });
+    }
+}
+
+function dummy() {
+}
+
+module.exports = $cursor;
@@ -7,9 +7,20 @@ var $npm = {
     context: require('./cnContext'),
     events: require('./events'),
     utils: require('./utils'),
+    pubUtils: require('./utils/public'),
     connect: require('./connect'),
     query: require('./query'),
-    task: require('./task')
+    task: require('./task'),
+    cursor: require('./cursor'),
+    listener: require('./listener'),
+    router: require('./router'),
+    statement: require('./statement'),
+    cache: require('./cache'),
+    introspect: require('./introspect'),
+    transform: require('./transform'),
+    queryFile: require('./queryFile'),
+    types: require('./types'),
+    txMode: require('./txMode')
 };
 
 var $arr = require('./array');
@@ -43,6 +54,31 @@ var $arr = require('./array');
  *
  * For details see {@link https://github.com/vitaly-t/pg-promise/wiki/Connection-Syntax Connection Syntax}.
  *
+ * Every database object has its own connection pool, configured via properties `max`, `idleTimeout` and `acquireTimeout`
+ * of the configuration object. See {@link Database.$pool $pool}.
+ *
+ * **Read Replicas**
+ *
+ * Connection details can also be an object `{primary, replicas}`, with `primary` - connection details for the primary server,
+ * and `replicas` - an array of connection details for its read replicas, each with its own connection pool.
+ *
+ * Methods {@link Database.one one}, {@link Database.oneOrNone oneOrNone}, {@link Database.many many},
+ * {@link Database.manyOrNone manyOrNone} and {@link Database.any any} (plus {@link Database.map map} and {@link Database.each each}),
+ * when called on the root level, execute on the next replica, in round-robin order, but only for a single statement that
+ * reads data: `SELECT`, `WITH`, `VALUES`, `TABLE` or `SHOW`, without any of `INSERT`, `UPDATE`, `DELETE`, `INTO`,
+ * `FOR SHARE`, `nextval` or `setval`. So a query like `INSERT ... RETURNING id` executed via method {@link Database.one one}
+ * still goes to the primary. A query that's formatted from a function name or with pre-formatted values is checked
+ * as written, so a function that modifies data needs option `target` = `'primary'`.
+ *
+ * Everything else goes to the primary, including all tasks and transactions, except for transactions with
+ * a {@link txMode.TransactionMode TransactionMode} that is read-only.
+ *
+ * The routing can be overridden per query, via option `target` (see {@link Database.query query}), or per task/transaction,
+ * by setting property `target` on the callback function, to either `'primary'` or `'replica'`. The resulting target
+ * is reported by event {@link event:query query}.
+ *
+ * When there are no replicas, all requests go to the primary.
+ *
  * @param {} [dc]
  * Database Context.
  *
@@ -70,10 +106,17 @@ var $arr = require('./array');
  * {@link Database.map map},
  * {@link Database.each each},
  * {@link Database.stream stream},
+ * {@link Database.copyFrom copyFrom},
+ * {@link Database.copyTo copyTo},
+ * {@link Database.cursor cursor},
  * {@link Database.task task},
  * {@link Database.tx tx},
  * {@link Database.connect connect},
+ * {@link Database.listen listen},
+ * {@link Database.notify notify},
  * {@link Database.$config $config},
+ * {@link Database.$pool $pool},
+ * {@link Database.$replicas $replicas},
  * {@link event:extend extend}
  *
  * @example
@@ -96,9 +139,13 @@ var $arr = require('./array');
 function Database(cn, dc, config) {
 
     checkForDuplicates(cn, config);
-    setErrorHandler(config);
 
-    var $p = config.promise;
+    var $p = config.promise,
+        router = new $npm.router(cn, dc, config),
+        cache = new $npm.cache(config.options.cache, dc, config),
+        transform = $npm.transform.parse(config.options.transform),
+        introspection = {}, // cached introspection results, shared with all tasks;
+        root = this;
 
     /**
      * @method Database.connect
@@ -198,6 +245,72 @@ function Database(cn, dc, config) {
             });
     };
 
+    var listener; // created on the first use;
+
+    /**
+     * @method Database.listen
+     * @description
+     * Subscribes to notifications on a channel, via `LISTEN channel`.
+     *
+     * All subscriptions of the database object share one dedicated connection, which is created with the first
+     * subscription, and released after the last subscription has been removed. When the connection is lost,
+     * the library keeps trying to restore it, with a growing delay between attempts (from 0.5s to 30s), and then
+     * re-issues `LISTEN` for all the channels.
+     *
+     * All of it is reported through the usual events:
+     * - {@link event:connect connect} - when the dedicated connection has been established or restored
+     * - {@link event:disconnect disconnect} - when the connection has been released or lost
+     * - {@link event:error error} - when the connection has been lost, or failed to reconnect, or a notification handler has thrown
+     *
+     * **NOTE:** The process cannot exit while there are active subscriptions, as the dedicated connection stays open
+     * till the last subscription has been removed via `unlisten()`.
+     *
+     * @param {string} channel
+     * Channel name, which is used as an SQL name, i.e. it is case-sensitive.
+     *
+     * @param {function} handler
+     * Notification handler `(payload, message)`, where:
+     * - `payload` - the notification payload, as a string, or decoded when option `json` is set
+     * - `message` - the original notification message, with properties `channel`, `payload` and `processId`
+     *
+     * The handler is called with `this` set to the subscription object.
+     *
+     * @param {object} [options]
+     * Subscription options:
+     * - `json` - decode payloads from JSON, as sent by method {@link Database.notify notify}. Payloads that are not
+     *   valid JSON are passed on as they are, and an empty payload becomes `undefined`. Default is `false`.
+     *
+     * @returns {external:Promise}
+     * Resolves with the subscription object, once `LISTEN` has been executed:
+     * - `channel` - the channel name
+     * - `unlisten()` - method that removes the subscription, and resolves with a boolean, indicating
+     *   whether the subscription was active
+     *
+     * Possible rejections:
+     * - `Invalid channel name specified.`
+     * - `Invalid notification handler specified.`
+     * - `Invalid parameter 'options' specified.`
+     * - any connection-related error
+     *
+     * @see {@link Database.notify notify}
+     *
+     * @example
+     *
+     * db.listen('my-channel', function (payload) {
+     *     console.log('Received:', payload);
+     * }, {json: true})
+     *     .then(function (sub) {
+     *         return db.notify('my-channel', {message: 'Hello!'})
+     *             .then(function () {
+     *                 // sub.unlisten() when no longer needed;
+     *             });
+     *     });
+     */
+    this.listen = function (channel, handler, options) {
+        listener = listener || new $npm.listener(this, router.primary.cn, dc, config);
+        return listener.listen(channel, handler, options);
+    };
+
     /**
      * @method Database.query
      *
@@ -210,6 +323,31 @@ function Database(cn, dc, config) {
      * - Prepared Statement `{name, text, values, ...}` or {@link PreparedStatement} object
      * - Parameterized Query `{text, values, ...}` or {@link ParameterizedQuery} object
      * - {@link QueryFile} object
+     * - Query with options `{query, timeout, cancel}`, where `query` is any of the above, and:
+     *   - `timeout` - maximum time for the query to execute, in milliseconds
+     *   - `cancel` - cancel token, which is an `AbortSignal`-like object, with property `aborted`
+     *     and methods `addEventListener` + `removeEventListener` for event `abort`
+     *
+     *   Once the time is out, or the token is triggered, the query is cancelled on the server via `pg_cancel_backend`,
+     *   from a separate connection, and the method rejects with {@link errors.QueryCancelError QueryCancelError}.
+     *   When the query manages to finish successfully in the meantime, the method resolves as usual, because
+     *   the changes made by the query may have been committed already.
+     *
+     *   While the query is waiting for other queries on the same connection, it is not cancelled on the server,
+     *   but it still counts toward the timeout. Queries sent through the connection object directly, and not via
+     *   the library, are not taken into account.
+     *
+     *   The same options can also be set for all queries inside a {@link Database.task task} or {@link Database.tx transaction}.
+     *
+     *   The options are supported by all query methods that are based on this one, i.e. all except {@link Database.stream stream},
+     *   {@link Database.copyFrom copyFrom} and {@link Database.copyTo copyTo}.
+     *
+     *   Option `target` - `'primary'` or `'replica'`, overrides the server for the query, when the database object
+     *   uses read replicas (see {@link Database}). It is ignored inside tasks and transactions, which have their connection.
+     *
+     *   Option `cache` - `true` or `{ttl, tags}`, to cache the query result, with `ttl` - time-to-live in seconds, and `tags` -
+     *   tag name or array of tag names, for the invalidation (see {@link Database.$cache $cache}). Invalid value will reject
+     *   with {@link external:TypeError TypeError} = `Invalid option 'cache' specified.`
      *
      * @param {array|value} [values]
      * Query formatting parameters.
@@ -233,7 +371,15 @@ function Database(cn, dc, config) {
      * - query duration in milliseconds.
      */
     this.query = function (query, values, qrm) {
-        var self = this, ctx = createContext();
+        return rootQuery.call(this, query, values, qrm, 'primary');
+    };
+
+    // executes a query on a new connection, routed to the target by default;
+    function rootQuery(query, values, qrm, target) {
+        if (query && typeof query === 'object' && 'query' in query && (query.target === 'primary' || query.target === 'replica')) {
+            target = query.target; // overridden via the query options;
+        }
+        var self = this, ctx = createContext(target);
         return config.$npm.connect.pool(ctx)
             .then(function (db) {
                 ctx.connect(db);
@@ -247,7 +393,7 @@ function Database(cn, dc, config) {
                 ctx.disconnect();
                 return $p.reject(error);
             });
-    };
+    }
 
     /**
      * @member {object} Database.$config
@@ -270,10 +416,53 @@ function Database(cn, dc, config) {
      */
     $npm.utils.addReadProp(this, '$config', config, true);
 
+    /**
+     * @member {Database.$pool} Database.$pool
+     * @readonly
+     * @description
+     * Hidden property with the connection pool of this database object, to provide statistics via method
+     * {@link Database.$pool.stats stats}, and to shut down the pool via method {@link Database.$pool.end end}.
+     *
+     * @example
+     *
+     * var stats = db.$pool.stats();
+     * //=> {max: 10, total: 3, idle: 2, active: 1, waiting: 0}
+     *
+     * // closing all connections of this database only:
+     * db.$pool.end()
+     *     .then(function () {
+     *         // all connections have been closed;
+     *     });
+     */
+    $npm.utils.addReadProp(this, '$pool', router.primary.pool, true);
+
+    /**
+     * @member {array<Database.$pool>} Database.$replicas
+     * @readonly
+     * @description
+     * Hidden property with the list of connection pools for all replicas, when the database object was created
+     * with connection details in the form of `{primary, replicas}` (see {@link Database}), or an empty array otherwise.
+     *
+     * Property {@link Database.$pool $pool} then represents the pool of the primary server.
+     */
+    $npm.utils.addReadProp(this, '$replicas', Object.freeze($arr.map(router.replicas, function (r) {
+        return r.pool;
+    })), true);
+
+    /**
+     * @member {Database.$cache} Database.$cache
+     * @readonly
+     * @description
+     * Hidden property with the query result cache of this database object, to invalidate cached results
+     * via method {@link Database.$cache.invalidate invalidate}.
+     */
+    $npm.utils.addReadProp(this, '$cache', cache, true);
+
     extend(createContext(), this); // extending root protocol;
 
-    function createContext() {
-        return new $npm.context(cn, dc, config.options);
+    function createContext(target) {
+        var server = router.get(target);
+        return new $npm.context(server.cn, dc, config.options, server.pool, undefined, undefined, undefined, server.target, cache, transform);
     }
 
     function singleValue(value, cb, thisArg) {
@@ -290,6 +479,35 @@ function Database(cn, dc, config) {
     // extending the protocol's base method 'query'.
     function extend(ctx, obj) {
 
+        // merges query options into the query with options {query, timeout, cancel, target, cache};
+        function withOptions(query, options) {
+            if (options === undefined || options === null) {
+                return query;
+            }
+            var q = {query: query};
+            if (query && typeof query === 'object' && 'query' in query &&
+                !(query instanceof $npm.queryFile) && !(query instanceof $npm.types.ExternalQuery)) {
+                q = {};
+                for (var a in query) {
+                    q[a] = query[a];
+                }
+            }
+            for (var b in options) {
+                q[b] = options[b];
+            }
+            return q;
+        }
+
+        // executes a read query, which goes to a replica for the root protocol,
+        // if the query is a single statement that doesn't modify any data;
+        function read(self, query, values, qrm) {
+            if (obj === root) {
+                var target = router.replicas.length && $npm.statement.isReadOnly(query) ? 'replica' : 'primary';
+                return rootQuery.call(self, query, values, qrm, target);
+            }
+            return obj.query.call(self, query, values, qrm);
+        }
+
         /**
          * @method Database.none
          * @description
@@ -389,7 +607,7 @@ function Database(cn, dc, config) {
          *
          */
         obj.one = function (query, values, cb, thisArg) {
-            var v = obj.query.call(this, query, values, $npm.result.one);
+            var v = read(this, query, values, $npm.result.one);
             return singleValue(v, cb, thisArg);
         };
 
@@ -418,14 +636,17 @@ function Database(cn, dc, config) {
          * and `values` is not `null` or `undefined`, it is automatically set within such object,
          * as an override for its internal `values`.
          *
+         * @param {object} [options]
+         * Query options `{timeout, cancel, target, cache}`, same as for the query with options (see {@link Database.query query}).
+         *
          * @returns {external:Promise}
          * A promise object that represents the query result:
          * - when 1 or more rows are returned, it resolves with the array of rows
          * - when no rows are returned, it rejects with {@link errors.QueryResultError QueryResultError}
          * = `No data returned from the query.`
          */
-        obj.many = function (query, values) {
-            return obj.query.call(this, query, values, $npm.result.many);
+        obj.many = function (query, values, options) {
+            return read(this, withOptions(query, options), values, $npm.result.many);
         };
 
         /**
@@ -487,7 +708,7 @@ function Database(cn, dc, config) {
          *
          */
         obj.oneOrNone = function (query, values, cb, thisArg) {
-            var v = obj.query.call(this, query, values, $npm.result.one | $npm.result.none);
+            var v = read(this, query, values, $npm.result.one | $npm.result.none);
             return singleValue(v, cb, thisArg);
         };
 
@@ -515,6 +736,9 @@ function Database(cn, dc, config) {
          * and `values` is not `null` or `undefined`, it is automatically set within such object,
          * as an override for its internal `values`.
          *
+         * @param {object} [options]
+         * Query options `{timeout, cancel, target, cache}`, same as for the query with options (see {@link Database.query query}).
+         *
          * @returns {external:Promise}
          * A promise object that represents the query result:
          * - when no rows are returned, it resolves with an empty array
@@ -523,8 +747,8 @@ function Database(cn, dc, config) {
          * @see {@link Database.any any}
          *
          */
-        obj.manyOrNone = function (query, values) {
-            return obj.query.call(this, query, values, $npm.result.many | $npm.result.none);
+        obj.manyOrNone = function (query, values, options) {
+            return read(this, withOptions(query, options), values, $npm.result.many | $npm.result.none);
         };
 
         /**
@@ -552,6 +776,9 @@ function Database(cn, dc, config) {
          * and `values` is not `null` or `undefined`, it is automatically set within such object,
          * as an override for its internal `values`.
          *
+         * @param {object} [options]
+         * Query options `{timeout, cancel, target, cache}`, same as for the query with options (see {@link Database.query query}).
+         *
          * @returns {external:Promise}
          * A promise object that represents the query result:
          * - when no rows are returned, it resolves with an empty array
@@ -563,8 +790,8 @@ function Database(cn, dc, config) {
          * {@link Database.each each}
          *
          */
-        obj.any = function (query, values) {
-            return obj.query.call(this, query, values, $npm.result.any);
+        obj.any = function (query, values, options) {
+            return read(this, withOptions(query, options), values, $npm.result.any);
         };
 
         /**
@@ -667,6 +894,201 @@ function Database(cn, dc, config) {
             return obj.query.call(this, qs, init, $npm.special.cache.streamQuery);
         };
 
+        /**
+         * @method Database.copyFrom
+         * @description
+         * Bulk-loads data into a table with `COPY ... FROM STDIN`, which is many times faster than
+         * a multi-row `INSERT`, and doesn't require generating the whole query in memory.
+         *
+         * The rows are sent in CSV format, encoded according to the columns, the same way as method
+         * {@link helpers.insert} would format them: property `prop`, `def` and `init` are all used,
+         * modifier `:json` forces JSON, and all other values are formatted according to their JavaScript type.
+         * Missing properties without a `def` value throw `Property 'name' doesn't exist.`
+         *
+         * It fires events {@link event:query query} and {@link event:error error}, same as any other query method.
+         *
+         * This method doesn't work with the $[Native Bindings], and if option `pgNative`
+         * is set, it will reject with `COPY doesn't work with Native Bindings.`
+         *
+         * @param {helpers.TableName|string|{table,schema}} [table]
+         * Destination table.
+         *
+         * It is optional when `columns` is a {@link helpers.ColumnSet ColumnSet} with `table` set in it.
+         *
+         * @param {array|helpers.Column|helpers.ColumnSet} columns
+         * Columns to be populated.
+         *
+         * @param {array|external:Stream} source
+         * Either an array of objects, or a readable stream in object mode that provides them.
+         *
+         * The stream is paused whenever the connection cannot take any more data. When the stream emits
+         * an error, the `COPY` is aborted, and the method rejects with that error. When the server rejects
+         * the `COPY`, the stream is detached from the connection and destroyed, if it supports method `destroy`.
+         *
+         * @returns {external:Promise}
+         * Result of the operation.
+         *
+         * Once finished successfully, the method resolves with `{processed, duration}`:
+         * - `processed` - total number of rows inserted;
+         * - `duration` - operation duration, in milliseconds.
+         *
+         * Possible rejections messages:
+         * - `Invalid or missing COPY source.`
+         * - `Parameter 'columns' is required for COPY.`
+         * - `Cannot COPY without any columns.`
+         * - `Table name is unknown.`
+         * - `Invalid COPY object at index N.`
+         *
+         * @see {@link Database.copyTo copyTo}
+         *
+         * @example
+         *
+         * var cs = new pgp.helpers.ColumnSet(['name', 'age'], {table: 'people'});
+         *
+         * db.copyFrom(null, cs, [{name: 'John', age: 23}, {name: 'Mike', age: 27}])
+         *     .then(function (data) {
+         *         // data.processed = 2
+         *     });
+         */
+        obj.copyFrom = function (table, columns, source) {
+            return obj.query.call(this, {
+                table: table,
+                columns: columns,
+                source: source
+            }, undefined, $npm.special.cache.copyFromQuery);
+        };
+
+        /**
+         * @method Database.copyTo
+         * @description
+         * Exports query data into a writable stream with `COPY (query) TO STDOUT`, in CSV format.
+         *
+         * The connection is paused whenever the destination cannot take any more data, and once all the data
+         * has been written, the destination is ended, same as with `pipe`. When the export fails, the destination
+         * is destroyed, if it supports method `destroy`, or ended otherwise.
+         *
+         * It fires events {@link event:query query} and {@link event:error error}, same as any other query method.
+         *
+         * This method doesn't work with the $[Native Bindings], and if option `pgNative`
+         * is set, it will reject with `COPY doesn't work with Native Bindings.`
+         *
+         * @param {string|QueryFile} query
+         * Query that selects the data, either a string or a {@link QueryFile} object. It is used without formatting,
+         * so if it needs any parameters, use method {@link formatting.format as.format} first.
+         *
+         * @param {external:Stream} destination
+         * Writable stream to receive the data.
+         *
+         * @returns {external:Promise}
+         * Result of the operation.
+         *
+         * Once finished successfully, the method resolves with `{processed, duration}`:
+         * - `processed` - total number of rows exported;
+         * - `duration` - operation duration, in milliseconds.
+         *
+         * Possible rejections messages:
+         * - `Invalid COPY query.`
+         * - `Invalid or missing COPY destination.`
+         * - {@link errors.QueryFileError QueryFileError}, if `query` is a {@link QueryFile} in an error state
+         *
+         * @see {@link Database.copyFrom copyFrom}
+         *
+         * @example
+         *
+         * var fs = require('fs');
+         *
+         * db.copyTo('SELECT * FROM people', fs.createWriteStream('people.csv'))
+         *     .then(function (data) {
+         *         // data.processed = number of rows exported
+         *     });
+         */
+        obj.copyTo = function (query, destination) {
+            return obj.query.call(this, {
+                query: query,
+                destination: destination
+            }, undefined, $npm.special.cache.copyToQuery);
+        };
+
+        /**
+         * @method Database.cursor
+         * @description
+         * Creates a pull-based iterator for processing large query results incrementally,
+         * through a server-side cursor.
+         *
+         * The method allocates nothing until the first row is requested. It then opens a transaction
+         * (or a save-point, when called inside a transaction), declares cursor `DECLARE ... NO SCROLL CURSOR FOR query`,
+         * and keeps fetching rows in batches of `batchSize`, as the iterator is being consumed. Once the data is exhausted,
+         * the cursor is closed, and the transaction is committed automatically.
+         *
+         * All queries are executed through the regular protocol, so events {@link event:query query},
+         * {@link event:receive receive} (once per batch), {@link event:error error} and {@link event:transact transact}
+         * are all fired as usual.
+         *
+         * Unlike method {@link Database.stream stream}, this method needs no external library, and works with $[Native Bindings].
+         *
+         * **IMPORTANT:**
+         *
+         * The connection is occupied from the first request till the end of iteration. If you stop before that, you must
+         * call method `return()` on the iterator, which is done automatically when leaving a `for await...of` loop.
+         *
+         * @param {string|QueryFile} query
+         * Query to be executed, which can be either a non-empty query string or a {@link QueryFile} object.
+         *
+         * @param {array|value} [values]
+         * Query formatting parameters, same as for method {@link Database.query query}.
+         *
+         * @param {object} [options]
+         * Cursor options.
+         *
+         * @param {number} [options.batchSize=100]
+         * Number of rows to fetch from the server at a time.
+         *
+         * @returns {object}
+         * An asynchronous iterator, with the following methods:
+         * - `next()` - resolves with `{value, done}`, where `value` is the next row;
+         * - `return()` - closes the cursor and releases the connection, resolving with `{value, done: true}`.
+         *
+         * Where supported by Node.js, the object is also iterable with `for await...of`.
+         *
+         * Possible rejections (from method `next()`):
+         * - `Invalid parameter 'options' specified.`
+         * - `Invalid batch size specified.`
+         * - `Invalid cursor query.`
+         * - {@link errors.QueryFileError QueryFileError}, if `query` is a {@link QueryFile} in an error state
+         * - any query-related error, in which case the transaction is rolled back.
+         *
+         * @see
+         * {@link Database.stream stream},
+         * {@link Database.tx tx}
+         *
+         * @example
+         *
+         * async function processUsers() {
+         *     for await (const user of db.cursor('SELECT * FROM Users WHERE active = $1', true, {batchSize: 1000})) {
+         *         // process each user row;
+         *     }
+         * }
+         *
+         * @example
+         *
+         * // without for await...of, pulling rows manually:
+         * var c = db.cursor('SELECT * FROM Users');
+         *
+         * function nextUser() {
+         *     return c.next()
+         *         .then(function (r) {
+         *             if (!r.done) {
+         *                 // r.value = user row;
+         *                 return nextUser();
+         *             }
+         *         });
+         * }
+         *
+         */
+        obj.cursor = function (query, values, options) {
+            return $npm.cursor.call(this, obj, query, values, options, config);
+        };
+
         /**
          * @method Database.func
          * @description
@@ -732,6 +1154,32 @@ function Database(cn, dc, config) {
             return singleValue(v, cb, thisArg);
         };
 
+        /**
+         * @method Database.notify
+         * @description
+         * Sends a notification on a channel, via `NOTIFY channel, payload`.
+         *
+         * The payload is sent in JSON, to be decoded by the handlers set with method {@link Database.listen listen}
+         * and option `json`.
+         *
+         * As with any notification, when called inside a transaction, it is delivered only once the transaction has been committed.
+         *
+         * @param {string} channel
+         * Channel name.
+         *
+         * @param {} [payload]
+         * Notification payload, of any JSON-compatible type. When `undefined`, the notification is sent without payload.
+         *
+         * @returns {external:Promise}
+         * Resolves with `undefined` once the notification has been sent.
+         *
+         * @see {@link Database.listen listen}
+         */
+        obj.notify = function (channel, payload) {
+            var query = config.options.capSQL ? 'NOTIFY $1~, $2' : 'notify $1~, $2';
+            return obj.query.call(this, query, [channel, payload === undefined ? '' : JSON.stringify(payload)], $npm.result.none);
+        };
+
         /**
          * @method Database.map
          * @description
@@ -924,6 +1372,66 @@ function Database(cn, dc, config) {
                 });
         };
 
+        /**
+         * @method Database.nest
+         * @description
+         * Executes a query that can return any number of rows, and folds them into nested objects,
+         * via {@link utils.nest}.
+         *
+         * This is simply a shorter way of calling {@link utils.nest} on the result of method {@link Database.any any}.
+         *
+         * @param {String|Object} query
+         * Query to be executed, which can any of the following types:
+         * - A non-empty query string
+         * - Prepared Statement `{name, text, values, ...}` or {@link PreparedStatement} object
+         * - Parameterized Query `{text, values, ...}` or {@link ParameterizedQuery} object
+         * - {@link QueryFile} object
+         *
+         * @param {array|value} [values]
+         * Query formatting parameters.
+         *
+         * @param {object} spec
+         * Nesting specification `{key, columns, children}` (see {@link utils.nest}).
+         *
+         * @returns {external:Promise}
+         * Resolves with the array of nested objects.
+         *
+         * @see
+         * {@link Database.any any},
+         * {@link utils.nest}
+         *
+         * @example
+         *
+         * db.nest('SELECT u.id, u.name, o.id AS order_id, o.total FROM users u LEFT JOIN orders o ON o.user_id = u.id', [], {
+         *     key: 'id',
+         *     columns: ['id', 'name'],
+         *     children: {
+         *         orders: {key: 'order_id', columns: {id: 'order_id', total: 'total'}}
+         *     }
+         * })
+         *     .then(users => {
+         *         // users = [{id, name, orders: [{id, total}]}]
+         *     })
+         *     .catch(error => {
+         *         // error
+         *     });
+         *
+         */
+        obj.nest = function (query, values, spec) {
+            return obj.any.call(this, query, values)
+                .then(function (data) {
+                    return $npm.pubUtils.nest(data, spec);
+                });
+        };
+
+        /**
+         * @member {Database.introspect} Database.introspect
+         * @readonly
+         * @description
+         * Database introspection, to read table details for {@link helpers.ColumnSet.fromTable ColumnSet.fromTable}.
+         */
+        obj.introspect = new $npm.introspect(obj, introspection, config);
+
         /**
          * @method Database.task
          * @description
@@ -938,6 +1446,20 @@ function Database(cn, dc, config) {
          *
          * See class {@link Task} for more details.
          *
+         * **Timeouts and Cancellation**
+         *
+         * All queries inside the task can be limited in time, by setting property `timeout` (in milliseconds)
+         * on the callback function, and/or made cancellable, by setting property `cancel` to an `AbortSignal`-like
+         * token (see {@link Database.query query}). The timeout counts from the moment the callback is called.
+         *
+         * The query that's executing when the time is out or the token is triggered is cancelled on the server,
+         * and rejects with {@link errors.QueryCancelError QueryCancelError}, as does every query that follows.
+         *
+         * **Read Replicas**
+         *
+         * A task executes against the primary server, unless property `target` on the callback function is set to `'replica'`
+         * (see {@link Database}). An invalid target will reject with {@link external:TypeError TypeError} = `Invalid option 'target' specified.`
+         *
          * @param {} tag/cb
          * When the method takes only one parameter, it must be the callback function (or $[ES6 generator]) for the task.
          * However, when calling the method with 2 parameters, the first one is always the `tag` - traceable context for the
@@ -1036,6 +1558,30 @@ function Database(cn, dc, config) {
          * Note that transactions should be chosen over tasks only where they are necessary, because unlike regular tasks,
          * transactions are blocking operations, and must be used with caution.
          *
+         * **Retry Policy**
+         *
+         * When a top-level transaction fails with a serialization failure (SQLSTATE `40001`) or a deadlock (SQLSTATE `40P01`),
+         * the whole transaction can be re-run automatically, by setting property `retry` on the callback function,
+         * the same way as property `txMode`:
+         *
+         * - `max` - maximum number of retries, 3 by default
+         * - `backoff` - delay in milliseconds before each retry, 0 by default, or a function `(attempt, error)` that returns it
+         * - `codes` - list of SQLSTATE codes to be retried, `['40001', '40P01']` by default
+         *
+         * Every retry is preceded by a {@link event:transact transact} notification, with properties `attempt` and `failures`
+         * updated within {@link Task.ctx}. An invalid retry policy will reject with {@link external:TypeError TypeError}.
+         *
+         * **Timeouts and Cancellation**
+         *
+         * Properties `timeout` and `cancel` can be set on the callback function, same as for {@link Database.task task}.
+         * They apply to all queries inside the callback, but not to the `COMMIT` or `ROLLBACK` that follows it,
+         * so a transaction with a cancelled query is still rolled back properly.
+         *
+         * **Read Replicas**
+         *
+         * A transaction executes against the primary server, unless its `txMode` is read-only, in which case it goes to a replica.
+         * Property `target` on the callback function overrides it, same as for {@link Database.task task}.
+         *
          * @param {} tag/cb
          * When the method takes only one parameter, it must be the callback function (or $[ES6 generator]) for the transaction.
          * However, when calling the method with 2 parameters, the first one is always the `tag` - traceable context for the
@@ -1163,6 +1709,18 @@ function Database(cn, dc, config) {
 
             extend(taskCtx, tsk);
 
+            if (!taskCtx.db) {
+                var target = cb.target, err = $npm.router.validate(target);
+                if (err) {
+                    return $p.reject(err);
+                }
+                if (target === undefined) {
+                    // only read-only transactions can go to a replica;
+                    target = isTX && cb.txMode instanceof $npm.txMode.TransactionMode && cb.txMode.readOnly ? 'replica' : 'primary';
+                }
+                taskCtx.route(router.get(target));
+            }
+
             if (taskCtx.db) {
                 // reuse existing connection;
                 $npm.utils.addReadProp(tsk.ctx, 'isFresh', taskCtx.db.isFresh);
@@ -1199,7 +1757,7 @@ function Database(cn, dc, config) {
 
 }
 
-var jsHandled, nativeHandled, dbObjects = {};
+var dbObjects = {};
 
 function checkForDuplicates(cn, config) {
     var cnKey = JSON.stringify(cn);
@@ -1213,33 +1771,6 @@ function checkForDuplicates(cn, config) {
     }
 }
 
-function setErrorHandler(config) {
-    // we do not do code coverage specific to Native Bindings:
-    // istanbul ignore if
-    if (config.options.pgNative) {
-        if (!nativeHandled) {
-            config.pgp.pg.on('error', onError);
-            nativeHandled = true;
-        }
-    } else {
-        if (!jsHandled) {
-            config.pgp.pg.on('error', onError);
-            jsHandled = true;
-        }
-    }
-}
-
-// this event only happens when the connection is lost physically,
-// which cannot be tested automatically; removing from coverage:
-// istanbul ignore next
-function onError(err, client) {
-    var ctx = client.$ctx;
-    $npm.events.error(ctx.options, err, {
-        cn: $npm.utils.getSafeConnection(ctx.cn),
-        dc: ctx.dc
-    });
-}
-
 module.exports = function (config) {
     var npm = config.$npm;
     npm.connect = npm.connect || $npm.connect(config);
@@ -3,6 +3,7 @@
 var $npm = {
     qResult: require('./queryResult'),
     qFile: require('./queryFile'),
+    qCancel: require('./queryCancel'),
     prepared: require('./prepared'),
     paramQuery: require('./paramQuery')
 };
@@ -32,6 +33,11 @@ var $npm = {
  *
  * Represents all result-specific errors from query methods.
  *
+ * @property {function} QueryCancelError
+ * {@link errors.QueryCancelError QueryCancelError} class constructor.
+ *
+ * Represents query cancellations, due to a timeout or a cancel token.
+ *
  * @property {errors.queryResultErrorCode} queryResultErrorCode
  * Error codes `enum` used by class {@link errors.QueryResultError QueryResultError}.
  *
@@ -42,7 +48,8 @@ module.exports = {
     queryResultErrorCode: $npm.qResult.queryResultErrorCode,
     PreparedStatementError: $npm.prepared,
     ParameterizedQueryError: $npm.paramQuery,
-    QueryFileError: $npm.qFile
+    QueryFileError: $npm.qFile,
+    QueryCancelError: $npm.qCancel
 };
 
 Object.freeze(module.exports);
@@ -0,0 +1,120 @@
+'use strict';
+
+var $npm = {
+    os: require('os'),
+    utils: require('../utils')
+};
+
+/**
+ * @interface errors.QueryCancelError
+ * @augments external:Error
+ * @description
+ *
+ * This error is specified as the rejection reason for a query that has been cancelled, either because it ran
+ * out of time, or because its cancel token was triggered, as set with the query options, or with the task/transaction
+ * options (see {@link Database.query query}, {@link Database.task task} and {@link Database.tx tx}).
+ *
+ * A query that's already executing is cancelled on the server, via `pg_cancel_backend`, and the error is reported
+ * only after the cancellation has been executed, so the connection can be safely reused.
+ *
+ * Supported errors:
+ *
+ * - `Query timed out after N ms.`, when the query has run out of time
+ * - `Query has been cancelled.`, when the cancel token was triggered
+ *
+ * Like any other error, this one is notified with through the global event {@link event:error error}.
+ *
+ * The type is available from the {@link errors} namespace.
+ *
+ * @property {string} name
+ * Standard {@link external:Error Error} property - error type name = `QueryCancelError`.
+ *
+ * @property {string} message
+ * Standard {@link external:Error Error} property - the error message.
+ *
+ * @property {string} stack
+ * Standard {@link external:Error Error} property - the stack trace.
+ *
+ * @property {number} timeout
+ * The timeout that expired, in milliseconds, or `undefined` when the query was cancelled via a cancel token.
+ *
+ * @property {string} query
+ * Query that was cancelled.
+ *
+ * @property {} values
+ * Values passed in as query parameters. Available only when initialization option `pgFormatting` is used.
+ * Otherwise, the values are within the pre-formatted `query` string.
+ *
+ * @example
+ *
+ * var QueryCancelError = pgp.errors.QueryCancelError;
+ *
+ * db.any({query: 'SELECT * FROM big_report', timeout: 5000})
+ *     .catch(function (error) {
+ *         if (error instanceof QueryCancelError) {
+ *             // the query took longer than 5 seconds;
+ *         }
+ *     });
+ *
+ * @see
+ * {@link Database.query query}, {@link Database.task task}, {@link Database.tx tx}
+ *
+ */
+function QueryCancelError(timeout, query, values) {
+    var temp = Error.apply(this, arguments);
+    temp.name = this.name = 'QueryCancelError';
+    this.stack = temp.stack;
+    if (timeout === undefined) {
+        this.message = "Query has been cancelled.";
+    } else {
+        this.message = "Query timed out after " + timeout + " ms.";
+    }
+    this.timeout = timeout;
+    this.query = query;
+    this.values = values;
+}
+
+QueryCancelError.prototype = Object.create(Error.prototype, {
+    constructor: {
+        value: QueryCancelError,
+        writable: true,
+        configurable: true
+    }
+});
+
+/**
+ * @method errors.QueryCancelError.toString
+ * @description
+ * Creates a well-formatted multi-line string that represents the error.
+ *
+ * It is called automatically when writing the object into the console.
+ *
+ * @param {number} [level=0]
+ * Nested output level, to provide visual offset.
+ *
+ * @returns {string}
+ */
+QueryCancelError.prototype.toString = function (level) {
+    level = level > 0 ? parseInt(level) : 0;
+    var gap0 = $npm.utils.messageGap(level),
+        gap1 = $npm.utils.messageGap(level + 1),
+        lines = [
+            'QueryCancelError {',
+            gap1 + 'message: "' + this.message + '"'
+        ];
+    if (this.timeout !== undefined) {
+        lines.push(gap1 + 'timeout: ' + this.timeout);
+    }
+    lines.push(gap1 + 'query: ' + (typeof this.query === 'string' ? '"' + this.query + '"' : JSON.stringify(this.query)));
+    if (this.values !== undefined) {
+        lines.push(gap1 + 'values: ' + JSON.stringify(this.values));
+    }
+    lines.push(gap0 + '}');
+    return lines.join($npm.os.EOL);
+};
+
+QueryCancelError.prototype.inspect = function () {
+    return this.toString();
+};
+
+module.exports = QueryCancelError;
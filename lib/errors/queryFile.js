@@ -29,6 +29,9 @@ var $npm = {
  * @property {object} options
  * Set of options that was used by the {@link QueryFile} object.
  *
+ * @property {string} section
+ * Name of the section in the file, when the {@link QueryFile} was created with option `section`.
+ *
  * @property {SQLParsingError} error
  * Internal $[SQLParsingError] object.
  *
@@ -49,6 +52,12 @@ function QueryFileError(error, qf) {
     }
     this.file = qf.file;
     this.options = qf.options;
+    if (qf.options && qf.options.section !== undefined) {
+        this.section = qf.options.section;
+        if (this.error) {
+            this.message = "Failed to parse the SQL in section '" + this.section + "'.";
+        }
+    }
 }
 
 QueryFileError.prototype = Object.create(Error.prototype, {
@@ -81,6 +90,9 @@ QueryFileError.prototype.toString = function (level) {
             gap1 + 'options: ' + JSON.stringify(this.options),
             gap1 + 'file: "' + this.file + '"'
         ];
+    if (this.section !== undefined) {
+        lines.push(gap1 + 'section: "' + this.section + '"');
+    }
     if (this.error) {
         lines.push(gap1 + 'error: ' + this.error.toString(level + 1));
     }
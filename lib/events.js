@@ -2,7 +2,6 @@
 
 var $npm = {
     con: require('manakin').local,
-    main: require('./'),
     utils: require('./utils')
 };
 
@@ -156,6 +155,10 @@ var $events = {
      * - there were no parameters passed into the query method;
      * - property `query` of this object already contains all the formatting values in it, so logging only the query is sufficient.
      *
+     * @param {string} e.target
+     * Server to which the query has been routed - `'primary'` or `'replica'`. It is set only when the database object
+     * was created with read replicas (see {@link Database}).
+     *
      * @param {object} e.ctx
      * _Task/Transaction Context_ object. See {@link Task.ctx} for details.
      *
@@ -192,6 +195,8 @@ var $events = {
      *   validation for regular queries, which is executed right after this notification.
      * - When adding data pre-processing, you should consider possible performance penalty this may bring.
      * - If the event handler throws an error, the original request will be rejected with that error.
+     * - For declarative conversions by type and column name, and renaming of columns, see initialization
+     *   option `transform`, which is applied after this event.
      *
      * @param {array} data
      * A non-empty array of received data objects/rows.
@@ -291,6 +296,13 @@ var $events = {
      * @description
      * Global notification of a transaction start / finish events.
      *
+     * For a transaction with a retry policy, it is also sent before every new attempt, with `e.ctx.attempt`
+     * set to the attempt number, and `e.ctx.failures` - to the list of errors that caused the retries.
+     *
+     * It is also sent for every savepoint that's created, released or rolled back via methods {@link Task.savepoint savepoint}
+     * and {@link Task.rollbackTo rollbackTo}, with property `e.savepoint` = `{name, action}`, where `action` is one of:
+     * `'create'`, `'release'`, `'rollback'`.
+     *
      * The library will suppress any error thrown by the handler and write it into the console.
      *
      * @param {object} e - Event Context Object.
@@ -302,7 +314,10 @@ var $events = {
      *
      * var options = {
      *     transact: function (e) {
-     *         if (e.ctx.finish) {
+     *         if (e.savepoint) {
+     *             // this is a savepoint event;
+     *             console.log("Savepoint:", e.savepoint.name, e.savepoint.action);
+     *         } else if (e.ctx.finish) {
      *             // this is a transaction->finish event;
      *             console.log("Finish Time:", e.ctx.finish);
      *             if (e.ctx.success) {
@@ -490,8 +505,9 @@ var $events = {
         // Console output is suppressed when running tests, to avoid polluting test output
         // with error messages that are intentional and of no value to the test.
 
+        // the main module is required here, as it is still loading when this module is first required;
         /* istanbul ignore if */
-        if (!$npm.main.suppressErrors) {
+        if (!require('./').suppressErrors) {
             var stack = e instanceof Error ? e.stack : new Error().stack;
             $npm.con.error("Unexpected error in '%s' event handler.\n%s\n", event, stack);
         }
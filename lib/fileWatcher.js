@@ -0,0 +1,128 @@
+'use strict';
+
+var $npm = {
+    fs: require('fs'),
+    events: require('events'),
+    con: require('manakin').local
+};
+
+var $arr = require('./array');
+
+/**
+ * @interface QueryFile.watcher
+ * @augments external:EventEmitter
+ * @description
+ * Registry of all {@link QueryFile} objects created in debug mode (see option `debug`), available as `QueryFile.watcher`.
+ *
+ * It watches every such file via `fs.watch`, and when the file changes, re-prepares all {@link QueryFile} objects
+ * for it right away, to emit one of the events:
+ *
+ * - `reload` - with the {@link QueryFile} object, after it has been prepared successfully
+ * - `error` - with the {@link errors.QueryFileError QueryFileError} and the {@link QueryFile} object, after it failed;
+ *   for a file that failed to parse, property `error` of {@link errors.QueryFileError QueryFileError} is set to
+ *   the $[SQLParsingError], with the location of the problem in the file.
+ *
+ * When there are no `error` listeners, the errors are written into the console.
+ *
+ * The watching doesn't keep the process running.
+ *
+ * @example
+ *
+ * pgp.QueryFile.watcher.on('error', function (error, qf) {
+ *     console.log(error.toString()); // includes the error location in the file
+ * });
+ */
+function FileWatcher() {
+
+    $npm.events.EventEmitter.call(this);
+
+    var self = this,
+        files = {}; // {watcher, entries: [{qf, reload}], timer} by file path;
+
+    // adds a QueryFile object to be watched, with the callback that re-reads it,
+    // and returns whether the file is being watched;
+    this.add = function (path, qf, reload) {
+        var f = files[path];
+        if (!f) {
+            f = files[path] = {entries: []};
+        }
+        if (!$arr.countIf(f.entries, function (e) {
+                return e.qf === qf;
+            })) {
+            f.entries.push({qf: qf, reload: reload});
+        }
+        if (!f.watcher) {
+            try {
+                f.watcher = $npm.fs.watch(path, {persistent: false}, function (event) {
+                    if (event === 'rename') {
+                        // the file was replaced or removed, so the watcher is no longer valid;
+                        f.watcher.close();
+                        f.watcher = undefined;
+                    }
+                    // editors tend to write files in several steps, so changes are collected first:
+                    clearTimeout(f.timer);
+                    f.timer = setTimeout(function () {
+                        change(path);
+                    }, FileWatcher.delay);
+                });
+            } catch (e) {
+                // the file cannot be watched, most likely because it doesn't exist,
+                // and the QueryFile object will try reading it again for every query;
+            }
+        }
+        return !!f.watcher;
+    };
+
+    /**
+     * @method QueryFile.watcher.close
+     * @description
+     * Stops watching all the files, and removes them from the registry.
+     */
+    this.close = function () {
+        for (var path in files) {
+            var f = files[path];
+            clearTimeout(f.timer);
+            if (f.watcher) {
+                f.watcher.close();
+            }
+            delete files[path];
+        }
+    };
+
+    // re-prepares all QueryFile objects for the changed file, and emits the events;
+    function change(path) {
+        var f = files[path];
+        if (!f) {
+            return;
+        }
+        $arr.forEach(f.entries, function (e) {
+            e.reload();
+            if (e.qf.error) {
+                if (self.listeners('error').length) {
+                    self.emit('error', e.qf.error, e.qf);
+                } else {
+                    $npm.con.error("%s\n", e.qf.error.toString());
+                }
+            } else {
+                self.emit('reload', e.qf);
+            }
+        });
+        if (!f.watcher) {
+            // re-creating the watcher for the replaced file:
+            self.add(path, f.entries[0].qf, f.entries[0].reload);
+        }
+    }
+}
+
+FileWatcher.prototype = Object.create($npm.events.EventEmitter.prototype, {
+    constructor: {
+        value: FileWatcher,
+        writable: true,
+        configurable: true
+    }
+});
+
+// delay for collecting file changes, in milliseconds;
+FileWatcher.delay = 50;
+
+module.exports = FileWatcher;
@@ -8,7 +8,11 @@ var fmFlags = {
     name: 2, // SQL Name/Identifier
     json: 4, // JSON modifier
     csv: 8, // CSV modifier
-    value: 16 // escaped, but without ''
+    value: 16, // escaped, but without ''
+    range: 32, // Range type
+    hstore: 64, // hstore type
+    row: 128, // ROW constructor
+    interval: 256 // interval type
 };
 
 // Format Modification Map;
@@ -20,7 +24,11 @@ var fmMap = {
     ':json': fmFlags.json,
     ':csv': fmFlags.csv,
     ':value': fmFlags.value,
-    '#': fmFlags.value
+    '#': fmFlags.value,
+    ':range': fmFlags.range,
+    ':hstore': fmFlags.hstore,
+    ':row': fmFlags.row,
+    ':interval': fmFlags.interval
 };
 
 ////////////////////////////////////////////////////
@@ -51,6 +59,14 @@ function formatValue(value, fm, obj) {
             return $as.csv(value);
         case fmFlags.value:
             return $as.value(value);
+        case fmFlags.range:
+            return $as.range(value, isRaw);
+        case fmFlags.hstore:
+            return $as.hstore(value, isRaw);
+        case fmFlags.row:
+            return formatRow(value);
+        case fmFlags.interval:
+            return $as.interval(value, isRaw);
         default:
             break;
     }
@@ -118,7 +134,7 @@ var formatAs = {
 
     object: function (query, obj, raw, options) {
         options = options && typeof options === 'object' ? options : {};
-        var pattern = /\$(?:({)|(\()|(<)|(\[)|(\/))\s*[a-zA-Z0-9\$_]+(\^|~|#|:raw|:name|:json|:csv|:value)?\s*(?:(?=\2)(?=\3)(?=\4)(?=\5)}|(?=\1)(?=\3)(?=\4)(?=\5)\)|(?=\1)(?=\2)(?=\4)(?=\5)>|(?=\1)(?=\2)(?=\3)(?=\5)]|(?=\1)(?=\2)(?=\3)(?=\4)\/)/g;
+        var pattern = /\$(?:({)|(\()|(<)|(\[)|(\/))\s*[a-zA-Z0-9\$_]+(\^|~|#|:raw|:name|:json|:csv|:value|:range|:hstore|:row|:interval)?\s*(?:(?=\2)(?=\3)(?=\4)(?=\5)}|(?=\1)(?=\3)(?=\4)(?=\5)\)|(?=\1)(?=\2)(?=\4)(?=\5)>|(?=\1)(?=\2)(?=\3)(?=\5)]|(?=\1)(?=\2)(?=\3)(?=\4)\/)/g;
         return query.replace(pattern, function (name) {
             var v = formatAs.stripName(name.replace(/^\$[{(<[/]|[\s})>\]/]/g, ''), raw);
             if (v.name in obj) {
@@ -141,7 +157,7 @@ var formatAs = {
 
     array: function (query, array, raw, options) {
         options = options && typeof options === 'object' ? options : {};
-        return query.replace(/\$([1-9][0-9]{0,3}(?![0-9])(\^|~|#|:raw|:name|:json|:csv|:value)?)/g, function (name) {
+        return query.replace(/\$([1-9][0-9]{0,3}(?![0-9])(\^|~|#|:raw|:name|:json|:csv|:value|:range|:hstore|:row|:interval)?)/g, function (name) {
             var v = formatAs.stripName(name.substr(1), raw);
             var idx = v.name - 1;
             if (idx < array.length) {
@@ -159,14 +175,14 @@ var formatAs = {
     },
 
     value: function (query, value, raw) {
-        return query.replace(/\$1(?![0-9])(\^|~|#|:raw|:name|:json|:csv|:value)?/g, function (name) {
+        return query.replace(/\$1(?![0-9])(\^|~|#|:raw|:name|:json|:csv|:value|:range|:hstore|:row|:interval)?/g, function (name) {
             var v = formatAs.stripName(name, raw);
             return formatValue(value, v.fm);
         });
     },
 
     stripName: function (name, raw) {
-        var mod = name.match(/\^|~|#|:raw|:name|:json|:csv|:value/);
+        var mod = name.match(/\^|~|#|:raw|:name|:json|:csv|:value|:range|:hstore|:row|:interval/);
         if (mod) {
             return {
                 name: name.substr(0, mod.index),
@@ -263,6 +279,166 @@ function $formatQuery(query, values, raw, options) {
     return values === undefined ? query : formatAs.value(query, values, raw);
 }
 
+////////////////////////////////////////////////////////////
+// Formats an array of values, or values of an object's own
+// properties, as a ROW constructor, i.e. a composite value.
+function formatRow(values) {
+    values = resolveFunc(values);
+    if (isNull(values)) {
+        return 'null';
+    }
+    if (typeof values !== 'object' || values instanceof Date || values instanceof Buffer) {
+        throw new TypeError(TEXT(values) + " is not an array or object.");
+    }
+    if (!(values instanceof Array)) {
+        values = $arr.map(Object.keys(values), function (name) {
+            return values[name];
+        });
+    }
+    return 'ROW(' + formatCSV(values) + ')';
+}
+
+//////////////////////////////////////////////////////////////
+// Formats a range bound or an hstore value as an element of
+// the type's text presentation, i.e. double-quoted, with all
+// double quotes and backslashes escaped.
+function formatElement(value) {
+    value = resolveFunc(value);
+    if (value instanceof Date) {
+        value = value.toISOString();
+    } else {
+        if (typeof value === 'number' && !isFinite(value) && !isNaN(value)) {
+            value = value > 0 ? 'infinity' : '-infinity';
+        }
+    }
+    return '"' + String(value).replace(/(["\\])/g, '\\$1') + '"';
+}
+
+// time units supported by intervals, in the order of output;
+var intervalUnits = ['years', 'months', 'weeks', 'days', 'hours', 'minutes', 'seconds', 'milliseconds'];
+
+////////////////////////////////////////////////////////////
+// ROW constructor, as created by as.row(), to be formatted
+// via custom type formatting.
+function Row(values) {
+    this.values = values;
+    this._rawDBType = true;
+    Object.freeze(this);
+}
+
+Row.prototype.formatDBType = function () {
+    return formatRow(this.values);
+};
+
+Row.prototype.toString = function () {
+    return this.formatDBType();
+};
+
+Row.prototype.inspect = function () {
+    return this.toString();
+};
+
+////////////////////////////////////////////////////////////
+// Formats WHERE conditions from an object or an array, and
+// returns the list of formatted conditions.
+function formatConditions(conditions) {
+    var list = [];
+    if (conditions instanceof Array) {
+        $arr.forEach(conditions, function (c) {
+            c = resolveFunc(c);
+            if (isNull(c) || c === '') {
+                return;
+            }
+            if (typeof c === 'string') {
+                list.push({text: c, group: true});
+                return;
+            }
+            if (typeof c === 'object' && typeof c.formatDBType === 'function') {
+                list.push({text: formatValue(c, fmFlags.raw), group: true});
+                return;
+            }
+            if (typeof c === 'object' && !(c instanceof Array)) {
+                // an object inside the array is a group of conditions joined with AND;
+                var group = formatConditions(c);
+                if (group.length) {
+                    list.push({text: joinConditions(group, 'AND'), group: group.length > 1});
+                }
+                return;
+            }
+            throw new TypeError("Invalid condition: " + TEXT(c));
+        });
+    } else {
+        for (var name in conditions) {
+            var v = resolveFunc(conditions[name]), col = $as.name(name), text;
+            if (v === undefined) {
+                continue;
+            }
+            if (v === null) {
+                text = col + ' IS NULL';
+            } else {
+                if (v instanceof Array) {
+                    text = v.length ? col + ' IN (' + formatCSV(v) + ')' : 'false';
+                } else {
+                    text = col + ' = ' + formatValue(v);
+                }
+            }
+            list.push({text: text});
+        }
+    }
+    return list;
+}
+
+// joins formatted conditions, with groups wrapped in parentheses, if there are multiple conditions;
+function joinConditions(list, join) {
+    return $arr.map(list, function (c) {
+        return c.group && list.length > 1 ? '(' + c.text + ')' : c.text;
+    }).join(' ' + join + ' ');
+}
+
+/////////////////////////////////////////////////////////////
+// Pre-formatted SQL fragment, as created by as.fragment(),
+// to be injected as raw text, via custom type formatting.
+//
+// Any error during formatting is re-thrown as the same basic
+// type of error, with the fragment text added into the message,
+// so nested fragments produce the complete formatting path.
+function Fragment(text, values) {
+    if (isQueryFile(text)) {
+        text.prepare(true);
+        text = text.query;
+    }
+    if (typeof text !== 'string') {
+        throw new TypeError("Parameter 'text' must be a text string.");
+    }
+    this.text = text;
+    this.values = values;
+    this._rawDBType = true;
+    Object.freeze(this);
+}
+
+Fragment.prototype.formatDBType = function () {
+    try {
+        return $formatQuery(this.text, this.values);
+    } catch (e) {
+        var text = this.text.replace(/\s+/g, ' ').trim();
+        if (text.length > 50) {
+            text = text.substr(0, 47) + '...';
+        }
+        var ErrorType = e instanceof TypeError ? TypeError : (e instanceof RangeError ? RangeError : Error);
+        var err = new ErrorType("Failed to format fragment \"" + text + "\": " + (e instanceof Error ? e.message : e));
+        err.error = e;
+        throw err;
+    }
+};
+
+Fragment.prototype.toString = function () {
+    return this.formatDBType();
+};
+
+Fragment.prototype.inspect = function () {
+    return this.toString();
+};
+
 //////////////////////////////////////////////////////
 // Formats a standard PostgreSQL function call query;
 function $formatFunction(funcName, values, capSQL) {
@@ -299,6 +475,24 @@ function $formatFunction(funcName, values, capSQL) {
  * @property {function} format
  * {@link formatting.format format} - formats a query according to parameters.
  *
+ * @property {function} fragment
+ * {@link formatting.fragment fragment} - creates a pre-formatted SQL fragment.
+ *
+ * @property {function} where
+ * {@link formatting.where where} - formats a WHERE clause from a list of conditions.
+ *
+ * @property {function} range
+ * {@link formatting.range range} - formats a range value.
+ *
+ * @property {function} interval
+ * {@link formatting.interval interval} - formats a duration object as an interval.
+ *
+ * @property {function} hstore
+ * {@link formatting.hstore hstore} - formats an object as hstore.
+ *
+ * @property {function} row
+ * {@link formatting.row row} - creates a ROW constructor (composite value).
+ *
  */
 var $as = {
 
@@ -665,6 +859,10 @@ var $as = {
      *   - `$1~`, `$2~`,..., and `$*propName~*` (see `*` above)
      * - JSON override ends with `:json` to format the value of any type as a JSON string
      * - CSV override ends with `:csv` to format an array as a properly escaped comma-separated list of values.
+     * - Range override ends with `:range` to format a value as a range type (see {@link formatting.range range})
+     * - Interval override ends with `:interval` to format a duration object as an interval (see {@link formatting.interval interval})
+     * - hstore override ends with `:hstore` to format an object as hstore (see {@link formatting.hstore hstore})
+     * - ROW override ends with `:row` to format an array or object as a ROW constructor (see {@link formatting.row row})
      *
      * @param {string|QueryFile} query
      * A query string or a {@link QueryFile} object, to be formatted according to `values`.
@@ -712,6 +910,289 @@ var $as = {
             query = query.query;
         }
         return $formatQuery(query, values, false, options);
+    },
+
+    /**
+     * @method formatting.fragment
+     * @description
+     * Creates an SQL fragment, which is formatted when used as a formatting value, and then injected as raw text,
+     * i.e. the same as a custom type with `_rawDBType = true` (see $[Custom Type Formatting]).
+     *
+     * Fragments can be nested to any depth, by using fragments within the `values` of another fragment,
+     * and they can be used with all formatting types, including Named Parameters.
+     *
+     * When a fragment fails to format, it throws an error of the same basic type as the original one ({@link external:Error Error},
+     * {@link external:TypeError TypeError} or {@link external:RangeError RangeError}), with the original error available
+     * via property `error`, while the message is prefixed with `Failed to format fragment "text": `, to show the
+     * fragment text, shortened to 50 symbols. For nested fragments, each level adds such prefix.
+     *
+     * @param {string|QueryFile} text
+     * A query string or a {@link QueryFile} object, to be formatted according to `values`.
+     *
+     * If it is not a string, it throws {@link external:TypeError TypeError} = `Parameter 'text' must be a text string.`
+     *
+     * @param {array|object|value} [values]
+     * Formatting parameter(s) / variable value(s), same as for method {@link formatting.format format}.
+     *
+     * @returns {{text, values, formatDBType, toString}}
+     * A frozen fragment object, which implements custom type formatting.
+     *
+     * @example
+     *
+     * var as = pgp.as;
+     *
+     * var where = as.fragment('WHERE ${cond}', {
+     *     cond: as.fragment('id = ${id} AND name = ${name}', {id: 123, name: 'John'})
+     * });
+     *
+     * as.format('SELECT * FROM ${table~} ${where}', {table: 'users', where: where});
+     * //=> SELECT * FROM "users" WHERE id = 123 AND name = 'John'
+     */
+    fragment: function (text, values) {
+        return new Fragment(text, values);
+    },
+
+    /**
+     * @method formatting.where
+     * @description
+     * Formats a `WHERE` clause from a list of conditions, skipping those that are not set, so the clause
+     * can be built dynamically, from optional filters.
+     *
+     * When `conditions` is an object, each property represents a column name, which is escaped as an SQL name,
+     * while the property value determines the condition:
+     *
+     * - `undefined` - the property is skipped
+     * - `null` - `"column" IS NULL`
+     * - an array - `"column" IN (values)`, with each value formatted according to its type; an empty array
+     *   gives `false`, as no value can match it
+     * - any other value - `"column" = value`, with the value formatted according to its type
+     *
+     * When `conditions` is an array, each element is one of the following:
+     *
+     * - a string - raw condition text, which is not escaped, and so it must never come from user input
+     * - a custom type, such as the result from method {@link formatting.fragment fragment}, for templated conditions
+     * - an object - group of conditions, as described above, always joined with `AND`
+     * - `null`, `undefined` or an empty string - the element is skipped
+     *
+     * Raw/templated conditions and groups are wrapped in parentheses, when there is more than one condition.
+     *
+     * @param {object|array|function} conditions
+     * Conditions object or array, or a function that returns it.
+     *
+     * Any other type of value will throw {@link external:TypeError TypeError} = `Invalid conditions specified.`,
+     * and an invalid array element will throw {@link external:TypeError TypeError} = `Invalid condition: value`.
+     *
+     * @param {object} [options]
+     * Clause options.
+     *
+     * @param {string} [options.join=AND]
+     * Operator to join the conditions, either `AND` or `OR`, or else it will throw
+     * {@link external:TypeError TypeError} = `Invalid option 'join' specified.`
+     *
+     * @returns {string}
+     * The `WHERE` clause, or an empty string, when there are no conditions. It is to be used as raw text,
+     * i.e. with modifier `:raw` or `^`.
+     *
+     * @example
+     *
+     * var filter = pgp.as.where({
+     *     status: ['active', 'pending'],
+     *     deleted: null,
+     *     country: undefined // not set, so it is skipped
+     * });
+     * //=> WHERE "status" IN ('active','pending') AND "deleted" IS NULL
+     *
+     * db.any('SELECT * FROM users ${filter:raw}', {filter: filter});
+     *
+     * @example
+     *
+     * pgp.as.where([
+     *     {status: 'active', country: 'FR'},
+     *     pgp.as.fragment('created > $1', [date])
+     * ], {join: 'OR'});
+     * //=> WHERE ("status" = 'active' AND "country" = 'FR') OR (created > '...')
+     */
+    where: function (conditions, options) {
+        conditions = resolveFunc(conditions);
+        if (!conditions || typeof conditions !== 'object') {
+            throw new TypeError("Invalid conditions specified.");
+        }
+        var join = 'AND';
+        if (options && typeof options === 'object' && options.join !== undefined) {
+            join = typeof options.join === 'string' ? options.join.toUpperCase() : options.join;
+            if (join !== 'AND' && join !== 'OR') {
+                throw new TypeError("Invalid option 'join' specified.");
+            }
+        }
+        var list = formatConditions(conditions);
+        return list.length ? 'WHERE ' + joinConditions(list, join) : '';
+    },
+
+    /**
+     * @method formatting.range
+     * @description
+     * Converts a value into the text presentation of a range type, such as `int4range`, `numrange`, `tsrange`,
+     * `tstzrange` or `daterange`, e.g. `'["1","10")'`.
+     *
+     * This method is also used by modifier `:range`.
+     *
+     * @param {object|array|function} range
+     * Range value, or a function that returns it, which can be:
+     *
+     * - an object `{lower, upper, bounds}`, where `bounds` is one of `'[)'` (default), `'[]'`, `'(]'` or `'()'`
+     * - an array `[lower, upper]`, with the default bounds
+     * - an object `{empty: true}`, for an empty range
+     *
+     * A bound that is `null` or `undefined` means an infinite (unbounded) side of the range. Numbers, strings and
+     * `Date` objects are supported as bounds, with dates formatted via `toISOString()`.
+     *
+     * Invalid value throws {@link external:TypeError TypeError} = `Invalid range value.`, and invalid bounds throw
+     * {@link external:TypeError TypeError} = `Invalid range bounds.`
+     *
+     * @param {boolean} [raw=false]
+     * Indicates when not to escape the result.
+     *
+     * @returns {string}
+     *
+     * @example
+     *
+     * pgp.as.format('SELECT * FROM bookings WHERE period && $1:range', [{lower: 10, upper: 20, bounds: '[]'}]);
+     * //=> SELECT * FROM bookings WHERE period && '["10","20"]'
+     */
+    range: function (range, raw) {
+        range = resolveFunc(range);
+        if (isNull(range)) {
+            throwIfRaw(raw);
+            return 'null';
+        }
+        var s;
+        if (range && typeof range === 'object' && range.empty === true) {
+            s = 'empty';
+        } else {
+            var lower, upper, bounds = '[)';
+            if (range instanceof Array && range.length === 2) {
+                lower = range[0];
+                upper = range[1];
+            } else {
+                if (!range || typeof range !== 'object' || range instanceof Array || range instanceof Date) {
+                    throw new TypeError("Invalid range value.");
+                }
+                lower = range.lower;
+                upper = range.upper;
+                if (range.bounds !== undefined) {
+                    bounds = range.bounds;
+                }
+            }
+            if (typeof bounds !== 'string' || !/^[\[(][\])]$/.test(bounds)) {
+                throw new TypeError("Invalid range bounds.");
+            }
+            s = bounds[0] + (isNull(lower) ? '' : formatElement(lower)) + ',' +
+                (isNull(upper) ? '' : formatElement(upper)) + bounds[1];
+        }
+        return raw ? s : TEXT(safeText(s));
+    },
+
+    /**
+     * @method formatting.interval
+     * @description
+     * Converts a duration object into the text presentation of type `interval`, e.g. `'1 days 2 hours'`.
+     *
+     * This method is also used by modifier `:interval`.
+     *
+     * @param {object|function} duration
+     * Duration object, or a function that returns it, with any of the numeric properties:
+     * `years`, `months`, `weeks`, `days`, `hours`, `minutes`, `seconds`, `milliseconds`.
+     *
+     * Any other property or a non-numeric value throws {@link external:TypeError TypeError} = `Invalid interval property 'name'.`
+     *
+     * @param {boolean} [raw=false]
+     * Indicates when not to escape the result.
+     *
+     * @returns {string}
+     *
+     * @example
+     *
+     * pgp.as.interval({days: 1, hours: 2, minutes: 30});
+     * //=> '1 days 2 hours 30 minutes'
+     */
+    interval: function (duration, raw) {
+        duration = resolveFunc(duration);
+        if (isNull(duration)) {
+            throwIfRaw(raw);
+            return 'null';
+        }
+        if (typeof duration !== 'object' || duration instanceof Array || duration instanceof Date) {
+            throw new TypeError(TEXT(duration) + " is not a duration object.");
+        }
+        for (var name in duration) {
+            if (intervalUnits.indexOf(name) === -1 || typeof duration[name] !== 'number' || !isFinite(duration[name])) {
+                throw new TypeError("Invalid interval property '" + name + "'.");
+            }
+        }
+        var parts = $arr.map($arr.filter(intervalUnits, function (u) {
+            return u in duration;
+        }), function (u) {
+            return duration[u] + ' ' + u;
+        });
+        var s = parts.length ? parts.join(' ') : '0 seconds';
+        return raw ? s : TEXT(s);
+    },
+
+    /**
+     * @method formatting.hstore
+     * @description
+     * Converts an object into the text presentation of type `hstore`, e.g. `'"a"=>"1","b"=>NULL'`.
+     *
+     * All values are converted into strings, except for `null` and `undefined`, which become `NULL`.
+     *
+     * This method is also used by modifier `:hstore`.
+     *
+     * @param {object|function} obj
+     * Object to be converted, or a function that returns it.
+     *
+     * @param {boolean} [raw=false]
+     * Indicates when not to escape the result.
+     *
+     * @returns {string}
+     */
+    hstore: function (obj, raw) {
+        obj = resolveFunc(obj);
+        if (isNull(obj)) {
+            throwIfRaw(raw);
+            return 'null';
+        }
+        if (typeof obj !== 'object' || obj instanceof Array || obj instanceof Date) {
+            throw new TypeError(TEXT(obj) + " is not an object.");
+        }
+        var s = $arr.map(Object.keys(obj), function (name) {
+            var v = resolveFunc(obj[name]);
+            return formatElement(name) + '=>' + (isNull(v) ? 'NULL' : formatElement(v));
+        }).join();
+        return raw ? s : TEXT(safeText(s));
+    },
+
+    /**
+     * @method formatting.row
+     * @description
+     * Creates a ROW constructor, for a composite value, from an array of values, or from values of the object's
+     * own properties, with each value formatted according to its type, e.g. `ROW(1,'text')`.
+     *
+     * The result is a custom type object (see $[Custom Type Formatting]), to be used as a formatting value,
+     * while modifier `:row` can be used instead, to format an array or object directly.
+     *
+     * @param {array|object|function} values
+     * Values for the composite, or a function that returns them.
+     *
+     * @returns {{values, formatDBType, toString}}
+     * A frozen object that implements custom type formatting.
+     *
+     * @example
+     *
+     * pgp.as.format('INSERT INTO places(name, location) VALUES($1, $2::point_type)', ['Home', pgp.as.row([1.5, 2.5])]);
+     * //=> INSERT INTO places(name, location) VALUES('Home', ROW(1.5,2.5)::point_type)
+     */
+    row: function (values) {
+        return new Row(values);
     }
 };
 
@@ -48,6 +48,9 @@ var $npm = {
  * Used by methods {@link helpers.update update} and {@link helpers.sets sets}, ignored by methods {@link helpers.insert insert} and
  * {@link helpers.values values}. It indicates that the column is reserved for a `WHERE` condition, not to be set or updated.
  *
+ * It is also used by method {@link helpers.upsert upsert} for the conflict target, and by method {@link helpers.delete delete}
+ * for the key columns.
+ *
  * It can be set from a string initialization, by adding `?` in front of the name.
  *
  * @property {} [def]
@@ -130,7 +133,7 @@ function Column(col) {
             if (!$npm.utils.isText(col.name)) {
                 throw new TypeError("Invalid 'name' value: " + JSON.stringify(col.name) + ". A non-empty string was expected.");
             }
-            if ($npm.utils.isNull(col.prop) && !isValidVariable(col.name)) {
+            if ($npm.utils.isNull(col.prop) && !$npm.utils.isValidVariable(col.name)) {
                 throw new TypeError("Invalid 'name' syntax: " + JSON.stringify(col.name) + ". A valid variable name was expected.");
             }
             this.name = col.name; // column name + property name (if 'prop' isn't specified)
@@ -139,7 +142,7 @@ function Column(col) {
                 if (!$npm.utils.isText(col.prop)) {
                     throw new TypeError("Invalid 'prop' value: " + JSON.stringify(col.prop) + ". A non-empty string was expected.");
                 }
-                if (!isValidVariable(col.prop)) {
+                if (!$npm.utils.isValidVariable(col.prop)) {
                     throw new TypeError("Invalid 'prop' syntax: " + JSON.stringify(col.prop) + ". A valid variable name was expected.");
                 }
                 if (col.prop !== col.name) {
@@ -234,11 +237,6 @@ function isValidMod(mod) {
     return values.indexOf(mod) !== -1;
 }
 
-function isValidVariable(name) {
-    var m = name.match(/[a-zA-Z0-9\$_]+/);
-    return m && m[0] === name;
-}
-
 /**
  * @method helpers.Column.toString
  * @description
@@ -311,6 +309,9 @@ Column.prototype.inspect = function () {
  * Used by methods {@link helpers.update update} and {@link helpers.sets sets}, ignored by methods {@link helpers.insert insert} and
  * {@link helpers.values values}. It indicates that the column is reserved for a `WHERE` condition, not to be set or updated.
  *
+ * It is also used by method {@link helpers.upsert upsert} for the conflict target, and by method {@link helpers.delete delete}
+ * for the key columns.
+ *
  * @property {} [def]
  * Default value for the property, to be used only when the source object doesn't have the property.
  *
@@ -3,6 +3,7 @@
 var $npm = {
     os: require('os'),
     utils: require('../utils'),
+    pubUtils: require('../utils/public'),
     formatting: require('../formatting'),
     TableName: require('./tableName'),
     Column: require('./column')
@@ -591,4 +592,124 @@ ColumnSet.prototype.inspect = function () {
     return this.toString();
 };
 
+/**
+ * @method helpers.ColumnSet.fromTable
+ * @description
+ * Creates a {@link helpers.ColumnSet ColumnSet} for a table, from its details as read via {@link Database.introspect.table introspect.table},
+ * and then via {@link helpers.ColumnSet.fromInfo ColumnSet.fromInfo}.
+ *
+ * @param {Database|Task} db
+ * Database or task object, to read the table details.
+ *
+ * @param {helpers.TableName|string|{table,schema}} table
+ * Table name, as supported by method {@link Database.introspect.table introspect.table}.
+ *
+ * @returns {external:Promise}
+ * Resolves with a new {@link helpers.ColumnSet ColumnSet} object.
+ *
+ * @example
+ *
+ * pgp.helpers.ColumnSet.fromTable(db, 'users')
+ *     .then(function (cs) {
+ *         var query = pgp.helpers.insert({login: 'John'}, cs);
+ *     });
+ */
+ColumnSet.fromTable = function (db, table) {
+    return db.introspect.table(table)
+        .then(ColumnSet.fromInfo);
+};
+
+/**
+ * @method helpers.ColumnSet.fromInfo
+ * @description
+ * Creates a {@link helpers.ColumnSet ColumnSet} from table details, as returned by method {@link Database.introspect.table introspect.table},
+ * which can also be generated ahead of time, and loaded from a JSON file.
+ *
+ * Every {@link helpers.Column Column} gets:
+ *
+ * - `cast` - set to the column type, without its modifiers, like `(50)` in `character varying(50)`, because casting
+ *   to the exact type would silently truncate or round the values, instead of rejecting the invalid ones
+ * - `cnd` - set for the columns of the primary key
+ * - `def` - set to the column's default, when it is a literal value: a number, a boolean, `null` or a string.
+ *   Defaults that are SQL expressions, like `now()` or `nextval(...)`, cannot be used in place of a value, and are not set.
+ * - `prop` - set to the camel-cased column name, when the name is not a valid JavaScript variable name,
+ *   or to `columnN` (where `N` is the column's position) when the name has no letters to be camel-cased.
+ *
+ * @param {object} info
+ * Table details `{table, schema, columns}`.
+ *
+ * @returns {helpers.ColumnSet}
+ *
+ * @example
+ *
+ * var cs = pgp.helpers.ColumnSet.fromInfo(require('./tables/users.json'));
+ */
+ColumnSet.fromInfo = function (info) {
+    if (!info || typeof info !== 'object' || !$npm.utils.isText(info.table) || !Array.isArray(info.columns)) {
+        throw new TypeError("Invalid table details specified.");
+    }
+    var columns = $arr.map(info.columns, function (c, idx) {
+        var col = {
+            name: c.name,
+            cast: baseType(c.type)
+        };
+        if (!$npm.utils.isValidVariable(c.name)) {
+            // names without any letters cannot be camelized:
+            col.prop = $npm.pubUtils.camelizeVar(c.name) || 'column' + (idx + 1);
+        }
+        if (c.primary) {
+            col.cnd = true;
+        }
+        var def = parseDefault(c.default);
+        if (def) {
+            col.def = def.value;
+        }
+        return col;
+    });
+    return new ColumnSet(columns, {table: new $npm.TableName(info.table, info.schema)});
+};
+
+// removes the type modifiers, so the values are validated against the type, instead of being
+// silently truncated or rounded by the cast, as it would be for character varying(n), for example;
+function baseType(type) {
+    if (typeof type !== 'string') {
+        return type;
+    }
+    var m = type.match(/^(.*?)\s*\(\d+(?:,\d+)?\)(.*)$/);
+    if (!m) {
+        return type;
+    }
+    var base = m[1], rest = m[2];
+    if (base === 'character') {
+        base = 'bpchar'; // type 'character' without a length means character(1);
+    } else if (base === 'bit') {
+        base = 'bit varying'; // type 'bit' without a length means bit(1);
+    }
+    return base + rest;
+}
+
+// parses the SQL text of a column default, returning {value} for literal values only;
+function parseDefault(text) {
+    if (typeof text !== 'string') {
+        return;
+    }
+    var m;
+    if (/^NULL(::.+)?$/i.test(text)) {
+        return {value: null};
+    }
+    if (text === 'true' || text === 'false') {
+        return {value: text === 'true'};
+    }
+    if ((m = text.match(/^\(?(-?\d+(?:\.\d+)?)\)?$/))) {
+        return {value: Number(m[1])};
+    }
+    if ((m = text.match(/^'((?:[^']|'')*)'(?:::([\w\s"\[\]]+))?$/))) {
+        var value = m[1].replace(/''/g, "'");
+        if (/^(smallint|integer|real|double precision)$/.test(m[2]) && /^-?\d+(\.\d+)?$/.test(value)) {
+            value = Number(value); // negative numbers are reported as strings;
+        }
+        return {value: value};
+    }
+}
+
 module.exports = ColumnSet;
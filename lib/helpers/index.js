@@ -3,6 +3,9 @@
 var $npm = {
     insert: require('./methods/insert'),
     update: require('./methods/update'),
+    upsert: require('./methods/upsert'),
+    select: require('./methods/select'),
+    delete: require('./methods/delete'),
     values: require('./methods/values'),
     sets: require('./methods/sets'),
     TableName: require('./tableName'),
@@ -36,6 +39,15 @@ var $npm = {
  * @property {function} update
  * {@link helpers.update update} static method.
  *
+ * @property {function} upsert
+ * {@link helpers.upsert upsert} static method.
+ *
+ * @property {function} select
+ * {@link helpers.select select} static method.
+ *
+ * @property {function} delete
+ * {@link helpers.delete delete} static method.
+ *
  * @property {function} values
  * {@link helpers.values values} static method.
  *
@@ -52,6 +64,18 @@ module.exports = function (config) {
             var capSQL = config.options && config.options.capSQL;
             return $npm.update(data, columns, table, options, capSQL);
         },
+        upsert: function (data, columns, table, options) {
+            var capSQL = config.options && config.options.capSQL;
+            return $npm.upsert(data, columns, table, options, capSQL);
+        },
+        select: function (columns, table, options) {
+            var capSQL = config.options && config.options.capSQL;
+            return $npm.select(columns, table, options, capSQL);
+        },
+        delete: function (data, columns, table) {
+            var capSQL = config.options && config.options.capSQL;
+            return $npm.delete(data, columns, table, capSQL);
+        },
         values: $npm.values,
         sets: $npm.sets,
         TableName: $npm.TableName,
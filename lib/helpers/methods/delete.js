@@ -0,0 +1,144 @@
+'use strict';
+
+var $npm = {
+    TableName: require('../tableName'),
+    ColumnSet: require('../columnSet'),
+    formatting: require('../../formatting'),
+    utils: require('../../utils')
+};
+
+var $arr = require('../../array');
+
+/**
+ * @method helpers.delete
+ * @description
+ * Generates a `DELETE` query for either one object or an array of objects, matching the rows by their keys:
+ *
+ * `DELETE FROM table WHERE ("k1","k2") IN (VALUES(...),(...))`
+ *
+ * The keys are all the conditional columns (with flag `cnd` set), while all other columns are ignored.
+ *
+ * @param {object|object[]} data
+ * A delete object with properties for the key values, or an array of such objects.
+ *
+ * When `data` is not a non-null object and not an array, it will throw {@link external:TypeError TypeError} = `Invalid parameter 'data' specified.`
+ *
+ * When `data` is an empty array, it will throw {@link external:TypeError TypeError} = `Cannot generate a DELETE from an empty array.`
+ *
+ * When `data` is an array that contains a non-object value, the method will throw {@link external:Error Error} =
+ * `Invalid delete object at index N.`
+ *
+ * @param {array|helpers.Column|helpers.ColumnSet} [columns]
+ * Set of columns, with the keys flagged as conditional (`cnd`).
+ *
+ * It is optional when `data` is a single object, and required when `data` is an array of objects. If not specified for an array
+ * of objects, the method will throw {@link external:TypeError TypeError} = `Parameter 'columns' is required when deleting multiple records.`
+ *
+ * When not specified for a single object, all properties of the object are used as the keys.
+ *
+ * When there are no key columns, the method will throw {@link external:Error Error} = `Cannot generate a DELETE without any key columns.`
+ *
+ * @param {helpers.TableName|string|{table,schema}} [table]
+ * Table to delete from.
+ *
+ * It is normally a required parameter. But when `columns` is passed in as a {@link helpers.ColumnSet ColumnSet} object
+ * with `table` set in it, that will be used when this parameter isn't specified. When neither is available, the method
+ * will throw {@link external:Error Error} = `Table name is unknown.`
+ *
+ * @returns {string}
+ * The resulting query string.
+ *
+ * @see
+ *  {@link helpers.Column Column},
+ *  {@link helpers.ColumnSet ColumnSet},
+ *  {@link helpers.TableName TableName}
+ *
+ * @example
+ *
+ * var pgp = require('pg-promise')({
+ *    capSQL: true // if you want all generated SQL capitalized
+ * });
+ *
+ * var dataMulti = [{id: 1, type: 'a', msg: 'hello'}, {id: 2, type: 'b', msg: 'world!'}];
+ *
+ * // Only the conditional columns are used:
+ *
+ * var cs = new pgp.helpers.ColumnSet(['?id', '?type', 'msg'], {table: 'my-table'});
+ *
+ * pgp.helpers.delete(dataMulti, cs);
+ * //=> DELETE FROM "my-table" WHERE ("id","type") IN (VALUES(1,'a'),(2,'b'))
+ *
+ * // Without columns, all properties of a single object are the keys:
+ *
+ * pgp.helpers.delete({id: 1, type: 'a'}, null, 'my-table');
+ * //=> DELETE FROM "my-table" WHERE ("id","type") IN (VALUES(1,'a'))
+ *
+ */
+function del(data, columns, table, capSQL) {
+
+    if (!data || typeof data !== 'object') {
+        throw new TypeError("Invalid parameter 'data' specified.");
+    }
+
+    var isArray = Array.isArray(data);
+
+    if (isArray && !data.length) {
+        throw new TypeError("Cannot generate a DELETE from an empty array.");
+    }
+
+    var fromData = $npm.utils.isNull(columns);
+
+    if (columns instanceof $npm.ColumnSet) {
+        if ($npm.utils.isNull(table)) {
+            table = columns.table;
+        }
+    } else {
+        if (isArray && fromData) {
+            throw new TypeError("Parameter 'columns' is required when deleting multiple records.");
+        }
+        columns = new $npm.ColumnSet(columns || data);
+    }
+
+    var keys = fromData ? columns.columns : $arr.filter(columns.columns, function (c) {
+        return c.cnd;
+    });
+
+    if (!keys.length) {
+        throw new Error("Cannot generate a DELETE without any key columns.");
+    }
+
+    if (!table) {
+        throw new Error("Table name is unknown.");
+    }
+
+    if (!(table instanceof $npm.TableName)) {
+        table = new $npm.TableName(table);
+    }
+
+    var format = $npm.formatting.as.format,
+        query = capSQL ? sql.capCase : sql.lowCase;
+
+    var names = $arr.map(keys, function (c) {
+        return c.escapedName;
+    }).join();
+
+    var variables = $arr.map(keys, function (c) {
+        return c.variable + c.castText;
+    }).join();
+
+    var values = $arr.map(isArray ? data : [data], function (d, index) {
+        if (!d || typeof d !== 'object') {
+            throw new Error("Invalid delete object at index " + index + ".");
+        }
+        return '(' + format(variables, columns.prepare(d)) + ')';
+    }).join();
+
+    return format(query, [table.name, names, values]);
+}
+
+var sql = {
+    lowCase: "delete from $1^ where ($2^) in (values$3^)",
+    capCase: "DELETE FROM $1^ WHERE ($2^) IN (VALUES$3^)"
+};
+
+module.exports = del;
@@ -0,0 +1,214 @@
+'use strict';
+
+var $npm = {
+    TableName: require('../tableName'),
+    ColumnSet: require('../columnSet'),
+    formatting: require('../../formatting'),
+    utils: require('../../utils')
+};
+
+var $arr = require('../../array');
+
+/**
+ * @method helpers.select
+ * @description
+ * Generates a `SELECT` query from a set of columns, for the same column definitions that are used by methods
+ * {@link helpers.insert insert} and {@link helpers.update update}.
+ *
+ * Each column is selected by its escaped name, with the server-side type casting applied when the column has `cast`
+ * set, and aliased into the property name when the column has `prop` set, so the selected rows use the same property
+ * names as the objects being inserted or updated.
+ *
+ * @param {array|helpers.Column|helpers.ColumnSet} [columns]
+ * Set of columns to be selected. When not specified, all columns are selected (`*`).
+ *
+ * When `columns` is not a {@link helpers.ColumnSet ColumnSet} object, a temporary {@link helpers.ColumnSet ColumnSet}
+ * is created from it.
+ *
+ * @param {helpers.TableName|string|{table,schema}} [table]
+ * Table to select from.
+ *
+ * It is normally a required parameter. But when `columns` is passed in as a {@link helpers.ColumnSet ColumnSet} object
+ * with `table` set in it, that will be used when this parameter isn't specified. When neither is available, the method
+ * will throw {@link external:Error Error} = `Table name is unknown.`
+ *
+ * @param {object} [options]
+ * Selection options. Passing in a non-null value that's not an object will
+ * throw {@link external:TypeError TypeError} = `Invalid parameter 'options' specified.`
+ *
+ * @param {object} [options.where]
+ * An object with property values for the `WHERE` clause, in which each property is matched to a column
+ * by its `prop` or `name`, and compiled into condition `col = ${prop}`, using the column's `mod` and `cast`.
+ * The cast is applied to the value, i.e. `col = ${prop}::cast`, the same as for the values that
+ * {@link helpers.insert insert} and {@link helpers.update update} generate.
+ *
+ * Properties set to `null` or `undefined` produce condition `col IS NULL`, and columns with modifier `:csv` produce
+ * condition `col IN (values)`, or `false` when the value is an empty array. All conditions are joined with `AND`.
+ *
+ * When a property doesn't match any column, the method will throw {@link external:Error Error} =
+ * `Property 'name' doesn't match any column.`
+ *
+ * @param {string|string[]} [options.orderBy]
+ * Column name(s) for the `ORDER BY` clause, each optionally followed by `asc` or `desc`.
+ *
+ * @param {number} [options.limit]
+ * Maximum number of rows to be returned, a non-negative integer.
+ *
+ * @param {number} [options.offset]
+ * Number of rows to skip, a non-negative integer.
+ *
+ * Passing in an invalid value for any of the options will throw {@link external:TypeError TypeError} =
+ * `Invalid option 'name' specified.`
+ *
+ * @returns {string}
+ * The resulting query string.
+ *
+ * @see
+ *  {@link helpers.Column Column},
+ *  {@link helpers.ColumnSet ColumnSet},
+ *  {@link helpers.TableName TableName}
+ *
+ * @example
+ *
+ * var pgp = require('pg-promise')({
+ *    capSQL: true // if you want all generated SQL capitalized
+ * });
+ *
+ * var cs = new pgp.helpers.ColumnSet(['?id', 'name', {name: 'created-on', prop: 'created', cast: 'date'}], {table: 'users'});
+ *
+ * pgp.helpers.select(cs, null, {where: {name: 'John'}, orderBy: 'id desc', limit: 10});
+ * //=> SELECT "id","name","created-on"::date AS "created" FROM "users" WHERE "name"='John' ORDER BY "id" DESC LIMIT 10
+ *
+ */
+function select(columns, table, options, capSQL) {
+
+    if (!$npm.utils.isNull(columns) && !(columns instanceof $npm.ColumnSet)) {
+        columns = new $npm.ColumnSet(columns);
+    }
+
+    if (!$npm.utils.isNull(options) && typeof options !== 'object') {
+        throw new TypeError("Invalid parameter 'options' specified.");
+    }
+
+    if ($npm.utils.isNull(table) && columns) {
+        table = columns.table;
+    }
+
+    if (!table) {
+        throw new Error("Table name is unknown.");
+    }
+
+    if (!(table instanceof $npm.TableName)) {
+        table = new $npm.TableName(table);
+    }
+
+    options = options || {};
+
+    var text = capSQL ? sql.capCase : sql.lowCase,
+        format = $npm.formatting.as.format,
+        list = columns && columns.columns.length ? $arr.map(columns.columns, function (c) {
+            var name = c.escapedName + c.castText;
+            if (c.prop || c.cast) {
+                name += text.as + $npm.formatting.as.name(c.prop || c.name);
+            }
+            return name;
+        }).join() : '*',
+        query = text.select + list + text.from + table.name;
+
+    if (!$npm.utils.isNull(options.where)) {
+        if (typeof options.where !== 'object') {
+            throw new TypeError("Invalid option 'where' specified.");
+        }
+        var conditions = [];
+        for (var prop in options.where) {
+            var c = findColumn(prop);
+            if ($npm.utils.isNull(options.where[prop])) {
+                conditions.push(c.escapedName + text.isNull);
+            } else {
+                if (c.mod === ':csv') {
+                    var v = options.where[prop];
+                    conditions.push(Array.isArray(v) && !v.length ? text.false : c.escapedName + text.in + '(' + c.variable + ')');
+                } else {
+                    conditions.push(c.escapedName + '=' + c.variable + c.castText);
+                }
+            }
+        }
+        if (conditions.length) {
+            query += text.where + format(conditions.join(text.and), options.where);
+        }
+    }
+
+    if (!$npm.utils.isNull(options.orderBy)) {
+        var orderBy = typeof options.orderBy === 'string' ? [options.orderBy] : options.orderBy;
+        if (!Array.isArray(orderBy) || !orderBy.length) {
+            throw new TypeError("Invalid option 'orderBy' specified.");
+        }
+        query += text.orderBy + $arr.map(orderBy, function (o) {
+                var m = typeof o === 'string' && o.match(/^\s*(.+?)(\s+(asc|desc))?\s*$/i);
+                if (!m) {
+                    throw new TypeError("Invalid option 'orderBy' specified.");
+                }
+                return $npm.formatting.as.name(m[1]) + (m[3] ? ' ' + (capSQL ? m[3].toUpperCase() : m[3].toLowerCase()) : '');
+            }).join();
+    }
+
+    if (!$npm.utils.isNull(options.limit)) {
+        query += text.limit + checkCount(options.limit, 'limit');
+    }
+
+    if (!$npm.utils.isNull(options.offset)) {
+        query += text.offset + checkCount(options.offset, 'offset');
+    }
+
+    return query;
+
+    function findColumn(prop) {
+        if (columns) {
+            for (var i = 0; i < columns.columns.length; i++) {
+                var c = columns.columns[i];
+                if ((c.prop || c.name) === prop) {
+                    return c;
+                }
+            }
+        }
+        throw new Error("Property '" + prop + "' doesn't match any column.");
+    }
+}
+
+function checkCount(value, name) {
+    if (value !== parseInt(value) || value < 0) {
+        throw new TypeError("Invalid option '" + name + "' specified.");
+    }
+    return value;
+}
+
+var sql = {
+    lowCase: {
+        select: "select ",
+        from: " from ",
+        as: " as ",
+        where: " where ",
+        and: " and ",
+        isNull: " is null",
+        false: "false",
+        in: " in ",
+        orderBy: " order by ",
+        limit: " limit ",
+        offset: " offset "
+    },
+    capCase: {
+        select: "SELECT ",
+        from: " FROM ",
+        as: " AS ",
+        where: " WHERE ",
+        and: " AND ",
+        isNull: " IS NULL",
+        false: "FALSE",
+        in: " IN ",
+        orderBy: " ORDER BY ",
+        limit: " LIMIT ",
+        offset: " OFFSET "
+    }
+};
+
+module.exports = select;
@@ -0,0 +1,214 @@
+'use strict';
+
+var $npm = {
+    insert: require('./insert'),
+    ColumnSet: require('../columnSet'),
+    formatting: require('../../formatting'),
+    utils: require('../../utils')
+};
+
+var $arr = require('../../array');
+
+/**
+ * @method helpers.upsert
+ * @description
+ * Generates an `INSERT ... ON CONFLICT` query for either one object or an array of objects,
+ * to either update the conflicting rows (`DO UPDATE`) or to skip them (`DO NOTHING`).
+ *
+ * Requires PostgreSQL 9.5 or later.
+ *
+ * The `INSERT` part is generated the same way as by method {@link helpers.insert insert}, i.e. it includes all the columns,
+ * with their `def`, `init` and `cast` applied, while the `DO UPDATE` part follows the logic of method {@link helpers.update update}:
+ * conditional columns (with flag `cnd` set) are never updated, and for a single object the `skip` callbacks are used.
+ *
+ * @param {object|object[]} data
+ * An insert object with properties for insert values, or an array of such objects.
+ *
+ * When `data` is not a non-null object and not an array, it will throw {@link external:TypeError TypeError} = `Invalid parameter 'data' specified.`
+ *
+ * When `data` is an empty array, it will throw {@link external:TypeError TypeError} = `Cannot generate an UPSERT from an empty array.`
+ *
+ * When `data` is an array that contains a non-object value, the method will throw {@link external:Error Error} =
+ * `Invalid insert object at index N.`
+ *
+ * @param {array|helpers.Column|helpers.ColumnSet} [columns]
+ * Set of columns to be inserted, with the conflict target flagged as conditional (`cnd`).
+ *
+ * It is optional when `data` is a single object, and required when `data` is an array of objects. If not specified for an array
+ * of objects, the method will throw {@link external:TypeError TypeError} = `Parameter 'columns' is required when upserting multiple records.`
+ *
+ * When the final {@link helpers.ColumnSet ColumnSet} is empty (no columns in it), the method will throw
+ * {@link external:Error Error} = `Cannot generate an UPSERT without any columns.`
+ *
+ * @param {helpers.TableName|string|{table,schema}} [table]
+ * Destination table.
+ *
+ * It is normally a required parameter. But when `columns` is passed in as a {@link helpers.ColumnSet ColumnSet} object
+ * with `table` set in it, that will be used when this parameter isn't specified. When neither is available, the method
+ * will throw {@link external:Error Error} = `Table name is unknown.`
+ *
+ * @param {object} [options]
+ * Conflict-resolution options. Passing in a non-null value that's not an object will
+ * throw {@link external:TypeError TypeError} = `Invalid parameter 'options' specified.`
+ *
+ * @param {string|string[]} [options.conflict]
+ * Column name(s) for the conflict target, which by default are the names of all conditional columns (with flag `cnd` set).
+ *
+ * Passing in anything other than a non-empty string or an array of such will
+ * throw {@link external:TypeError TypeError} = `Invalid option 'conflict' specified.`
+ *
+ * @param {boolean|string[]} [options.doUpdate=true]
+ * - `true` - to update all columns, except the conditional ones (with flag `cnd` set)
+ * - `false` - to generate `ON CONFLICT DO NOTHING` instead
+ * - array of column names - to update only those columns
+ *
+ * When there is nothing left to update, `DO NOTHING` is generated.
+ *
+ * Passing in anything else will throw {@link external:TypeError TypeError} = `Invalid option 'doUpdate' specified.`
+ *
+ * When a `DO UPDATE` is needed, but there is no conflict target, the method will throw
+ * {@link external:Error Error} = `Cannot generate an UPSERT without a conflict target.`
+ *
+ * @returns {string}
+ * The resulting query string.
+ *
+ * @see
+ *  {@link helpers.insert insert},
+ *  {@link helpers.update update},
+ *  {@link helpers.ColumnSet ColumnSet}
+ *
+ * @example
+ *
+ * var pgp = require('pg-promise')({
+ *    capSQL: true // if you want all generated SQL capitalized
+ * });
+ *
+ * var dataMulti = [{id: 1, val: 123, msg: 'hello'}, {id: 2, val: 456, msg: 'world!'}];
+ *
+ * // Conditional columns become the conflict target:
+ *
+ * var cs = new pgp.helpers.ColumnSet(['?id', 'val', 'msg'], {table: 'my-table'});
+ *
+ * pgp.helpers.upsert(dataMulti, cs);
+ * //=> INSERT INTO "my-table"("id","val","msg") VALUES(1,123,'hello'),(2,456,'world!')
+ * //   ON CONFLICT("id") DO UPDATE SET "val"=EXCLUDED."val","msg"=EXCLUDED."msg"
+ *
+ * @example
+ *
+ * // Skipping the conflicting rows:
+ *
+ * pgp.helpers.upsert(dataMulti, cs, null, {doUpdate: false});
+ * //=> INSERT INTO "my-table"("id","val","msg") VALUES(1,123,'hello'),(2,456,'world!')
+ * //   ON CONFLICT("id") DO NOTHING
+ *
+ */
+function upsert(data, columns, table, options, capSQL) {
+
+    if (!data || typeof data !== 'object') {
+        throw new TypeError("Invalid parameter 'data' specified.");
+    }
+
+    var isArray = Array.isArray(data);
+
+    if (isArray && !data.length) {
+        throw new TypeError("Cannot generate an UPSERT from an empty array.");
+    }
+
+    if (columns instanceof $npm.ColumnSet) {
+        if ($npm.utils.isNull(table)) {
+            table = columns.table;
+        }
+    } else {
+        if (isArray && $npm.utils.isNull(columns)) {
+            throw new TypeError("Parameter 'columns' is required when upserting multiple records.");
+        }
+        columns = new $npm.ColumnSet(columns || data);
+    }
+
+    if (!$npm.utils.isNull(options) && typeof options !== 'object') {
+        throw new TypeError("Invalid parameter 'options' specified.");
+    }
+
+    if (!columns.columns.length) {
+        throw new Error("Cannot generate an UPSERT without any columns.");
+    }
+
+    options = options || {};
+
+    var conflict, doUpdate = true;
+
+    if ($npm.utils.isNull(options.conflict)) {
+        conflict = $arr.map($arr.filter(columns.columns, function (c) {
+            return c.cnd;
+        }), function (c) {
+            return c.escapedName;
+        });
+    } else {
+        conflict = typeof options.conflict === 'string' ? [options.conflict] : options.conflict;
+        if (!isNameList(conflict)) {
+            throw new TypeError("Invalid option 'conflict' specified.");
+        }
+        conflict = $arr.map(conflict, $npm.formatting.as.name);
+    }
+
+    if (!$npm.utils.isNull(options.doUpdate)) {
+        doUpdate = options.doUpdate;
+        if (typeof doUpdate !== 'boolean' && !isNameList(doUpdate)) {
+            throw new TypeError("Invalid option 'doUpdate' specified.");
+        }
+    }
+
+    var query = $npm.insert(data, columns, table, capSQL) + (capSQL ? sql.capCase.onConflict : sql.lowCase.onConflict),
+        updates = doUpdate ? getUpdates() : [];
+
+    if (updates.length) {
+        if (!conflict.length) {
+            throw new Error("Cannot generate an UPSERT without a conflict target.");
+        }
+        var excluded = capSQL ? sql.capCase.excluded : sql.lowCase.excluded;
+        updates = $arr.map(updates, function (name) {
+            return name + '=' + excluded + name;
+        }).join();
+        return query + '(' + conflict.join() + ')' + (capSQL ? sql.capCase.doUpdate : sql.lowCase.doUpdate) + updates;
+    }
+
+    return query + (conflict.length ? '(' + conflict.join() + ')' : '') + (capSQL ? sql.capCase.doNothing : sql.lowCase.doNothing);
+
+    // returns escaped names of the columns to be updated;
+    function getUpdates() {
+        if (Array.isArray(doUpdate)) {
+            return $arr.map(doUpdate, $npm.formatting.as.name);
+        }
+        return $arr.map($arr.filter(columns.columns, function (c) {
+            if (c.cnd) {
+                return false;
+            }
+            return isArray || !c.skip || !c.skip.call(data, c.prop || c.name);
+        }), function (c) {
+            return c.escapedName;
+        });
+    }
+}
+
+function isNameList(names) {
+    return Array.isArray(names) && names.length > 0 && $arr.countIf(names, function (n) {
+            return !$npm.utils.isText(n);
+        }) === 0;
+}
+
+var sql = {
+    lowCase: {
+        onConflict: " on conflict",
+        doUpdate: " do update set ",
+        doNothing: " do nothing",
+        excluded: "excluded."
+    },
+    capCase: {
+        onConflict: " ON CONFLICT",
+        doUpdate: " DO UPDATE SET ",
+        doNothing: " DO NOTHING",
+        excluded: "EXCLUDED."
+    }
+};
+
+module.exports = upsert;
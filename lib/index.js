@@ -10,12 +10,16 @@ var $npm = {
     promise: require('./promise'),
     formatting: require('./formatting'),
     helpers: require('./helpers'),
+    migrate: require('./migrate'),
     queryFile: require('./queryFile'),
     errors: require('./errors'),
     utils: require('./utils'),
     pubUtils: require('./utils/public'),
     mode: require('./txMode'),
     types: require('./types'),
+    pool: require('./pool'),
+    monitor: require('./monitor'),
+    sql: require('./sql'),
     package: require('../package.json')
 };
 
@@ -79,6 +83,57 @@ var $npm = {
  *
  * This property can be set dynamically (before or after initialization).
  *
+ * @param {object} [options.slowQuery]
+ * Slow-query detection `{threshold, explain, handler}`:
+ *
+ * - `threshold` - minimum query duration in milliseconds for a query to be considered slow
+ * - `explain` - `true` to capture the query plan via `EXPLAIN (FORMAT JSON)`, or `'analyze'` for `EXPLAIN (ANALYZE, FORMAT JSON)`,
+ *   which executes the query again. Only a single `SELECT`, `INSERT`, `UPDATE`, `DELETE`, `WITH` or `VALUES` statement is explained.
+ *   Inside a transaction it is done within a savepoint that's rolled back afterwards, so a failed `EXPLAIN` doesn't affect
+ *   the transaction, while `EXPLAIN ANALYZE` outside of a transaction is executed within `BEGIN` + `ROLLBACK`, so the query
+ *   changes nothing when executed again. For that reason, do not use `'analyze'` in tasks that open transactions manually,
+ *   with `BEGIN` and without method {@link Task.tx tx}.
+ * - `handler` - function `(e)` to be called for every slow query, with `e` = `{query, params, duration, plan, tag, ctx, dc, client}`
+ *
+ * Transaction control statements (`BEGIN`, `COMMIT`, `ROLLBACK`, `SAVEPOINT` and `RELEASE`), like those executed by
+ * transactions and savepoints, are not reported.
+ *
+ * The duration is the same as property `duration` set within query results. The query plan is captured using the same connection,
+ * before the query resolves, and if capturing it fails, property `plan` is not set, while property `error` is set instead.
+ * Property `tag` is the tag of the task or transaction, if the query is executed within one. Any error thrown by the handler is ignored.
+ *
+ * It applies to all query methods, except {@link Database.stream stream}, {@link Database.copyFrom copyFrom} and {@link Database.copyTo copyTo}.
+ * An invalid value makes all queries reject with {@link external:TypeError TypeError} = `Invalid option 'slowQuery' specified.`
+ *
+ * This property can be set dynamically (before or after initialization), by assigning a new object, as the object
+ * is validated only once.
+ *
+ * @param {object} [options.cache]
+ * Query result cache settings `{max, adapter}`, for each {@link Database} object (see {@link Database.$cache $cache}):
+ *
+ * - `max` - maximum number of cached results, with the least recently used results removed first; default is 1000
+ * - `adapter` - custom storage for the cached results, with methods `get(key)`, `set(key, value, ttl)` and `delete(key)`
+ *
+ * Invalid settings throw {@link external:TypeError TypeError} = `Invalid option 'cache' specified.`, when creating
+ * a {@link Database} object.
+ *
+ * @param {object} [options.transform]
+ * Result row transformation `{types, columns, keys}`, for each {@link Database} object:
+ *
+ * - `types` - object with converters by type id (OID), such as `20` (`bigint`), `1700` (`numeric`) or `1114` (`timestamp`)
+ * - `columns` - object with converters by column name, which take precedence over those by type id
+ * - `keys` - function `(name)` that returns a new name for each column, or `'camel'` to use {@link utils.camelize camelize}
+ *
+ * Each converter is a function `(value, field)` that returns the new value, with `value` - column value, as parsed by
+ * node-postgres, and `field` - column details from the query result, including `name` and `dataTypeID`. Converters are
+ * not called for `null` values.
+ *
+ * The transformation happens after event {@link event:receive receive}, for all query methods, including
+ * {@link Database.stream stream}. An error thrown by a converter rejects the query.
+ *
+ * Invalid settings throw {@link external:TypeError TypeError} = `Invalid option 'transform' specified.`, when creating
+ * a {@link Database} object.
+ *
  * @param {function} [options.connect]
  * Global event {@link event:connect connect} handler.
  *
@@ -221,11 +276,15 @@ function $main(options) {
      * @member {function} end
      * @readonly
      * @description
-     * Terminates pg library (call it when exiting the application).
+     * Shuts down connection pools of all {@link Database} objects, and terminates pg library
+     * (call it when exiting the application).
+     *
+     * To shut down the pool of just one {@link Database} object, use method {@link Database.$pool.end $pool.end}.
      *
      * Available as `pgp.end`, after initializing the library.
      */
     $npm.utils.addReadProp(inst, 'end', function () {
+        $npm.pool.endAll();
         pg.end();
     });
 
@@ -241,6 +300,18 @@ function $main(options) {
      */
     $npm.utils.addReadProp(inst, 'helpers', $npm.helpers(config));
 
+    /**
+     * @member {migrate} migrate
+     * @readonly
+     * @description
+     * Namespace for {@link migrate running SQL migrations}.
+     *
+     * Available as `pgp.migrate`, after initializing the library.
+     *
+     * @see {@link migrate}.
+     */
+    $npm.utils.addReadProp(inst, 'migrate', $npm.migrate(config));
+
     /**
      * @member {external:spex} spex
      * @readonly
@@ -365,7 +436,27 @@ var rootNameSpace = {
      *
      * Available as `pgp.txMode`, before and after initializing the library.
      */
-    txMode: $npm.mode
+    txMode: $npm.mode,
+
+    /**
+     * @member {monitor} monitor
+     * @readonly
+     * @description
+     * {@link monitor Query monitor} namespace.
+     *
+     * Available as `pgp.monitor`, before and after initializing the library.
+     */
+    monitor: $npm.monitor,
+
+    /**
+     * @member {sql} sql
+     * @readonly
+     * @description
+     * {@link sql SQL template tag} function.
+     *
+     * Available as `pgp.sql`, before and after initializing the library.
+     */
+    sql: $npm.sql
 };
 
 $npm.utils.addReadProperties($main, rootNameSpace);
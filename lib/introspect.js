@@ -0,0 +1,126 @@
+'use strict';
+
+var $npm = {
+    utils: require('./utils'),
+    TableName: require('./helpers/tableName')
+};
+
+var $arr = require('./array');
+
+// columns of a table, in their natural order, with the primary key from pg_index;
+var tableQuery = 'SELECT n.nspname AS schema, c.relname AS table, a.attname AS name, ' +
+    'format_type(a.atttypid, a.atttypmod) AS type, NOT a.attnotnull AS nullable, ' +
+    'pg_get_expr(d.adbin, d.adrelid) AS default, coalesce(a.attnum = ANY(i.indkey), false) AS primary ' +
+    'FROM pg_class c ' +
+    'INNER JOIN pg_namespace n ON n.oid = c.relnamespace ' +
+    'INNER JOIN pg_attribute a ON a.attrelid = c.oid AND a.attnum > 0 AND NOT a.attisdropped ' +
+    'LEFT JOIN pg_attrdef d ON d.adrelid = c.oid AND d.adnum = a.attnum ' +
+    'LEFT JOIN pg_index i ON i.indrelid = c.oid AND i.indisprimary ' +
+    'WHERE c.oid = to_regclass($1) ORDER BY a.attnum';
+
+/**
+ * @interface Database.introspect
+ * @description
+ * Database introspection, available via property `introspect` of {@link Database} and {@link Task}.
+ *
+ * Introspection results are plain objects that can be serialized with `JSON.stringify`, so they can also be
+ * generated ahead of time, and passed into {@link helpers.ColumnSet.fromTable ColumnSet.fromTable} later on.
+ *
+ * Each result is cached within the root {@link Database} object, until removed via method {@link Database.introspect.clear clear}.
+ *
+ * @see {@link helpers.ColumnSet.fromTable}
+ */
+function Introspect(obj, store, config) {
+
+    var $p = config.promise;
+
+    /**
+     * @method Database.introspect.table
+     * @description
+     * Reads the column details of a table or view from `pg_catalog`.
+     *
+     * @param {helpers.TableName|string|{table,schema}} name
+     * Table name, which is either a {@link helpers.TableName TableName} object, or an object `{table, schema}`,
+     * or a string that is treated as an SQL name, i.e. it can include the schema: `'schema.table'`, while the
+     * names are case-insensitive, unless double-quoted.
+     *
+     * When the schema is not specified, the table is searched for according to the current `search_path`.
+     *
+     * @returns {external:Promise}
+     * Resolves with a frozen object `{table, schema, columns}`, where `columns` is an array of objects:
+     *
+     * - `name` - column name
+     * - `type` - column type, as reported by `format_type`, i.e. including the type modifiers, like `character varying(20)`
+     * - `nullable` - whether the column accepts `null`
+     * - `default` - SQL text of the column's default, or `null` when there is none
+     * - `primary` - whether the column is part of the table's primary key
+     *
+     * When the table does not exist, the method rejects with `Table 'name' does not exist.`
+     *
+     * @example
+     *
+     * db.introspect.table('users')
+     *     .then(function (info) {
+     *         // info = {table: 'users', schema: 'public', columns: [{name: 'id', type: 'integer', nullable: false,
+     *         //         default: "nextval('users_id_seq'::regclass)", primary: true}, ...]}
+     *     });
+     */
+    this.table = function (name) {
+        var regName;
+        try {
+            regName = name && typeof name === 'object' ? new $npm.TableName(name).name : name;
+            if (!$npm.utils.isText(regName)) {
+                throw new TypeError("Invalid table name specified.");
+            }
+        } catch (e) {
+            return $p.reject(e);
+        }
+        if (regName in store) {
+            return $p.resolve(store[regName]);
+        }
+        return obj.any(tableQuery, [regName])
+            .then(function (rows) {
+                if (!rows.length) {
+                    return $p.reject(new Error("Table '" + regName + "' does not exist."));
+                }
+                var info = {
+                    table: rows[0].table,
+                    schema: rows[0].schema,
+                    columns: Object.freeze($arr.map(rows, function (r) {
+                        return Object.freeze({
+                            name: r.name,
+                            type: r.type,
+                            nullable: r.nullable,
+                            default: r.default,
+                            primary: r.primary
+                        });
+                    }))
+                };
+                store[regName] = Object.freeze(info);
+                return info;
+            });
+    };
+
+    /**
+     * @method Database.introspect.clear
+     * @description
+     * Removes cached introspection results, so they are read again from the database next time.
+     *
+     * @param {helpers.TableName|string|{table,schema}} [name]
+     * Table name, as it was passed into method {@link Database.introspect.table table}, to remove only that result.
+     * When not specified, all the cached results are removed.
+     */
+    this.clear = function (name) {
+        if (name === undefined) {
+            for (var n in store) {
+                delete store[n];
+            }
+        } else {
+            delete store[typeof name === 'string' ? name : new $npm.TableName(name).name];
+        }
+    };
+
+    Object.freeze(this);
+}
+
+module.exports = Introspect;
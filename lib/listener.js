@@ -0,0 +1,232 @@
+'use strict';
+
+var $npm = {
+    utils: require('./utils'),
+    events: require('./events'),
+    formatting: require('./formatting')
+};
+
+var $arr = require('./array');
+
+var maxDelay = 30000; // maximum delay between reconnection attempts, in ms;
+
+/////////////////////////////////////////////////////////////
+// Manages LISTEN subscriptions for a Database object, through
+// a single dedicated connection, which is created on demand,
+// restored automatically when lost, and released when the last
+// subscription is removed.
+function Listener(db, cn, dc, config) {
+
+    var $p = config.promise,
+        sco, // shared connection object;
+        connecting, // connection promise, while connecting;
+        channels = {}, // subscriptions per channel;
+        attempt = 0, // reconnection attempt;
+        timer; // reconnection timer;
+
+    this.listen = function (channel, handler, options) {
+        if (!$npm.utils.isText(channel)) {
+            return $p.reject(new TypeError("Invalid channel name specified."));
+        }
+        if (typeof handler !== 'function') {
+            return $p.reject(new TypeError("Invalid notification handler specified."));
+        }
+        if (!$npm.utils.isNull(options) && typeof options !== 'object') {
+            return $p.reject(new TypeError("Invalid parameter 'options' specified."));
+        }
+        var sub = {}, isNew = !(channel in channels);
+        $npm.utils.addReadProp(sub, 'channel', channel);
+        $npm.utils.addReadProp(sub, 'unlisten', function () {
+            return unlisten(sub);
+        });
+        $npm.utils.addReadProp(sub, 'handler', handler, true);
+        $npm.utils.addReadProp(sub, 'json', !!(options && options.json), true);
+        channels[channel] = channels[channel] || [];
+        channels[channel].push(sub);
+        return connect()
+            .then(function (fresh) {
+                // a fresh connection listens to all channels;
+                if (isNew && !fresh) {
+                    return sco.none(getSQL('listen'), channel);
+                }
+            })
+            .then(function () {
+                return sub;
+            }, function (reason) {
+                remove(sub);
+                release();
+                return $p.reject(reason);
+            });
+    };
+
+    // removes a subscription, returning false when not found;
+    function remove(sub) {
+        var list = channels[sub.channel], idx = list ? list.indexOf(sub) : -1;
+        if (idx === -1) {
+            return false;
+        }
+        list.splice(idx, 1);
+        if (!list.length) {
+            delete channels[sub.channel];
+        }
+        return true;
+    }
+
+    function unlisten(sub) {
+        if (!remove(sub)) {
+            return $p.resolve(false);
+        }
+        if (sub.channel in channels) {
+            return $p.resolve(true);
+        }
+        if (!sco) {
+            release();
+            return $p.resolve(true);
+        }
+        return sco.none(getSQL('unlisten'), sub.channel)
+            .then(function () {
+                release();
+                return true;
+            });
+    }
+
+    // connects and subscribes to all current channels,
+    // resolving with true when a new connection was used;
+    function connect() {
+        if (sco) {
+            return $p.resolve(false);
+        }
+        if (!connecting) {
+            connecting = db.connect({direct: true})
+                .then(function (obj) {
+                    var client = obj.client;
+                    client.on('notification', onNotification);
+                    client.on('error', onError);
+                    client.on('end', onEnd);
+                    sco = obj;
+                    connecting = null;
+                    var names = Object.keys(channels);
+                    if (!names.length) {
+                        // the last subscription was removed while connecting;
+                        release();
+                        return;
+                    }
+                    // restoring all subscriptions in one go:
+                    return sco.none($arr.map(names, function (c) {
+                        return $npm.formatting.as.format(getSQL('listen'), c);
+                    }).join(';'));
+                })
+                .then(function () {
+                    return true;
+                }, function (reason) {
+                    connecting = null;
+                    return $p.reject(reason);
+                });
+        }
+        return connecting;
+    }
+
+    // releases the connection, when there are no more subscriptions;
+    function release() {
+        if (Object.keys(channels).length) {
+            return;
+        }
+        clearTimeout(timer);
+        timer = null;
+        attempt = 0;
+        if (sco) {
+            var obj = sco;
+            sco = null;
+            detach(obj.client);
+            obj.done();
+        }
+    }
+
+    function onNotification(msg) {
+        var list = channels[msg.channel];
+        if (list) {
+            $arr.forEach(list.slice(), function (sub) {
+                try {
+                    sub.handler.call(sub, sub.json ? parsePayload(msg.payload) : msg.payload, msg);
+                } catch (e) {
+                    $npm.events.error(config.options, e, {
+                        client: sco && sco.client,
+                        dc: dc
+                    });
+                }
+            });
+        }
+    }
+
+    function onError(err) {
+        $npm.events.error(config.options, err, {
+            cn: $npm.utils.getSafeConnection(cn),
+            dc: dc
+        });
+        onEnd();
+    }
+
+    // the connection has been lost;
+    function onEnd() {
+        if (!sco) {
+            return;
+        }
+        var obj = sco;
+        sco = null;
+        detach(obj.client);
+        obj.done();
+        reconnect();
+    }
+
+    function reconnect() {
+        if (timer || !Object.keys(channels).length) {
+            return;
+        }
+        var delay = Math.min(500 * Math.pow(2, attempt++), maxDelay);
+        timer = setTimeout(function () {
+            timer = null;
+            connect()
+                .then(function () {
+                    attempt = 0;
+                }, function () {
+                    // the error has been reported through the 'error' event;
+                    if (sco) {
+                        onEnd();
+                    } else {
+                        reconnect();
+                    }
+                });
+        }, delay);
+    }
+
+    function detach(client) {
+        client.removeListener('notification', onNotification);
+        client.removeListener('error', onError);
+        client.removeListener('end', onEnd);
+        // a lost connection can still report errors
+        // while being closed, which we must suppress:
+        client.on('error', dummy);
+    }
+
+    function getSQL(command) {
+        return (config.options.capSQL ? command.toUpperCase() : command) + ' $1~';
+    }
+}
+
+// Decodes the payload for subscriptions with option 'json',
+// passing on as they are payloads that are not in JSON;
+function parsePayload(payload) {
+    if (payload === '') {
+        return;
+    }
+    try {
+        return JSON.parse(payload);
+    } catch (e) {
+        return payload;
+    }
+}
+
+function dummy() {
+}
+
+module.exports = Listener;
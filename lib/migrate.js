@@ -0,0 +1,351 @@
+'use strict';
+
+var $npm = {
+    fs: require('fs'),
+    path: require('path'),
+    crypto: require('crypto'),
+    utils: require('./utils'),
+    pubUtils: require('./utils/public'),
+    QueryFile: require('./queryFile'),
+    TableName: require('./helpers/tableName')
+};
+
+var $arr = require('./array');
+
+/**
+ * @namespace migrate
+ * @description
+ * Namespace for running SQL migrations, available as `pgp.migrate`, after initializing the library.
+ *
+ * Migrations are `.sql` files in one folder, found via {@link utils.enumSql enumSql}, and named as
+ * `<version>_<name>.sql` or `<version>_<name>.up.sql`, where `<version>` is an integer number that sets the order
+ * of migrations, plus optional `<version>_<name>.down.sql` files to revert them. For example:
+ *
+ * ```
+ * 001_create-users.sql
+ * 002_add-email.up.sql
+ * 002_add-email.down.sql
+ * ```
+ *
+ * The files are loaded as {@link QueryFile} objects, with options `minify`, `compress` and `params` as passed into
+ * the methods, i.e. migration files can use the same formatting parameters as any other SQL file.
+ *
+ * Every migration is executed within its own transaction, and recorded in a tracking table, with the MD5 checksum
+ * of the file, so any change made to a migration after it has been applied is reported as an error.
+ *
+ * Methods {@link migrate.up up} and {@link migrate.down down} hold an advisory lock while running, named after the
+ * tracking table, so concurrent runners against the same database wait for each other.
+ *
+ * All methods accept the same `options`:
+ *
+ * - `dir` - folder with the migration files, either absolute or relative to the application's start-up folder (required)
+ * - `table` - tracking table, as a {@link helpers.TableName TableName}, a string or `{table, schema}`; default is `migrations`
+ * - `files` - options for {@link QueryFile}: `{minify, compress, params}`
+ * - `to` - target version: the last one to apply for {@link migrate.up up}, or the last one to keep for {@link migrate.down down}
+ * - `dryRun` - only resolve with the migrations that would be applied or reverted, without executing them
+ *
+ * Invalid options throw {@link external:TypeError TypeError} = `Invalid option 'name' specified.`
+ *
+ * @property {function} up
+ * {@link migrate.up up} - applies pending migrations
+ *
+ * @property {function} down
+ * {@link migrate.down down} - reverts applied migrations
+ *
+ * @property {function} status
+ * {@link migrate.status status} - reports the state of all migrations
+ *
+ * @example
+ *
+ * pgp.migrate.up(db, {dir: './db/migrations'})
+ *     .then(function (applied) {
+ *         // applied = [{version: 1, name: 'create-users'}, ...]
+ *     });
+ */
+module.exports = function (config) {
+
+    var $p = config.promise;
+
+    /**
+     * @method migrate.up
+     * @description
+     * Applies all pending migrations, in the order of their versions, up to option `to`, if specified.
+     *
+     * @param {Database} db
+     * Database object.
+     *
+     * @param {object} options
+     * Migration options (see {@link migrate}).
+     *
+     * @returns {external:Promise}
+     * Resolves with an array of `{version, name}` for the applied migrations.
+     */
+    function up(db, options) {
+        return run(db, options, function (list, opt) {
+            return {
+                list: $arr.filter(list, function (m) {
+                    return !m.applied && (opt.to === undefined || m.version <= opt.to);
+                }),
+                exec: function (tx, m) {
+                    return tx.any(m.up)
+                        .then(function () {
+                            return tx.none('INSERT INTO ' + opt.table.name + '(version, name, checksum) VALUES($1, $2, $3)',
+                                [m.version, m.name, m.checksum]);
+                        });
+                }
+            };
+        });
+    }
+
+    /**
+     * @method migrate.down
+     * @description
+     * Reverts applied migrations, in the reverse order, either down to version `to`, which is kept,
+     * or just the last applied migration, when option `to` isn't specified.
+     *
+     * Every migration to be reverted must have its `.down.sql` file, or the method rejects
+     * with `Migration <version> cannot be reverted without a down file.`
+     *
+     * @param {Database} db
+     * Database object.
+     *
+     * @param {object} options
+     * Migration options (see {@link migrate}).
+     *
+     * @returns {external:Promise}
+     * Resolves with an array of `{version, name}` for the reverted migrations.
+     */
+    function down(db, options) {
+        return run(db, options, function (list, opt) {
+            var applied = $arr.filter(list, function (m) {
+                return m.applied;
+            }).reverse();
+            var revert = opt.to === undefined ? applied.slice(0, 1) : $arr.filter(applied, function (m) {
+                return m.version > opt.to;
+            });
+            $arr.forEach(revert, function (m) {
+                if (!m.down) {
+                    throw new Error("Migration " + m.version + " cannot be reverted without a down file.");
+                }
+            });
+            return {
+                list: revert,
+                exec: function (tx, m) {
+                    return tx.any(m.down)
+                        .then(function () {
+                            return tx.none('DELETE FROM ' + opt.table.name + ' WHERE version = $1', m.version);
+                        });
+                }
+            };
+        });
+    }
+
+    /**
+     * @method migrate.status
+     * @description
+     * Reports the state of all migrations, without changing anything.
+     *
+     * @param {Database} db
+     * Database object.
+     *
+     * @param {object} options
+     * Migration options (see {@link migrate}), of which only `dir`, `table` and `files` are used.
+     *
+     * @returns {external:Promise}
+     * Resolves with an array of `{version, name, applied, appliedAt, changed}`, where `applied` is a boolean, `appliedAt` is
+     * the date when it was applied or `null`, and `changed` is `true` when the file has changed since it was applied.
+     * Versions that are recorded as applied, but no longer have a file, are included with `name` from the tracking table
+     * and `changed` = `true`.
+     */
+    function status(db, options) {
+        var opt;
+        try {
+            opt = parseOptions(options);
+        } catch (e) {
+            return $p.reject(e);
+        }
+        return db.task(function (t) {
+            return readState(t, opt, true);
+        })
+            .then(function (list) {
+                return $arr.map(list, function (m) {
+                    return {
+                        version: m.version,
+                        name: m.name,
+                        applied: !!m.applied,
+                        appliedAt: m.applied ? m.applied.applied_at : null,
+                        changed: !!m.applied && m.applied.checksum !== m.checksum
+                    };
+                });
+            });
+    }
+
+    // executes the migrations selected by the action, each within its own transaction,
+    // while holding the lock, or just reports them, when in dry-run mode;
+    function run(db, options, action) {
+        var opt;
+        try {
+            opt = parseOptions(options);
+        } catch (e) {
+            return $p.reject(e);
+        }
+        return db.task(function (t) {
+            if (opt.dryRun) {
+                return readState(t, opt)
+                    .then(function (list) {
+                        return $arr.map(action(list, opt).list, brief);
+                    });
+            }
+            var lock = opt.table.name;
+            return t.any('SELECT pg_advisory_lock(hashtext($1))', lock)
+                .then(function () {
+                    return t.none('CREATE TABLE IF NOT EXISTS ' + opt.table.name + '(version bigint PRIMARY KEY, name text NOT NULL, ' +
+                        'checksum text NOT NULL, applied_at timestamptz NOT NULL DEFAULT now())');
+                })
+                .then(function () {
+                    return readState(t, opt);
+                })
+                .then(function (list) {
+                    var a = action(list, opt), done = [];
+                    return next(0);
+
+                    function next(idx) {
+                        if (idx === a.list.length) {
+                            return done;
+                        }
+                        return t.tx(function (tx) {
+                            return a.exec(tx, a.list[idx]);
+                        })
+                            .then(function () {
+                                done.push(brief(a.list[idx]));
+                                return next(idx + 1);
+                            });
+                    }
+                })
+                .then(function (data) {
+                    return unlock().then(function () {
+                        return data;
+                    });
+                }, function (error) {
+                    return unlock().then(function () {
+                        return $p.reject(error);
+                    });
+                });
+
+            function unlock() {
+                return t.any('SELECT pg_advisory_unlock(hashtext($1))', lock);
+            }
+        });
+    }
+
+    // resolves with the list of migrations, merged with the tracking records;
+    function readState(t, opt, ignoreChanges) {
+        var list;
+        try {
+            list = loadMigrations(opt);
+        } catch (e) {
+            return $p.reject(e);
+        }
+        return t.oneOrNone('SELECT to_regclass($1) AS name', opt.table.name)
+            .then(function (reg) {
+                return reg.name ? t.any('SELECT version, name, checksum, applied_at FROM ' + opt.table.name + ' ORDER BY version') : [];
+            })
+            .then(function (records) {
+                var byVersion = {};
+                $arr.forEach(list, function (m) {
+                    byVersion[m.version] = m;
+                });
+                for (var i = 0; i < records.length; i++) {
+                    var r = records[i], version = parseInt(r.version), m = byVersion[version];
+                    if (!m) {
+                        if (!ignoreChanges) {
+                            return $p.reject(new Error("Migration " + version + " has been applied, but its file is missing."));
+                        }
+                        m = byVersion[version] = {version: version, name: r.name};
+                        list.push(m);
+                    }
+                    if (!ignoreChanges && m.checksum !== r.checksum) {
+                        return $p.reject(new Error("Migration " + version + " has changed since it was applied."));
+                    }
+                    m.applied = r;
+                }
+                return list.sort(function (a, b) {
+                    return a.version - b.version;
+                });
+            });
+    }
+
+    return Object.freeze({
+        up: up,
+        down: down,
+        status: status
+    });
+};
+
+function brief(m) {
+    return {version: m.version, name: m.name};
+}
+
+// loads the list of migrations {version, name, up, down, checksum} from the folder;
+function loadMigrations(opt) {
+    var byVersion = {}, list = [];
+    // camelized names of migration files clash across versions, so they are not used,
+    // and files are validated here instead:
+    $npm.pubUtils.enumSql(opt.dir, {ignoreErrors: true}, function (file) {
+        var m = $npm.path.basename(file).match(/^(\d+)_(.+?)(?:\.(up|down))?\.sql$/i);
+        if (!m) {
+            throw new Error("Invalid migration file name: " + file);
+        }
+        var version = parseInt(m[1]), direction = (m[3] || 'up').toLowerCase(), mig = byVersion[version];
+        if (!mig) {
+            mig = byVersion[version] = {version: version, name: m[2]};
+            list.push(mig);
+        }
+        if (mig[direction]) {
+            throw new Error("Duplicate migration version " + version + ": " + file);
+        }
+        var qf = new $npm.QueryFile(file, opt.files);
+        if (qf.error) {
+            throw qf.error;
+        }
+        mig[direction] = qf;
+        if (direction === 'up') {
+            mig.checksum = $npm.crypto.createHash('md5').update($npm.fs.readFileSync(file)).digest('hex');
+        }
+    });
+    $arr.forEach(list, function (m) {
+        if (!m.up) {
+            throw new Error("Migration " + m.version + " has no up file.");
+        }
+    });
+    return list;
+}
+
+// validates the options, and returns {dir, table, files, to, dryRun};
+function parseOptions(options) {
+    if (!options || typeof options !== 'object') {
+        throw new TypeError("Invalid parameter 'options' specified.");
+    }
+    if (!$npm.utils.isText(options.dir)) {
+        throw new TypeError("Invalid option 'dir' specified.");
+    }
+    if (options.to !== undefined && options.to !== parseInt(options.to)) {
+        throw new TypeError("Invalid option 'to' specified.");
+    }
+    if (options.files !== undefined && (!options.files || typeof options.files !== 'object')) {
+        throw new TypeError("Invalid option 'files' specified.");
+    }
+    var table;
+    try {
+        table = options.table instanceof $npm.TableName ? options.table : new $npm.TableName(options.table === undefined ? 'migrations' : options.table);
+    } catch (e) {
+        throw new TypeError("Invalid option 'table' specified.");
+    }
+    return {
+        dir: $npm.utils.isPathAbsolute(options.dir) ? options.dir : $npm.path.join($npm.utils.startDir, options.dir),
+        table: table,
+        files: options.files,
+        to: options.to,
+        dryRun: !!options.dryRun
+    };
+}
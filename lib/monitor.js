@@ -0,0 +1,410 @@
+'use strict';
+
+var $npm = {
+    utils: require('./utils'),
+    events: require('./events')
+};
+
+var $arr = require('./array');
+
+// all supported events, with their log levels;
+var eventLevels = {
+    connect: 'debug',
+    disconnect: 'debug',
+    query: 'info',
+    receive: 'debug',
+    task: 'info',
+    transact: 'info',
+    error: 'error'
+};
+
+var levels = ['debug', 'info', 'error'];
+
+// ANSI colors for the event names;
+var colors = {
+    connect: 90, // gray
+    disconnect: 90, // gray
+    query: 36, // cyan
+    receive: 32, // green
+    task: 33, // yellow
+    transact: 35, // magenta
+    error: 31 // red
+};
+
+var attached = []; // all attachments: {options, handlers, originals};
+
+/**
+ * @namespace monitor
+ * @description
+ * Query monitor, available as `pgp.monitor`, before and after initializing the library.
+ *
+ * It attaches to events {@link event:connect connect}, {@link event:disconnect disconnect}, {@link event:query query},
+ * {@link event:receive receive}, {@link event:task task}, {@link event:transact transact} and {@link event:error error}
+ * within the initialization options, to log them as text lines (optionally colorized) or JSON lines, with durations,
+ * task/transaction tags, transaction levels and truncated query parameters.
+ *
+ * Any event handlers that exist within the options at the time of attaching are chained, i.e. they are still called
+ * after the monitor, with the same parameters, and their result is returned as before. This includes the cases when
+ * the monitor itself fails to log an event, like when the custom `output` throws an error, which is then only reported
+ * into the console.
+ *
+ * @see {@link monitor.attach attach}, {@link monitor.detach detach}, {@link monitor.isAttached isAttached}
+ *
+ * @example
+ *
+ * var options = {
+ *     // initialization options;
+ * };
+ *
+ * var pgp = require('pg-promise')(options);
+ *
+ * pgp.monitor.attach(options, {
+ *     level: 'debug', // log all events
+ *     format: 'json' // output JSON lines
+ * });
+ */
+
+/**
+ * @method monitor.attach
+ * @description
+ * Attaches the monitor to the initialization options object.
+ *
+ * @param {object} options
+ * Initialization options object, as passed into the library.
+ *
+ * @param {object} [config]
+ * Monitor configuration:
+ *
+ * - `events` - array of names of the events to attach to; all events by default
+ * - `level` - minimum log level of the events to be logged: `'debug'` (events `connect`, `disconnect` and `receive`),
+ *   `'info'` (events `query`, `task` and `transact`) or `'error'` (event `error`); default is `'info'`
+ * - `format` - `'text'` (default) or `'json'`, for JSON lines
+ * - `colors` - colorizes the event names in text format; it is `true` by default, when the output is a terminal
+ * - `paramLength` - maximum length of each formatted query parameter, to be truncated after it; default is 100
+ * - `output` - function `(line, info)` to override the default output into the console, with `line` - the formatted
+ *   text/JSON line, and `info` - object with the event details
+ *
+ * Invalid configuration throws {@link external:TypeError TypeError} = `Invalid monitor option 'name' specified.`
+ *
+ * @returns {boolean}
+ * It is `true`, once attached, or `false`, if the monitor has been attached to the options already.
+ */
+function attach(options, config) {
+    if (!options || typeof options !== 'object') {
+        throw new TypeError("Initialization options object is required.");
+    }
+    if (isAttached(options)) {
+        return false;
+    }
+    config = parseConfig(config);
+    var a = {options: options, handlers: {}, originals: {}};
+    $arr.forEach(config.events, function (name) {
+        var original = options[name];
+        a.originals[name] = original;
+        a.handlers[name] = options[name] = function () {
+            if (levels.indexOf(eventLevels[name]) >= levels.indexOf(config.level)) {
+                try {
+                    log(config, name, arguments);
+                } catch (e) {
+                    // a logging failure must not affect the chained handler or the query;
+                    $npm.events.unexpected('monitor', e);
+                }
+            }
+            if (typeof original === 'function') {
+                return original.apply(this, arguments);
+            }
+        };
+    });
+    attached.push(a);
+    return true;
+}
+
+/**
+ * @method monitor.detach
+ * @description
+ * Detaches the monitor from the initialization options object, restoring the event handlers that existed
+ * when attaching.
+ *
+ * Any event handler that has been replaced since attaching is left intact.
+ *
+ * @param {object} options
+ * Initialization options object, to which the monitor was attached.
+ *
+ * @returns {boolean}
+ * It is `true`, once detached, or `false`, if the monitor wasn't attached to the options.
+ */
+function detach(options) {
+    var idx = indexOf(options);
+    if (idx === -1) {
+        return false;
+    }
+    var a = attached.splice(idx, 1)[0];
+    for (var name in a.handlers) {
+        if (options[name] === a.handlers[name]) {
+            if (a.originals[name] === undefined) {
+                delete options[name];
+            } else {
+                options[name] = a.originals[name];
+            }
+        }
+    }
+    return true;
+}
+
+/**
+ * @method monitor.isAttached
+ * @description
+ * Checks whether the monitor is attached to the initialization options object.
+ *
+ * @param {object} options
+ * Initialization options object.
+ *
+ * @returns {boolean}
+ */
+function isAttached(options) {
+    return indexOf(options) !== -1;
+}
+
+function indexOf(options) {
+    for (var i = 0; i < attached.length; i++) {
+        if (attached[i].options === options) {
+            return i;
+        }
+    }
+    return -1;
+}
+
+// validates the monitor configuration, and applies the defaults;
+function parseConfig(config) {
+    config = config || {};
+    if (typeof config !== 'object') {
+        throw new TypeError("Invalid monitor configuration.");
+    }
+    var c = {
+        events: Object.keys(eventLevels),
+        level: 'info',
+        format: 'text',
+        colors: !!process.stdout.isTTY,
+        paramLength: 100,
+        output: undefined
+    };
+    check('events', function (v) {
+        return Array.isArray(v) && $arr.countIf(v, function (e) {
+                return e in eventLevels;
+            }) === v.length;
+    });
+    check('level', function (v) {
+        return levels.indexOf(v) !== -1;
+    });
+    check('format', function (v) {
+        return v === 'text' || v === 'json';
+    });
+    check('colors', function (v) {
+        return typeof v === 'boolean';
+    });
+    check('paramLength', function (v) {
+        return typeof v === 'number' && v > 0;
+    });
+    check('output', function (v) {
+        return typeof v === 'function';
+    });
+    return c;
+
+    function check(name, isValid) {
+        if (config[name] !== undefined) {
+            if (!isValid(config[name])) {
+                throw new TypeError("Invalid monitor option '" + name + "' specified.");
+            }
+            c[name] = config[name];
+        }
+    }
+}
+
+// logs one event;
+function log(config, event, args) {
+    var info = getInfo(event, args, config.paramLength), line;
+    if (config.format === 'json') {
+        line = JSON.stringify(info);
+    } else {
+        line = formatText(info, config.colors);
+    }
+    if (config.output) {
+        config.output(line, info);
+    } else {
+        console.log(line);
+    }
+}
+
+// creates the event details object;
+function getInfo(event, args, paramLength) {
+    var info = {
+        time: new Date(),
+        event: event,
+        level: eventLevels[event]
+    }, e;
+    switch (event) {
+        case 'connect':
+        case 'disconnect':
+            var cp = args[0] && args[0].connectionParameters || {};
+            info.database = cp.database;
+            info.user = cp.user;
+            if (event === 'connect') {
+                info.fresh = args[2];
+            }
+            return info;
+        case 'query':
+            e = args[0];
+            setQuery(info, e.query, e.params, paramLength);
+            break;
+        case 'receive':
+            e = args[2];
+            info.rows = args[0].length;
+            if (args[1]) {
+                info.duration = args[1].duration;
+            }
+            break;
+        case 'error':
+            e = args[1];
+            info.error = args[0] instanceof Error ? args[0].message : args[0];
+            if (e.query !== undefined) {
+                setQuery(info, e.query, e.params, paramLength);
+            }
+            break;
+        default:
+            // task or transact;
+            e = args[0];
+            var c = e.ctx;
+            if (e.savepoint) {
+                info.state = 'savepoint';
+                info.savepoint = e.savepoint;
+            } else if (c.finish) {
+                info.state = 'finish';
+                info.duration = c.finish - c.start;
+                info.success = c.success;
+                if (!c.success) {
+                    info.error = c.result instanceof Error ? c.result.message : c.result;
+                }
+            } else {
+                info.state = c.attempt > 1 ? 'retry' : 'start';
+                if (c.attempt > 1) {
+                    info.attempt = c.attempt;
+                }
+            }
+            break;
+    }
+    if (e.target) {
+        info.target = e.target;
+    }
+    if (e.ctx) {
+        info.task = {
+            tag: e.ctx.tag,
+            isTX: e.ctx.isTX,
+            txLevel: e.ctx.txLevel
+        };
+    }
+    return info;
+}
+
+// sets the query text and parameters;
+function setQuery(info, query, params, paramLength) {
+    if (query && typeof query === 'object') {
+        // Prepared Statement or Parameterized Query;
+        if (params === undefined) {
+            params = query.values;
+        }
+        query = query.text;
+    }
+    info.query = typeof query === 'string' ? query : String(query);
+    if (params !== undefined) {
+        info.params = truncate(params, paramLength);
+    }
+}
+
+// formats parameters for logging, truncating long values;
+function truncate(params, length) {
+    if (Array.isArray(params)) {
+        return $arr.map(params, function (p) {
+            return trim(p);
+        });
+    }
+    if (params && typeof params === 'object' && !(params instanceof Date) && !(params instanceof Buffer)) {
+        var obj = {};
+        for (var p in params) {
+            obj[p] = trim(params[p]);
+        }
+        return obj;
+    }
+    return trim(params);
+
+    function trim(value) {
+        if ($npm.utils.isNull(value) || typeof value === 'number' || typeof value === 'boolean') {
+            return value;
+        }
+        var s = typeof value === 'string' ? value : JSON.stringify(value);
+        return s && s.length > length ? s.substr(0, length) + '...' : s;
+    }
+}
+
+// formats the event details as a text line;
+function formatText(info, useColors) {
+    var name = info.event;
+    if (info.task) {
+        var t = info.task;
+        name += '(' + (t.isTX ? 'tx' : 'task') + (t.txLevel > 0 ? '[' + t.txLevel + ']' : '') +
+            (t.tag === undefined ? '' : ' ' + t.tag) + ')';
+    }
+    if (info.target) {
+        name += '@' + info.target;
+    }
+    if (useColors) {
+        name = '\u001b[' + colors[info.event] + 'm' + name + '\u001b[39m';
+    }
+    return formatTime(info.time) + ' ' + name + ': ' + getText(info);
+}
+
+// returns the message text for an event;
+function getText(info) {
+    switch (info.event) {
+        case 'connect':
+            return info.user + '@' + info.database + (info.fresh ? ' (fresh)' : '');
+        case 'disconnect':
+            return info.user + '@' + info.database;
+        case 'query':
+            return info.query + getParams(info);
+        case 'receive':
+            return info.rows + (info.rows === 1 ? ' row' : ' rows') +
+                (info.duration === undefined ? '' : ', duration: ' + info.duration + 'ms');
+        case 'error':
+            return info.error + (info.query === undefined ? '' : '; query: ' + info.query + getParams(info));
+        default:
+            switch (info.state) {
+                case 'savepoint':
+                    return 'savepoint ' + info.savepoint.name + ' ' + info.savepoint.action;
+                case 'finish':
+                    return (info.success ? 'finish' : 'failed: ' + info.error) + ', duration: ' + info.duration + 'ms';
+                case 'retry':
+                    return 'retry, attempt ' + info.attempt;
+                default:
+                    return 'start';
+            }
+    }
+}
+
+function getParams(info) {
+    return info.params === undefined ? '' : '; params: ' + JSON.stringify(info.params);
+}
+
+// formats time as HH:MM:SS;
+function formatTime(time) {
+    return $arr.map([time.getHours(), time.getMinutes(), time.getSeconds()], function (n) {
+        return n < 10 ? '0' + n : n;
+    }).join(':');
+}
+
+module.exports = {
+    attach: attach,
+    detach: detach,
+    isAttached: isAttached
+};
+
+Object.freeze(module.exports);
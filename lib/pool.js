@@ -0,0 +1,300 @@
+'use strict';
+
+var $npm = {
+    utils: require('./utils'),
+    events: require('./events')
+};
+
+var $arr = require('./array');
+
+var allPools = []; // all active pools, for method pgp.end();
+
+/**
+ * @interface Database.$pool
+ * @description
+ * Connection pool of a {@link Database} object, available via hidden read-only property `db.$pool`.
+ *
+ * Each {@link Database} object has its own pool, configured via the following properties in the connection object:
+ *
+ * - `max` - maximum number of connections in the pool; default is `pg.defaults.poolSize` (10)
+ * - `idleTimeout` - time in milliseconds after which an idle connection is closed; default is `pg.defaults.poolIdleTimeout` (30000),
+ *   and `0` means idle connections are never closed
+ * - `acquireTimeout` - maximum time in milliseconds to wait for a free connection, when all connections are in use;
+ *   default is `0` - wait indefinitely. When the time is out, the request rejects with `Timed out while waiting for a pool connection.`
+ *
+ * Invalid values for any of these properties will throw {@link external:TypeError TypeError} = `Invalid pool option 'name' specified.`
+ *
+ * @property {number} max
+ * Maximum number of connections.
+ *
+ * @property {number} idleTimeout
+ * Idle timeout, in milliseconds.
+ *
+ * @property {number} acquireTimeout
+ * Connection acquisition timeout, in milliseconds.
+ *
+ * @property {boolean} ended
+ * Indicates whether the pool has been shut down.
+ *
+ * @see {@link Database}
+ *
+ * @example
+ *
+ * var db = pgp({
+ *     host: 'localhost',
+ *     database: 'my-db',
+ *     max: 20, // up to 20 connections
+ *     idleTimeout: 10000, // close connections idle for 10 seconds
+ *     acquireTimeout: 5000 // wait for a free connection up to 5 seconds
+ * });
+ *
+ * db.$pool.stats();
+ * //=> {max: 20, total: 0, idle: 0, active: 0, waiting: 0}
+ */
+function Pool(cn, dc, config) {
+
+    var self = this,
+        $p = config.promise,
+        opt = cn && typeof cn === 'object' ? cn : {},
+        defaults = config.pgp.pg.defaults,
+        clients = [], // all connected clients;
+        idle = [], // idle clients: {client, timer};
+        waiting = [], // connection requests: {resolve, reject, timer};
+        connecting = 0, // number of clients being connected;
+        finished = [], // callbacks for when the pool has been shut down;
+        ended;
+
+    var max = getOption('max', opt.max === undefined ? opt.poolSize || defaults.poolSize : opt.max, 1),
+        idleTimeout = getOption('idleTimeout', opt.idleTimeout === undefined ? defaults.poolIdleTimeout : opt.idleTimeout, 0),
+        acquireTimeout = getOption('acquireTimeout', opt.acquireTimeout === undefined ? 0 : opt.acquireTimeout, 0);
+
+    $npm.utils.addReadProp(this, 'max', max);
+    $npm.utils.addReadProp(this, 'idleTimeout', idleTimeout);
+    $npm.utils.addReadProp(this, 'acquireTimeout', acquireTimeout);
+
+    Object.defineProperty(this, 'ended', {
+        get: function () {
+            return !!ended;
+        },
+        enumerable: true
+    });
+
+    // acquires a connected client;
+    this.acquire = function () {
+        if (ended) {
+            return $p.reject(new Error("Connection pool has been shut down."));
+        }
+        return $p(function (resolve, reject) {
+            var req = {resolve: resolve, reject: reject};
+            if (acquireTimeout) {
+                req.timer = setTimeout(function () {
+                    waiting.splice(waiting.indexOf(req), 1);
+                    reject(new Error("Timed out while waiting for a pool connection."));
+                }, acquireTimeout);
+            }
+            waiting.push(req);
+            dispatch();
+        });
+    };
+
+    // returns a client into the pool;
+    this.release = function (client) {
+        if (clients.indexOf(client) === -1) {
+            return; // the client has been lost while in use;
+        }
+        if (ended) {
+            destroy(client);
+        } else {
+            if (waiting.length) {
+                give(waiting.shift(), client);
+            } else {
+                setIdle(client);
+            }
+        }
+    };
+
+    /**
+     * @method Database.$pool.stats
+     * @description
+     * Returns the current pool statistics, to be used for monitoring.
+     *
+     * @returns {{max, total, idle, active, waiting}}
+     * - `max` - maximum number of connections
+     * - `total` - number of connections currently open
+     * - `idle` - number of connections not in use
+     * - `active` - number of connections in use
+     * - `waiting` - number of requests waiting for a free connection
+     */
+    this.stats = function () {
+        return {
+            max: max,
+            total: clients.length,
+            idle: idle.length,
+            active: clients.length - idle.length,
+            waiting: waiting.length
+        };
+    };
+
+    /**
+     * @method Database.$pool.end
+     * @description
+     * Shuts down the pool, affecting only the {@link Database} object that owns it:
+     *
+     * - all requests waiting for a connection are rejected with `Connection pool has been shut down.`
+     * - all idle connections are closed right away
+     * - connections that are in use are closed once released
+     *
+     * Any further request for a connection will be rejected with the same error.
+     *
+     * @returns {external:Promise}
+     * Resolves with `undefined` once all connections have been closed.
+     */
+    this.end = function () {
+        return $p(function (resolve) {
+            finished.push(resolve);
+            if (!ended) {
+                ended = true;
+                allPools.splice(allPools.indexOf(self), 1);
+                $arr.forEach(waiting.splice(0, waiting.length), function (req) {
+                    clearTimeout(req.timer);
+                    req.reject(new Error("Connection pool has been shut down."));
+                });
+                $arr.forEach(idle.slice(), function (i) {
+                    destroy(i.client);
+                });
+            }
+            checkEnded();
+        });
+    };
+
+    allPools.push(this);
+
+    // serves waiting requests with idle clients, creating new clients as needed;
+    function dispatch() {
+        while (waiting.length && idle.length) {
+            var i = idle.shift(); // the longest idle client goes first, same as in pg;
+            clearTimeout(i.timer);
+            give(waiting.shift(), i.client);
+        }
+        while (waiting.length > connecting && clients.length + connecting < max) {
+            create();
+        }
+    }
+
+    function create() {
+        var client = new config.pgp.pg.Client(cn);
+        connecting++;
+        client.on('error', dummy); // ignoring errors until connected;
+        client.connect(function (err) {
+            connecting--;
+            client.removeListener('error', dummy);
+            if (err) {
+                var req = waiting.shift();
+                if (req) {
+                    clearTimeout(req.timer);
+                    req.reject(err);
+                }
+                dispatch();
+                checkEnded();
+                return;
+            }
+            clients.push(client);
+            client.on('error', function (e) {
+                // istanbul ignore else: an active client reports
+                // errors through the query that's executing;
+                if (isIdle(client)) {
+                    $npm.events.error(config.options, e, {
+                        cn: $npm.utils.getSafeConnection(cn),
+                        dc: dc
+                    });
+                }
+                remove(client);
+            });
+            client.on('end', function () {
+                remove(client);
+            });
+            if (ended) {
+                destroy(client);
+            } else {
+                var r = waiting.shift();
+                if (r) {
+                    give(r, client);
+                } else {
+                    setIdle(client);
+                }
+            }
+        });
+    }
+
+    function give(req, client) {
+        clearTimeout(req.timer);
+        req.resolve(client);
+    }
+
+    function setIdle(client) {
+        var i = {client: client};
+        if (idleTimeout) {
+            i.timer = setTimeout(function () {
+                destroy(client);
+            }, idleTimeout);
+        }
+        idle.push(i);
+    }
+
+    function isIdle(client) {
+        return $arr.countIf(idle, function (i) {
+                return i.client === client;
+            }) > 0;
+    }
+
+    // removes the client from the pool;
+    function remove(client) {
+        var idx = clients.indexOf(client);
+        if (idx !== -1) {
+            clients.splice(idx, 1);
+            idle = $arr.filter(idle, function (i) {
+                if (i.client === client) {
+                    clearTimeout(i.timer);
+                    return false;
+                }
+                return true;
+            });
+            dispatch();
+            checkEnded();
+        }
+    }
+
+    // closes the client and removes it from the pool;
+    function destroy(client) {
+        remove(client);
+        client.on('error', dummy);
+        client.end();
+    }
+
+    function checkEnded() {
+        if (ended && !clients.length && !connecting) {
+            $arr.forEach(finished.splice(0, finished.length), function (cb) {
+                cb();
+            });
+        }
+    }
+
+    function getOption(name, value, min) {
+        if (typeof value !== 'number' || value !== parseInt(value) || value < min) {
+            throw new TypeError("Invalid pool option '" + name + "' specified.");
+        }
+        return value;
+    }
+}
+
+// shuts down all pools;
+Pool.endAll = function () {
+    $arr.forEach(allPools.slice(), function (p) {
+        p.end();
+    });
+};
+
+function dummy() {
+}
+
+module.exports = Pool;
@@ -9,10 +9,17 @@ var $npm = {
     errors: require('./errors'),
     events: require('./events'),
     stream: require('./stream'),
+    copy: require('./copy'),
+    cancel: require('./cancel'),
+    router: require('./router'),
+    slowQuery: require('./slowQuery'),
+    cache: require('./cache'),
+    transform: require('./transform'),
     types: require('./types')
 };
 
 var QueryResultError = $npm.errors.QueryResultError,
+    QueryCancelError = $npm.errors.QueryCancelError,
     InternalError = $npm.utils.InternalError,
     ExternalQuery = $npm.types.ExternalQuery,
     PreparedStatement = $npm.types.PreparedStatement,
@@ -24,7 +31,7 @@ var badMask = $npm.result.one | $npm.result.many; // the combination isn't suppo
 
 //////////////////////////////
 // Generic query method;
-function $query(ctx, query, values, qrm, config) {
+function $query(ctx, query, values, qrm, config, slow) {
 
     var isResult, $p = config.promise;
 
@@ -32,16 +39,37 @@ function $query(ctx, query, values, qrm, config) {
         if (qrm.isStream) {
             return $npm.stream.call(this, ctx, query, values, config);
         }
+        if (qrm.isCopyFrom || qrm.isCopyTo) {
+            return $npm.copy.call(this, ctx, query, qrm.isCopyFrom, config);
+        }
         isResult = qrm.isResult;
     }
 
-    var error, isFunc,
+    var error, isFunc, cacheOpt, cacheKey,
         opt = ctx.options,
         pgFormatting = opt.pgFormatting,
         capSQL = opt.capSQL,
-        params = pgFormatting ? values : undefined;
+        params = pgFormatting ? values : undefined,
+        limit = ctx.limit;
+
+    if (slow instanceof Error) {
+        error = slow;
+    }
+
+    if (isOptions(query)) {
+        // query with options {query, timeout, cancel, target, cache};
+        error = error || $npm.cancel.validate(query.timeout, query.cancel) || $npm.router.validate(query.target);
+        limit = $npm.cancel.create(query.timeout, query.cancel, limit);
+        if (query.cache !== undefined && query.cache !== false) {
+            cacheOpt = $npm.cache.parse(query.cache);
+            if (cacheOpt instanceof Error) {
+                error = error || cacheOpt;
+            }
+        }
+        query = query.query;
+    }
 
-    if (!query) {
+    if (!error && !query) {
         error = new TypeError("Empty or undefined query.");
     }
 
@@ -121,73 +149,164 @@ function $query(ctx, query, values, qrm, config) {
         }
     }
 
+    if (!error && cacheOpt && !isResult && ctx.cache && !(ctx.txLevel >= 0)) {
+        // the cache key is the formatted query, with any separate parameters;
+        cacheKey = typeof query === 'string' && params === undefined ? query : JSON.stringify([query, params]);
+    }
+
+    var limits = $npm.cancel.getLimits(limit);
+
+    if (!error && limits.length) {
+        var reached = $npm.cancel.check(limits);
+        if (reached) {
+            error = new QueryCancelError(reached.timeout, query, params);
+        }
+    }
+
     return $p(function (resolve, reject) {
 
+        var start, stop, cancelError, cancelling;
+
         if (notifyReject()) {
             return;
         }
-        error = $npm.events.query(opt, getContext());
-        if (notifyReject()) {
-            return;
+
+        if (cacheKey === undefined) {
+            execute();
+        } else {
+            ctx.cache.get(cacheKey)
+                .then(function (rows) {
+                    if (rows) {
+                        // serving the cached rows, without executing the query;
+                        settle(null, {rows: rows, rowCount: rows.length}, true);
+                    } else {
+                        execute();
+                    }
+                }, function (e) {
+                    error = e;
+                    notifyReject();
+                });
         }
-        var start = Date.now();
-        try {
-            ctx.db.client.query(query, params, function (err, result) {
-                var data;
-                if (!err) {
-                    $npm.utils.addReadProp(result, 'duration', Date.now() - start);
-                    $npm.utils.addReadProp(result.rows, 'duration', result.duration, true);
-                    if (result.rows.length) {
-                        err = $npm.events.receive(opt, result.rows, result, getContext());
-                        err = err || error;
+
+        function execute() {
+            error = $npm.events.query(opt, getContext());
+            if (notifyReject()) {
+                return;
+            }
+            start = Date.now();
+            var done = $npm.cancel.enqueue(ctx.db.client, limits.length ? watch : null);
+            try {
+                ctx.db.client.query(query, params, function (err, result) {
+                    done();
+                    if (stop) {
+                        stop();
+                    }
+                    if (cancelling) {
+                        // settling only after the cancellation, so the connection can be reused safely;
+                        cancelling.then(function () {
+                            complete(err, result);
+                        });
+                    } else {
+                        complete(err, result);
+                    }
+                });
+            } catch (e) {
+                // this can only happen as a result of an internal failure within node-postgres,
+                // like during a sudden loss of communications, which is impossible to reproduce
+                // automatically, so removing it from the test coverage:
+                // istanbul ignore next
+                error = e;
+                done();
+            }
+            notifyReject();
+        }
+
+        // the query is only watched while executing, because cancelling it while it is waiting
+        // for other queries on the connection would cancel whichever query is executing instead;
+        function watch() {
+            stop = $npm.cancel.watch(limits, function (l) {
+                cancelError = new QueryCancelError(l.timeout, query, params);
+                cancelling = $npm.cancel.backend(ctx, config);
+            });
+        }
+
+        function complete(err, result) {
+            if (err && cancelError) {
+                // the query has failed after being cancelled;
+                err = cancelError;
+            }
+            if (!err) {
+                $npm.utils.addReadProp(result, 'duration', Date.now() - start);
+                $npm.utils.addReadProp(result.rows, 'duration', result.duration, true);
+                if (slow && result.duration >= slow.threshold && !$npm.slowQuery.isControl(query)) {
+                    // reporting the slow query, while the connection is still ours;
+                    $npm.slowQuery.report(ctx, query, params, result.duration, slow, config)
+                        .then(function () {
+                            settle(err, result);
+                        });
+                    return;
+                }
+            }
+            settle(err, result);
+        }
+
+        function settle(err, result, cached) {
+            var data;
+            if (!err && !cached) {
+                if (result.rows.length) {
+                    err = $npm.events.receive(opt, result.rows, result, getContext());
+                    err = err || error;
+                }
+                if (!err && ctx.transform) {
+                    try {
+                        $npm.transform.apply(ctx.transform, result.rows, result.fields);
+                    } catch (e) {
+                        err = e instanceof Error ? e : new $npm.utils.InternalError(e);
                     }
                 }
-                if (err) {
-                    error = err;
+                if (!err && cacheKey !== undefined) {
+                    ctx.cache.set(cacheKey, result.rows, cacheOpt, typeof query === 'string' ? query : query.text);
+                }
+            }
+            if (err) {
+                error = err;
+            } else {
+                if (isResult) {
+                    data = result; // raw object requested (Result type);
                 } else {
-                    if (isResult) {
-                        data = result; // raw object requested (Result type);
-                    } else {
-                        data = result.rows;
-                        var len = data.length;
-                        if (len) {
-                            if (len > 1 && qrm & $npm.result.one) {
-                                // one row was expected, but returned multiple;
-                                error = new QueryResultError(qrec.multiple, result, query, params);
+                    data = result.rows;
+                    var len = data.length;
+                    if (len) {
+                        if (len > 1 && qrm & $npm.result.one) {
+                            // one row was expected, but returned multiple;
+                            error = new QueryResultError(qrec.multiple, result, query, params);
+                        } else {
+                            if (!(qrm & ($npm.result.one | $npm.result.many))) {
+                                // no data should have been returned;
+                                error = new QueryResultError(qrec.notEmpty, result, query, params);
                             } else {
-                                if (!(qrm & ($npm.result.one | $npm.result.many))) {
-                                    // no data should have been returned;
-                                    error = new QueryResultError(qrec.notEmpty, result, query, params);
-                                } else {
-                                    if (!(qrm & $npm.result.many)) {
-                                        data = data[0];
-                                    }
+                                if (!(qrm & $npm.result.many)) {
+                                    data = data[0];
                                 }
                             }
-                        } else {
-                            // no data returned;
-                            if (qrm & $npm.result.none) {
-                                if (qrm & $npm.result.one) {
-                                    data = null;
-                                } else {
-                                    data = qrm & $npm.result.many ? data : null;
-                                }
+                        }
+                    } else {
+                        // no data returned;
+                        if (qrm & $npm.result.none) {
+                            if (qrm & $npm.result.one) {
+                                data = null;
                             } else {
-                                error = new QueryResultError(qrec.noData, result, query, params);
+                                data = qrm & $npm.result.many ? data : null;
                             }
+                        } else {
+                            error = new QueryResultError(qrec.noData, result, query, params);
                         }
                     }
                 }
-                if (!notifyReject()) {
-                    resolve(data);
-                }
-            });
-        } catch (e) {
-            // this can only happen as a result of an internal failure within node-postgres,
-            // like during a sudden loss of communications, which is impossible to reproduce
-            // automatically, so removing it from the test coverage:
-            // istanbul ignore next
-            error = e;
+            }
+            if (!notifyReject()) {
+                resolve(data);
+            }
         }
 
         function getContext() {
@@ -197,17 +316,19 @@ function $query(ctx, query, values, qrm, config) {
             } else {
                 error = new Error("Loose request outside an expired connection.");
             }
-            return {
+            var context = {
                 client: client,
                 dc: ctx.dc,
                 query: query,
                 params: params,
                 ctx: ctx.ctx
             };
+            if (ctx.target) {
+                context.target = ctx.target; // routing target, when using replicas;
+            }
+            return context;
         }
 
-        notifyReject();
-
         function notifyReject() {
             var context = getContext();
             if (error) {
@@ -222,8 +343,19 @@ function $query(ctx, query, values, qrm, config) {
     });
 }
 
+// checks for a query with options {query, timeout, cancel, target, cache};
+function isOptions(query) {
+    return !!query && typeof query === 'object' && 'query' in query &&
+        !(query instanceof $npm.queryFile) && !(query instanceof ExternalQuery);
+}
+
 module.exports = function (config) {
+    var slow = {}; // option 'slowQuery', parsed only when it changes;
     return function (ctx, query, values, qrm) {
-        return $query.call(this, ctx, query, values, qrm, config);
+        var s = ctx.options.slowQuery;
+        if (slow.option !== s) {
+            slow = {option: s, parsed: $npm.slowQuery.parse(s)};
+        }
+        return $query.call(this, ctx, query, values, qrm, config, slow.parsed);
     };
 };
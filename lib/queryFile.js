@@ -7,9 +7,12 @@ var $npm = {
     minify: require('pg-minify'),
     utils: require('./utils'),
     format: require('./formatting').as.format,
-    QueryFileError: require('./errors/queryFile')
+    QueryFileError: require('./errors/queryFile'),
+    FileWatcher: require('./fileWatcher')
 };
 
+var $arr = require('./array');
+
 /**
  * @constructor QueryFile
  * @description
@@ -35,8 +38,8 @@ var $npm = {
  * A set of configuration options.
  *
  * @param {boolean} [options.debug]
- * When in debug mode, the query file is checked for its last modification time on every query request,
- * so if it changes, the file is read afresh.
+ * When in debug mode, the query file is watched for changes via {@link QueryFile.watcher}, so when it changes,
+ * the file is read afresh right away, and any error in it is reported immediately.
  *
  * The default for this property is `true` when `NODE_ENV` = `development`,
  * or `false` otherwise.
@@ -60,6 +63,14 @@ var $npm = {
  * This option has no meaning, if `minify` is explicitly set to `false`. However, if `minify` is not
  * specified and `compress` is specified as `true`, then `minify` defaults to `true`.
  *
+ * @param {string} [options.section]
+ * Name of the section in the file to be used as the query, for files with several named queries,
+ * each starting with a line `-- name: sectionName`. See {@link QueryFile.sections}.
+ *
+ * When the section is not found in the file, it results in {@link errors.QueryFileError QueryFileError} =
+ * `Section 'sectionName' not found.`, and when the section fails to parse, the error position is reported
+ * as the line number in the file.
+ *
  * @param {array|object|value} [options.params]
  * Static formatting parameters to be applied to the SQL, using the same method {@link formatting.format as.format},
  * but with option `partial` = `true`.
@@ -133,7 +144,7 @@ function QueryFile(file, options) {
         return new QueryFile(file, options);
     }
 
-    var sql, error, ready, modTime, after, filePath = file, opt = {
+    var self = this, sql, error, ready, after, filePath = file, opt = {
         debug: process.env.NODE_ENV === 'development',
         minify: false,
         compress: false
@@ -156,6 +167,9 @@ function QueryFile(file, options) {
         if (options.params !== undefined) {
             opt.params = options.params;
         }
+        if (options.section !== undefined) {
+            opt.section = options.section;
+        }
     }
 
     Object.freeze(opt);
@@ -178,30 +192,16 @@ function QueryFile(file, options) {
      *
      */
     this.prepare = function (throwErrors) {
-        var lastMod;
-        if (opt.debug && ready) {
-            try {
-                lastMod = $npm.fs.statSync(filePath).mtime.getTime();
-                if (lastMod === modTime) {
-                    return;
-                }
-                ready = false;
-            } catch (e) {
-                sql = undefined;
-                ready = false;
-                error = e;
-                if (throwErrors) {
-                    throw error;
-                }
-                return;
-            }
-        }
         if (ready) {
             return;
         }
+        var section;
         try {
             sql = $npm.fs.readFileSync(filePath, 'utf8');
-            modTime = lastMod || $npm.fs.statSync(filePath).mtime.getTime();
+            if (opt.section !== undefined) {
+                section = findSection(sql, opt.section);
+                sql = section.text;
+            }
             if (opt.minify && !after) {
                 sql = $npm.minify(sql, {compress: opt.compress});
             }
@@ -214,14 +214,28 @@ function QueryFile(file, options) {
             ready = true;
             error = undefined;
         } catch (e) {
+            if (section && e instanceof $npm.minify.SQLParsingError) {
+                // reporting the line in the file, not in the section:
+                e = new $npm.minify.SQLParsingError(e.code, {line: e.position.line + section.offset, column: e.position.column});
+            }
             sql = undefined;
             error = new $npm.QueryFileError(e, this);
-            if (throwErrors) {
-                throw error;
-            }
+        }
+        if (opt.debug) {
+            // the file is watched also when it has errors, to report changes as soon as it is fixed;
+            QueryFile.watcher.add(filePath, self, reload);
+        }
+        if (error && throwErrors) {
+            throw error;
         }
     };
 
+    // re-reads the file, after it has changed;
+    function reload() {
+        ready = false;
+        self.prepare();
+    }
+
     /**
      * @name QueryFile#query
      * @type string
@@ -322,4 +336,118 @@ QueryFile.prototype.inspect = function () {
     return this.toString();
 };
 
+/**
+ * @method QueryFile.sections
+ * @description
+ * Creates a {@link QueryFile} object for every named query in a file with several queries, where each query
+ * starts with a line `-- name: sectionName`, and continues till the next such line or the end of the file:
+ *
+ * ```sql
+ * -- name: findUser
+ * SELECT * FROM users WHERE id = ${id}
+ *
+ * -- name: addUser
+ * INSERT INTO users(name) VALUES(${name}) RETURNING id
+ * ```
+ *
+ * Anything before the first section is ignored, so it can be used for comments. Section names can only contain
+ * letters, digits, `$` and `_`, and must be unique within the file.
+ *
+ * Each {@link QueryFile} object is created with the same `options`, plus option `section`, so the sections are processed
+ * with the same `minify`, `compress` and `params`, and in debug mode are re-read when the file changes.
+ *
+ * Unlike the {@link QueryFile} constructor, this method throws {@link errors.QueryFileError QueryFileError} when the file
+ * cannot be read, or when it contains no sections or duplicate section names.
+ *
+ * @param {string} file
+ * Path to the SQL file, either absolute or relative to the application's entry point file.
+ *
+ * @param {object} [options]
+ * Options for the {@link QueryFile} objects.
+ *
+ * @returns {object}
+ * Object with a {@link QueryFile} object in each property named after its section.
+ *
+ * @example
+ *
+ * var users = QueryFile.sections('./db/sql/users.sql', {minify: true});
+ *
+ * db.oneOrNone(users.findUser, {id: 123});
+ */
+QueryFile.sections = function (file, options) {
+    var filePath = file, result = {}, sections;
+    if ($npm.utils.isText(filePath) && !$npm.utils.isPathAbsolute(filePath)) {
+        filePath = $npm.path.join($npm.utils.startDir, filePath);
+    }
+    try {
+        sections = parseSections($npm.fs.readFileSync(filePath, 'utf8'));
+        if (!sections.length) {
+            throw new Error("No sections found.");
+        }
+    } catch (e) {
+        throw new $npm.QueryFileError(e, {file: file, options: options});
+    }
+    $arr.forEach(sections, function (s) {
+        var opt = {section: s.name};
+        for (var name in options) {
+            if (name !== 'section') {
+                opt[name] = options[name];
+            }
+        }
+        result[s.name] = new QueryFile(file, opt);
+    });
+    return result;
+};
+
+// finds a section by name, returning {text, offset}, where offset is the
+// number of lines in the file before the section text;
+function findSection(text, name) {
+    var sections = parseSections(text);
+    for (var i = 0; i < sections.length; i++) {
+        if (sections[i].name === name) {
+            return sections[i];
+        }
+    }
+    throw new Error("Section '" + name + "' not found.");
+}
+
+// splits the text into sections [{name, text, offset}], by lines '-- name: sectionName';
+function parseSections(text) {
+    var lines = text.split(/\r?\n/), sections = [], names = {}, current;
+    $arr.forEach(lines, function (line, idx) {
+        var m = line.match(/^\s*--\s*name\s*:\s*(\S+)\s*$/);
+        if (m) {
+            var name = m[1];
+            if (!/^[a-zA-Z0-9$_]+$/.test(name)) {
+                throw new Error("Invalid section name '" + name + "' at line " + (idx + 1) + ".");
+            }
+            if (name in names) {
+                throw new Error("Duplicate section name '" + name + "' at line " + (idx + 1) + ".");
+            }
+            names[name] = true;
+            current = {name: name, lines: [], offset: idx + 1};
+            sections.push(current);
+        } else {
+            if (current) {
+                current.lines.push(line);
+            }
+        }
+    });
+    return $arr.map(sections, function (s) {
+        return {name: s.name, text: s.lines.join($npm.os.EOL), offset: s.offset};
+    });
+}
+
+/**
+ * @member {QueryFile.watcher} QueryFile.watcher
+ * @readonly
+ * @description
+ * Registry of all {@link QueryFile} objects in debug mode, which watches their files, and emits events
+ * `reload` and `error` when the files change.
+ */
+Object.defineProperty(QueryFile, 'watcher', {
+    value: new $npm.FileWatcher(),
+    enumerable: true
+});
+
 module.exports = QueryFile;
@@ -0,0 +1,73 @@
+'use strict';
+
+var $npm = {
+    pool: require('./pool')
+};
+
+var $arr = require('./array');
+
+/////////////////////////////////////////////////////////////
+// Routes connections of a Database object, between the primary
+// server and round-robin replicas, when the connection details
+// are in the form of {primary, replicas}.
+//
+// Each server is represented by {cn, pool, target}, where target
+// is undefined when there are no replicas.
+function Router(cn, dc, config) {
+
+    var replicas = [], next = 0;
+
+    if (isReplicated(cn)) {
+        if (!isConnection(cn.primary)) {
+            throw new TypeError("Invalid connection details.");
+        }
+        var list = cn.replicas === undefined ? [] : cn.replicas;
+        if (!Array.isArray(list) || $arr.countIf(list, isConnection) !== list.length) {
+            throw new TypeError("Invalid replica connection details.");
+        }
+        this.primary = createServer(cn.primary, 'primary');
+        replicas = $arr.map(list, function (r) {
+            return createServer(r, 'replica');
+        });
+    } else {
+        this.primary = createServer(cn);
+    }
+
+    this.replicas = replicas;
+
+    // returns the server for the target, which is the primary,
+    // unless a replica is requested, and there are any;
+    this.get = function (target) {
+        if (target === 'replica' && replicas.length) {
+            var r = replicas[next];
+            next = (next + 1) % replicas.length;
+            return r;
+        }
+        return this.primary;
+    };
+
+    function createServer(c, target) {
+        return {
+            cn: c,
+            pool: new $npm.pool(c, dc, config),
+            target: target
+        };
+    }
+}
+
+// validates a routing target, returning an error when invalid;
+Router.validate = function (target) {
+    if (target !== undefined && target !== 'primary' && target !== 'replica') {
+        return new TypeError("Invalid option 'target' specified.");
+    }
+};
+
+function isReplicated(cn) {
+    return !!cn && typeof cn === 'object' && 'primary' in cn;
+}
+
+function isConnection(cn) {
+    return !!cn && (typeof cn === 'string' || typeof cn === 'object');
+}
+
+module.exports = Router;
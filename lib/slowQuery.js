@@ -0,0 +1,145 @@
+'use strict';
+
+var $npm = {
+    events: require('./events'),
+    cancel: require('./cancel'),
+    statement: require('./statement')
+};
+
+/////////////////////////////////////////////////////////
+// Parses initialization option 'slowQuery', returning
+// {threshold, explain, handler}, or an error when invalid.
+function parse(slowQuery) {
+    if (slowQuery === undefined || slowQuery === null) {
+        return;
+    }
+    if (typeof slowQuery !== 'object' || typeof slowQuery.threshold !== 'number' || !(slowQuery.threshold >= 0) ||
+        typeof slowQuery.handler !== 'function' ||
+        (slowQuery.explain !== undefined && typeof slowQuery.explain !== 'boolean' && slowQuery.explain !== 'analyze')) {
+        return new TypeError("Invalid option 'slowQuery' specified.");
+    }
+    return {
+        threshold: slowQuery.threshold,
+        explain: slowQuery.explain,
+        handler: slowQuery.handler
+    };
+}
+
+//////////////////////////////////////////////////////////
+// Reports a slow query to the handler, after capturing its
+// execution plan on the same connection, when required.
+//
+// Only a single SELECT, INSERT, UPDATE, DELETE, WITH or VALUES
+// statement is explained, and inside a transaction - within
+// a savepoint that's rolled back, so a failed EXPLAIN cannot
+// affect the transaction. Outside of a transaction, EXPLAIN
+// ANALYZE is executed within a transaction that's rolled back,
+// so the query changes nothing when executed for the second time.
+//
+// The promise always resolves, while any error thrown by
+// the handler is only reported into the console.
+function report(ctx, query, params, duration, slow, config) {
+    var text = query, values = params;
+    if (query && typeof query === 'object') {
+        // Prepared Statement or Parameterized Query;
+        text = query.text;
+        values = query.values;
+    }
+    var e = {
+        client: ctx.db.client,
+        dc: ctx.dc,
+        query: text,
+        params: values,
+        duration: duration,
+        tag: ctx.ctx ? ctx.ctx.tag : undefined,
+        ctx: ctx.ctx
+    };
+    return config.promise(function (resolve) {
+        if (!slow.explain || !canExplain(text)) {
+            notify();
+            return;
+        }
+        var client = ctx.db.client, capSQL = ctx.options.capSQL, analyze = slow.explain === 'analyze',
+            sql = analyze ? 'explain (analyze, format json) ' : 'explain (format json) ',
+            wrap = ctx.txLevel >= 0 ? wrappers.savepoint : (analyze ? wrappers.transaction : null);
+        if (wrap) {
+            exec(wrap.start, undefined, function (err) {
+                if (err) {
+                    e.error = err;
+                    notify();
+                } else {
+                    explain();
+                }
+            });
+        } else {
+            explain();
+        }
+
+        function explain() {
+            exec(sql, values, function (err, result) {
+                if (err) {
+                    e.error = err;
+                } else {
+                    e.plan = result.rows[0]['QUERY PLAN'][0];
+                }
+                if (wrap) {
+                    exec(wrap.end, undefined, notify);
+                } else {
+                    notify();
+                }
+            }, text);
+        }
+
+        // executes a command, with the user query appended, if specified;
+        function exec(command, params, cb, query) {
+            var done = $npm.cancel.enqueue(client);
+            client.query((capSQL ? command.toUpperCase() : command) + (query || ''), params, function (err, result) {
+                done();
+                cb(err, result);
+            });
+        }
+
+        function notify() {
+            try {
+                slow.handler(e);
+            } catch (err) {
+                $npm.events.unexpected('slowQuery', err);
+            }
+            resolve();
+        }
+    });
+}
+
+///////////////////////////////////////////////////////////
+// Checks whether the query is a transaction control statement,
+// like those executed by transactions and savepoints, which are
+// not reported as slow queries.
+function isControl(query) {
+    var text = query && typeof query === 'object' ? query.text : query,
+        list = typeof text === 'string' ? $npm.statement.split(text) : [];
+    return list.length === 1 && /^(begin|start|commit|end|rollback|abort|savepoint|release)\b/.test(list[0]);
+}
+
+// checks whether the query is a single statement that supports EXPLAIN;
+function canExplain(text) {
+    var list = typeof text === 'string' ? $npm.statement.split(text) : [];
+    return list.length === 1 && /^(select|insert|update|delete|with|values)\b/.test(list[0]);
+}
+
+// commands that surround the EXPLAIN, for it to change nothing;
+var wrappers = {
+    savepoint: {
+        start: 'savepoint slow_query',
+        end: 'rollback to savepoint slow_query; release savepoint slow_query'
+    },
+    transaction: {
+        start: 'begin',
+        end: 'rollback'
+    }
+};
+
+module.exports = {
+    parse: parse,
+    report: report,
+    isControl: isControl
+};
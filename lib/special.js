@@ -5,11 +5,15 @@
 function SpecialQuery(type) {
     this.isStream = type === 'stream';
     this.isResult = type === 'result';
+    this.isCopyFrom = type === 'copyFrom';
+    this.isCopyTo = type === 'copyTo';
 }
 
 var cache = {
     resultQuery: new SpecialQuery('result'),
-    streamQuery: new SpecialQuery('stream')
+    streamQuery: new SpecialQuery('stream'),
+    copyFromQuery: new SpecialQuery('copyFrom'),
+    copyToQuery: new SpecialQuery('copyTo')
 };
 
 module.exports = {
@@ -0,0 +1,193 @@
+'use strict';
+
+var $npm = {
+    formatting: require('./formatting'),
+    utils: require('./utils'),
+    types: require('./types')
+};
+
+/**
+ * @function sql
+ * @description
+ * ES6 template tag function, available as `pgp.sql`, before and after initializing the library,
+ * to create a {@link ParameterizedQuery} from a template literal, with all interpolated values
+ * becoming query parameters `$1`, `$2`, ...
+ *
+ * Interpolated values can also be:
+ *
+ * - {@link sql.name} - SQL name, same as modifier `~`
+ * - {@link sql.raw} - raw text, same as modifier `^`
+ * - {@link sql.csv} - comma-separated list of values, same as modifier `:csv`
+ * - another query created by this function, to be inserted as a fragment, with its parameters renumbered;
+ *   any other {@link ParameterizedQuery} throws {@link external:TypeError TypeError} =
+ *   `Only queries created by function 'sql' can be inserted into a template.`
+ *
+ * The result can be used with every query method that supports type {@link ParameterizedQuery}.
+ *
+ * @param {string[]} strings
+ * Template strings, as passed in by the template literal.
+ *
+ * @param {...*} values
+ * Interpolated values, as passed in by the template literal.
+ *
+ * @returns {ParameterizedQuery}
+ *
+ * @see {@link sql.format}
+ *
+ * @example
+ *
+ * var sql = pgp.sql;
+ *
+ * var filter = sql`WHERE ${sql.name('status')} = ${status}`;
+ *
+ * db.any(sql`SELECT * FROM ${sql.name(table)} ${filter} AND id IN (${sql.csv([1, 2])}) AND created > ${date}`);
+ * //=> SELECT * FROM "users" WHERE "status" = $1 AND id IN (1,2) AND created > $2
+ */
+function sql(strings) {
+    var values = Array.prototype.slice.call(arguments, 1), r = render(strings, values);
+    var pq = new $npm.types.ParameterizedQuery(r.text, r.values);
+    // the template is kept for when the query is inserted as a fragment into another template:
+    $npm.utils.addReadProp(pq, '_template', {strings: strings, values: values}, true);
+    return pq;
+}
+
+/**
+ * @method sql.format
+ * @description
+ * ES6 template tag function, same as {@link sql}, but returning a pre-formatted query string,
+ * with each interpolated value formatted in its place, via {@link formatting.format as.format}.
+ *
+ * @param {string[]} strings
+ * Template strings, as passed in by the template literal.
+ *
+ * @param {...*} values
+ * Interpolated values, as passed in by the template literal.
+ *
+ * @returns {string}
+ *
+ * @example
+ *
+ * var query = pgp.sql.format`SELECT * FROM ${pgp.sql.name('users')} WHERE id = ${123}`;
+ * //=> SELECT * FROM "users" WHERE id = 123
+ */
+function format(strings) {
+    // values are formatted one by one, as formatting the whole text would also
+    // replace variables found inside the values that have been inserted already;
+    return render(strings, Array.prototype.slice.call(arguments, 1), {text: '', inline: true}).text;
+}
+
+/**
+ * @method sql.name
+ * @description
+ * Marks a value for the template to be inserted as an SQL name, same as modifier `~`.
+ *
+ * The same helper is also available as `sql.identifier`, for Node.js versions prior to 4.0,
+ * in which property `name` of a function cannot be redefined.
+ *
+ * @param {string|function} name
+ * SQL name or identifier, or a function that returns it.
+ *
+ * @returns {object}
+ */
+function asName(name) {
+    return new Marker(function () {
+        return $npm.formatting.as.name(name);
+    });
+}
+
+/**
+ * @method sql.raw
+ * @description
+ * Marks a value for the template to be inserted as raw text, same as modifier `^`.
+ *
+ * **WARNING:** The text is not escaped, so it must never come from user input.
+ *
+ * @param {string|function} text
+ * Raw text, or a function that returns it.
+ *
+ * @returns {object}
+ */
+function asRaw(text) {
+    return new Marker(function () {
+        return $npm.formatting.as.text(text, true);
+    });
+}
+
+/**
+ * @method sql.csv
+ * @description
+ * Marks a value for the template to be inserted as a comma-separated list of values, same as modifier `:csv`.
+ *
+ * @param {array|value|function} values
+ * Value(s) to be converted, or a function that returns them.
+ *
+ * @returns {object}
+ */
+function asCsv(values) {
+    return new Marker(function () {
+        return $npm.formatting.as.csv(values);
+    });
+}
+
+// Value that is to be inserted into the query text, formatted;
+function Marker(format) {
+    this.format = format;
+}
+
+// renders the template into {text, values};
+function render(strings, values, state) {
+    if (!Array.isArray(strings)) {
+        throw new TypeError("Function 'sql' can only be used as a template tag.");
+    }
+    state = state || {text: '', values: []};
+    for (var i = 0; i < strings.length; i++) {
+        state.text += strings[i];
+        if (i < values.length) {
+            add(values[i]);
+        }
+    }
+    return state;
+
+    function add(v) {
+        if (v instanceof Marker) {
+            state.text += v.format();
+        } else {
+            if (v instanceof $npm.types.ParameterizedQuery) {
+                if (!v._template) {
+                    throw new TypeError("Only queries created by function 'sql' can be inserted into a template.");
+                }
+                render(v._template.strings, v._template.values, state);
+            } else {
+                if (state.inline) {
+                    state.text += $npm.formatting.as.format('$1', [v]);
+                } else {
+                    state.values.push(v);
+                    state.text += '$' + state.values.length;
+                }
+            }
+        }
+    }
+}
+
+$npm.utils.addReadProperties(sql, {
+    format: format,
+    identifier: asName,
+    raw: asRaw,
+    csv: asCsv
+});
+
+try {
+    // replacing the function's own property 'name':
+    Object.defineProperty(sql, 'name', {
+        value: asName,
+        configurable: false,
+        enumerable: true,
+        writable: false
+    });
+} catch (e) {
+    // istanbul ignore next:
+    // Node.js prior to 4.0 cannot redefine property 'name' of a function,
+    // so only 'identifier' is available there;
+}
+
+module.exports = sql;
@@ -0,0 +1,56 @@
+'use strict';
+
+var $npm = {
+    QueryFile: require('./queryFile')
+};
+
+var $arr = require('./array');
+
+// comments, quoted literals + identifiers, and dollar-quoted strings;
+var skipped = /--[^\n]*|\/\*[\s\S]*?\*\/|[eE]'(?:[^'\\]|\\[\s\S]|'')*'|'(?:[^']|'')*'|"(?:[^"]|"")*"|(\$(?:[a-zA-Z_][a-zA-Z_0-9]*)?\$)[\s\S]*?\1/g;
+
+// words that make a query require the primary server;
+var writing = /\b(insert|update|delete|merge|into|share|nextval|setval)\b/;
+
+/////////////////////////////////////////////////////////////
+// Splits SQL into separate statements, with all the comments
+// and quoted text removed, trimmed and in low case.
+function split(sql) {
+    var text = sql.replace(skipped, ' ').toLowerCase();
+    return $arr.filter($arr.map(text.split(';'), function (s) {
+        return s.trim();
+    }), function (s) {
+        return !!s;
+    });
+}
+
+/////////////////////////////////////////////////////////////
+// Returns the SQL of a query that's about to be executed,
+// or undefined, when it cannot be determined without formatting.
+function getText(query) {
+    if (query && typeof query === 'object' && 'query' in query && !(query instanceof $npm.QueryFile)) {
+        query = query.query; // query with options;
+    }
+    if (query && typeof query === 'object' && !(query instanceof $npm.QueryFile) && 'text' in query) {
+        query = query.text; // Prepared Statement or Parameterized Query;
+    }
+    if (query instanceof $npm.QueryFile) {
+        query.prepare();
+        query = query.error ? undefined : query.query;
+    }
+    return typeof query === 'string' ? query : undefined;
+}
+
+/////////////////////////////////////////////////////////////
+// Checks whether the query is a single statement that only
+// reads data, and so can be executed on a read replica.
+function isReadOnly(query) {
+    var text = getText(query), list = text === undefined ? [] : split(text);
+    return list.length === 1 && /^(select|with|values|table|show)\b/.test(list[0]) && !writing.test(list[0]);
+}
+
+module.exports = {
+    split: split,
+    getText: getText,
+    isReadOnly: isReadOnly
+};
@@ -2,6 +2,8 @@
 
 var $npm = {
     events: require('./events'),
+    cancel: require('./cancel'),
+    transform: require('./transform'),
     utils: require('./utils')
 };
 
@@ -37,7 +39,10 @@ function $stream(ctx, qs, initCB, config) {
     }
     var stream, fetch, start, nRows = 0;
     try {
+        var done = $npm.cancel.enqueue(ctx.db.client);
         stream = ctx.db.client.query(qs);
+        stream.once('end', done);
+        stream.once('error', done);
         fetch = stream._fetch;
         stream._fetch = function (size, func) {
             fetch.call(stream, size, function (err, rows) {
@@ -47,6 +52,13 @@ function $stream(ctx, qs, initCB, config) {
                     if (!error) {
                         error = $npm.events.receive(ctx.options, rows, undefined, context);
                     }
+                    if (!error && ctx.transform) {
+                        try {
+                            $npm.transform.apply(ctx.transform, rows, getFields());
+                        } catch (e) {
+                            error = e instanceof Error ? e : new $npm.utils.InternalError(e);
+                        }
+                    }
                     if (error) {
                         stream.close();
                     }
@@ -89,6 +101,12 @@ function $stream(ctx, qs, initCB, config) {
         }
     });
 
+    // the fields are only available from the stream's cursor;
+    function getFields() {
+        var c = stream.cursor;
+        return c && c._result ? c._result.fields : undefined;
+    }
+
     function getError(e) {
         return e instanceof $npm.utils.InternalError ? e.error : e;
     }
@@ -5,6 +5,8 @@ var $npm = {
     utils: require('./utils'),
     mode: require('./txMode'),
     events: require('./events'),
+    cancel: require('./cancel'),
+    formatting: require('./formatting'),
     query: require('./query'),
     async: require('./async')
 };
@@ -27,7 +29,9 @@ var $npm = {
  * {@link Task.ctx ctx},
  * {@link Task.batch batch},
  * {@link Task.sequence sequence},
- * {@link Task.page page}
+ * {@link Task.page page},
+ * {@link Task.savepoint savepoint},
+ * {@link Task.rollbackTo rollbackTo}
  *
  * @example
  * db.task(function (t) {
@@ -65,7 +69,7 @@ function Task(ctx, tag, isTX, config) {
      * });
      * ```
      *
-     * Properties `context`, `dc`, `isTX`, `tag`, `start` and `isFresh` are set before the callback,
+     * Properties `context`, `dc`, `isTX`, `tag`, `txLevel`, `start` and `isFresh` are set before the callback,
      * while properties `finish`, `success` and `result` are set after the callback has returned.
      *
      *
@@ -90,6 +94,20 @@ function Task(ctx, tag, isTX, config) {
      *
      * Indicates when a fresh physical connection is being used.
      *
+     * @property {number} txLevel
+     * Transaction nesting level, starting with 0 for the top-level transaction, and set for any task
+     * or transaction that's executing within a transaction.
+     *
+     * @property {number} attempt
+     * Set only for transactions with a retry policy (see {@link Database.tx tx}), starting with 1.
+     *
+     * It is the number of the current attempt to execute the transaction.
+     *
+     * @property {array} failures
+     * Set only for transactions with a retry policy (see {@link Database.tx tx}).
+     *
+     * List of errors from all previously failed attempts, which have been retried.
+     *
      * @property {date} finish
      * Once the operation has finished, this property is set to the Data/Time of when it happened.
      *
@@ -114,6 +132,10 @@ function Task(ctx, tag, isTX, config) {
     $npm.utils.addReadProp(this.ctx, 'tag', tag);
     $npm.utils.addReadProp(this.ctx, 'dc', ctx.dc);
 
+    if (ctx.txLevel >= 0) {
+        $npm.utils.addReadProp(this.ctx, 'txLevel', ctx.txLevel);
+    }
+
     // generic query method;
     this.query = function (query, values, qrm) {
         if (!ctx.db) {
@@ -173,6 +195,160 @@ function Task(ctx, tag, isTX, config) {
         return config.$npm.spex.sequence.call(this, source, dest, limit, track);
     };
 
+    var self = this, $p = config.promise;
+
+    /**
+     * @method Task.savepoint
+     * @description
+     * Creates a named savepoint inside the current transaction, to be able to roll back to it later,
+     * while keeping all the work done prior to it.
+     *
+     * When a callback function (or $[ES6 generator]) is passed in, it is called right after creating the savepoint,
+     * with the same task context as the only parameter. If the callback succeeds, the savepoint is released,
+     * and the method resolves with the callback's result. Otherwise, the transaction is rolled back to the savepoint,
+     * and the method rejects with the callback's failure reason, which can then be handled without affecting
+     * the rest of the transaction.
+     *
+     * Every savepoint creation, release and rollback is reported via event {@link event:transact transact},
+     * with property `savepoint` = `{name, action}`, where `action` is one of: `'create'`, `'release'`, `'rollback'`.
+     *
+     * The method is available only inside a transaction, including any task within it, or else it rejects
+     * with `Savepoints are only available inside a transaction.`
+     *
+     * @param {string} name
+     * Savepoint name, a non-empty string, which is escaped as an SQL name.
+     *
+     * @param {function|generator} [cb]
+     * Callback function (or $[ES6 generator]) to be executed within the savepoint.
+     *
+     * @returns {external:Promise}
+     * Result from the callback function, if specified, or else `undefined`.
+     *
+     * @see {@link Task.rollbackTo rollbackTo}
+     *
+     * @example
+     *
+     * db.tx(function (t) {
+     *     return t.sequence(function (index) {
+     *         var record = records[index];
+     *         if (record) {
+     *             return t.savepoint('record', function () {
+     *                 return t.none('INSERT INTO imports(data) VALUES($1)', record);
+     *             })
+     *                 .catch(function (error) {
+     *                     // the bad record has been rolled back, while all prior work is kept;
+     *                 });
+     *         }
+     *     });
+     * });
+     */
+    this.savepoint = function (name, cb) {
+        var error = checkSavepoint(name);
+        if (!error && cb !== undefined && typeof cb !== 'function') {
+            error = new TypeError("Invalid savepoint callback.");
+        }
+        if (error) {
+            return $p.reject(error);
+        }
+        return savepointQuery('savepoint', name, 'create')
+            .then(function () {
+                if (!cb) {
+                    return;
+                }
+                var result;
+                if (cb.constructor.name === 'GeneratorFunction') {
+                    cb = config.$npm.async(cb);
+                }
+                try {
+                    result = $p.resolve(cb.call(self, self));
+                } catch (e) {
+                    result = $p.reject(e);
+                }
+                return result
+                    .then(function (data) {
+                        return savepointQuery('release savepoint', name, 'release')
+                            .then(function () {
+                                return data;
+                            });
+                    }, function (reason) {
+                        return savepointQuery('rollback to savepoint', name, 'rollback')
+                            .then(function () {
+                                return $p.reject(reason);
+                            });
+                    });
+            });
+    };
+
+    /**
+     * @method Task.rollbackTo
+     * @description
+     * Rolls back the current transaction to a savepoint created earlier with method {@link Task.savepoint savepoint},
+     * discarding all the changes made after it, while the transaction can carry on.
+     *
+     * The rollback is reported via event {@link event:transact transact}, with property `savepoint` = `{name, action: 'rollback'}`.
+     *
+     * The method is available only inside a transaction, including any task within it, or else it rejects
+     * with `Savepoints are only available inside a transaction.`
+     *
+     * @param {string} name
+     * Name of an existing savepoint.
+     *
+     * @returns {external:Promise}
+     * Resolves with `undefined`.
+     *
+     * @see {@link Task.savepoint savepoint}
+     *
+     * @example
+     *
+     * db.tx(function (t) {
+     *     return t.savepoint('before-import')
+     *         .then(function () {
+     *             return t.none('INSERT INTO imports(data) VALUES($1)', data);
+     *         })
+     *         .catch(function () {
+     *             return t.rollbackTo('before-import');
+     *         })
+     *         .then(function () {
+     *             return t.none('UPDATE stats SET imported = now()');
+     *         });
+     * });
+     */
+    this.rollbackTo = function (name) {
+        var error = checkSavepoint(name);
+        if (error) {
+            return $p.reject(error);
+        }
+        return savepointQuery('rollback to savepoint', name, 'rollback')
+            .then(function () {
+            });
+    };
+
+    // validates a savepoint request, returning an error when invalid;
+    function checkSavepoint(name) {
+        if (!(ctx.txLevel >= 0)) {
+            return new Error("Savepoints are only available inside a transaction.");
+        }
+        if (!$npm.utils.isText(name)) {
+            return new TypeError("Invalid savepoint name.");
+        }
+    }
+
+    // executes a savepoint command, and reports it via event 'transact';
+    function savepointQuery(command, name, action) {
+        var sql = (ctx.options.capSQL ? command.toUpperCase() : command) + ' ' + $npm.formatting.as.name(name);
+        return self.none(sql)
+            .then(function () {
+                $npm.events.transact(ctx.options, {
+                    client: ctx.db.client,
+                    dc: ctx.dc,
+                    ctx: ctx.ctx,
+                    savepoint: {
+                        name: name,
+                        action: action
+                    }
+                });
+            });
+    }
 }
 
 //////////////////////////
@@ -183,13 +359,18 @@ Task.exec = function (ctx, obj, isTX, config) {
 
     // callback invocation helper;
     function callback() {
-        var result, cb = ctx.cb;
+        var result, cb = ctx.cb, parent = ctx.limit;
+        if (limited) {
+            // the limit applies to all queries inside the callback:
+            ctx.limit = $npm.cancel.create(cb.timeout, cb.cancel, parent);
+        }
         if (cb.constructor.name === 'GeneratorFunction') {
             cb = config.$npm.async(cb);
         }
         try {
             result = cb.call(obj, obj); // invoking the callback function;
         } catch (err) {
+            ctx.limit = parent;
             $npm.events.error(ctx.options, err, {
                 client: ctx.db.client,
                 dc: ctx.dc,
@@ -198,8 +379,19 @@ Task.exec = function (ctx, obj, isTX, config) {
             return $p.reject(err); // reject with the error;
         }
         if (result && typeof result.then === 'function') {
+            if (limited) {
+                // removing the limit, so it doesn't affect COMMIT/ROLLBACK:
+                return result.then(function (data) {
+                    ctx.limit = parent;
+                    return data;
+                }, function (reason) {
+                    ctx.limit = parent;
+                    return $p.reject(reason);
+                });
+            }
             return result; // result is a valid promise object;
         }
+        ctx.limit = parent;
         return $p.resolve(result);
     }
 
@@ -221,15 +413,38 @@ Task.exec = function (ctx, obj, isTX, config) {
         });
     }
 
-    var cbData, cbReason, success,
-        spName, // Save-Point Name;
-        capSQL = ctx.options.capSQL; // capitalize sql;
+    var spName, // Save-Point Name;
+        capSQL = ctx.options.capSQL, // capitalize sql;
+        retry, // retry policy;
+        limited = ctx.cb.timeout !== undefined || ctx.cb.cancel !== undefined; // timeout or cancel token;
+
+    if (limited) {
+        var error = $npm.cancel.validate(ctx.cb.timeout, ctx.cb.cancel);
+        if (error) {
+            return $p.reject(error);
+        }
+    }
+
+    if (isTX && !ctx.txLevel && ctx.cb.retry !== undefined) {
+        retry = parseRetry(ctx.cb.retry);
+        if (retry instanceof Error) {
+            return $p.reject(retry);
+        }
+        ctx.ctx.attempt = 1;
+        ctx.ctx.failures = [];
+    }
 
     update(true);
 
     if (isTX) {
         // executing a transaction;
         spName = "level_" + ctx.txLevel;
+        return transact();
+    }
+
+    // executes a single transaction attempt;
+    function transact() {
+        var cbData, cbReason, success;
         return begin()
             .then(function () {
                     return callback()
@@ -246,16 +461,12 @@ Task.exec = function (ctx, obj, isTX, config) {
                                     update(false, true, cbData);
                                     return cbData;
                                 } else {
-                                    update(false, false, cbReason);
-                                    return $p.reject(cbReason);
+                                    return failed(cbReason);
                                 }
                             },
-                            // istanbul ignore next: either `commit` or `rollback` has failed, which is
-                            // impossible to replicate in a test environment, so skipping from the test;
-                            function (reason) {
-                                update(false, false, reason);
-                                return $p.reject(reason);
-                            });
+                            // either `commit` or `rollback` has failed, and the former
+                            // can be a serialization failure that's worth retrying;
+                            failed);
                 },
                 // istanbul ignore next: `begin` has failed, which is impossible
                 // to replicate in a test environment, so skipping from the test;
@@ -265,6 +476,36 @@ Task.exec = function (ctx, obj, isTX, config) {
                 });
     }
 
+    // handles a failed transaction attempt, retrying it when required;
+    function failed(reason) {
+        var c = ctx.ctx;
+        if (retry && c.attempt <= retry.max && reason && retry.codes.indexOf(reason.code) !== -1) {
+            var delay = retry.backoff;
+            if (typeof delay === 'function') {
+                try {
+                    delay = delay(c.attempt, reason);
+                } catch (e) {
+                    update(false, false, e);
+                    return $p.reject(e);
+                }
+            }
+            c.failures.push(reason);
+            c.attempt++;
+            // notifying of the new attempt;
+            $npm.events.transact(ctx.options, {
+                client: ctx.db.client,
+                dc: ctx.dc,
+                ctx: c
+            });
+            return $p(function (resolve) {
+                setTimeout(resolve, delay > 0 ? delay : 0);
+            })
+                .then(transact);
+        }
+        update(false, false, reason);
+        return $p.reject(reason);
+    }
+
     function begin() {
         if (!ctx.txLevel && ctx.cb.txMode instanceof $npm.mode.TransactionMode) {
             return exec(ctx.cb.txMode.begin(capSQL), 'savepoint');
@@ -300,6 +541,39 @@ Task.exec = function (ctx, obj, isTX, config) {
 
 };
 
+///////////////////////////////////////////
+// Parses and validates a retry policy for
+// a transaction, returning an error when invalid.
+function parseRetry(retry) {
+    if (!retry || typeof retry !== 'object') {
+        return new TypeError("Invalid transaction retry policy.");
+    }
+    var policy = {
+        max: 3,
+        backoff: 0,
+        codes: ['40001', '40P01'] // serialization_failure + deadlock_detected
+    };
+    if (retry.max !== undefined) {
+        if (retry.max !== parseInt(retry.max) || retry.max < 0) {
+            return new TypeError("Invalid retry option 'max'.");
+        }
+        policy.max = retry.max;
+    }
+    if (retry.backoff !== undefined) {
+        if (typeof retry.backoff !== 'function' && (typeof retry.backoff !== 'number' || !(retry.backoff >= 0))) {
+            return new TypeError("Invalid retry option 'backoff'.");
+        }
+        policy.backoff = retry.backoff;
+    }
+    if (retry.codes !== undefined) {
+        if (!Array.isArray(retry.codes)) {
+            return new TypeError("Invalid retry option 'codes'.");
+        }
+        policy.codes = retry.codes;
+    }
+    return policy;
+}
+
 module.exports = function (config) {
     var npm = config.$npm;
 
@@ -0,0 +1,112 @@
+'use strict';
+
+var $npm = {
+    pubUtils: require('./utils/public')
+};
+
+var $arr = require('./array');
+
+/////////////////////////////////////////////////////////////
+// Parses initialization option 'transform', returning either
+// undefined (not set) or {types, columns, keys}, and throwing
+// an error when the option is invalid.
+function parse(transform) {
+    if (transform === undefined || transform === null) {
+        return;
+    }
+    var t = {
+        types: Object.create(null),
+        columns: Object.create(null),
+        keys: undefined
+    };
+    if (typeof transform !== 'object' || !copy(transform.types, t.types) || !copy(transform.columns, t.columns) ||
+        !setKeys(transform.keys)) {
+        throw new TypeError("Invalid option 'transform' specified.");
+    }
+    return t;
+
+    function setKeys(keys) {
+        if (keys === 'camel') {
+            t.keys = $npm.pubUtils.camelize;
+        } else {
+            if (keys !== undefined && typeof keys !== 'function') {
+                return false;
+            }
+            t.keys = keys;
+        }
+        return true;
+    }
+}
+
+// copies converters into the target map, verifying that they are all functions;
+function copy(source, target) {
+    if (source === undefined) {
+        return true;
+    }
+    if (!source || typeof source !== 'object') {
+        return false;
+    }
+    for (var name in source) {
+        if (typeof source[name] !== 'function') {
+            return false;
+        }
+        target[name] = source[name];
+    }
+    return true;
+}
+
+/////////////////////////////////////////////////////////////
+// Transforms rows in place, according to the parsed option:
+//
+// - column converters by name take precedence over converters
+//   by type id, and neither is called for null values;
+// - row objects are replaced with new ones when the keys are
+//   to be renamed, while array rows (rowMode = 'array') keep
+//   their indexes.
+//
+// The fields are as provided by node-postgres, and when they
+// are missing, only the converters by column name are used.
+function apply(t, rows, fields) {
+    if (!rows.length) {
+        return;
+    }
+    var isArray = Array.isArray(rows[0]), byName = Object.create(null), columns;
+    $arr.forEach(fields || [], function (f) {
+        byName[f.name] = f;
+    });
+    if (isArray) {
+        columns = $arr.map(fields || [], function (f, idx) {
+            return {idx: idx, field: f};
+        });
+    } else {
+        columns = $arr.map(Object.keys(rows[0]), function (name) {
+            return {idx: name, field: byName[name]};
+        });
+    }
+    $arr.forEach(columns, function (c) {
+        var name = c.field ? c.field.name : c.idx;
+        c.convert = t.columns[name] || (c.field ? t.types[c.field.dataTypeID] : undefined);
+        c.key = !isArray && t.keys ? t.keys(name) : c.idx;
+    });
+    var rename = !isArray && !!t.keys;
+    for (var i = 0; i < rows.length; i++) {
+        rows[i] = transformRow(rows[i]);
+    }
+
+    function transformRow(row) {
+        var result = rename ? {} : row;
+        for (var k = 0; k < columns.length; k++) {
+            var c = columns[k], value = row[c.idx];
+            if (c.convert && value !== null && value !== undefined) {
+                value = c.convert(value, c.field);
+            }
+            result[c.key] = value;
+        }
+        return result;
+    }
+}
+
+module.exports = {
+    parse: parse,
+    apply: apply
+};
@@ -61,6 +61,10 @@ Object.freeze(isolationLevel);
  * It is used only when `tiLevel`=`isolationLevel.serializable`
  * and `readOnly`=`true`, or else it is ignored.
  *
+ * @property {boolean} readOnly
+ * Indicates whether the access mode is `READ ONLY`, which lets a transaction be routed to a replica,
+ * when the {@link Database} object uses replicas.
+ *
  * @returns {txMode.TransactionMode}
  * 
  * @see $[BEGIN], {@link txMode.isolationLevel}
@@ -148,6 +152,8 @@ function TransactionMode(tiLevel, readOnly, deferrable) {
 
     capBegin = begin.toUpperCase();
 
+    this.readOnly = !!readOnly;
+
     this.begin = function (cap) {
         return cap ? capBegin : begin;
     };
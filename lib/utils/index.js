@@ -14,6 +14,14 @@ function isText(txt) {
     return txt && typeof txt === 'string' && /\S/.test(txt);
 }
 
+//////////////////////////////////////////////////////////
+// Verifies text for being usable as a variable name, which
+// is what a property name of a column must be;
+function isValidVariable(name) {
+    var m = name.match(/[a-zA-Z0-9\$_]+/);
+    return !!m && m[0] === name;
+}
+
 //////////////////////////////////////
 // Verifies value for being an object,
 // based on type and property names.
@@ -140,6 +148,7 @@ var exp = {
     lock: lock,
     isText: isText,
     isNull: isNull,
+    isValidVariable: isValidVariable,
     isObject: isObject,
     addReadProp: addReadProp,
     addReadProperties: addReadProperties,
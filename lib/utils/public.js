@@ -7,6 +7,8 @@ var $npm = {
     package: require('../../package.json')
 };
 
+var $arr = require('../array');
+
 var EOL = require('os').EOL;
 
 /**
@@ -64,6 +66,192 @@ function camelizeVar(text) {
     return camelize(text);
 }
 
+/**
+ * @method utils.nest
+ * @description
+ * Folds flat rows, as produced by a `JOIN` query, into an array of nested objects, according to a declarative
+ * specification of key columns and child collections.
+ *
+ * Parent objects are deduplicated by their key, and child collections are deduplicated within each parent.
+ * When all key columns of a level are `null`, as in a `LEFT JOIN` without a match, no object is created
+ * for that level or anything below it.
+ *
+ * Column names within the specification can be either the same as in the rows, or their camelized versions
+ * (see {@link utils.camelize camelize}), and the other way round, so the same specification works whether
+ * the rows use the raw or the camelized column names.
+ *
+ * @param {array} rows
+ * Rows to be folded, as returned by method {@link Database.any any}.
+ *
+ * @param {object} spec
+ * Nesting specification `{key, columns, children}`:
+ *
+ * - `key` - column name, or an array of column names, to identify the object
+ * - `columns` - array of column names to be copied into the object, or an object that maps property names into
+ *   column names; when not specified, it uses all columns that are not used by the `children`
+ * - `children` - object that maps property names into nesting specifications of the child collections
+ *
+ * Invalid specification throws {@link external:TypeError TypeError} = `Invalid nesting specification.`
+ * and when a column from the specification is not in the rows, it throws {@link external:Error Error} = `Column 'name' not found.`
+ *
+ * @returns {array}
+ * Array of nested objects.
+ *
+ * @see
+ * {@link Database.nest}
+ *
+ * @example
+ *
+ * var rows = [
+ *     {user_id: 1, name: 'John', order_id: 10, total: 5},
+ *     {user_id: 1, name: 'John', order_id: 11, total: 7},
+ *     {user_id: 2, name: 'Mary', order_id: null, total: null}
+ * ];
+ *
+ * pgp.utils.nest(rows, {
+ *     key: 'user_id',
+ *     columns: {id: 'user_id', name: 'name'},
+ *     children: {
+ *         orders: {key: 'order_id', columns: {id: 'order_id', total: 'total'}}
+ *     }
+ * });
+ * //=> [
+ * //     {id: 1, name: 'John', orders: [{id: 10, total: 5}, {id: 11, total: 7}]},
+ * //     {id: 2, name: 'Mary', orders: []}
+ * //   ]
+ */
+function nest(rows, spec) {
+    if (!Array.isArray(rows)) {
+        throw new TypeError("Parameter 'rows' must be an array.");
+    }
+    spec = parseNestSpec(spec);
+    var result = [];
+    if (rows.length) {
+        resolveNestSpec(spec, Object.keys(rows[0]));
+        var index = Object.create(null);
+        for (var i = 0; i < rows.length; i++) {
+            nestRow(spec, rows[i], result, index);
+        }
+    }
+    return result;
+}
+
+// validates a nesting specification, and converts it into {keys, columns, children};
+function parseNestSpec(spec) {
+    if (!spec || typeof spec !== 'object') {
+        throw new TypeError("Invalid nesting specification.");
+    }
+    var keys = typeof spec.key === 'string' ? [spec.key] : spec.key, columns, children = [];
+    if (!isNameList(keys)) {
+        throw new TypeError("Invalid nesting specification.");
+    }
+    if (Array.isArray(spec.columns)) {
+        if (!isNameList(spec.columns)) {
+            throw new TypeError("Invalid nesting specification.");
+        }
+        columns = $arr.map(spec.columns, function (name) {
+            return {prop: name, name: name};
+        });
+    } else {
+        if (spec.columns !== undefined) {
+            if (!spec.columns || typeof spec.columns !== 'object') {
+                throw new TypeError("Invalid nesting specification.");
+            }
+            columns = $arr.map(Object.keys(spec.columns), function (prop) {
+                var name = spec.columns[prop];
+                if (typeof name !== 'string' || !name) {
+                    throw new TypeError("Invalid nesting specification.");
+                }
+                return {prop: prop, name: name};
+            });
+        }
+    }
+    if (spec.children !== undefined) {
+        if (!spec.children || typeof spec.children !== 'object') {
+            throw new TypeError("Invalid nesting specification.");
+        }
+        children = $arr.map(Object.keys(spec.children), function (prop) {
+            return {prop: prop, spec: parseNestSpec(spec.children[prop])};
+        });
+    }
+    return {keys: keys, columns: columns, children: children};
+}
+
+function isNameList(names) {
+    return Array.isArray(names) && names.length > 0 && $arr.countIf(names, function (n) {
+            return typeof n === 'string' && n.length > 0;
+        }) === names.length;
+}
+
+// resolves all column names of a specification against the row columns,
+// and returns the list of columns that are used;
+function resolveNestSpec(spec, names) {
+    var used = [];
+    $arr.forEach(spec.children, function (c) {
+        used = used.concat(resolveNestSpec(c.spec, names));
+    });
+    spec.keys = $arr.map(spec.keys, function (k) {
+        return findColumn(names, k);
+    });
+    if (spec.columns) {
+        $arr.forEach(spec.columns, function (c) {
+            c.name = findColumn(names, c.name);
+        });
+    } else {
+        spec.columns = $arr.map($arr.filter(names, function (n) {
+            return used.indexOf(n) === -1;
+        }), function (n) {
+            return {prop: n, name: n};
+        });
+    }
+    return used.concat(spec.keys, $arr.map(spec.columns, function (c) {
+        return c.name;
+    }));
+}
+
+// finds a row column by its name, either as is, or camelized;
+function findColumn(names, name) {
+    if (names.indexOf(name) !== -1) {
+        return name;
+    }
+    var camel = camelize(name);
+    for (var i = 0; i < names.length; i++) {
+        if (camelize(names[i]) === camel) {
+            return names[i];
+        }
+    }
+    throw new Error("Column '" + name + "' not found.");
+}
+
+// adds one row into the list of objects, recursively for all the children;
+function nestRow(spec, row, list, index) {
+    var values = $arr.map(spec.keys, function (k) {
+        return row[k];
+    });
+    var isEmpty = $arr.countIf(values, function (v) {
+            return v === null || v === undefined;
+        }) === values.length;
+    if (isEmpty) {
+        return;
+    }
+    var id = JSON.stringify(values), entry = index[id];
+    if (!entry) {
+        var obj = {};
+        $arr.forEach(spec.columns, function (c) {
+            obj[c.prop] = row[c.name];
+        });
+        entry = index[id] = {obj: obj, children: Object.create(null)};
+        $arr.forEach(spec.children, function (c) {
+            obj[c.prop] = [];
+            entry.children[c.prop] = Object.create(null);
+        });
+        list.push(obj);
+    }
+    $arr.forEach(spec.children, function (c) {
+        nestRow(c.spec, row, entry.obj[c.prop], entry.children[c.prop]);
+    });
+}
+
 function _enumSql(dir, options, cb, namePath) {
     var tree = {};
     $npm.fs.readdirSync(dir).forEach(function (file) {
@@ -501,6 +689,361 @@ function buildSqlModule(config) {
 }
 
 
+/**
+ * @method utils.buildRepositories
+ * @description
+ * Generates a repository module for every table in the specified schemas, with the table details read
+ * via {@link Database.introspect.table introspect.table}.
+ *
+ * For each table, the method writes into the output directory:
+ *
+ * - `<name>.js` - repository class, with the table details embedded in it, for {@link helpers.ColumnSet.fromInfo ColumnSet.fromInfo}
+ * - `<name>.d.ts` - TypeScript declarations for the repository class and the table row
+ *
+ * where `<name>` is the table name, passed through {@link utils.camelizeVar camelizeVar}, and when more than one schema
+ * is used - the schema name plus the table name.
+ *
+ * A repository class is created with `new Repository(db, pgp)`, where `db` is a {@link Database} or {@link Task} object,
+ * and it has the following methods:
+ *
+ * - `insert(data)` - inserts a new row via {@link helpers.insert}, and resolves with the new row
+ * - `find(key)` - resolves with the row found by the primary key, or `null` when not found
+ * - `update(data)` - updates a row by the primary key via {@link helpers.update}, and resolves with the updated row or `null`
+ * - `delete(key)` - deletes a row by the primary key, and resolves with the number of deleted rows
+ *
+ * Only the properties present in the data are inserted or updated, plus the columns with literal defaults on insert.
+ * The `key` is the primary key value, or an object with the primary key properties; tables without a primary key
+ * get method `insert` only.
+ *
+ * Every method executes its query within a {@link Database.task task}, so invalid data, like a missing key property,
+ * results in a rejected promise, and not in an error thrown by the method.
+ *
+ * The method also writes `index.js` and `index.d.ts`, exporting all the repository classes, by their names, to be used
+ * from event {@link event:extend extend}.
+ *
+ * @param {object} config
+ * Generator configuration.
+ *
+ * @param {Database} config.db
+ * Database object, to read the tables from.
+ *
+ * @param {string|string[]} [config.schemas=public]
+ * Schema name(s), to generate repositories for all their tables.
+ *
+ * @param {string} config.outDir
+ * Output directory, either absolute or relative to the application's start-up directory. It is created, if it doesn't exist.
+ *
+ * @returns {external:Promise}
+ * Resolves with the list of generated file names.
+ *
+ * @example
+ *
+ * pgp.utils.buildRepositories({db: db, schemas: 'public', outDir: './db/repos'})
+ *     .then(function (files) {
+ *         // files = ['users.js', 'users.d.ts', ..., 'index.js', 'index.d.ts']
+ *     });
+ *
+ * // then using the generated repositories:
+ *
+ * var repos = require('./db/repos');
+ *
+ * var pgp = require('pg-promise')({
+ *     extend: function (obj) {
+ *         for (var name in repos) {
+ *             obj[name] = new repos[name](obj, pgp);
+ *         }
+ *     }
+ * });
+ *
+ * db.users.insert({login: 'John'})
+ *     .then(function (user) {
+ *         return db.users.update({id: user.id, active: true});
+ *     });
+ */
+function buildRepositories(config) {
+
+    if (!config || typeof config !== 'object') {
+        throw new TypeError("Invalid parameter 'config' specified.");
+    }
+
+    var db = config.db, schemas = config.schemas === undefined ? ['public'] : config.schemas;
+
+    if (!db || typeof db !== 'object' || !db.introspect) {
+        throw new TypeError("Property 'db' must be a Database object.");
+    }
+
+    if (typeof schemas === 'string') {
+        schemas = [schemas];
+    }
+
+    if (!Array.isArray(schemas) || !schemas.length || $arr.countIf(schemas, $npm.utils.isText) !== schemas.length) {
+        throw new TypeError("Property 'schemas' must be a non-empty string or array of strings.");
+    }
+
+    if (!$npm.utils.isText(config.outDir)) {
+        throw new Error("Property 'outDir' must be a non-empty string.");
+    }
+
+    var dir = $npm.utils.isPathAbsolute(config.outDir) ? config.outDir : $npm.path.join($npm.utils.startDir, config.outDir);
+
+    var tablesQuery = "SELECT table_schema AS schema, table_name AS table FROM information_schema.tables " +
+        "WHERE table_type = 'BASE TABLE' AND table_schema IN ($1:csv) ORDER BY table_schema, table_name";
+
+    return db.any(tablesQuery, [schemas])
+        .then(function (tables) {
+            var repos = [];
+            return next(0);
+
+            // introspecting the tables in sequence;
+            function next(idx) {
+                if (idx === tables.length) {
+                    return writeRepositories(dir, repos);
+                }
+                return db.introspect.table(tables[idx])
+                    .then(function (info) {
+                        repos.push(generateRepository(info, schemas.length > 1));
+                        return next(idx + 1);
+                    });
+            }
+        });
+}
+
+// generates {name, className, js, dts} for one table;
+function generateRepository(info, withSchema) {
+
+    // required here, as helpers depend on this module:
+    var cs = require('../helpers/columnSet').fromInfo(info);
+
+    var name = camelizeVar(withSchema ? info.schema + '_' + info.table : info.table),
+        className = name[0].toUpperCase() + name.substr(1) + 'Repository',
+        keys = $arr.filter(cs.columns, function (c) {
+            return c.cnd;
+        });
+
+    var js = [
+        generatedHeader("Table: " + cs.table.name),
+        "'use strict';",
+        "",
+        "var info = " + JSON.stringify(info, null, 4) + ";",
+        "",
+        "/**",
+        " * Repository for table " + cs.table.name + ".",
+        " *",
+        " * @param {Database|Task} db",
+        " * @param {object} pgp",
+        " */",
+        "function " + className + "(db, pgp) {",
+        "",
+        "    var cs = pgp.helpers.ColumnSet.fromInfo(info);",
+        "",
+        "    // inserts a new row, and resolves with it;",
+        "    this.insert = function (data) {",
+        "        return run(function (t) {",
+        "            return t.one(pgp.helpers.insert(data, columns(data, true)) + ' RETURNING *');",
+        "        });",
+        "    };"
+    ];
+
+    if (keys.length) {
+        var where = ' WHERE ' + $arr.map(keys, function (c) {
+                return c.escapedName + ' = ' + c.variable;
+            }).join(' AND '),
+            keyProp = keys[0].prop || keys[0].name,
+            keyValue = keys.length > 1 ? 'key' : "key !== null && typeof key === 'object' ? key : {" + keyProp + ": key}";
+        js.push(
+            "",
+            "    // finds a row by the primary key, and resolves with it or null;",
+            "    this.find = function (key) {",
+            "        return run(function (t) {",
+            "            return t.oneOrNone('SELECT * FROM ' + cs.table.name + where(key));",
+            "        });",
+            "    };",
+            "",
+            "    // updates a row by the primary key, and resolves with it or null;",
+            "    this.update = function (data) {",
+            "        return run(function (t) {",
+            "            return t.oneOrNone(pgp.helpers.update(data, columns(data)) + where(data) + ' RETURNING *');",
+            "        });",
+            "    };",
+            "",
+            "    // deletes a row by the primary key, and resolves with the number of deleted rows;",
+            "    this.delete = function (key) {",
+            "        return run(function (t) {",
+            "            return t.result('DELETE FROM ' + cs.table.name + where(key), undefined, function (r) {",
+            "                return r.rowCount;",
+            "            });",
+            "        });",
+            "    };",
+            "",
+            "    // formats the condition for the primary key;",
+            "    function where(key) {",
+            "        return pgp.as.format(" + JSON.stringify(where) + ", " + keyValue + ");",
+            "    }"
+        );
+    }
+
+    js.push(
+        "",
+        "    // columns present in the data, plus those with defaults when inserting;",
+        "    function columns(data, insert) {",
+        "        return new pgp.helpers.ColumnSet(cs.columns.filter(function (c) {",
+        "            return (c.prop || c.name) in data || (insert && 'def' in c);",
+        "        }), {table: cs.table});",
+        "    }",
+        "",
+        "    // executes the callback within a task, so an error thrown while",
+        "    // formatting the query results in a rejected promise;",
+        "    function run(cb) {",
+        "        return db.task(cb);",
+        "    }",
+        "}",
+        "",
+        "module.exports = " + className + ";",
+        ""
+    );
+
+    var dts = [
+        generatedHeader("Table: " + cs.table.name),
+        "import * as pgPromise from 'pg-promise';",
+        "import XPromise = require('ext-promise');",
+        "",
+        "declare namespace " + className + " {",
+        "",
+        "    // table row;",
+        "    interface Row {"
+    ];
+
+    var hasProps = false;
+
+    $arr.forEach(cs.columns, function (c, idx) {
+        hasProps = hasProps || !!c.prop;
+        dts.push("        " + JSON.stringify(c.name).replace(/^"([a-zA-Z_$][\w$]*)"$/, '$1') + optional(idx) + ':' + tsType(info.columns[idx]) + ';');
+    });
+
+    dts.push("    }");
+
+    if (hasProps) {
+        // column names that are not valid variables are camelized in the data;
+        dts.push("", "    // data for insert and update;", "    interface Data {");
+        $arr.forEach(cs.columns, function (c, idx) {
+            dts.push("        " + (c.prop || c.name) + optional(idx) + ':' + tsType(info.columns[idx]) + ';');
+        });
+        dts.push("    }");
+    }
+
+    if (keys.length) {
+        dts.push("", "    // primary key;", "    interface Key {");
+        $arr.forEach(keys, function (c) {
+            dts.push("        " + (c.prop || c.name) + ':' + tsType(info.columns[columnIndex(c)]) + ';');
+        });
+        dts.push("    }");
+    }
+
+    dts.push(
+        "}",
+        "",
+        "declare class " + className + " {",
+        "    constructor(db:pgPromise.IBaseProtocol<any>, pgp:pgPromise.IMain);",
+        "",
+        "    insert(data:" + className + (hasProps ? ".Data" : ".Row") + "):XPromise<" + className + ".Row>;"
+    );
+
+    if (keys.length) {
+        var keyType = keys.length > 1 ? className + '.Key' : tsType(info.columns[columnIndex(keys[0])]) + '|' + className + '.Key';
+        dts.push(
+            "",
+            "    find(key:" + keyType + "):XPromise<" + className + ".Row>;",
+            "",
+            "    update(data:" + className + (hasProps ? ".Data" : ".Row") + "):XPromise<" + className + ".Row>;",
+            "",
+            "    delete(key:" + keyType + "):XPromise<number>;"
+        );
+    }
+
+    dts.push("}", "", "export = " + className + ";", "");
+
+    return {
+        name: name,
+        className: className,
+        js: js.join(EOL),
+        dts: dts.join(EOL)
+    };
+
+    function columnIndex(col) {
+        return cs.columns.indexOf(col);
+    }
+
+    function optional(idx) {
+        var col = info.columns[idx];
+        return col.nullable || col.default !== null ? '?' : '';
+    }
+}
+
+// writes all repositories plus the index files, and returns the list of file names;
+function writeRepositories(dir, repos) {
+    var files = [], index = [generatedHeader("Total repositories: " + repos.length), "'use strict';", "", "module.exports = {"],
+        indexDts = [generatedHeader("Total repositories: " + repos.length)];
+    $arr.forEach(repos, function (r, idx) {
+        write(r.name + '.js', r.js);
+        write(r.name + '.d.ts', r.dts);
+        index.push("    " + r.name + ": require('./" + r.name + "')" + (idx < repos.length - 1 ? ',' : ''));
+        indexDts.push("export import " + r.name + " = require('./" + r.name + "');");
+    });
+    index.push("};", "");
+    indexDts.push("");
+    write('index.js', index.join(EOL));
+    write('index.d.ts', indexDts.join(EOL));
+    return files;
+
+    function write(file, code) {
+        makeDir(dir);
+        $npm.fs.writeFileSync($npm.path.join(dir, file), code);
+        files.push(file);
+    }
+}
+
+// creates the folder, including all the missing parent folders;
+function makeDir(dir) {
+    if (!$npm.fs.existsSync(dir)) {
+        makeDir($npm.path.dirname(dir));
+        $npm.fs.mkdirSync(dir);
+    }
+}
+
+// header for the generated files;
+function generatedHeader(details) {
+    var d = new Date();
+    return "/////////////////////////////////////////////////////////////////////////" + EOL +
+        "// This file was automatically generated by pg-promise v." + $npm.package.version + EOL +
+        "//" + EOL +
+        "// Generated on: " + d.toLocaleDateString() + ', at ' + d.toLocaleTimeString() + EOL +
+        "// " + details + EOL +
+        "//" + EOL +
+        "// API: http://vitaly-t.github.io/pg-promise/utils.html#.buildRepositories" + EOL +
+        "/////////////////////////////////////////////////////////////////////////" + EOL;
+}
+
+// TypeScript type for a column, by its PostgreSQL type;
+function tsType(col) {
+    var type = col.type;
+    if (/\[\]$/.test(type)) {
+        return 'Array<' + tsType({type: type.replace(/\[\]$/, '')}) + '>';
+    }
+    if (/^(smallint|integer|real|double precision|oid)$/.test(type)) {
+        return 'number';
+    }
+    if (type === 'boolean') {
+        return 'boolean';
+    }
+    if (type === 'date' || /^timestamp/.test(type)) {
+        return 'Date';
+    }
+    if (/^(bigint|numeric|text|character|uuid|time|money|inet|cidr|macaddr|xml|name|citext)/.test(type)) {
+        return 'string';
+    }
+    return 'any';
+}
+
 /**
  * @namespace utils
  *
@@ -521,6 +1064,9 @@ function buildSqlModule(config) {
  * @property {function} camelizeVar
  * {@link utils.camelizeVar camelizeVar} - camelizes a text string as a variable
  *
+ * @property {function} nest
+ * {@link utils.nest nest} - folds flat rows into nested objects
+ *
  * @property {function} enumSql
  * {@link utils.enumSql enumSql} - enumerates SQL files in a directory
  *
@@ -530,13 +1076,18 @@ function buildSqlModule(config) {
  * @property {function} buildSqlModule
  * {@link utils.buildSqlModule buildSqlModule} - generates a complete Node.js module
  *
+ * @property {function} buildRepositories
+ * {@link utils.buildRepositories buildRepositories} - generates repository modules for database tables
+ *
  */
 module.exports = {
     camelize: camelize,
     camelizeVar: camelizeVar,
+    nest: nest,
     enumSql: enumSql,
     objectToCode: objectToCode,
-    buildSqlModule: buildSqlModule
+    buildSqlModule: buildSqlModule,
+    buildRepositories: buildRepositories
 };
 
 Object.freeze(module.exports);
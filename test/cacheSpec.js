@@ -0,0 +1,320 @@
+'use strict';
+
+var header = require('./db/header');
+var promise = header.defPromise;
+var options = {
+    promiseLib: promise
+};
+var dbHeader = header(options);
+var pgp = dbHeader.pgp;
+var db = dbHeader.db;
+
+describe("Query cache", function () {
+
+    describe("for repeated queries", function () {
+        var queries = [], results = [];
+        beforeEach(function (done) {
+            db.$cache.invalidate();
+            options.query = function (e) {
+                queries.push(e.query);
+            };
+            var q = 'select * from users where id < $1 order by id';
+            db.any(q, 3, {cache: true})
+                .then(function (data) {
+                    results.push(data);
+                    return db.any(q, 3, {cache: true});
+                })
+                .then(function (data) {
+                    results.push(data);
+                    return db.any(q, 4, {cache: true});
+                })
+                .then(function (data) {
+                    results.push(data);
+                })
+                .finally(function () {
+                    delete options.query;
+                    done();
+                });
+        });
+        it("must serve the cached rows without executing the query", function () {
+            expect(queries).toEqual([
+                'select * from users where id < 3 order by id',
+                'select * from users where id < 4 order by id'
+            ]);
+            expect(results[0].length).toBe(2);
+            expect(results[1]).toEqual(results[0]);
+            expect(results[2].length).toBe(3);
+            expect(db.$cache.size).toBe(2);
+        });
+    });
+
+    describe("with ttl", function () {
+        var queries = [];
+        beforeEach(function (done) {
+            db.$cache.invalidate();
+            options.query = function (e) {
+                queries.push(e.query);
+            };
+            db.one({query: 'select 1 as value', cache: {ttl: 0.1}})
+                .then(function () {
+                    return db.one({query: 'select 1 as value', cache: {ttl: 0.1}});
+                })
+                .delay(150)
+                .then(function () {
+                    return db.one({query: 'select 1 as value', cache: {ttl: 0.1}});
+                })
+                .finally(function () {
+                    delete options.query;
+                    done();
+                });
+        });
+        it("must expire the results", function () {
+            expect(queries.length).toBe(2);
+        });
+    });
+
+    describe("invalidate", function () {
+        var removed = [];
+        beforeEach(function (done) {
+            db.$cache.invalidate();
+            promise.each([
+                {query: 'select * from users', cache: {tags: 'users'}},
+                {query: 'select * from "public"."person"', cache: {tags: ['people', 'all']}},
+                {query: 'select * from users u join person p on p.id = u.id', cache: true}
+            ], function (q) {
+                return db.any(q);
+            })
+                .then(function () {
+                    removed.push(db.$cache.invalidate('people'));
+                    removed.push(db.$cache.invalidate({table: 'PERSON'}));
+                    removed.push(db.$cache.invalidate({table: 'public.users'}));
+                    removed.push(db.$cache.invalidate({tag: 'users'}));
+                    removed.push(db.$cache.size);
+                })
+                .finally(function () {
+                    done();
+                });
+        });
+        it("must remove results by tag and by table", function () {
+            expect(removed).toEqual([1, 1, 0, 1, 0]);
+        });
+    });
+
+    describe("inside a transaction", function () {
+        var queries = [];
+        beforeEach(function (done) {
+            db.$cache.invalidate();
+            options.query = function (e) {
+                queries.push(e.query);
+            };
+            db.tx(function (t) {
+                return t.any('select 1 as value', [], {cache: true})
+                    .then(function () {
+                        return t.any('select 1 as value', [], {cache: true});
+                    });
+            })
+                .finally(function () {
+                    delete options.query;
+                    done();
+                });
+        });
+        it("must be ignored", function () {
+            expect(queries).toEqual(['begin', 'select 1 as value', 'select 1 as value', 'commit']);
+            expect(db.$cache.size).toBe(0);
+        });
+    });
+
+    describe("with custom settings", function () {
+        var data = {}, calls = [], cdb, sizes = [];
+        beforeEach(function (done) {
+            options.cache = {
+                max: 1,
+                adapter: {
+                    get: function (key) {
+                        calls.push('get');
+                        return promise.resolve(data[key]);
+                    },
+                    set: function (key, value) {
+                        calls.push('set');
+                        data[key] = value;
+                    },
+                    delete: function (key) {
+                        calls.push('delete');
+                        delete data[key];
+                    }
+                }
+            };
+            cdb = pgp(dbHeader.cn);
+            delete options.cache;
+            cdb.any('select 1 as value', [], {cache: true})
+                .then(function () {
+                    sizes.push(cdb.$cache.size);
+                    return cdb.any('select 1 as value', [], {cache: true});
+                })
+                .then(function () {
+                    return cdb.any('select 2 as value', [], {cache: true});
+                })
+                .then(function () {
+                    sizes.push(cdb.$cache.size);
+                })
+                .finally(function () {
+                    done();
+                });
+        });
+        it("must use the adapter and the maximum", function () {
+            expect(cdb.$cache.max).toBe(1);
+            expect(sizes).toEqual([1, 1]);
+            expect(calls).toEqual(['get', 'set', 'get', 'get', 'delete', 'set']);
+            expect(Object.keys(data).length).toBe(1);
+        });
+    });
+
+    describe("for changed rows", function () {
+        var results = [];
+        beforeEach(function (done) {
+            db.$cache.invalidate();
+            var q = {query: "select 1 as id, '{\"a\": [1]}'::json as info", cache: true};
+            db.one(q)
+                .then(function (data) {
+                    data.id = 2;
+                    data.info.a.push(2);
+                    return db.one(q);
+                })
+                .then(function (data) {
+                    results.push(JSON.stringify(data));
+                    data.id = 3;
+                    data.info.a.push(3);
+                    return db.one(q);
+                })
+                .then(function (data) {
+                    results.push(JSON.stringify(data));
+                })
+                .finally(function () {
+                    done();
+                });
+        });
+        it("must serve the original rows", function () {
+            expect(results).toEqual(['{"id":1,"info":{"a":[1]}}', '{"id":1,"info":{"a":[1]}}']);
+        });
+    });
+
+    describe("with a shared adapter", function () {
+        var data = {}, queries = [], results = [];
+        beforeEach(function (done) {
+            options.cache = {
+                adapter: {
+                    get: function (key) {
+                        return data[key] && JSON.parse(data[key]);
+                    },
+                    set: function (key, value) {
+                        data[key] = JSON.stringify(value);
+                    },
+                    delete: function (key) {
+                        delete data[key];
+                    }
+                }
+            };
+            var db1 = pgp(dbHeader.cn), db2 = pgp(dbHeader.cn);
+            delete options.cache;
+            options.query = function (e) {
+                queries.push(e.query);
+            };
+            db1.any('select 1 as value', [], {cache: {tags: 'shared'}})
+                .then(function () {
+                    return db2.any('select 1 as value', [], {cache: {tags: 'shared'}});
+                })
+                .then(function (d) {
+                    results.push(d, db2.$cache.size);
+                    results.push(db2.$cache.invalidate('shared'));
+                    return db1.any('select 1 as value', [], {cache: {tags: 'shared'}});
+                })
+                .then(function (d) {
+                    results.push(d, db1.$cache.size);
+                })
+                .finally(function () {
+                    delete options.query;
+                    done();
+                });
+        });
+        it("must serve results cached by another object", function () {
+            expect(queries).toEqual(['select 1 as value', 'select 1 as value']);
+            expect(results).toEqual([[{value: 1}], 1, 1, [{value: 1}], 1]);
+        });
+    });
+
+    describe("with a failing adapter", function () {
+        var errors = [], contexts = [], data;
+        beforeEach(function (done) {
+            options.cache = {
+                max: 1,
+                adapter: {
+                    get: function () {
+                    },
+                    set: function () {
+                        return promise.reject(new Error("Set failed."));
+                    },
+                    delete: function () {
+                        throw new Error("Delete failed.");
+                    }
+                }
+            };
+            var cdb = pgp(dbHeader.cn, 'cache-dc');
+            delete options.cache;
+            options.error = function (err, e) {
+                errors.push(err.message);
+                contexts.push(e.dc);
+            };
+            cdb.one({query: 'select 1 as value', cache: true})
+                .then(function () {
+                    return cdb.one({query: 'select 2 as value', cache: true});
+                })
+                .delay(10)
+                .then(function (d) {
+                    data = d;
+                })
+                .finally(function () {
+                    delete options.error;
+                    done();
+                });
+        });
+        it("must report the errors", function () {
+            expect(data).toEqual({value: 2});
+            expect(errors.sort()).toEqual(["Delete failed.", "Set failed.", "Set failed."]);
+            expect(contexts).toEqual(['cache-dc', 'cache-dc', 'cache-dc']);
+        });
+    });
+
+    describe("with invalid options", function () {
+        var errors = [];
+        beforeEach(function (done) {
+            promise.each([123, {ttl: 0}, {tags: 1}], function (c) {
+                return db.any('select 1', [], {cache: c})
+                    .catch(function (e) {
+                        errors.push(e);
+                    });
+            })
+                .finally(function () {
+                    done();
+                });
+        });
+        it("must reject the queries", function () {
+            expect(errors.length).toBe(3);
+            errors.forEach(function (e) {
+                expect(e instanceof TypeError).toBe(true);
+                expect(e.message).toBe("Invalid option 'cache' specified.");
+            });
+        });
+        it("must throw on invalid settings", function () {
+            [123, {max: 0}, {adapter: {}}].forEach(function (c) {
+                options.cache = c;
+                expect(function () {
+                    pgp(dbHeader.cn);
+                }).toThrow(new TypeError("Invalid option 'cache' specified."));
+            });
+            delete options.cache;
+            expect(function () {
+                db.$cache.invalidate(123);
+            }).toThrow(new TypeError("Invalid cache filter."));
+        });
+    });
+});
@@ -0,0 +1,318 @@
+'use strict';
+
+var header = require('./db/header');
+var promise = header.defPromise;
+var options = {
+    promiseLib: promise
+};
+var dbHeader = header(options);
+var pgp = dbHeader.pgp;
+var db = dbHeader.db;
+
+var QueryCancelError = pgp.errors.QueryCancelError;
+
+// creates a simple AbortSignal-like cancel token;
+function createToken() {
+    var handlers = [];
+    return {
+        aborted: false,
+        addEventListener: function (name, cb) {
+            handlers.push(cb);
+        },
+        removeEventListener: function (name, cb) {
+            handlers.splice(handlers.indexOf(cb), 1);
+        },
+        abort: function () {
+            this.aborted = true;
+            handlers.slice().forEach(function (cb) {
+                cb();
+            });
+        },
+        handlers: handlers
+    };
+}
+
+describe("Query timeout", function () {
+
+    describe("when the query is too slow", function () {
+        var error, context, duration, next;
+        beforeEach(function (done) {
+            var start = Date.now();
+            options.error = function (err, e) {
+                context = e;
+            };
+            db.task(function (t) {
+                return t.one({query: 'select pg_sleep(5)', timeout: 100})
+                    .catch(function (e) {
+                        error = e;
+                        duration = Date.now() - start;
+                        // the connection must still be usable:
+                        return t.one('select 123 as value');
+                    });
+            })
+                .then(function (data) {
+                    next = data;
+                })
+                .finally(function () {
+                    delete options.error;
+                    done();
+                });
+        });
+        it("must cancel the query", function () {
+            expect(error instanceof QueryCancelError).toBe(true);
+            expect(error.message).toBe("Query timed out after 100 ms.");
+            expect(error.timeout).toBe(100);
+            expect(error.query).toBe('select pg_sleep(5)');
+            expect(duration).toBeLessThan(3000);
+            expect(context.query).toBe('select pg_sleep(5)');
+            expect(next).toEqual({value: 123});
+        });
+    });
+
+    describe("when the query is fast enough", function () {
+        var data;
+        beforeEach(function (done) {
+            db.one({query: 'select $1 as value', timeout: 1000}, 123)
+                .then(function (d) {
+                    data = d;
+                })
+                .finally(function () {
+                    done();
+                });
+        });
+        it("must resolve with the data", function () {
+            expect(data).toEqual({value: 123});
+        });
+    });
+
+    describe("when waiting for another query", function () {
+        var results;
+        beforeEach(function (done) {
+            db.task(function (t) {
+                return t.batch([
+                    t.any('select pg_sleep(0.5)'),
+                    t.any({query: 'select pg_sleep(5)', timeout: 100})
+                ]);
+            })
+                .catch(function (e) {
+                    results = e.data;
+                })
+                .finally(function () {
+                    done();
+                });
+        });
+        it("must time out without cancelling the other query", function () {
+            expect(results[0].success).toBe(true);
+            expect(results[1].success).toBe(false);
+            expect(results[1].result instanceof QueryCancelError).toBe(true);
+            expect(results[1].result.timeout).toBe(100);
+        });
+    });
+
+    describe("when the query finishes despite the cancellation", function () {
+        var data, error;
+        beforeEach(function (done) {
+            // the query survives the cancellation, and finishes successfully:
+            var query = "do $$ begin perform pg_sleep(0.5); exception when query_canceled then null; end $$";
+            db.any({query: query, timeout: 100})
+                .then(function (d) {
+                    data = d;
+                }, function (e) {
+                    error = e;
+                })
+                .finally(function () {
+                    done();
+                });
+        });
+        it("must resolve with the result", function () {
+            expect(error).toBeUndefined();
+            expect(data).toEqual([]);
+        });
+    });
+
+    describe("with a QueryFile", function () {
+        var error;
+        beforeEach(function (done) {
+            db.none({query: new pgp.QueryFile('./invalid.sql'), timeout: 1000})
+                .catch(function (e) {
+                    error = e;
+                })
+                .finally(function () {
+                    done();
+                });
+        });
+        it("must process the file", function () {
+            expect(error instanceof pgp.errors.QueryFileError).toBe(true);
+        });
+    });
+});
+
+describe("Query cancel token", function () {
+
+    describe("when triggered during the query", function () {
+        var error, token = createToken();
+        beforeEach(function (done) {
+            setTimeout(function () {
+                token.abort();
+            }, 100);
+            db.none({query: 'select pg_sleep(5)', cancel: token})
+                .catch(function (e) {
+                    error = e;
+                })
+                .finally(function () {
+                    done();
+                });
+        });
+        it("must cancel the query", function () {
+            expect(error instanceof QueryCancelError).toBe(true);
+            expect(error.message).toBe("Query has been cancelled.");
+            expect(error.timeout).toBeUndefined();
+            expect(token.handlers.length).toBe(0);
+        });
+    });
+
+    describe("when triggered before the query", function () {
+        var error, executed, token = createToken();
+        beforeEach(function (done) {
+            token.abort();
+            options.query = function () {
+                executed = true;
+            };
+            db.none({query: 'select 1', cancel: token})
+                .catch(function (e) {
+                    error = e;
+                })
+                .finally(function () {
+                    delete options.query;
+                    done();
+                });
+        });
+        it("must reject without executing the query", function () {
+            expect(error instanceof QueryCancelError).toBe(true);
+            expect(error.message).toBe("Query has been cancelled.");
+            expect(executed).toBeUndefined();
+        });
+    });
+
+    describe("when not triggered", function () {
+        var data, token = createToken();
+        beforeEach(function (done) {
+            db.one({query: 'select 1 as value', cancel: token})
+                .then(function (d) {
+                    data = d;
+                })
+                .finally(function () {
+                    done();
+                });
+        });
+        it("must resolve and stop listening", function () {
+            expect(data).toEqual({value: 1});
+            expect(token.handlers.length).toBe(0);
+        });
+    });
+});
+
+describe("Task timeout", function () {
+
+    describe("for a task", function () {
+        var errors = [], first;
+        beforeEach(function (done) {
+            function myTask(t) {
+                return t.one('select 1 as value')
+                    .then(function (data) {
+                        first = data;
+                        return t.none('select pg_sleep(5)');
+                    })
+                    .catch(function (e) {
+                        errors.push(e);
+                        return t.none('select 2');
+                    })
+                    .catch(function (e) {
+                        errors.push(e);
+                    });
+            }
+
+            myTask.timeout = 500;
+            db.task(myTask)
+                .finally(function () {
+                    done();
+                });
+        });
+        it("must limit all queries inside the task", function () {
+            expect(first).toEqual({value: 1});
+            expect(errors.length).toBe(2);
+            expect(errors[0] instanceof QueryCancelError).toBe(true);
+            expect(errors[0].message).toBe("Query timed out after 500 ms.");
+            expect(errors[0].query).toBe('select pg_sleep(5)');
+            expect(errors[1] instanceof QueryCancelError).toBe(true);
+            expect(errors[1].query).toBe('select 2');
+        });
+    });
+
+    describe("for a transaction with a cancel token", function () {
+        var error, queries = [], token = createToken();
+        beforeEach(function (done) {
+            function myTX(t) {
+                return t.task(function () {
+                    // nested tasks inherit the limits:
+                    setTimeout(function () {
+                        token.abort();
+                    }, 100);
+                    return this.none('select pg_sleep(5)');
+                });
+            }
+
+            myTX.cancel = token;
+            options.query = function (e) {
+                queries.push(e.query);
+            };
+            db.tx(myTX)
+                .catch(function (e) {
+                    error = e;
+                })
+                .finally(function () {
+                    delete options.query;
+                    done();
+                });
+        });
+        it("must cancel the query and roll back", function () {
+            expect(error instanceof QueryCancelError).toBe(true);
+            expect(error.message).toBe("Query has been cancelled.");
+            expect(queries).toEqual(['begin', 'select pg_sleep(5)', 'rollback']);
+        });
+    });
+});
+
+describe("Invalid cancellation options", function () {
+    var errors = [];
+    beforeEach(function (done) {
+        function invalidTimeout() {
+        }
+
+        function invalidCancel() {
+        }
+
+        invalidTimeout.timeout = 'abc';
+        invalidCancel.cancel = {};
+        promise.all([
+            db.none({query: 'select 1', timeout: -1}),
+            db.none({query: 'select 1', cancel: 123}),
+            db.task(invalidTimeout),
+            db.tx(invalidCancel)
+        ].map(function (p, index) {
+            return p.catch(function (e) {
+                errors[index] = e;
+            });
+        }))
+            .finally(function () {
+                done();
+            });
+    });
+    it("must reject with the right errors", function () {
+        expect(errors[0] instanceof TypeError).toBe(true);
+        expect(errors[0].message).toBe("Invalid option 'timeout' specified.");
+        expect(errors[1].message).toBe("Invalid option 'cancel' specified.");
+        expect(errors[2].message).toBe("Invalid option 'timeout' specified.");
+        expect(errors[3].message).toBe("Invalid option 'cancel' specified.");
+    });
+});
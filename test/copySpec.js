@@ -0,0 +1,419 @@
+'use strict';
+
+var stream = require('stream');
+var header = require('./db/header');
+var promise = header.defPromise;
+var options = {
+    promiseLib: promise
+};
+var dbHeader = header(options);
+var pgp = dbHeader.pgp;
+var db = dbHeader.db;
+
+var cs = new pgp.helpers.ColumnSet([
+    'id',
+    'name',
+    'flag',
+    {name: 'info', mod: ':json'},
+    {name: 'created', def: null},
+    'data',
+    'list'
+], {table: 'copy_test'});
+
+var createTable = "drop table if exists pg_temp.copy_test; create temp table copy_test(id int, name text, flag bool, info json, created timestamptz, data bytea, list text[])";
+
+// creates a readable object stream from an array;
+function fromArray(rows) {
+    var s = new stream.Readable({objectMode: true}), idx = 0;
+    s._read = function () {
+        this.push(idx < rows.length ? rows[idx++] : null);
+    };
+    return s;
+}
+
+// creates a writable stream that collects all data;
+function collector() {
+    var w = new stream.Writable(), chunks = [];
+    w._write = function (chunk, encoding, cb) {
+        chunks.push(chunk);
+        cb();
+    };
+    w.text = function () {
+        return Buffer.concat(chunks).toString();
+    };
+    return w;
+}
+
+describe("Method copyFrom", function () {
+
+    describe("with an array", function () {
+        var result, data, queries = [];
+        var date = new Date(Date.UTC(2016, 0, 2, 3, 4, 5));
+        beforeEach(function (done) {
+            options.query = function (e) {
+                queries.push(e.query);
+            };
+            db.task(function (t) {
+                return t.none(createTable)
+                    .then(function () {
+                        return t.copyFrom(null, cs, [
+                            {id: 1, name: 'simple', flag: true, info: {a: 'b'}, created: date, data: new Buffer([1, 2, 255]), list: ['a', 'b']},
+                            {id: 2, name: 'quotes " and, commas\nand lines', flag: false, info: [1, 2], data: null, list: ['with "quotes"', null, 'back\\slash']},
+                            {id: 3, name: '', flag: null, info: null, data: null, list: null}
+                        ]);
+                    })
+                    .then(function (r) {
+                        result = r;
+                        return t.any("select * from copy_test order by id");
+                    });
+            })
+                .then(function (rows) {
+                    data = rows;
+                })
+                .finally(function () {
+                    delete options.query;
+                    done();
+                });
+        });
+        it("must insert all rows correctly", function () {
+            expect(result.processed).toBe(3);
+            expect(typeof result.duration).toBe('number');
+            expect(queries[1]).toBe('copy "copy_test"("id","name","flag","info","created","data","list") from stdin (format csv)');
+            expect(data.length).toBe(3);
+            expect(data[0]).toEqual({
+                id: 1,
+                name: 'simple',
+                flag: true,
+                info: {a: 'b'},
+                created: date,
+                data: data[0].data,
+                list: ['a', 'b']
+            });
+            expect(data[0].data.toString('hex')).toBe('0102ff');
+            expect(data[1].name).toBe('quotes " and, commas\nand lines');
+            expect(data[1].flag).toBe(false);
+            expect(data[1].info).toEqual([1, 2]);
+            expect(data[1].created).toBeNull();
+            expect(data[1].list).toEqual(['with "quotes"', null, 'back\\slash']);
+            expect(data[2].name).toBe('');
+            expect(data[2].flag).toBeNull();
+            expect(data[2].info).toBeNull();
+        });
+    });
+
+    describe("with a stream", function () {
+        var result, count, rows = [];
+        for (var i = 0; i < 10000; i++) {
+            rows.push({id: i, name: 'name-' + i, flag: i % 2 === 0, info: {i: i}, data: null, list: []});
+        }
+        beforeEach(function (done) {
+            db.task(function (t) {
+                return t.none(createTable)
+                    .then(function () {
+                        return t.copyFrom(null, cs, fromArray(rows));
+                    })
+                    .then(function (r) {
+                        result = r;
+                        return t.one("select count(*) from copy_test", [], function (c) {
+                            return +c.count;
+                        });
+                    });
+            })
+                .then(function (c) {
+                    count = c;
+                })
+                .finally(function () {
+                    done();
+                });
+        });
+        it("must insert all rows", function () {
+            expect(result.processed).toBe(10000);
+            expect(count).toBe(10000);
+        });
+    });
+
+    describe("with capitalized SQL", function () {
+        var query;
+        beforeEach(function (done) {
+            options.capSQL = true;
+            options.query = function (e) {
+                query = e.query;
+            };
+            db.task(function (t) {
+                return t.none(createTable)
+                    .then(function () {
+                        return t.copyFrom('copy_test', ['id'], [{id: 1}]);
+                    });
+            })
+                .finally(function () {
+                    delete options.query;
+                    options.capSQL = false;
+                    done();
+                });
+        });
+        it("must capitalize the command", function () {
+            expect(query).toBe('COPY "copy_test"("id") FROM STDIN (FORMAT CSV)');
+        });
+    });
+
+    describe("negative", function () {
+
+        function getError(cb, done) {
+            var error;
+            db.task(function (t) {
+                return t.none(createTable)
+                    .then(function () {
+                        return cb(t);
+                    })
+                    .catch(function (e) {
+                        error = e;
+                        return t.one("select count(*) from copy_test");
+                    });
+            })
+                .then(function (c) {
+                    done(error, +c.count);
+                });
+        }
+
+        describe("with invalid parameters", function () {
+            var errors = [];
+            beforeEach(function (done) {
+                promise.all([
+                    db.copyFrom('copy_test', ['id']),
+                    db.copyFrom('copy_test', null, []),
+                    db.copyFrom('copy_test', [], []),
+                    db.copyFrom(null, ['id'], [])
+                ].map(function (p, index) {
+                    return p.catch(function (e) {
+                        errors[index] = e;
+                    });
+                }))
+                    .finally(function () {
+                        done();
+                    });
+            });
+            it("must reject with the right errors", function () {
+                expect(errors[0] instanceof TypeError).toBe(true);
+                expect(errors[0].message).toBe("Invalid or missing COPY source.");
+                expect(errors[1].message).toBe("Parameter 'columns' is required for COPY.");
+                expect(errors[2].message).toBe("Cannot COPY without any columns.");
+                expect(errors[3].message).toBe("Table name is unknown.");
+            });
+        });
+
+        describe("with an invalid object", function () {
+            var error, count, context;
+            beforeEach(function (done) {
+                options.error = function (err, e) {
+                    context = e;
+                };
+                getError(function (t) {
+                    return t.copyFrom(null, cs, [{id: 1, name: 'one', flag: true, info: null, data: null, list: null}, 123]);
+                }, function (e, c) {
+                    error = e;
+                    count = c;
+                    delete options.error;
+                    done();
+                });
+            });
+            it("must abort the COPY", function () {
+                expect(error instanceof Error).toBe(true);
+                expect(error.message).toBe("Invalid COPY object at index 1.");
+                expect(count).toBe(0);
+                expect(context.query).toContain('copy "copy_test"');
+            });
+        });
+
+        describe("with a missing property", function () {
+            var error, count;
+            beforeEach(function (done) {
+                getError(function (t) {
+                    return t.copyFrom('copy_test', ['id', 'name'], fromArray([{id: 1}]));
+                }, function (e, c) {
+                    error = e;
+                    count = c;
+                    done();
+                });
+            });
+            it("must abort the COPY", function () {
+                expect(error.message).toBe("Property 'name' doesn't exist.");
+                expect(count).toBe(0);
+            });
+        });
+
+        describe("with a failing stream", function () {
+            var error, count;
+            beforeEach(function (done) {
+                getError(function (t) {
+                    var s = new stream.Readable({objectMode: true});
+                    s._read = function () {
+                        this.emit('error', new Error("Ops!"));
+                    };
+                    return t.copyFrom('copy_test', ['id'], s);
+                }, function (e, c) {
+                    error = e;
+                    count = c;
+                    done();
+                });
+            });
+            it("must reject with the stream error", function () {
+                expect(error.message).toBe("Ops!");
+                expect(count).toBe(0);
+            });
+        });
+
+        describe("with a server error", function () {
+            var error, count;
+            beforeEach(function (done) {
+                getError(function (t) {
+                    return t.copyFrom('copy_test', ['id'], [{id: 'text'}]);
+                }, function (e, c) {
+                    error = e;
+                    count = c;
+                    done();
+                });
+            });
+            it("must reject with the server error", function () {
+                expect(error.message).toContain('invalid input syntax for type integer');
+                expect(count).toBe(0);
+            });
+        });
+
+        describe("with a server error while streaming", function () {
+            var error, source;
+            beforeEach(function (done) {
+                getError(function (t) {
+                    // the first row fills a whole chunk, and the stream stalls after it:
+                    source = new stream.Readable({objectMode: true});
+                    source._read = function () {
+                        if (!this.sent) {
+                            this.sent = true;
+                            this.push({id: new Array(70000).join('x')});
+                        }
+                    };
+                    return t.copyFrom('copy_test', ['id'], source);
+                }, function (e) {
+                    error = e;
+                    done();
+                });
+            });
+            it("must detach from the source and destroy it", function () {
+                expect(error.message).toContain('invalid input syntax for type integer');
+                expect(source.listenerCount('data')).toBe(0);
+                expect(source.listenerCount('end')).toBe(0);
+                expect(source.destroyed).toBe(true);
+            });
+        });
+
+        describe("with the query event throwing", function () {
+            var error, context;
+            beforeEach(function (done) {
+                options.query = function () {
+                    throw new Error("Query Event Error");
+                };
+                options.error = function (err, e) {
+                    context = e;
+                };
+                db.copyFrom('copy_test', ['id'], [])
+                    .catch(function (e) {
+                        error = e;
+                    })
+                    .finally(function () {
+                        delete options.query;
+                        delete options.error;
+                        done();
+                    });
+            });
+            it("must reject with the event error", function () {
+                expect(error.message).toBe("Query Event Error");
+                expect(context.query).toBe('copy "copy_test"("id") from stdin (format csv)');
+            });
+        });
+    });
+});
+
+describe("Method copyTo", function () {
+
+    describe("with a valid query", function () {
+        var result, text, finished, query;
+        beforeEach(function (done) {
+            options.query = function (e) {
+                query = e.query;
+            };
+            var w = collector();
+            w.on('finish', function () {
+                finished = true;
+            });
+            db.copyTo('select id, login from users order by id', w)
+                .then(function (r) {
+                    result = r;
+                    text = w.text();
+                })
+                .finally(function () {
+                    delete options.query;
+                    done();
+                });
+        });
+        it("must write all data", function () {
+            expect(result.processed).toBe(4);
+            expect(text).toBe('1,user-1\n2,user-2\n3,user-3\n4,user-4\n');
+            expect(query).toBe('copy (select id, login from users order by id) to stdout (format csv)');
+            expect(finished).toBe(true);
+        });
+    });
+
+    describe("negative", function () {
+
+        describe("with invalid parameters", function () {
+            var errors = [];
+            beforeEach(function (done) {
+                promise.all([
+                    db.copyTo(),
+                    db.copyTo('select 1'),
+                    db.copyTo(new pgp.QueryFile('./invalid.sql'), collector())
+                ].map(function (p, index) {
+                    return p.catch(function (e) {
+                        errors[index] = e;
+                    });
+                }))
+                    .finally(function () {
+                        done();
+                    });
+            });
+            it("must reject with the right errors", function () {
+                expect(errors[0] instanceof TypeError).toBe(true);
+                expect(errors[0].message).toBe("Invalid COPY query.");
+                expect(errors[1].message).toBe("Invalid or missing COPY destination.");
+                expect(errors[2] instanceof pgp.errors.QueryFileError).toBe(true);
+            });
+        });
+
+        describe("with an invalid query", function () {
+            var error, context, destroyed;
+            beforeEach(function (done) {
+                options.error = function (err, e) {
+                    context = e;
+                };
+                var w = collector();
+                w.destroy = function () {
+                    destroyed = true;
+                };
+                db.copyTo('select * from unknown', w)
+                    .catch(function (e) {
+                        error = e;
+                    })
+                    .finally(function () {
+                        delete options.error;
+                        done();
+                    });
+            });
+            it("must reject with the server error", function () {
+                expect(error.message).toBe('relation "unknown" does not exist');
+                expect(context.query).toBe('copy (select * from unknown) to stdout (format csv)');
+            });
+            it("must destroy the destination", function () {
+                expect(destroyed).toBe(true);
+            });
+        });
+    });
+});
@@ -0,0 +1,217 @@
+'use strict';
+
+var header = require('./db/header');
+var promise = header.defPromise;
+var options = {
+    promiseLib: promise
+};
+var dbHeader = header(options);
+var pgp = dbHeader.pgp;
+var db = dbHeader.db;
+
+// reads all rows from the cursor;
+function readAll(c) {
+    var rows = [];
+
+    function loop() {
+        return c.next()
+            .then(function (r) {
+                if (r.done) {
+                    return rows;
+                }
+                rows.push(r.value);
+                return loop();
+            });
+    }
+
+    return loop();
+}
+
+describe("Method cursor", function () {
+
+    it("must return an iterator", function () {
+        var c = db.cursor('select 1');
+        expect(typeof c.next).toBe('function');
+        expect(typeof c.return).toBe('function');
+        if (typeof Symbol === 'function' && Symbol.asyncIterator) {
+            expect(c[Symbol.asyncIterator]()).toBe(c);
+        }
+    });
+
+    describe("with multiple batches", function () {
+        var result, queries = [], received = 0;
+        beforeEach(function (done) {
+            options.query = function (e) {
+                queries.push(e.query);
+            };
+            options.receive = function () {
+                received++;
+            };
+            readAll(db.cursor('select * from users where id <= $1 order by id', 4, {batchSize: 3}))
+                .then(function (data) {
+                    result = data;
+                })
+                .finally(function () {
+                    delete options.query;
+                    delete options.receive;
+                    done();
+                });
+        });
+        it("must iterate through all rows", function () {
+            expect(result.length).toBe(4);
+            expect(result[0].id).toBe(1);
+            expect(result[3].id).toBe(4);
+            expect(received).toBe(2);
+            expect(queries[0]).toBe('begin');
+            expect(queries[1]).toMatch(/^declare pgp_cursor_\d+ no scroll cursor for select \* from users where id <= 4 order by id$/);
+            expect(queries[2]).toMatch(/^fetch 3 from pgp_cursor_\d+$/);
+            expect(queries[queries.length - 2]).toMatch(/^close pgp_cursor_\d+$/);
+            expect(queries[queries.length - 1]).toBe('commit');
+        });
+    });
+
+    describe("when finished early", function () {
+        var first, last, queries = [];
+        beforeEach(function (done) {
+            options.query = function (e) {
+                queries.push(e.query);
+            };
+            var c = db.cursor('select * from users order by id', null, {batchSize: 1});
+            c.next()
+                .then(function (r) {
+                    first = r;
+                    return c.return(123);
+                })
+                .then(function () {
+                    return c.next();
+                })
+                .then(function (r) {
+                    last = r;
+                })
+                .finally(function () {
+                    delete options.query;
+                    done();
+                });
+        });
+        it("must close the cursor and stop", function () {
+            expect(first.done).toBe(false);
+            expect(first.value.id).toBe(1);
+            expect(last.done).toBe(true);
+            expect(queries[queries.length - 1]).toBe('commit');
+        });
+    });
+
+    describe("inside a transaction", function () {
+        var result, queries = [];
+        beforeEach(function (done) {
+            options.query = function (e) {
+                queries.push(e.query);
+            };
+            db.tx(function (t) {
+                return readAll(t.cursor('select * from users'));
+            })
+                .then(function (data) {
+                    result = data;
+                })
+                .finally(function () {
+                    delete options.query;
+                    done();
+                });
+        });
+        it("must use a save-point", function () {
+            expect(result.length).toBe(4);
+            expect(queries[1]).toBe('savepoint level_1');
+        });
+    });
+
+    describe("with capitalized SQL", function () {
+        var queries = [];
+        beforeEach(function (done) {
+            options.capSQL = true;
+            options.query = function (e) {
+                queries.push(e.query);
+            };
+            readAll(db.cursor('select 1'))
+                .finally(function () {
+                    delete options.query;
+                    options.capSQL = false;
+                    done();
+                });
+        });
+        it("must capitalize cursor commands", function () {
+            expect(queries[1]).toMatch(/^DECLARE PGP_CURSOR_\d+ NO SCROLL CURSOR FOR select 1$/);
+            expect(queries[2]).toMatch(/^FETCH 100 FROM PGP_CURSOR_\d+$/);
+        });
+    });
+
+    describe("negative", function () {
+
+        function getError(c, cb) {
+            c.next()
+                .then(function () {
+                    cb(null);
+                }, function (reason) {
+                    cb(reason);
+                });
+        }
+
+        describe("with invalid options", function () {
+            var errors = [];
+            beforeEach(function (done) {
+                getError(db.cursor('select 1', null, 123), function (e1) {
+                    errors.push(e1);
+                    getError(db.cursor('select 1', null, {batchSize: 0}), function (e2) {
+                        errors.push(e2);
+                        getError(db.cursor(), function (e3) {
+                            errors.push(e3);
+                            done();
+                        });
+                    });
+                });
+            });
+            it("must reject with the right errors", function () {
+                expect(errors[0] instanceof TypeError).toBe(true);
+                expect(errors[0].message).toBe("Invalid parameter 'options' specified.");
+                expect(errors[1].message).toBe("Invalid batch size specified.");
+                expect(errors[2].message).toBe("Invalid cursor query.");
+            });
+        });
+
+        describe("with an invalid query", function () {
+            var error, context, transact;
+            beforeEach(function (done) {
+                options.error = function (err, e) {
+                    context = e;
+                };
+                options.transact = function (e) {
+                    transact = e.ctx;
+                };
+                getError(db.cursor('select * from unknown'), function (e) {
+                    error = e;
+                    delete options.error;
+                    delete options.transact;
+                    done();
+                });
+            });
+            it("must reject and roll back", function () {
+                expect(error instanceof Error).toBe(true);
+                expect(error.message).toBe('relation "unknown" does not exist');
+                expect(context.query).toMatch(/^declare pgp_cursor_\d+ no scroll cursor for select \* from unknown$/);
+                expect(transact.success).toBe(false);
+            });
+        });
+
+        describe("with a QueryFile in error state", function () {
+            var error;
+            beforeEach(function (done) {
+                getError(db.cursor(new pgp.QueryFile('./invalid.sql')), function (e) {
+                    error = e;
+                    done();
+                });
+            });
+            it("must reject with QueryFileError", function () {
+                expect(error instanceof pgp.errors.QueryFileError).toBe(true);
+            });
+        });
+    });
+});
@@ -575,6 +575,45 @@ describe("Method 'each'", function () {
     });
 });
 
+describe("Method 'nest'", function () {
+
+    describe("positive:", function () {
+        var result;
+        beforeEach(function (done) {
+            db.nest('select u.id, u.login, p.id as person_id from users u left join person p on p.id = u.id and p.id < 3 where u.id < 4 order by u.id', [], {
+                key: 'id',
+                columns: ['id'],
+                children: {
+                    people: {key: 'personId', columns: {id: 'personId'}}
+                }
+            })
+                .then(function (data) {
+                    result = data;
+                    done();
+                });
+        });
+        it("must resolve with nested objects", function () {
+            expect(result.length).toBe(3);
+            expect(Object.keys(result[0])).toEqual(['id', 'people']);
+            expect(result[2].people).toEqual([]);
+        });
+    });
+
+    describe("with invalid specification", function () {
+        var err;
+        beforeEach(function (done) {
+            db.nest('select 1 as id', [], {key: 123})
+                .catch(function (error) {
+                    err = error;
+                    done();
+                });
+        });
+        it("must reject with an error", function () {
+            expect(err).toEqual(new TypeError("Invalid nesting specification."));
+        });
+    });
+});
+
 describe("Method 'none'", function () {
 
     it("must resolve with 'undefined'", function () {
@@ -1204,6 +1243,206 @@ describe("Transactions", function () {
         });
     });
 
+    describe("With a retry policy", function () {
+
+        // raises a server-side error with the specified SQLSTATE;
+        function raise(t, code) {
+            return t.none("do $$ begin raise sqlstate '" + code + "'; end $$");
+        }
+
+        describe("for a recoverable failure", function () {
+            var result, ctx, attempts = [], delays = [], queries = [];
+            beforeEach(function (done) {
+                options.transact = function (e) {
+                    if (!e.ctx.finish) {
+                        attempts.push(e.ctx.attempt);
+                    }
+                };
+                options.query = function (e) {
+                    queries.push(e.query);
+                };
+                function myTX(t) {
+                    ctx = t.ctx;
+                    if (t.ctx.attempt < 3) {
+                        return raise(t, t.ctx.attempt === 1 ? '40001' : '40P01');
+                    }
+                    return t.one("select 123 as value");
+                }
+
+                myTX.retry = {
+                    backoff: function (attempt, error) {
+                        delays.push({attempt: attempt, code: error.code});
+                        return 10;
+                    }
+                };
+                db.tx(myTX)
+                    .then(function (data) {
+                        result = data;
+                    })
+                    .finally(function () {
+                        delete options.transact;
+                        delete options.query;
+                        done();
+                    });
+            });
+            it("must re-run the transaction", function () {
+                expect(result).toEqual({value: 123});
+                expect(ctx.attempt).toBe(3);
+                expect(ctx.failures.length).toBe(2);
+                expect(ctx.failures[0].code).toBe('40001');
+                expect(ctx.failures[1].code).toBe('40P01');
+                expect(ctx.success).toBe(true);
+                expect(attempts).toEqual([1, 2, 3]);
+                expect(delays).toEqual([{attempt: 1, code: '40001'}, {attempt: 2, code: '40P01'}]);
+                expect(queries.filter(function (q) {
+                    return q === 'begin';
+                }).length).toBe(3);
+            });
+        });
+
+        describe("when exceeding the maximum", function () {
+            var error, ctx;
+            beforeEach(function (done) {
+                function myTX(t) {
+                    ctx = t.ctx;
+                    return raise(t, '40001');
+                }
+
+                myTX.retry = {max: 1};
+                db.tx(myTX)
+                    .catch(function (reason) {
+                        error = reason;
+                    })
+                    .finally(function () {
+                        done();
+                    });
+            });
+            it("must reject with the last error", function () {
+                expect(error instanceof Error).toBe(true);
+                expect(error.code).toBe('40001');
+                expect(ctx.attempt).toBe(2);
+                expect(ctx.failures.length).toBe(1);
+                expect(ctx.success).toBe(false);
+                expect(ctx.result).toBe(error);
+            });
+        });
+
+        describe("for a non-recoverable failure", function () {
+            var error, ctx;
+            beforeEach(function (done) {
+                function myTX(t) {
+                    ctx = t.ctx;
+                    return raise(t, '40001');
+                }
+
+                myTX.retry = {codes: ['40P01']};
+                db.tx(myTX)
+                    .catch(function (reason) {
+                        error = reason;
+                    })
+                    .finally(function () {
+                        done();
+                    });
+            });
+            it("must reject without retrying", function () {
+                expect(error.code).toBe('40001');
+                expect(ctx.attempt).toBe(1);
+                expect(ctx.failures).toEqual([]);
+            });
+        });
+
+        describe("when the backoff function throws", function () {
+            var error, ctx, finished;
+            beforeEach(function (done) {
+                options.transact = function (e) {
+                    if (e.ctx.finish) {
+                        finished = e.ctx;
+                    }
+                };
+                function myTX(t) {
+                    ctx = t.ctx;
+                    return raise(t, '40001');
+                }
+
+                myTX.retry = {
+                    backoff: function () {
+                        throw new Error("Backoff failed.");
+                    }
+                };
+                db.tx(myTX)
+                    .catch(function (reason) {
+                        error = reason;
+                    })
+                    .finally(function () {
+                        delete options.transact;
+                        done();
+                    });
+            });
+            it("must finish the transaction with that error", function () {
+                expect(error instanceof Error).toBe(true);
+                expect(error.message).toBe("Backoff failed.");
+                expect(finished).toBe(ctx);
+                expect(ctx.success).toBe(false);
+                expect(ctx.result).toBe(error);
+            });
+        });
+
+        describe("for a nested transaction", function () {
+            var error, nested;
+            beforeEach(function (done) {
+                db.tx(function (t) {
+                    function myTX(t) {
+                        nested = t.ctx;
+                        return raise(t, '40001');
+                    }
+
+                    myTX.retry = {};
+                    return t.tx(myTX);
+                })
+                    .catch(function (reason) {
+                        error = reason;
+                    })
+                    .finally(function () {
+                        done();
+                    });
+            });
+            it("must ignore the policy", function () {
+                expect(error.code).toBe('40001');
+                expect('attempt' in nested).toBe(false);
+            });
+        });
+
+        describe("with invalid options", function () {
+            var errors = [];
+            beforeEach(function (done) {
+                var policies = [123, {max: -1}, {max: 1.5}, {backoff: 'bla'}, {backoff: -1}, {codes: '40001'}];
+                promise.all(policies.map(function (p, index) {
+                    function myTX() {
+                    }
+
+                    myTX.retry = p;
+                    return db.tx(myTX)
+                        .catch(function (reason) {
+                            errors[index] = reason;
+                        });
+                }))
+                    .finally(function () {
+                        done();
+                    });
+            });
+            it("must reject with the right errors", function () {
+                expect(errors.length).toBe(6);
+                expect(errors[0] instanceof TypeError).toBe(true);
+                expect(errors[0].message).toBe("Invalid transaction retry policy.");
+                expect(errors[1].message).toBe("Invalid retry option 'max'.");
+                expect(errors[2].message).toBe("Invalid retry option 'max'.");
+                expect(errors[3].message).toBe("Invalid retry option 'backoff'.");
+                expect(errors[4].message).toBe("Invalid retry option 'backoff'.");
+                expect(errors[5].message).toBe("Invalid retry option 'codes'.");
+            });
+        });
+    });
+
 });
 
 
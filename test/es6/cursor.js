@@ -0,0 +1,52 @@
+'use strict';
+
+var header = require('../db/header');
+var promise = header.defPromise;
+
+var options = {
+    promiseLib: promise
+};
+
+var dbHeader = header(options);
+var db = dbHeader.db;
+
+describe("Cursor - for await", function () {
+
+    describe("full iteration", function () {
+        var result = [];
+        beforeEach(function (done) {
+            (async function () {
+                for await (const row of db.cursor('select * from users order by id', null, {batchSize: 2})) {
+                    result.push(row.id);
+                }
+            })().then(done);
+        });
+        it("must read all rows", function () {
+            expect(result).toEqual([1, 2, 3, 4]);
+        });
+    });
+
+    describe("leaving the loop", function () {
+        var result = [], finished;
+        beforeEach(function (done) {
+            options.transact = function (e) {
+                if (e.ctx.finish) {
+                    finished = e.ctx.success;
+                }
+            };
+            (async function () {
+                for await (const row of db.cursor('select * from users order by id', null, {batchSize: 1})) {
+                    result.push(row.id);
+                    break;
+                }
+            })().then(function () {
+                delete options.transact;
+                done();
+            });
+        });
+        it("must release the cursor", function () {
+            expect(result).toEqual([1]);
+            expect(finished).toBe(true);
+        });
+    });
+});
@@ -107,3 +107,24 @@ describe("Generators - Negative", function () {
 
     });
 });
+
+describe("Generators - Savepoint", function () {
+
+    var result;
+
+    beforeEach(function (done) {
+        db.tx(function (t) {
+            return t.savepoint('gen', function* (sp) {
+                return yield sp.one("select 123 as value");
+            });
+        })
+            .then(function (data) {
+                result = data;
+                done();
+            });
+    });
+
+    it("must resolve with the right value", function () {
+        expect(result).toEqual({value: 123});
+    });
+});
@@ -0,0 +1,30 @@
+'use strict';
+
+var header = require('../db/header');
+
+var options = {};
+
+var dbHeader = header(options);
+var db = dbHeader.db;
+var pgp = dbHeader.pgp;
+
+var sql = pgp.sql;
+
+describe("SQL template tag", function () {
+
+    var result;
+
+    beforeEach(function (done) {
+        var filter = sql`WHERE ${sql.name('id')} IN (${sql.csv([1, 2, 3])}) AND login <> ${'unknown'}`;
+        db.any(sql`SELECT count(*) FROM ${sql.raw('users')} ${filter} AND id > ${1}`)
+            .then(function (data) {
+                result = data;
+                done();
+            });
+    });
+
+    it("must execute the composed query", function () {
+        expect(result).toEqual([{count: '2'}]);
+        expect(sql.format`SELECT ${'text'}, ${sql.name('col')}`).toBe('SELECT \'text\', "col"');
+    });
+});
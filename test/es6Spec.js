@@ -7,3 +7,12 @@ try {
 }
 
 require('./es6/generators');
+require('./es6/sql');
+
+try {
+    eval("(async function(){for await (const a of []){}})");
+} catch (e) {
+    return; // async iteration is not supported, exit.
+}
+
+require('./es6/cursor');
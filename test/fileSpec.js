@@ -27,6 +27,16 @@ function getPath(file) {
     return path.join(__dirname, file);
 }
 
+// waits for a watcher event for the QueryFile object;
+function watchFor(event, qf, cb) {
+    QueryFile.watcher.on(event, function handler(e, file) {
+        if ((file || e) === qf) {
+            QueryFile.watcher.removeListener(event, handler);
+            cb(e);
+        }
+    });
+}
+
 describe("QueryFile / Positive:", function () {
 
     describe("without options", function () {
@@ -146,24 +156,50 @@ describe("QueryFile / Positive:", function () {
     });
 
     describe("modified file", function () {
-        var q1 = "select 1";
-        var q2 = "select 2";
-        it("must be read again", function () {
+        var q1 = "select 1", q2 = "select 2", qf, reloaded;
+        beforeEach(function (done) {
             fs.writeFileSync(sqlTemp, q1);
-            var qf = new QueryFile(sqlTemp, {debug: true});
-            expect(qf.query).toBe(q1);
-            expect(qf.error).toBeUndefined();
-
+            qf = new QueryFile(sqlTemp, {debug: true});
+            watchFor('reload', qf, function (file) {
+                reloaded = file;
+                done();
+            });
             fs.writeFileSync(sqlTemp, q2);
-            var t = new Date();
-            t.setTime(t.getTime() + 60 * 60 * 1000);
-            fs.utimesSync(sqlTemp, t, t);
-            qf.prepare();
+        });
+        afterEach(function () {
+            QueryFile.watcher.close();
+            fs.unlinkSync(sqlTemp);
+        });
+        it("must be read again", function () {
+            expect(reloaded).toBe(qf);
             expect(qf.query).toBe(q2);
             expect(qf.error).toBeUndefined();
         });
     });
 
+    describe("file saved with an error", function () {
+        var qf, error;
+        beforeEach(function (done) {
+            fs.writeFileSync(sqlTemp, "select 1");
+            qf = new QueryFile(sqlTemp, {debug: true, minify: true});
+            watchFor('error', qf, function (e) {
+                error = e;
+                done();
+            });
+            fs.writeFileSync(sqlTemp, "select 1;" + LB + "select '2");
+        });
+        afterEach(function () {
+            QueryFile.watcher.close();
+            fs.unlinkSync(sqlTemp);
+        });
+        it("must report the error right away", function () {
+            expect(error).toBe(qf.error);
+            expect(error instanceof QueryFileError).toBe(true);
+            expect(error.error instanceof minify.SQLParsingError).toBe(true);
+            expect(error.error.position).toEqual({line: 2, column: 8});
+        });
+    });
+
     describe("repeated read", function () {
         // this is just for code coverage;
         it("must not read again", function () {
@@ -201,36 +237,30 @@ describe("QueryFile / Negative:", function () {
     });
 
     describe("accessing a temporary file", function () {
-        var error, query = "select 123 as value";
-        it("must result in error once deleted", function () {
+        var query = "select 123 as value", qf, error;
+        beforeEach(function (done) {
             fs.writeFileSync(sqlTemp, query);
-            var qf = new QueryFile(sqlTemp, {debug: true});
-            expect(qf.query).toBe(query);
-            expect(qf.error).toBeUndefined();
+            qf = new QueryFile(sqlTemp, {debug: true});
+            watchFor('error', qf, function () {
+                try {
+                    qf.prepare(true);
+                } catch (e) {
+                    error = e;
+                }
+                done();
+            });
             fs.unlinkSync(sqlTemp);
-            qf.prepare();
-            expect(qf.query).toBeUndefined();
-            expect(qf.error instanceof Error).toBe(true);
         });
-
-        it("must throw when preparing", function () {
-            fs.writeFileSync(sqlTemp, query);
-            var qf = new QueryFile(sqlTemp, {debug: true});
-            expect(qf.query).toBe(query);
-            expect(qf.error).toBeUndefined();
-            fs.unlinkSync(sqlTemp);
-            try {
-                qf.prepare(true);
-            } catch (e) {
-                error = e;
-            }
+        afterEach(function () {
+            QueryFile.watcher.close();
+        });
+        it("must result in error once deleted", function () {
             expect(qf.query).toBeUndefined();
-            expect(error instanceof Error).toBe(true);
+            expect(qf.error instanceof Error).toBe(true);
+            expect(error).toBe(qf.error);
         });
-
     });
 
-
     describe("invalid sql", function () {
         it("must throw an error", function () {
             var qf = new QueryFile(sqlInvalid, {minify: true});
@@ -240,3 +270,66 @@ describe("QueryFile / Negative:", function () {
     });
 
 });
+
+describe("QueryFile / Sections:", function () {
+
+    var sqlSections = getPath('./sql-sections/users.sql');
+
+    describe("valid sections", function () {
+        var users = QueryFile.sections(sqlSections, {minify: true, params: {schema: 'public'}}), data;
+        beforeEach(function (done) {
+            db.one(users.findUser, {id: 1})
+                .then(function (user) {
+                    data = user;
+                })
+                .finally(function () {
+                    done();
+                });
+        });
+        it("must be separate queries", function () {
+            expect(Object.keys(users)).toEqual(['findUser', 'countUsers', 'broken']);
+            expect(users.findUser instanceof QueryFile).toBe(true);
+            expect(JSON.stringify(users.findUser.options)).toBe(JSON.stringify({
+                debug: users.findUser.options.debug,
+                minify: true,
+                compress: false,
+                params: {schema: 'public'},
+                section: 'findUser'
+            }));
+            expect(users.findUser.query).toBe('SELECT * FROM "public".users WHERE id = ${id}');
+            expect(users.countUsers.query).toBe('SELECT count(*) FROM "public".users');
+            expect(data.id).toBe(1);
+        });
+        it("must report parsing errors with the section and file line", function () {
+            var error = users.broken.error;
+            expect(error instanceof QueryFileError).toBe(true);
+            expect(error.message).toBe("Failed to parse the SQL in section 'broken'.");
+            expect(error.section).toBe('broken');
+            expect(error.error.position).toEqual({line: 13, column: 8});
+            expect(error.toString()).toContain('section: "broken"');
+        });
+    });
+
+    describe("missing section", function () {
+        var qf = new QueryFile(sqlSections, {section: 'unknown'});
+        it("must report the error", function () {
+            expect(qf.error instanceof QueryFileError).toBe(true);
+            expect(qf.error.message).toBe("Section 'unknown' not found.");
+            expect(qf.error.section).toBe('unknown');
+        });
+    });
+
+    describe("invalid files", function () {
+        it("must throw", function () {
+            expect(function () {
+                QueryFile.sections(getPath('./sql-sections/duplicate.sql'));
+            }).toThrow("Duplicate section name 'first' at line 3.");
+            expect(function () {
+                QueryFile.sections(sqlSimple);
+            }).toThrow("No sections found.");
+            expect(function () {
+                QueryFile.sections(sqlUnknown);
+            }).toThrow();
+        });
+    });
+});
@@ -1181,6 +1181,220 @@ describe("Custom Format", function () {
     });
 });
 
+describe("Fragments", function () {
+
+    var as = pgp.as;
+    var TableName = require('../lib/helpers/tableName');
+
+    describe("with Named Parameters", function () {
+        it("must inject the formatted text", function () {
+            var f = as.fragment('id = ${id} AND name = ${name}', {id: 123, name: "O'Neil"});
+            expect(as.format('SELECT * FROM ${table~} WHERE ${where}', {table: 'users', where: f}))
+                .toBe('SELECT * FROM "users" WHERE id = 123 AND name = \'O\'\'Neil\'');
+            expect(f.toString()).toBe('id = 123 AND name = \'O\'\'Neil\'');
+            expect(Object.isFrozen(f)).toBe(true);
+        });
+    });
+
+    describe("nested", function () {
+        it("must format all levels", function () {
+            var inner = as.fragment('$1~ > $2', ['id', 5]);
+            var middle = as.fragment('${cond} AND ${table:name}.active', {cond: inner, table: 'users'});
+            var outer = as.fragment('WHERE $1', middle);
+            expect(as.format('SELECT * FROM users $1 LIMIT $2', [outer, 10]))
+                .toBe('SELECT * FROM users WHERE "id" > 5 AND "users".active LIMIT 10');
+            expect(as.format('$1', [[inner, 'text']])).toBe('array["id" > 5,\'text\']');
+            expect(as.csv([inner, as.fragment('now()')])).toBe('"id" > 5,now()');
+        });
+        it("must support table names and raw custom types", function () {
+            var f = as.fragment('SELECT * FROM $1', new TableName('users', 'public'));
+            expect(as.format('${query}', {query: f})).toBe('SELECT * FROM "public"."users"');
+        });
+    });
+
+    describe("from a QueryFile", function () {
+        it("must use the file query", function () {
+            var qf = new pgp.QueryFile(path.join(__dirname, 'sql/simple.sql'), {minify: true, noWarnings: true});
+            expect(as.fragment(qf).toString()).toBe(qf.query);
+        });
+    });
+
+    describe("Negative", function () {
+        it("must throw on invalid text", function () {
+            expect(function () {
+                as.fragment(123);
+            }).toThrow(new TypeError("Parameter 'text' must be a text string."));
+        });
+        it("must report the path of a nested error", function () {
+            var inner = as.fragment('name = ${name}', {});
+            var outer = as.fragment('WHERE ${where}', {where: inner});
+            var err;
+            try {
+                as.format('SELECT * FROM users $1', outer);
+            } catch (e) {
+                err = e;
+            }
+            expect(err instanceof Error).toBe(true);
+            expect(err.message).toBe('Failed to format fragment "WHERE ${where}": Failed to format fragment "name = ${name}": Property \'name\' doesn\'t exist.');
+            expect(err.error.error.message).toBe("Property 'name' doesn't exist.");
+        });
+        it("must keep the error type", function () {
+            var f = as.fragment('$1 + $2', [1]);
+            expect(function () {
+                as.format('$1', [f]);
+            }).toThrow(new RangeError('Failed to format fragment "$1 + $2": Variable $2 out of range. Parameters array length: 1'));
+            var long = as.fragment(new Array(21).join('text ') + '$1^', [null]);
+            expect(function () {
+                as.format('$1', [long]);
+            }).toThrow(new TypeError('Failed to format fragment "text text text text text text text text text te...": Values null/undefined cannot be used as raw text.'));
+        });
+    });
+});
+
+describe("Method as.where", function () {
+
+    var as = pgp.as;
+
+    describe("with an object", function () {
+        it("must format all value types", function () {
+            expect(as.where({
+                id: 1,
+                login: "O'Neil",
+                status: ['a', 'b'],
+                deleted: null,
+                country: undefined,
+                active: function () {
+                    return true;
+                }
+            })).toBe('WHERE "id" = 1 AND "login" = \'O\'\'Neil\' AND "status" IN (\'a\',\'b\') AND "deleted" IS NULL AND "active" = true');
+            expect(as.where({id: []})).toBe('WHERE false');
+            expect(as.where({id: 1, name: 'a'}, {join: 'or'})).toBe('WHERE "id" = 1 OR "name" = \'a\'');
+        });
+        it("must return an empty string without conditions", function () {
+            expect(as.where({})).toBe('');
+            expect(as.where({id: undefined})).toBe('');
+            expect(as.where([null, '', undefined, {}])).toBe('');
+        });
+    });
+
+    describe("with an array", function () {
+        it("must support raw, templated and grouped conditions", function () {
+            expect(as.where([
+                'id > 0 OR id IS NULL',
+                as.fragment('created > $1', 5),
+                {status: 'active', country: 'FR'}
+            ], {join: 'OR'})).toBe('WHERE (id > 0 OR id IS NULL) OR (created > 5) OR ("status" = \'active\' AND "country" = \'FR\')');
+            expect(as.where(['id > 0'])).toBe('WHERE id > 0');
+            expect(as.where([{id: 1}, 'a = b'])).toBe('WHERE "id" = 1 AND (a = b)');
+        });
+    });
+
+    describe("as a raw value", function () {
+        it("must be injected as is", function () {
+            expect(as.format('SELECT * FROM users ${filter:raw}', {filter: as.where({id: 1})}))
+                .toBe('SELECT * FROM users WHERE "id" = 1');
+            expect(as.format('SELECT * FROM users $1^', as.where({}))).toBe('SELECT * FROM users ');
+        });
+    });
+
+    describe("Negative", function () {
+        it("must throw on invalid parameters", function () {
+            expect(function () {
+                as.where();
+            }).toThrow(new TypeError("Invalid conditions specified."));
+            expect(function () {
+                as.where('id = 1');
+            }).toThrow(new TypeError("Invalid conditions specified."));
+            expect(function () {
+                as.where({}, {join: 'XOR'});
+            }).toThrow(new TypeError("Invalid option 'join' specified."));
+            expect(function () {
+                as.where([123]);
+            }).toThrow(new TypeError("Invalid condition: '123'"));
+        });
+    });
+});
+
+describe("Special types", function () {
+
+    var as = pgp.as;
+
+    describe("range", function () {
+        it("must format all bounds", function () {
+            expect(as.range([1, 10])).toBe('\'["1","10")\'');
+            expect(as.range({lower: 1, upper: null, bounds: '(]'})).toBe('\'("1",]\'');
+            expect(as.range({upper: -Infinity})).toBe('\'[,"-infinity")\'');
+            expect(as.range({empty: true})).toBe("'empty'");
+            expect(as.range(["it's", 'a "b"\\'], true)).toBe('["it\'s","a \\"b\\"\\\\")');
+            expect(as.range([new Date(Date.UTC(2016, 0, 1)), undefined], true)).toBe('["2016-01-01T00:00:00.000Z",)');
+            expect(as.range(null)).toBe('null');
+        });
+        it("must support the modifier", function () {
+            expect(as.format('$1:range', [[1, 2]])).toBe('\'["1","2")\'');
+            expect(as.format('${r:range}', {r: {lower: 0, upper: 5, bounds: '[]'}})).toBe('\'["0","5"]\'');
+        });
+        it("must throw on invalid values", function () {
+            expect(function () {
+                as.range(123);
+            }).toThrow(new TypeError("Invalid range value."));
+            expect(function () {
+                as.range([1, 2, 3]);
+            }).toThrow(new TypeError("Invalid range value."));
+            expect(function () {
+                as.range({lower: 1, bounds: '[['});
+            }).toThrow(new TypeError("Invalid range bounds."));
+        });
+    });
+
+    describe("interval", function () {
+        it("must format duration objects", function () {
+            expect(as.interval({hours: 2, days: 1, seconds: 1.5})).toBe("'1 days 2 hours 1.5 seconds'");
+            expect(as.interval({}, true)).toBe('0 seconds');
+            expect(as.format('${d:interval}', {d: {minutes: -5}})).toBe("'-5 minutes'");
+        });
+        it("must throw on invalid values", function () {
+            expect(function () {
+                as.interval({days: 1, decades: 2});
+            }).toThrow(new TypeError("Invalid interval property 'decades'."));
+            expect(function () {
+                as.interval({days: '1'});
+            }).toThrow(new TypeError("Invalid interval property 'days'."));
+            expect(function () {
+                as.interval(5);
+            }).toThrow(new TypeError("'5' is not a duration object."));
+        });
+    });
+
+    describe("hstore", function () {
+        it("must format objects", function () {
+            expect(as.hstore({a: 1, "b'c": 'x"y', d: null})).toBe('\'"a"=>"1","b\'\'c"=>"x\\"y","d"=>NULL\'');
+            expect(as.hstore({}, true)).toBe('');
+            expect(as.format('$1:hstore', [{key: 'value'}])).toBe('\'"key"=>"value"\'');
+        });
+        it("must throw on invalid values", function () {
+            expect(function () {
+                as.hstore([1]);
+            }).toThrow(new TypeError("'1' is not an object."));
+        });
+    });
+
+    describe("row", function () {
+        it("must format composite values", function () {
+            var r = as.row([1, 'text', null, [1, 2]]);
+            expect(as.format('$1', [r])).toBe("ROW(1,'text',null,array[1,2])");
+            expect(r.toString()).toBe("ROW(1,'text',null,array[1,2])");
+            expect(as.format('${a}', {a: as.row({x: 1.5, y: as.row([true])})})).toBe('ROW(1.5,ROW(true))');
+            expect(as.format('$1:row', [[1, 2]])).toBe('ROW(1,2)');
+            expect(as.format('${p:row}', {p: {x: 1, y: 2}})).toBe('ROW(1,2)');
+        });
+        it("must throw on invalid values", function () {
+            expect(function () {
+                as.format('$1:row', 123);
+            }).toThrow(new TypeError("'123' is not an array or object."));
+        });
+    });
+});
+
 describe("SQL Names", function () {
 
     describe("direct", function () {
@@ -219,6 +219,326 @@ describe("UPDATE", function () {
 
 });
 
+describe("UPSERT", function () {
+
+    var cs = new helpers.ColumnSet(['?id', 'val', {name: 'msg', cast: 'text'}], {table: 'table'});
+
+    describe("single:", function () {
+        it("must use conditional columns as the conflict target", function () {
+            expect(helpers.upsert(dataMulti[0], cs)).toBe('insert into "table"("id","val","msg") values(1,123,\'hello\'::text) on conflict("id") do update set "val"=excluded."val","msg"=excluded."msg"');
+        });
+        it("must skip columns dynamically", function () {
+            var skipCS = ['?id', {
+                name: 'val', skip: function () {
+                    return this.val === 123;
+                }
+            }, 'msg'];
+            expect(helpers.upsert(dataMulti[0], skipCS, 'table')).toBe('insert into "table"("id","val","msg") values(1,123,\'hello\') on conflict("id") do update set "msg"=excluded."msg"');
+        });
+        it("must use the init override", function () {
+            var initCS = ['?id', {
+                name: 'val', init: function (value) {
+                    return value + 1;
+                }
+            }];
+            expect(helpers.upsert(dataMulti[0], initCS, 'table')).toBe('insert into "table"("id","val") values(1,124) on conflict("id") do update set "val"=excluded."val"');
+        });
+    });
+
+    describe("multi:", function () {
+        it("must return all data columns", function () {
+            expect(helpers.upsert(dataMulti, cs)).toBe('insert into "table"("id","val","msg") values(1,123,\'hello\'::text),(2,456,\'world\'::text) on conflict("id") do update set "val"=excluded."val","msg"=excluded."msg"');
+        });
+        it("must ignore the skip logic", function () {
+            var skipCS = ['?id', {
+                name: 'val', skip: function () {
+                    return true;
+                }
+            }];
+            expect(helpers.upsert(dataMulti, skipCS, 'table')).toBe('insert into "table"("id","val") values(1,123),(2,456) on conflict("id") do update set "val"=excluded."val"');
+        });
+    });
+
+    describe("options", function () {
+        it("must support an explicit conflict target", function () {
+            expect(helpers.upsert(dataSingle, null, 'table', {conflict: 'val'})).toBe('insert into "table"("val","msg") values(123,\'test\') on conflict("val") do update set "val"=excluded."val","msg"=excluded."msg"');
+            expect(helpers.upsert(dataMulti, cs, null, {conflict: ['id', 'val']})).toBe('insert into "table"("id","val","msg") values(1,123,\'hello\'::text),(2,456,\'world\'::text) on conflict("id","val") do update set "val"=excluded."val","msg"=excluded."msg"');
+        });
+        it("must support a list of columns to update", function () {
+            expect(helpers.upsert(dataMulti, cs, null, {doUpdate: ['msg']})).toBe('insert into "table"("id","val","msg") values(1,123,\'hello\'::text),(2,456,\'world\'::text) on conflict("id") do update set "msg"=excluded."msg"');
+        });
+        it("must generate do nothing", function () {
+            expect(helpers.upsert(dataMulti, cs, null, {doUpdate: false})).toBe('insert into "table"("id","val","msg") values(1,123,\'hello\'::text),(2,456,\'world\'::text) on conflict("id") do nothing');
+            expect(helpers.upsert(dataSingle, null, 'table', {doUpdate: false})).toBe('insert into "table"("val","msg") values(123,\'test\') on conflict do nothing');
+            expect(helpers.upsert({id: 1}, ['?id'], 'table')).toBe('insert into "table"("id") values(1) on conflict("id") do nothing');
+        });
+    });
+
+    describe("generating sql in upper case", function () {
+        beforeEach(function () {
+            options.capSQL = true;
+        });
+        it("must return a capitalized query", function () {
+            expect(helpers.upsert(dataMulti, cs)).toBe('INSERT INTO "table"("id","val","msg") VALUES(1,123,\'hello\'::text),(2,456,\'world\'::text) ON CONFLICT("id") DO UPDATE SET "val"=EXCLUDED."val","msg"=EXCLUDED."msg"');
+            expect(helpers.upsert(dataMulti, cs, null, {doUpdate: false})).toBe('INSERT INTO "table"("id","val","msg") VALUES(1,123,\'hello\'::text),(2,456,\'world\'::text) ON CONFLICT("id") DO NOTHING');
+        });
+        afterEach(function () {
+            options.capSQL = false;
+        });
+    });
+
+    describe("negative", function () {
+        it("must throw on invalid data", function () {
+            var error = new TypeError("Invalid parameter 'data' specified.");
+            expect(function () {
+                helpers.upsert();
+            }).toThrow(error);
+        });
+        it("must throw on an empty array", function () {
+            var error = new TypeError("Cannot generate an UPSERT from an empty array.");
+            expect(function () {
+                helpers.upsert([]);
+            }).toThrow(error);
+        });
+        it("must throw for an array without columns specified", function () {
+            var error = new TypeError("Parameter 'columns' is required when upserting multiple records.");
+            expect(function () {
+                helpers.upsert([{}]);
+            }).toThrow(error);
+        });
+        it("must throw for an empty column set", function () {
+            var error = new TypeError("Cannot generate an UPSERT without any columns.");
+            expect(function () {
+                helpers.upsert({}, []);
+            }).toThrow(error);
+        });
+        it("must throw without a conflict target", function () {
+            var error = new TypeError("Cannot generate an UPSERT without a conflict target.");
+            expect(function () {
+                helpers.upsert(dataSingle, null, 'table');
+            }).toThrow(error);
+        });
+        it("must throw on invalid options", function () {
+            expect(function () {
+                helpers.upsert(dataSingle, null, 'table', 123);
+            }).toThrow(new TypeError("Invalid parameter 'options' specified."));
+            expect(function () {
+                helpers.upsert(dataSingle, null, 'table', {conflict: []});
+            }).toThrow(new TypeError("Invalid option 'conflict' specified."));
+            expect(function () {
+                helpers.upsert(dataSingle, null, 'table', {conflict: 'val', doUpdate: 'msg'});
+            }).toThrow(new TypeError("Invalid option 'doUpdate' specified."));
+        });
+    });
+
+});
+
+describe("SELECT", function () {
+
+    var cs = new helpers.ColumnSet(['?id', 'name', {
+        name: 'created-on',
+        prop: 'created',
+        cast: 'date'
+    }, 'tags:csv', 'info:json'], {table: 'users'});
+
+    describe("columns", function () {
+        it("must select all columns from a ColumnSet", function () {
+            expect(helpers.select(cs)).toBe('select "id","name","created-on"::date as "created","tags","info" from "users"');
+        });
+        it("must select all columns without a ColumnSet", function () {
+            expect(helpers.select(['id', 'name'], 'users')).toBe('select "id","name" from "users"');
+            expect(helpers.select(null, {table: 'users', schema: 'public'})).toBe('select * from "public"."users"');
+        });
+        it("must use its own table when specified", function () {
+            expect(helpers.select(cs, 'others')).toBe('select "id","name","created-on"::date as "created","tags","info" from "others"');
+        });
+    });
+
+    describe("option 'where'", function () {
+        it("must use properties and modifiers", function () {
+            expect(helpers.select(['id', 'name'], 'users', {where: {id: 1, name: 'John'}})).toBe('select "id","name" from "users" where "id"=1 and "name"=\'John\'');
+            expect(helpers.select(cs, null, {where: {created: '2016-01-01'}})).toContain(' where "created-on"=\'2016-01-01\'::date');
+            expect(helpers.select(cs, null, {where: {info: {a: 1}}})).toContain(' where "info"=\'{"a":1}\'');
+        });
+        it("must use IN for modifier csv", function () {
+            expect(helpers.select(cs, null, {where: {tags: [1, 2]}})).toContain(' where "tags" in (1,2)');
+        });
+        it("must use false for an empty csv array", function () {
+            expect(helpers.select(cs, null, {where: {tags: []}})).toContain(' where false');
+            expect(helpers.select(cs, null, {where: {id: 1, tags: []}})).toContain(' where "id"=1 and false');
+        });
+        it("must use IS NULL for null values", function () {
+            expect(helpers.select(cs, null, {where: {name: null, id: undefined}})).toContain(' where "name" is null and "id" is null');
+        });
+        it("must skip an empty object", function () {
+            expect(helpers.select(['id'], 'users', {where: {}})).toBe('select "id" from "users"');
+        });
+    });
+
+    describe("options 'orderBy', 'limit' and 'offset'", function () {
+        it("must be added in the right order", function () {
+            expect(helpers.select(['id'], 'users', {
+                orderBy: ['id', 'name DESC', 'created asc'],
+                limit: 10,
+                offset: 20
+            })).toBe('select "id" from "users" order by "id","name" desc,"created" asc limit 10 offset 20');
+            expect(helpers.select(['id'], 'users', {orderBy: 'id', limit: 0})).toBe('select "id" from "users" order by "id" limit 0');
+        });
+    });
+
+    describe("generating sql in upper case", function () {
+        beforeEach(function () {
+            options.capSQL = true;
+        });
+        it("must return a capitalized query", function () {
+            expect(helpers.select(cs, null, {
+                where: {name: 'John', tags: [1], id: null},
+                orderBy: 'id desc',
+                limit: 1,
+                offset: 2
+            })).toBe('SELECT "id","name","created-on"::date AS "created","tags","info" FROM "users" WHERE "name"=\'John\' AND "tags" IN (1) AND "id" IS NULL ORDER BY "id" DESC LIMIT 1 OFFSET 2');
+            expect(helpers.select(cs, null, {where: {tags: []}})).toContain(' WHERE FALSE');
+        });
+        afterEach(function () {
+            options.capSQL = false;
+        });
+    });
+
+    describe("negative", function () {
+        it("must throw when table is not specified", function () {
+            var error = new Error("Table name is unknown.");
+            expect(function () {
+                helpers.select();
+            }).toThrow(error);
+            expect(function () {
+                helpers.select(['id']);
+            }).toThrow(error);
+        });
+        it("must throw on invalid options", function () {
+            expect(function () {
+                helpers.select(cs, null, 123);
+            }).toThrow(new TypeError("Invalid parameter 'options' specified."));
+            expect(function () {
+                helpers.select(cs, null, {where: 123});
+            }).toThrow(new TypeError("Invalid option 'where' specified."));
+            expect(function () {
+                helpers.select(cs, null, {orderBy: []});
+            }).toThrow(new TypeError("Invalid option 'orderBy' specified."));
+            expect(function () {
+                helpers.select(cs, null, {orderBy: [123]});
+            }).toThrow(new TypeError("Invalid option 'orderBy' specified."));
+            expect(function () {
+                helpers.select(cs, null, {limit: -1});
+            }).toThrow(new TypeError("Invalid option 'limit' specified."));
+            expect(function () {
+                helpers.select(cs, null, {offset: 'bla'});
+            }).toThrow(new TypeError("Invalid option 'offset' specified."));
+        });
+        it("must throw on unknown properties", function () {
+            expect(function () {
+                helpers.select(cs, null, {where: {unknown: 1}});
+            }).toThrow(new Error("Property 'unknown' doesn't match any column."));
+            expect(function () {
+                helpers.select(null, 'users', {where: {id: 1}});
+            }).toThrow(new Error("Property 'id' doesn't match any column."));
+        });
+    });
+
+});
+
+describe("DELETE", function () {
+
+    var cs = new helpers.ColumnSet(['?id', {name: 'val', cnd: true, cast: 'int'}, 'msg'], {table: 'table'});
+
+    describe("single:", function () {
+        it("must use only the key columns", function () {
+            expect(helpers.delete(dataMulti[0], cs)).toBe('delete from "table" where ("id","val") in (values(1,123::int))');
+            expect(helpers.delete(dataMulti[0], ['?id'], 'table')).toBe('delete from "table" where ("id") in (values(1))');
+        });
+        it("must use all properties without columns", function () {
+            expect(helpers.delete(dataSingle, null, 'table')).toBe('delete from "table" where ("val","msg") in (values(123,\'test\'))');
+        });
+    });
+
+    describe("multi:", function () {
+        it("must return all key values", function () {
+            expect(helpers.delete(dataMulti, cs)).toBe('delete from "table" where ("id","val") in (values(1,123::int),(2,456::int))');
+        });
+        it("must use the init override", function () {
+            var initCS = [{
+                name: 'id', cnd: true, init: function (value) {
+                    return value * 10;
+                }
+            }];
+            expect(helpers.delete(dataMulti, initCS, 'table')).toBe('delete from "table" where ("id") in (values(10),(20))');
+        });
+    });
+
+    describe("setting table name", function () {
+        it("must use its own table when specified", function () {
+            expect(helpers.delete(dataMulti, cs, 'internal')).toBe('delete from "internal" where ("id","val") in (values(1,123::int),(2,456::int))');
+        });
+    });
+
+    describe("generating sql in upper case", function () {
+        beforeEach(function () {
+            options.capSQL = true;
+        });
+        it("must return a capitalized query", function () {
+            expect(helpers.delete(dataMulti, cs)).toBe('DELETE FROM "table" WHERE ("id","val") IN (VALUES(1,123::int),(2,456::int))');
+        });
+        afterEach(function () {
+            options.capSQL = false;
+        });
+    });
+
+    describe("negative", function () {
+        it("must throw on invalid data", function () {
+            var error = new TypeError("Invalid parameter 'data' specified.");
+            expect(function () {
+                helpers.delete();
+            }).toThrow(error);
+            expect(function () {
+                helpers.delete(123);
+            }).toThrow(error);
+        });
+        it("must throw on an empty array", function () {
+            var error = new TypeError("Cannot generate a DELETE from an empty array.");
+            expect(function () {
+                helpers.delete([]);
+            }).toThrow(error);
+        });
+        it("must throw for an array without columns specified", function () {
+            var error = new TypeError("Parameter 'columns' is required when deleting multiple records.");
+            expect(function () {
+                helpers.delete([{}]);
+            }).toThrow(error);
+        });
+        it("must throw without key columns", function () {
+            var error = new Error("Cannot generate a DELETE without any key columns.");
+            expect(function () {
+                helpers.delete({}, null, 'table');
+            }).toThrow(error);
+            expect(function () {
+                helpers.delete(dataMulti, ['id'], 'table');
+            }).toThrow(error);
+        });
+        it("must throw when table is not specified", function () {
+            var error = new Error("Table name is unknown.");
+            expect(function () {
+                helpers.delete(dataMulti, ['?id']);
+            }).toThrow(error);
+        });
+        it("must throw on invalid array data", function () {
+            var error = new Error("Invalid delete object at index 1.");
+            expect(function () {
+                helpers.delete([{id: 1}, null], ['?id'], 'table');
+            }).toThrow(error);
+        });
+    });
+
+});
+
 describe("TableName", function () {
 
     describe("Function call", function () {
@@ -0,0 +1,239 @@
+'use strict';
+
+var header = require('./db/header');
+var promise = header.defPromise;
+var options = {
+    promiseLib: promise
+};
+var dbHeader = header(options);
+var pgp = dbHeader.pgp;
+var db = dbHeader.db;
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+
+var createTable = "CREATE TEMP TABLE products(id serial PRIMARY KEY, \"product name\" varchar(50) DEFAULT 'it''s', " +
+    "price numeric(10,2) DEFAULT 1.5, stock integer DEFAULT -1, active boolean DEFAULT true, created timestamptz DEFAULT now())";
+
+describe("Introspection", function () {
+
+    describe("of a table", function () {
+        var info, cs, serialized;
+        beforeEach(function (done) {
+            db.task(function (t) {
+                return t.none(createTable)
+                    .then(function () {
+                        return t.introspect.table('products');
+                    })
+                    .then(function (data) {
+                        info = data;
+                        return pgp.helpers.ColumnSet.fromTable(t, {table: 'products', schema: info.schema});
+                    })
+                    .then(function (data) {
+                        cs = data;
+                        serialized = pgp.helpers.ColumnSet.fromInfo(JSON.parse(JSON.stringify(info)));
+                        t.introspect.clear();
+                        return t.none('DROP TABLE products');
+                    });
+            })
+                .finally(function () {
+                    done();
+                });
+        });
+        it("must provide the column details", function () {
+            expect(info.table).toBe('products');
+            expect(info.columns.length).toBe(6);
+            expect(JSON.stringify(info.columns[0])).toBe(JSON.stringify({
+                name: 'id',
+                type: 'integer',
+                nullable: false,
+                default: "nextval('products_id_seq'::regclass)",
+                primary: true
+            }));
+            expect(info.columns[1].type).toBe('character varying(50)');
+            expect(info.columns[1].nullable).toBe(true);
+            expect(Object.isFrozen(info)).toBe(true);
+        });
+        it("must create a ColumnSet", function () {
+            expect(cs.table.name).toBe('"' + info.schema + '"."products"');
+            expect(cs.columns.map(function (c) {
+                return c.castText;
+            })).toEqual(['::integer', '::character varying', '::numeric', '::integer', '::boolean', '::timestamp with time zone']);
+            expect(cs.columns[0].cnd).toBe(true);
+            expect(cs.columns[1].prop).toBe('productName');
+            expect(cs.columns.map(function (c) {
+                return c.def;
+            })).toEqual([undefined, "it's", 1.5, -1, true, undefined]);
+            expect('def' in cs.columns[5]).toBe(false);
+            expect(serialized.toString()).toBe(cs.toString());
+        });
+    });
+
+    describe("with type modifiers and unusual names", function () {
+        var cs, error, data;
+        beforeEach(function (done) {
+            db.task(function (t) {
+                return t.none("CREATE TEMP TABLE sizes(\"1-2\" varchar(3), code character(2), flags bit(2), amount numeric(4,1)[])")
+                    .then(function () {
+                        return pgp.helpers.ColumnSet.fromTable(t, 'sizes');
+                    })
+                    .then(function (data) {
+                        cs = data;
+                        return t.none(pgp.helpers.insert({column1: 'abcd', code: 'ab', flags: '01', amount: [1.5]}, cs))
+                            .catch(function (e) {
+                                error = e;
+                            });
+                    })
+                    .then(function () {
+                        return t.one(pgp.helpers.insert({column1: 'abc', code: 'a', flags: '01', amount: [1.5]}, cs) + ' RETURNING *');
+                    })
+                    .then(function (d) {
+                        data = d;
+                        t.introspect.clear();
+                        return t.none('DROP TABLE sizes');
+                    });
+            })
+                .finally(function () {
+                    done();
+                });
+        });
+        it("must cast without the modifiers", function () {
+            expect(cs.columns.map(function (c) {
+                return c.castText;
+            })).toEqual(['::character varying', '::bpchar', '::bit varying', '::numeric[]']);
+            expect(cs.columns[0].prop).toBe('column1');
+            expect(error instanceof Error).toBe(true);
+            expect(error.message).toBe('value too long for type character varying(3)');
+            expect(data).toEqual({'1-2': 'abc', code: 'a ', flags: '01', amount: [1.5]});
+        });
+    });
+
+    describe("caching", function () {
+        var queries = [], results = [];
+        beforeEach(function (done) {
+            db.introspect.clear();
+            options.query = function (e) {
+                queries.push(e.query);
+            };
+            db.introspect.table('users')
+                .then(function (data) {
+                    results.push(data);
+                    return db.introspect.table('users');
+                })
+                .then(function (data) {
+                    results.push(data);
+                    db.introspect.clear('users');
+                    return db.introspect.table('users');
+                })
+                .then(function (data) {
+                    results.push(data);
+                })
+                .finally(function () {
+                    delete options.query;
+                    done();
+                });
+        });
+        it("must reuse the results until cleared", function () {
+            expect(queries.length).toBe(2);
+            expect(results[1]).toBe(results[0]);
+            expect(JSON.stringify(results[2])).toBe(JSON.stringify(results[0]));
+            expect(results[2]).not.toBe(results[0]);
+        });
+    });
+
+    describe("with invalid parameters", function () {
+        var errors = [];
+        beforeEach(function (done) {
+            promise.each(['public.unknown', 123, {table: ''}], function (name) {
+                return db.introspect.table(name)
+                    .catch(function (e) {
+                        errors.push(e);
+                    });
+            })
+                .finally(function () {
+                    done();
+                });
+        });
+        it("must reject", function () {
+            expect(errors.length).toBe(3);
+            expect(errors[0].message).toBe("Table 'public.unknown' does not exist.");
+            expect(errors[1]).toEqual(new TypeError("Invalid table name specified."));
+            expect(errors[2]).toEqual(new TypeError("Table name must be non-empty text string."));
+            expect(function () {
+                pgp.helpers.ColumnSet.fromInfo({columns: []});
+            }).toThrow(new TypeError("Invalid table details specified."));
+        });
+    });
+
+    describe("buildRepositories", function () {
+        // the parent folder doesn't exist either:
+        var parentDir = path.join(os.tmpdir(), 'pg-promise-repos-' + process.pid), outDir = path.join(parentDir, 'db', 'repos'),
+            files, results = [];
+        beforeEach(function (done) {
+            db.none("CREATE SCHEMA repos; CREATE TABLE repos.items(id serial PRIMARY KEY, \"item name\" text NOT NULL, " +
+                "qty integer DEFAULT 1); CREATE TABLE repos.logs(msg text)")
+                .then(function () {
+                    return pgp.utils.buildRepositories({db: db, schemas: 'repos', outDir: outDir});
+                })
+                .then(function (data) {
+                    files = data;
+                    var repos = require(outDir), items = new repos.items(db, pgp), logs = new repos.logs(db, pgp);
+                    results.push(typeof logs.find);
+                    return items.insert({itemName: 'Pen'})
+                        .then(function (item) {
+                            results.push(item);
+                            return items.update({id: item.id, qty: 5});
+                        })
+                        .then(function (item) {
+                            results.push(item);
+                            return items.find(item.id);
+                        })
+                        .then(function (item) {
+                            results.push(item);
+                            return items.delete({id: item.id});
+                        })
+                        .then(function (count) {
+                            results.push(count);
+                            // invalid data must reject, and not throw:
+                            return promise.all([items.update({}), items.insert(null)].map(function (p) {
+                                return p.catch(function (e) {
+                                    return e;
+                                });
+                            }));
+                        })
+                        .then(function (errors) {
+                            results.push(errors);
+                        });
+                })
+                .finally(function () {
+                    db.introspect.clear();
+                    db.none('DROP SCHEMA repos CASCADE')
+                        .finally(function () {
+                            done();
+                        });
+                });
+        });
+        afterEach(function () {
+            files.forEach(function (f) {
+                fs.unlinkSync(path.join(outDir, f));
+            });
+            fs.rmdirSync(outDir);
+            fs.rmdirSync(path.dirname(outDir));
+            fs.rmdirSync(parentDir);
+        });
+        it("must generate working repositories", function () {
+            expect(files).toEqual(['items.js', 'items.d.ts', 'logs.js', 'logs.d.ts', 'index.js', 'index.d.ts']);
+            expect(results[0]).toBe('undefined');
+            expect(results[1]).toEqual({id: 1, 'item name': 'Pen', qty: 1});
+            expect(results[2]).toEqual({id: 1, 'item name': 'Pen', qty: 5});
+            expect(results[3]).toEqual(results[2]);
+            expect(results[4]).toBe(1);
+            expect(results[5][0] instanceof Error).toBe(true);
+            expect(results[5][1] instanceof TypeError).toBe(true);
+            var dts = fs.readFileSync(path.join(outDir, 'items.d.ts'), 'utf8');
+            expect(dts).toContain('"item name":string;');
+            expect(dts).toContain('itemName:string;');
+            expect(dts).toContain('find(key:number|ItemsRepository.Key):XPromise<ItemsRepository.Row>;');
+        });
+    });
+});
@@ -0,0 +1,313 @@
+'use strict';
+
+var header = require('./db/header');
+var promise = header.defPromise;
+var options = {
+    promiseLib: promise
+};
+var dbHeader = header(options);
+var db = dbHeader.db;
+
+// waits for a condition to become true;
+function waitFor(cb, timeout) {
+    var start = Date.now();
+    return promise.delay(10)
+        .then(function check() {
+            if (cb() || Date.now() - start > (timeout || 3000)) {
+                return;
+            }
+            return promise.delay(20).then(check);
+        });
+}
+
+describe("Method listen", function () {
+
+    describe("with notify", function () {
+        var sub, received = [], connected = 0, disconnected = 0, queries = [];
+        beforeEach(function (done) {
+            options.connect = function () {
+                connected++;
+            };
+            options.disconnect = function () {
+                disconnected++;
+            };
+            options.query = function (e) {
+                queries.push(e.query);
+            };
+            db.listen('test-channel', function (payload, msg) {
+                received.push({payload: payload, channel: msg.channel, self: this});
+            }, {json: true})
+                .then(function (s) {
+                    sub = s;
+                    return promise.all([
+                        db.notify('test-channel', {message: 'hello'}),
+                        db.notify('test-channel', 'text'),
+                        db.notify('test-channel'),
+                        db.none("notify \"test-channel\", 'raw text'")
+                    ]);
+                })
+                .then(function () {
+                    return waitFor(function () {
+                        return received.length === 4;
+                    });
+                })
+                .then(function () {
+                    return sub.unlisten();
+                })
+                .finally(function () {
+                    delete options.connect;
+                    delete options.disconnect;
+                    delete options.query;
+                    done();
+                });
+        });
+        it("must receive all notifications", function () {
+            expect(sub.channel).toBe('test-channel');
+            expect(received.length).toBe(4);
+            var payloads = received.map(function (r) {
+                return r.payload;
+            });
+            expect(payloads).toContain('text');
+            expect(payloads).toContain(undefined);
+            expect(payloads).toContain('raw text');
+            expect(payloads).toContain({message: 'hello'});
+            expect(received[0].channel).toBe('test-channel');
+            expect(received[0].self).toBe(sub);
+            expect(queries).toContain('listen "test-channel"');
+            expect(queries).toContain('unlisten "test-channel"');
+            expect(queries).toContain('notify "test-channel", \'{"message":"hello"}\'');
+            expect(queries).toContain('notify "test-channel", \'\'');
+            // 1 dedicated connection + 4 pool connections:
+            expect(connected).toBe(5);
+            expect(disconnected).toBe(5);
+        });
+    });
+
+    describe("without option json", function () {
+        var sub, received = [];
+        beforeEach(function (done) {
+            db.listen('raw-channel', function (payload) {
+                received.push(payload);
+            })
+                .then(function (s) {
+                    sub = s;
+                    return db.none("notify \"raw-channel\", '42'");
+                })
+                .then(function () {
+                    return db.notify('raw-channel', {value: 1});
+                })
+                .then(function () {
+                    return waitFor(function () {
+                        return received.length === 2;
+                    });
+                })
+                .then(function () {
+                    return sub.unlisten();
+                })
+                .finally(function () {
+                    done();
+                });
+        });
+        it("must pass on the payloads as they are", function () {
+            expect(received).toEqual(['42', '{"value":1}']);
+        });
+    });
+
+    describe("with multiple subscriptions", function () {
+        var sub1, sub2, received1 = 0, received2 = 0, listens = 0, removed = [];
+        beforeEach(function (done) {
+            options.query = function (e) {
+                if (/^listen/.test(e.query)) {
+                    listens++;
+                }
+            };
+            promise.all([
+                db.listen('multi', function () {
+                    received1++;
+                }),
+                db.listen('multi', function () {
+                    received2++;
+                })
+            ])
+                .then(function (subs) {
+                    sub1 = subs[0];
+                    sub2 = subs[1];
+                    return sub1.unlisten();
+                })
+                .then(function (r) {
+                    removed.push(r);
+                    return sub1.unlisten();
+                })
+                .then(function (r) {
+                    removed.push(r);
+                    return db.notify('multi', 1);
+                })
+                .then(function () {
+                    return waitFor(function () {
+                        return received2 === 1;
+                    });
+                })
+                .then(function () {
+                    return sub2.unlisten();
+                })
+                .finally(function () {
+                    delete options.query;
+                    done();
+                });
+        });
+        it("must share the connection", function () {
+            expect(listens).toBe(1);
+            expect(removed).toEqual([true, false]);
+            expect(received1).toBe(0);
+            expect(received2).toBe(1);
+        });
+    });
+
+    describe("with a handler that throws", function () {
+        var sub, error;
+        beforeEach(function (done) {
+            options.error = function (err) {
+                error = err;
+            };
+            db.listen('throwing', function () {
+                throw new Error("Handler Error");
+            })
+                .then(function (s) {
+                    sub = s;
+                    return db.notify('throwing', 123);
+                })
+                .then(function () {
+                    return waitFor(function () {
+                        return !!error;
+                    });
+                })
+                .then(function () {
+                    return sub.unlisten();
+                })
+                .finally(function () {
+                    delete options.error;
+                    done();
+                });
+        });
+        it("must report the error", function () {
+            expect(error instanceof Error).toBe(true);
+            expect(error.message).toBe("Handler Error");
+        });
+    });
+
+    describe("when the connection is lost", function () {
+        var sub, received = [], errors = [], listens = 0;
+        beforeEach(function (done) {
+            db.listen('reconnect', function (payload) {
+                received.push(payload);
+            }, {json: true})
+                .then(function (s) {
+                    sub = s;
+                    options.error = function (err, e) {
+                        errors.push({err: err, e: e});
+                    };
+                    options.query = function (e) {
+                        if (e.query === 'listen "reconnect"') {
+                            listens++;
+                        }
+                    };
+                    return db.one("select count(*) from (select pg_terminate_backend(pid) from pg_stat_activity where query = 'listen \"reconnect\"') x");
+                })
+                .then(function () {
+                    return waitFor(function () {
+                        return listens === 1;
+                    });
+                })
+                .then(function () {
+                    // waiting for LISTEN to be executed:
+                    return promise.delay(50);
+                })
+                .then(function () {
+                    return db.notify('reconnect', 'after');
+                })
+                .then(function () {
+                    return waitFor(function () {
+                        return received.length > 0;
+                    });
+                })
+                .then(function () {
+                    return sub.unlisten();
+                })
+                .finally(function () {
+                    delete options.error;
+                    delete options.query;
+                    done();
+                });
+        }, 10000);
+        it("must reconnect and listen again", function () {
+            expect(errors.length).toBe(1);
+            expect(errors[0].e.cn).toBeDefined();
+            expect(received).toEqual(['after']);
+        });
+    });
+
+    describe("when unlistening during a reconnect", function () {
+        var sub, removed, released;
+        beforeEach(function (done) {
+            db.listen('reconnecting', function () {
+            })
+                .then(function (s) {
+                    sub = s;
+                    options.error = function () {
+                    };
+                    return db.one("select count(*) from (select pg_terminate_backend(pid) from pg_stat_activity where query = 'listen \"reconnecting\"') x");
+                })
+                .then(function () {
+                    // the next connection is the one being restored:
+                    options.connect = function () {
+                        delete options.connect;
+                        sub.unlisten()
+                            .then(function (r) {
+                                removed = r;
+                            });
+                        options.disconnect = function () {
+                            released = true;
+                        };
+                    };
+                    return waitFor(function () {
+                        return released;
+                    }, 5000);
+                })
+                .finally(function () {
+                    delete options.error;
+                    delete options.connect;
+                    delete options.disconnect;
+                    done();
+                });
+        }, 10000);
+        it("must release the restored connection", function () {
+            expect(removed).toBe(true);
+            expect(released).toBe(true);
+        });
+    });
+
+    describe("negative", function () {
+        var errors = [];
+        beforeEach(function (done) {
+            promise.all([
+                db.listen(),
+                db.listen('channel'),
+                db.listen('channel', function () {
+                }, 123)
+            ].map(function (p, index) {
+                return p.catch(function (e) {
+                    errors[index] = e;
+                });
+            }))
+                .finally(function () {
+                    done();
+                });
+        });
+        it("must reject with the right errors", function () {
+            expect(errors[0] instanceof TypeError).toBe(true);
+            expect(errors[0].message).toBe("Invalid channel name specified.");
+            expect(errors[1].message).toBe("Invalid notification handler specified.");
+            expect(errors[2].message).toBe("Invalid parameter 'options' specified.");
+        });
+    });
+});
@@ -0,0 +1,230 @@
+'use strict';
+
+var path = require('path');
+
+var header = require('./db/header');
+var promise = header.defPromise;
+var options = {
+    promiseLib: promise
+};
+var dbHeader = header(options);
+var pgp = dbHeader.pgp;
+var db = dbHeader.db;
+
+var migOptions = {
+    dir: path.join(__dirname, 'migrations'),
+    table: 'mig_tracking',
+    files: {minify: true, params: {price: 10}}
+};
+
+function withOptions(opt) {
+    var result = {};
+    [migOptions, opt].forEach(function (o) {
+        for (var name in o) {
+            result[name] = o[name];
+        }
+    });
+    return result;
+}
+
+function cleanUp() {
+    return db.none('DROP TABLE IF EXISTS mig_items; DROP TABLE IF EXISTS mig_tracking');
+}
+
+describe("Migrations", function () {
+
+    describe("up, status and down", function () {
+        var results = {}, items;
+        beforeEach(function (done) {
+            cleanUp()
+                .then(function () {
+                    return pgp.migrate.up(db, withOptions({dryRun: true}));
+                })
+                .then(function (data) {
+                    results.dryRun = data;
+                    return pgp.migrate.up(db, withOptions({to: 2}));
+                })
+                .then(function (data) {
+                    results.upTo = data;
+                    return pgp.migrate.status(db, migOptions);
+                })
+                .then(function (data) {
+                    results.status = data;
+                    return pgp.migrate.up(db, migOptions);
+                })
+                .then(function (data) {
+                    results.up = data;
+                    return db.one('SELECT * FROM mig_items');
+                })
+                .then(function (data) {
+                    items = data;
+                    return pgp.migrate.down(db, migOptions);
+                })
+                .then(function (data) {
+                    results.down = data;
+                    return pgp.migrate.down(db, withOptions({to: 1, dryRun: true}));
+                })
+                .then(function (data) {
+                    results.downDry = data;
+                    return pgp.migrate.up(db, migOptions);
+                })
+                .then(function (data) {
+                    results.again = data;
+                })
+                .finally(function () {
+                    cleanUp()
+                        .finally(function () {
+                            done();
+                        });
+                });
+        });
+        it("must apply and revert the migrations in order", function () {
+            expect(results.dryRun).toEqual([
+                {version: 1, name: 'create-items'},
+                {version: 2, name: 'add-price'},
+                {version: 3, name: 'seed'}
+            ]);
+            expect(results.upTo).toEqual(results.dryRun.slice(0, 2));
+            expect(results.status.length).toBe(3);
+            expect(results.status[0].applied).toBe(true);
+            expect(results.status[0].appliedAt instanceof Date).toBe(true);
+            expect(results.status[0].changed).toBe(false);
+            expect(results.status[2]).toEqual({version: 3, name: 'seed', applied: false, appliedAt: null, changed: false});
+            expect(results.up).toEqual([{version: 3, name: 'seed'}]);
+            expect(items).toEqual({id: 1, name: 'first', price: '10'});
+            expect(results.down).toEqual([{version: 3, name: 'seed'}]);
+            expect(results.downDry).toEqual([{version: 2, name: 'add-price'}]);
+            expect(results.again).toEqual([{version: 3, name: 'seed'}]);
+        });
+    });
+
+    describe("concurrent runners", function () {
+        var results;
+        beforeEach(function (done) {
+            cleanUp()
+                .then(function () {
+                    return promise.all([pgp.migrate.up(db, migOptions), pgp.migrate.up(db, migOptions)]);
+                })
+                .then(function (data) {
+                    results = data;
+                })
+                .finally(function () {
+                    cleanUp()
+                        .finally(function () {
+                            done();
+                        });
+                });
+        });
+        it("must apply every migration once", function () {
+            expect(results[0].length + results[1].length).toBe(3);
+        });
+    });
+
+    describe("with a changed or missing file", function () {
+        var errors = [];
+        beforeEach(function (done) {
+            cleanUp()
+                .then(function () {
+                    return pgp.migrate.up(db, migOptions);
+                })
+                .then(function () {
+                    return db.none("UPDATE mig_tracking SET checksum = 'changed' WHERE version = 2");
+                })
+                .then(function () {
+                    return pgp.migrate.up(db, migOptions);
+                })
+                .catch(function (error) {
+                    errors.push(error);
+                    return pgp.migrate.status(db, migOptions);
+                })
+                .then(function (data) {
+                    errors.push(data[1].changed);
+                    return db.none("DELETE FROM mig_tracking WHERE version < 3; " +
+                        "INSERT INTO mig_tracking(version, name, checksum) VALUES(5, 'gone', '')");
+                })
+                .then(function () {
+                    return pgp.migrate.down(db, migOptions);
+                })
+                .catch(function (error) {
+                    errors.push(error);
+                })
+                .finally(function () {
+                    cleanUp()
+                        .finally(function () {
+                            done();
+                        });
+                });
+        });
+        it("must reject", function () {
+            expect(errors[0] instanceof Error).toBe(true);
+            expect(errors[0].message).toBe("Migration 2 has changed since it was applied.");
+            expect(errors[1]).toBe(true);
+            expect(errors[2].message).toBe("Migration 5 has been applied, but its file is missing.");
+        });
+    });
+
+    describe("without a down file", function () {
+        var error;
+        beforeEach(function (done) {
+            cleanUp()
+                .then(function () {
+                    return pgp.migrate.up(db, withOptions({to: 1}));
+                })
+                .then(function () {
+                    return pgp.migrate.down(db, migOptions);
+                })
+                .catch(function (e) {
+                    error = e;
+                })
+                .finally(function () {
+                    cleanUp()
+                        .finally(function () {
+                            done();
+                        });
+                });
+        });
+        it("must reject", function () {
+            expect(error instanceof Error).toBe(true);
+            expect(error.message).toBe("Migration 1 cannot be reverted without a down file.");
+        });
+    });
+
+    describe("with invalid options", function () {
+        var errors = [];
+        beforeEach(function (done) {
+            promise.each([
+                undefined,
+                {},
+                {dir: 'migrations', to: 'last'},
+                {dir: 'migrations', files: 1},
+                {dir: 'migrations', table: 123}
+            ], function (opt) {
+                return pgp.migrate.up(db, opt)
+                    .catch(function (e) {
+                        errors.push(e);
+                    });
+            })
+                .then(function () {
+                    return pgp.migrate.status(db, {dir: path.join(__dirname, 'sql')});
+                })
+                .catch(function (e) {
+                    errors.push(e);
+                })
+                .finally(function () {
+                    done();
+                });
+        });
+        it("must reject", function () {
+            expect(errors.map(function (e) {
+                return e.message;
+            })).toEqual([
+                "Invalid parameter 'options' specified.",
+                "Invalid option 'dir' specified.",
+                "Invalid option 'to' specified.",
+                "Invalid option 'files' specified.",
+                "Invalid option 'table' specified.",
+                "Invalid migration file name: " + path.join(__dirname, 'sql', 'allUsers.sql')
+            ]);
+        });
+    });
+});
@@ -0,0 +1 @@
+CREATE TABLE mig_items(id serial PRIMARY KEY, name text);
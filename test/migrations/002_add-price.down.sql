@@ -0,0 +1 @@
+ALTER TABLE mig_items DROP COLUMN price;
@@ -0,0 +1,2 @@
+/* price column, with the default from the parameters */
+ALTER TABLE mig_items ADD COLUMN price numeric DEFAULT ${price};
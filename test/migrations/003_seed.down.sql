@@ -0,0 +1 @@
+DELETE FROM mig_items;
@@ -0,0 +1,2 @@
+INSERT INTO mig_items(name) VALUES('first');
+SELECT * FROM mig_items;
@@ -0,0 +1,241 @@
+'use strict';
+
+var header = require('./db/header');
+var promise = header.defPromise;
+var options = {
+    promiseLib: promise
+};
+var dbHeader = header(options);
+var pgp = dbHeader.pgp;
+var db = dbHeader.db;
+
+var monitor = pgp.monitor;
+
+// attaches the monitor with output into the log;
+function attachLog(config) {
+    var log = {lines: [], infos: []};
+    config.output = function (line, info) {
+        log.lines.push(line);
+        log.infos.push(info);
+    };
+    monitor.attach(options, config);
+    return log;
+}
+
+describe("Monitor", function () {
+
+    it("must be available before initialization", function () {
+        expect(require('../lib/index').monitor).toBe(monitor);
+    });
+
+    describe("for queries in text format", function () {
+        var log;
+        beforeEach(function (done) {
+            log = attachLog({colors: false});
+            db.one('select $1 as value', 123)
+                .then(function () {
+                    return db.one('select * from unknown_table');
+                })
+                .catch(function () {
+                })
+                .finally(function () {
+                    monitor.detach(options);
+                    done();
+                });
+        });
+        it("must log queries and errors", function () {
+            expect(log.lines.length).toBe(3);
+            expect(log.lines[0]).toMatch(/^\d\d:\d\d:\d\d query: select 123 as value$/);
+            expect(log.lines[1]).toMatch(/ query: select \* from unknown_table$/);
+            expect(log.lines[2]).toMatch(/ error: relation "unknown_table" does not exist; query: select \* from unknown_table$/);
+            expect(log.infos[2].level).toBe('error');
+        });
+    });
+
+    describe("for transactions in JSON format", function () {
+        var log;
+        beforeEach(function (done) {
+            log = attachLog({format: 'json', level: 'debug', events: ['query', 'receive', 'transact']});
+            db.tx('outer', function (t) {
+                return t.tx('inner', function (t2) {
+                    return t2.one('select 1 as value');
+                });
+            })
+                .finally(function () {
+                    monitor.detach(options);
+                    done();
+                });
+        });
+        it("must log durations, tags and levels", function () {
+            var infos = log.lines.map(function (line) {
+                return JSON.parse(line);
+            });
+            expect(infos.map(function (i) {
+                return i.event + (i.state ? ':' + i.state : '');
+            })).toEqual([
+                'transact:start', 'query', 'transact:start', 'query', 'query', 'receive', 'query', 'transact:finish',
+                'query', 'transact:finish'
+            ]);
+            expect(infos[0].task).toEqual({tag: 'outer', isTX: true, txLevel: 0});
+            expect(infos[3].query).toBe('savepoint level_1');
+            expect(infos[3].task).toEqual({tag: 'inner', isTX: true, txLevel: 1});
+            expect(infos[5].rows).toBe(1);
+            expect(typeof infos[5].duration).toBe('number');
+            expect(infos[7].success).toBe(true);
+            expect(typeof infos[9].duration).toBe('number');
+            expect(typeof infos[9].time).toBe('string');
+        });
+    });
+
+    describe("with parameters", function () {
+        var log;
+        beforeEach(function (done) {
+            log = attachLog({colors: false, paramLength: 5});
+            db.one({
+                name: 'monitor-test',
+                text: 'select $1::text as a, $2::int as b',
+                values: ['1234567890', 123]
+            })
+                .finally(function () {
+                    monitor.detach(options);
+                    done();
+                });
+        });
+        it("must truncate them", function () {
+            expect(log.infos[0].params).toEqual(['12345...', 123]);
+            expect(log.lines[0]).toMatch(/ query: select \$1::text as a, \$2::int as b; params: \["12345...",123\]$/);
+        });
+    });
+
+    describe("with existing handlers", function () {
+        var log, queries = [], error, context = {};
+        beforeEach(function (done) {
+            options.query = function (e) {
+                queries.push(e.query);
+                if (e.query === 'select 2') {
+                    throw new Error("Reject!");
+                }
+            };
+            log = attachLog({colors: false});
+            db.none('select 1 where false')
+                .then(function () {
+                    return db.none('select 2');
+                })
+                .catch(function (e) {
+                    error = e;
+                })
+                .finally(function () {
+                    monitor.detach(options);
+                    done();
+                });
+        });
+        it("must chain them", function () {
+            expect(queries).toEqual(['select 1 where false', 'select 2']);
+            expect(log.lines.length).toBe(3); // 2 queries + error;
+            expect(error.message).toBe("Reject!");
+            expect(typeof options.query).toBe('function');
+            options.query.call(context, {query: 'test'});
+            expect(queries[2]).toBe('test');
+            delete options.query;
+        });
+    });
+
+    describe("with a failing output", function () {
+        var queries = [], data;
+        beforeEach(function (done) {
+            options.query = function (e) {
+                queries.push(e.query);
+            };
+            options.receive = function (rows) {
+                rows[0].value++;
+            };
+            monitor.attach(options, {
+                level: 'debug',
+                output: function () {
+                    throw new Error("Output Error");
+                }
+            });
+            db.one('select 1 as value')
+                .then(function (d) {
+                    data = d;
+                })
+                .finally(function () {
+                    monitor.detach(options);
+                    delete options.query;
+                    delete options.receive;
+                    done();
+                });
+        });
+        it("must still call the chained handlers", function () {
+            expect(queries).toEqual(['select 1 as value']);
+            expect(data).toEqual({value: 2});
+        });
+    });
+
+    describe("with level filtering", function () {
+        var log;
+        beforeEach(function (done) {
+            log = attachLog({level: 'error'});
+            db.task(function (t) {
+                return t.one('select 1 as value')
+                    .then(function () {
+                        return t.none('select * from unknown_table');
+                    });
+            })
+                .catch(function () {
+                })
+                .finally(function () {
+                    monitor.detach(options);
+                    done();
+                });
+        });
+        it("must log only errors", function () {
+            expect(log.infos.length).toBe(1);
+            expect(log.infos[0].event).toBe('error');
+            expect(log.infos[0].task.isTX).toBe(false);
+        });
+    });
+
+    describe("attach + detach", function () {
+        it("must restore the handlers", function () {
+            var handler = function () {
+            };
+            var opt = {error: handler};
+            expect(monitor.isAttached(opt)).toBe(false);
+            expect(monitor.attach(opt)).toBe(true);
+            expect(monitor.attach(opt)).toBe(false);
+            expect(monitor.isAttached(opt)).toBe(true);
+            expect(opt.error).not.toBe(handler);
+            expect(typeof opt.query).toBe('function');
+            opt.task = handler; // replaced after attaching;
+            expect(monitor.detach(opt)).toBe(true);
+            expect(monitor.detach(opt)).toBe(false);
+            expect(opt.error).toBe(handler);
+            expect(opt.task).toBe(handler);
+            expect('query' in opt).toBe(false);
+        });
+    });
+
+    describe("with invalid parameters", function () {
+        it("must throw the right errors", function () {
+            expect(function () {
+                monitor.attach();
+            }).toThrow(new TypeError("Initialization options object is required."));
+            expect(function () {
+                monitor.attach({}, 123);
+            }).toThrow(new TypeError("Invalid monitor configuration."));
+            expect(function () {
+                monitor.attach({}, {events: ['query', 'unknown']});
+            }).toThrow(new TypeError("Invalid monitor option 'events' specified."));
+            expect(function () {
+                monitor.attach({}, {level: 'warning'});
+            }).toThrow(new TypeError("Invalid monitor option 'level' specified."));
+            expect(function () {
+                monitor.attach({}, {format: 'xml'});
+            }).toThrow(new TypeError("Invalid monitor option 'format' specified."));
+            expect(function () {
+                monitor.attach({}, {paramLength: 0});
+            }).toThrow(new TypeError("Invalid monitor option 'paramLength' specified."));
+        });
+    });
+});
@@ -0,0 +1,194 @@
+'use strict';
+
+var header = require('./db/header');
+var promise = header.defPromise;
+var options = {
+    promiseLib: promise
+};
+var dbHeader = header(options);
+var pgp = dbHeader.pgp;
+var db = dbHeader.db;
+
+// creates a database object with extra pool options;
+function createDB(poolOptions) {
+    var cn = JSON.parse(JSON.stringify(dbHeader.cn));
+    for (var p in poolOptions) {
+        cn[p] = poolOptions[p];
+    }
+    return pgp(cn);
+}
+
+describe("Connection pool", function () {
+
+    describe("with default options", function () {
+        it("must use the defaults", function () {
+            expect(db.$pool.max).toBe(pgp.pg.defaults.poolSize);
+            expect(db.$pool.idleTimeout).toBe(pgp.pg.defaults.poolIdleTimeout);
+            expect(db.$pool.acquireTimeout).toBe(0);
+            expect(db.$pool.ended).toBe(false);
+        });
+    });
+
+    describe("when exceeding the maximum", function () {
+        var during, after, data, dbMax = createDB({max: 2});
+        beforeEach(function (done) {
+            var queries = [1, 2, 3, 4].map(function (i) {
+                return dbMax.one('select $1 as value from pg_sleep(0.1)', i);
+            });
+            during = dbMax.$pool.stats();
+            promise.all(queries)
+                .then(function (d) {
+                    data = d;
+                    after = dbMax.$pool.stats();
+                    return dbMax.$pool.end();
+                })
+                .finally(function () {
+                    done();
+                });
+        });
+        it("must queue the requests", function () {
+            expect(during).toEqual({max: 2, total: 0, idle: 0, active: 0, waiting: 4});
+            expect(after).toEqual({max: 2, total: 2, idle: 2, active: 0, waiting: 0});
+            expect(data).toEqual([{value: 1}, {value: 2}, {value: 3}, {value: 4}]);
+        });
+    });
+
+    describe("with an idle timeout", function () {
+        var before, after, dbIdle = createDB({idleTimeout: 50});
+        beforeEach(function (done) {
+            dbIdle.one('select 1')
+                .then(function () {
+                    before = dbIdle.$pool.stats();
+                    return promise.delay(200);
+                })
+                .then(function () {
+                    after = dbIdle.$pool.stats();
+                })
+                .finally(function () {
+                    done();
+                });
+        });
+        it("must close idle connections", function () {
+            expect(before.total).toBe(1);
+            expect(before.idle).toBe(1);
+            expect(after.total).toBe(0);
+        });
+    });
+
+    describe("with an acquire timeout", function () {
+        var error, context, dbWait = createDB({max: 1, acquireTimeout: 50});
+        beforeEach(function (done) {
+            var sco;
+            options.error = function (err, e) {
+                context = e;
+            };
+            dbWait.connect()
+                .then(function (obj) {
+                    sco = obj;
+                    return dbWait.one('select 1');
+                })
+                .catch(function (e) {
+                    error = e;
+                })
+                .finally(function () {
+                    delete options.error;
+                    sco.done();
+                    dbWait.$pool.end()
+                        .then(done);
+                });
+        });
+        it("must reject when the time is out", function () {
+            expect(error instanceof Error).toBe(true);
+            expect(error.message).toBe("Timed out while waiting for a pool connection.");
+            expect(context.cn).toBeDefined();
+        });
+    });
+
+    describe("when ended", function () {
+        var stats, error, data, ended, dbEnd = createDB({});
+        beforeEach(function (done) {
+            dbEnd.connect()
+                .then(function (sco) {
+                    var p = dbEnd.$pool.end()
+                        .then(function () {
+                            ended = true;
+                        });
+                    // the pool must wait for the active connection:
+                    return promise.delay(50)
+                        .then(function () {
+                            expect(ended).toBeUndefined();
+                            sco.done();
+                            return p;
+                        });
+                })
+                .then(function () {
+                    stats = dbEnd.$pool.stats();
+                    return dbEnd.one('select 1');
+                })
+                .catch(function (e) {
+                    error = e;
+                    // other database objects must not be affected:
+                    return db.one('select 123 as value');
+                })
+                .then(function (d) {
+                    data = d;
+                    // ending it again:
+                    return dbEnd.$pool.end();
+                })
+                .finally(function () {
+                    done();
+                });
+        });
+        it("must close all connections", function () {
+            expect(ended).toBe(true);
+            expect(dbEnd.$pool.ended).toBe(true);
+            expect(stats).toEqual({max: 10, total: 0, idle: 0, active: 0, waiting: 0});
+            expect(error instanceof Error).toBe(true);
+            expect(error.message).toBe("Connection pool has been shut down.");
+            expect(data).toEqual({value: 123});
+        });
+    });
+
+    describe("with waiting requests, when ended", function () {
+        var error, dbEnd = createDB({max: 1});
+        beforeEach(function (done) {
+            dbEnd.connect()
+                .then(function (sco) {
+                    var p = dbEnd.one('select 1')
+                        .catch(function (e) {
+                            error = e;
+                        });
+                    var e = dbEnd.$pool.end();
+                    sco.done();
+                    return promise.all([p, e]);
+                })
+                .finally(function () {
+                    done();
+                });
+        });
+        it("must reject the requests", function () {
+            expect(error instanceof Error).toBe(true);
+            expect(error.message).toBe("Connection pool has been shut down.");
+        });
+    });
+
+    describe("with invalid options", function () {
+        var errors = [];
+        beforeEach(function () {
+            [{max: 0}, {idleTimeout: -1}, {acquireTimeout: 'abc'}].forEach(function (opt) {
+                try {
+                    createDB(opt);
+                } catch (e) {
+                    errors.push(e);
+                }
+            });
+        });
+        it("must throw the right errors", function () {
+            expect(errors.length).toBe(3);
+            expect(errors[0] instanceof TypeError).toBe(true);
+            expect(errors[0].message).toBe("Invalid pool option 'max' specified.");
+            expect(errors[1].message).toBe("Invalid pool option 'idleTimeout' specified.");
+            expect(errors[2].message).toBe("Invalid pool option 'acquireTimeout' specified.");
+        });
+    });
+});
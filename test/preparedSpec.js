@@ -137,7 +137,7 @@ describe("PreparedStatement", function () {
     });
 
     describe("valid, with parameters", function () {
-        var result, ps = new pgp.PreparedStatement('test', 'select count(*) from users where login = $1', ['non-existing']);
+        var result, ps = new pgp.PreparedStatement('test-with-params', 'select count(*) from users where login = $1', ['non-existing']);
         beforeEach(function (done) {
             db.one(ps)
                 .then(function (data) {
@@ -45,6 +45,7 @@ describe("Library instance", function () {
         expect(pgpLib.errors.queryResultErrorCode instanceof Object).toBe(true);
         expect(pgpLib.errors.PreparedStatementError instanceof Function).toBe(true);
         expect(pgpLib.errors.ParameterizedQueryError instanceof Function).toBe(true);
+        expect(pgpLib.errors.QueryCancelError instanceof Function).toBe(true);
     });
 
     it("must have function 'PromiseAdapter'", function () {
@@ -98,6 +99,7 @@ describe("Initialized instance", function () {
         expect(pgp.errors.queryResultErrorCode instanceof Object).toBe(true);
         expect(pgp.errors.PreparedStatementError instanceof Function).toBe(true);
         expect(pgp.errors.ParameterizedQueryError instanceof Function).toBe(true);
+        expect(pgp.errors.QueryCancelError instanceof Function).toBe(true);
     });
 
     it("must have function 'PromiseAdapter'", function () {
@@ -138,10 +140,17 @@ describe("Database Protocol", function () {
         expect(typeof db.oneOrNone).toBe('function');
         expect(typeof db.manyOrNone).toBe('function');
         expect(typeof db.stream).toBe('function');
+        expect(typeof db.copyFrom).toBe('function');
+        expect(typeof db.copyTo).toBe('function');
         expect(typeof db.func).toBe('function');
         expect(typeof db.proc).toBe('function');
+        expect(typeof db.notify).toBe('function');
+        expect(typeof db.listen).toBe('function');
         expect(typeof db.map).toBe('function');
         expect(typeof db.each).toBe('function');
+        expect(typeof db.nest).toBe('function');
+        expect(typeof db.introspect).toBe('object');
+        expect(typeof db.cursor).toBe('function');
 
         // must not have task-level methods:
         expect(db.batch).toBeUndefined();
@@ -160,6 +169,12 @@ describe("Database Protocol", function () {
         expect(typeof db.$config.pgp).toBe('function');
         expect(typeof db.$config.version).toBe('string');
         expect(typeof db.$config.$npm).toBe('object');
+
+        // must have a hidden connection pool;
+        expect(db.$pool && typeof db.$pool === 'object').toBeTruthy();
+        expect(typeof db.$pool.stats).toBe('function');
+        expect(typeof db.$pool.end).toBe('function');
+        expect(Array.isArray(db.$replicas)).toBe(true);
     });
 
     describe("on connection level", function () {
@@ -192,10 +207,17 @@ describe("Database Protocol", function () {
             expect(typeof connection.oneOrNone).toBe('function');
             expect(typeof connection.manyOrNone).toBe('function');
             expect(typeof connection.stream).toBe('function');
+            expect(typeof connection.copyFrom).toBe('function');
+            expect(typeof connection.copyTo).toBe('function');
             expect(typeof connection.func).toBe('function');
             expect(typeof connection.proc).toBe('function');
+            expect(typeof connection.notify).toBe('function');
             expect(typeof connection.map).toBe('function');
             expect(typeof connection.each).toBe('function');
+            expect(typeof connection.nest).toBe('function');
+            expect(typeof connection.introspect).toBe('object');
+            expect(typeof connection.cursor).toBe('function');
+            expect(connection.listen).toBeUndefined();
 
             expect(typeof connection.done).toBe('function');
             expect(typeof connection.client).toBe('object');
@@ -234,13 +256,20 @@ describe("Database Protocol", function () {
             expect(typeof protocol.oneOrNone).toBe('function');
             expect(typeof protocol.manyOrNone).toBe('function');
             expect(typeof protocol.stream).toBe('function');
+            expect(typeof protocol.copyFrom).toBe('function');
+            expect(typeof protocol.copyTo).toBe('function');
             expect(typeof protocol.func).toBe('function');
             expect(typeof protocol.proc).toBe('function');
+            expect(typeof protocol.notify).toBe('function');
             expect(typeof protocol.batch).toBe('function');
             expect(typeof protocol.page).toBe('function');
             expect(typeof protocol.sequence).toBe('function');
             expect(typeof protocol.map).toBe('function');
             expect(typeof protocol.each).toBe('function');
+            expect(typeof protocol.nest).toBe('function');
+            expect(typeof protocol.introspect).toBe('object');
+            expect(typeof protocol.cursor).toBe('function');
+            expect(protocol.listen).toBeUndefined();
         });
     });
 
@@ -275,6 +304,8 @@ describe("Database Protocol", function () {
             expect(typeof(protocol.oneOrNone)).toBe('function');
             expect(typeof(protocol.manyOrNone)).toBe('function');
             expect(typeof(protocol.stream)).toBe('function');
+            expect(typeof(protocol.copyFrom)).toBe('function');
+            expect(typeof(protocol.copyTo)).toBe('function');
             expect(typeof(protocol.func)).toBe('function');
             expect(typeof(protocol.proc)).toBe('function');
             expect(typeof(protocol.batch)).toBe('function');
@@ -282,6 +313,8 @@ describe("Database Protocol", function () {
             expect(typeof(protocol.sequence)).toBe('function');
             expect(typeof(protocol.map)).toBe('function');
             expect(typeof(protocol.each)).toBe('function');
+            expect(typeof(protocol.nest)).toBe('function');
+            expect(typeof(protocol.introspect)).toBe('object');
         });
     });
 
@@ -441,6 +474,14 @@ describe("Error protocol", function () {
         expect(error1.inspect()).toBe(error1.toString());
         expect(error2.inspect()).toBe(error2.toString());
     });
+    it("must format QueryCancelError correctly", function () {
+        var error1 = new pgp.errors.QueryCancelError(100, 'select 1');
+        var error2 = new pgp.errors.QueryCancelError(undefined, {name: 'name', text: 'text'}, [1]);
+        expect(error1.inspect()).toBe(error1.toString());
+        expect(error1.toString()).toContain('timeout: 100');
+        expect(error2.toString()).toContain('values: [1]');
+        expect(error2.toString(1)).toContain('Query has been cancelled.');
+    });
 });
 
 if (jasmine.Runner) {
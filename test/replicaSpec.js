@@ -0,0 +1,258 @@
+'use strict';
+
+var header = require('./db/header');
+var promise = header.defPromise;
+var options = {
+    promiseLib: promise
+};
+var dbHeader = header(options);
+var pgp = dbHeader.pgp;
+var db = dbHeader.db;
+
+// creates connection details with a specific application name,
+// to tell the servers apart, while using the same test database;
+function createCN(name) {
+    var cn = JSON.parse(JSON.stringify(dbHeader.cn));
+    cn.application_name = name;
+    return cn;
+}
+
+var dbRep = pgp({
+    primary: createCN('primary'),
+    replicas: [createCN('replica-1'), createCN('replica-2')]
+});
+
+var appName = "select current_setting('application_name') as name";
+
+// executes the function while logging {query, target} for all queries;
+function logQueries(cb) {
+    var log = [];
+    options.query = function (e) {
+        log.push({query: e.query, target: e.target});
+    };
+    return cb()
+        .finally(function () {
+            delete options.query;
+        })
+        .then(function (data) {
+            return {data: data, log: log};
+        });
+}
+
+describe("Replicated database", function () {
+
+    describe("for reads", function () {
+        var result;
+        beforeEach(function (done) {
+            logQueries(function () {
+                return dbRep.one(appName)
+                    .then(function (a) {
+                        return dbRep.any(appName)
+                            .then(function (b) {
+                                return [a.name, b[0].name];
+                            });
+                    });
+            })
+                .then(function (r) {
+                    result = r;
+                })
+                .finally(function () {
+                    done();
+                });
+        });
+        it("must use replicas in round-robin order", function () {
+            expect(result.data).toEqual(['replica-1', 'replica-2']);
+            expect(result.log).toEqual([
+                {query: appName, target: 'replica'},
+                {query: appName, target: 'replica'}
+            ]);
+        });
+    });
+
+    describe("for writes", function () {
+        var result;
+        beforeEach(function (done) {
+            logQueries(function () {
+                return dbRep.none('select 1 where false')
+                    .then(function () {
+                        return dbRep.query(appName);
+                    });
+            })
+                .then(function (r) {
+                    result = r;
+                })
+                .finally(function () {
+                    done();
+                });
+        });
+        it("must use the primary", function () {
+            expect(result.data).toEqual([{name: 'primary'}]);
+            expect(result.log[0].target).toBe('primary');
+            expect(result.log[1].target).toBe('primary');
+        });
+    });
+
+    describe("for reads that modify data", function () {
+        var result;
+        beforeEach(function (done) {
+            var queries = [
+                "select 1 as value; select 2 as value",
+                "with a as (insert into users(login) select 'x' where false returning id) select * from a",
+                "select * from users for share",
+                new pgp.ParameterizedQuery("delete from users where id = 0 returning id"),
+                "select ';' as text -- insert\n/* update */",
+                "select $$delete$$ as text, \"into\" from (select 1 as \"into\") x"
+            ];
+            logQueries(function () {
+                return promise.each(queries, function (q) {
+                    return dbRep.any(q);
+                });
+            })
+                .then(function (r) {
+                    result = r;
+                })
+                .finally(function () {
+                    done();
+                });
+        });
+        it("must use the primary", function () {
+            expect(result.log.map(function (l) {
+                return l.target;
+            })).toEqual(['primary', 'primary', 'primary', 'primary', 'replica', 'replica']);
+        });
+    });
+
+    describe("for tasks and transactions", function () {
+        var result;
+        beforeEach(function (done) {
+            var mode = new pgp.txMode.TransactionMode({readOnly: true});
+
+            function readTX(t) {
+                return t.one(appName);
+            }
+
+            function writeTX(t) {
+                return t.one(appName);
+            }
+
+            readTX.txMode = mode;
+            writeTX.txMode = new pgp.txMode.TransactionMode({readOnly: false});
+
+            logQueries(function () {
+                return promise.all([
+                    dbRep.task(function (t) {
+                        return t.one(appName);
+                    }),
+                    dbRep.tx(readTX),
+                    dbRep.tx(writeTX)
+                ]);
+            })
+                .then(function (r) {
+                    result = r;
+                })
+                .finally(function () {
+                    done();
+                });
+        });
+        it("must route them correctly", function () {
+            expect(result.data[0].name).toBe('primary');
+            expect(result.data[1].name).toMatch(/^replica-/);
+            expect(result.data[2].name).toBe('primary');
+            expect(result.log.filter(function (l) {
+                return l.query === 'begin read only';
+            })[0].target).toBe('replica');
+        });
+    });
+
+    describe("with an override", function () {
+        var result;
+        beforeEach(function (done) {
+            function myTask(t) {
+                return t.one(appName);
+            }
+
+            myTask.target = 'replica';
+            promise.all([
+                dbRep.one({query: appName, target: 'primary'}),
+                dbRep.none({query: 'select 1 where false', target: 'replica'}),
+                dbRep.task(myTask)
+            ])
+                .then(function (data) {
+                    result = data;
+                })
+                .finally(function () {
+                    done();
+                });
+        });
+        it("must use the target specified", function () {
+            expect(result[0]).toEqual({name: 'primary'});
+            expect(result[1]).toBe(null);
+            expect(result[2].name).toMatch(/^replica-/);
+        });
+    });
+
+    describe("pools", function () {
+        it("must be separate", function () {
+            expect(dbRep.$replicas.length).toBe(2);
+            expect(dbRep.$replicas[0] === dbRep.$pool).toBe(false);
+            expect(dbRep.$replicas[0] === dbRep.$replicas[1]).toBe(false);
+            expect(db.$replicas.length).toBe(0);
+        });
+    });
+});
+
+describe("Non-replicated database", function () {
+    var result;
+    beforeEach(function (done) {
+        logQueries(function () {
+            return db.one('select 1 as value');
+        })
+            .then(function (r) {
+                result = r;
+            })
+            .finally(function () {
+                done();
+            });
+    });
+    it("must not report any target", function () {
+        expect(result.log).toEqual([{query: 'select 1 as value', target: undefined}]);
+    });
+});
+
+describe("Invalid routing options", function () {
+    var errors = [];
+    beforeEach(function (done) {
+        function invalidTask() {
+        }
+
+        invalidTask.target = 'master';
+        [{primary: null}, {primary: 'cn', replicas: 'cn'}, {primary: 'cn', replicas: [123]}].forEach(function (cn) {
+            try {
+                pgp(cn);
+            } catch (e) {
+                errors.push(e);
+            }
+        });
+        promise.all([
+            dbRep.one({query: 'select 1', target: 'master'}),
+            dbRep.task(invalidTask)
+        ].map(function (p) {
+            return p.catch(function (e) {
+                errors.push(e);
+            });
+        }))
+            .finally(function () {
+                done();
+            });
+    });
+    it("must throw the right errors", function () {
+        expect(errors.length).toBe(5);
+        expect(errors[0] instanceof TypeError).toBe(true);
+        expect(errors[0].message).toBe("Invalid connection details.");
+        expect(errors[1].message).toBe("Invalid replica connection details.");
+        expect(errors[2].message).toBe("Invalid replica connection details.");
+        expect(errors[3] instanceof TypeError).toBe(true);
+        expect(errors[3].message).toBe("Invalid option 'target' specified.");
+        expect(errors[4].message).toBe("Invalid option 'target' specified.");
+    });
+});
@@ -0,0 +1,213 @@
+'use strict';
+
+var header = require('./db/header');
+var promise = header.defPromise;
+var options = {
+    promiseLib: promise
+};
+var dbHeader = header(options);
+var db = dbHeader.db;
+
+// creates a temporary table inside a transaction;
+function createTable(t) {
+    return t.none('create temp table sp_test(id int) on commit drop');
+}
+
+describe("Savepoint", function () {
+
+    describe("with a successful callback", function () {
+        var result, ids, events = [], queries = [];
+        beforeEach(function (done) {
+            options.transact = function (e) {
+                if (e.savepoint) {
+                    events.push(e.savepoint);
+                }
+            };
+            options.query = function (e) {
+                queries.push(e.query);
+            };
+            db.tx(function (t) {
+                return createTable(t)
+                    .then(function () {
+                        return t.savepoint('first', function (sp) {
+                            expect(sp).toBe(t);
+                            return sp.none('insert into sp_test values(1)')
+                                .then(function () {
+                                    return 123;
+                                });
+                        });
+                    })
+                    .then(function (data) {
+                        result = data;
+                        return t.map('select id from sp_test', [], function (row) {
+                            return row.id;
+                        });
+                    });
+            })
+                .then(function (data) {
+                    ids = data;
+                })
+                .finally(function () {
+                    delete options.transact;
+                    delete options.query;
+                    done();
+                });
+        });
+        it("must release the savepoint", function () {
+            expect(result).toBe(123);
+            expect(ids).toEqual([1]);
+            expect(queries.indexOf('savepoint "first"')).not.toBe(-1);
+            expect(queries.indexOf('release savepoint "first"')).not.toBe(-1);
+            expect(events).toEqual([
+                {name: 'first', action: 'create'},
+                {name: 'first', action: 'release'}
+            ]);
+        });
+    });
+
+    describe("with a failed callback", function () {
+        var error, ids, events = [];
+        beforeEach(function (done) {
+            options.transact = function (e) {
+                if (e.savepoint) {
+                    events.push(e.savepoint);
+                }
+            };
+            db.tx(function (t) {
+                return createTable(t)
+                    .then(function () {
+                        return t.none('insert into sp_test values(1)');
+                    })
+                    .then(function () {
+                        return t.savepoint('bad', function () {
+                            return t.none('insert into sp_test values(2)')
+                                .then(function () {
+                                    throw new Error("Bad record.");
+                                });
+                        });
+                    })
+                    .catch(function (e) {
+                        error = e;
+                        // the transaction must carry on:
+                        return t.none('insert into sp_test values(3)');
+                    })
+                    .then(function () {
+                        return t.map('select id from sp_test order by id', [], function (row) {
+                            return row.id;
+                        });
+                    });
+            })
+                .then(function (data) {
+                    ids = data;
+                })
+                .finally(function () {
+                    delete options.transact;
+                    done();
+                });
+        });
+        it("must roll back to the savepoint only", function () {
+            expect(error instanceof Error).toBe(true);
+            expect(error.message).toBe("Bad record.");
+            expect(ids).toEqual([1, 3]);
+            expect(events).toEqual([
+                {name: 'bad', action: 'create'},
+                {name: 'bad', action: 'rollback'}
+            ]);
+        });
+    });
+});
+
+describe("Method rollbackTo", function () {
+    var ids, events = [];
+    beforeEach(function (done) {
+        options.transact = function (e) {
+            if (e.savepoint) {
+                events.push(e.savepoint);
+            }
+        };
+        db.tx(function (t) {
+            return createTable(t)
+                .then(function () {
+                    return t.savepoint('start');
+                })
+                .then(function () {
+                    return t.none('insert into sp_test values(1)');
+                })
+                .then(function () {
+                    // inside a nested task:
+                    return t.task(function (tsk) {
+                        return tsk.rollbackTo('start');
+                    });
+                })
+                .then(function (data) {
+                    expect(data).toBeUndefined();
+                    return t.none('insert into sp_test values(2)');
+                })
+                .then(function () {
+                    return t.map('select id from sp_test', [], function (row) {
+                        return row.id;
+                    });
+                });
+        })
+            .then(function (data) {
+                ids = data;
+            })
+            .finally(function () {
+                delete options.transact;
+                done();
+            });
+    });
+    it("must discard changes after the savepoint", function () {
+        expect(ids).toEqual([2]);
+        expect(events).toEqual([
+            {name: 'start', action: 'create'},
+            {name: 'start', action: 'rollback'}
+        ]);
+    });
+});
+
+describe("Invalid savepoint requests", function () {
+    var errors = [];
+    beforeEach(function (done) {
+        db.task(function (t) {
+            return t.savepoint('name')
+                .catch(function (e) {
+                    errors.push(e);
+                    return t.rollbackTo('name');
+                })
+                .catch(function (e) {
+                    errors.push(e);
+                });
+        })
+            .then(function () {
+                return db.tx(function (t) {
+                    return t.savepoint('')
+                        .catch(function (e) {
+                            errors.push(e);
+                            return t.rollbackTo(123);
+                        })
+                        .catch(function (e) {
+                            errors.push(e);
+                            return t.savepoint('name', 123);
+                        })
+                        .catch(function (e) {
+                            errors.push(e);
+                        });
+                });
+            })
+            .finally(function () {
+                done();
+            });
+    });
+    it("must reject with the right errors", function () {
+        expect(errors.length).toBe(5);
+        expect(errors[0] instanceof Error).toBe(true);
+        expect(errors[0].message).toBe("Savepoints are only available inside a transaction.");
+        expect(errors[1].message).toBe("Savepoints are only available inside a transaction.");
+        expect(errors[2] instanceof TypeError).toBe(true);
+        expect(errors[2].message).toBe("Invalid savepoint name.");
+        expect(errors[3].message).toBe("Invalid savepoint name.");
+        expect(errors[4] instanceof TypeError).toBe(true);
+        expect(errors[4].message).toBe("Invalid savepoint callback.");
+    });
+});
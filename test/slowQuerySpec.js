@@ -0,0 +1,251 @@
+'use strict';
+
+var header = require('./db/header');
+var promise = header.defPromise;
+var options = {
+    promiseLib: promise
+};
+var dbHeader = header(options);
+var db = dbHeader.db;
+
+describe("Slow query", function () {
+
+    describe("without explain", function () {
+        var reports = [], data;
+        beforeEach(function (done) {
+            options.slowQuery = {
+                threshold: 100,
+                handler: function (e) {
+                    reports.push(e);
+                }
+            };
+            db.one('select 1 as value')
+                .then(function () {
+                    return db.one('select 2 as value from pg_sleep(0.2)');
+                })
+                .then(function (d) {
+                    data = d;
+                })
+                .finally(function () {
+                    delete options.slowQuery;
+                    done();
+                });
+        });
+        it("must report only slow queries", function () {
+            expect(data).toEqual({value: 2});
+            expect(reports.length).toBe(1);
+            expect(reports[0].query).toBe('select 2 as value from pg_sleep(0.2)');
+            expect(reports[0].duration).not.toBeLessThan(100);
+            expect(reports[0].plan).toBeUndefined();
+            expect(reports[0].tag).toBeUndefined();
+        });
+    });
+
+    describe("with explain inside a task", function () {
+        var report, queries = [];
+        beforeEach(function (done) {
+            options.slowQuery = {
+                threshold: 0,
+                explain: true,
+                handler: function (e) {
+                    report = e;
+                }
+            };
+            options.query = function (e) {
+                queries.push(e.query);
+            };
+            db.task('slow-task', function (t) {
+                return t.any('select * from users where id > $1', 0);
+            })
+                .finally(function () {
+                    delete options.slowQuery;
+                    delete options.query;
+                    done();
+                });
+        });
+        it("must capture the plan and the tag", function () {
+            expect(report.query).toBe('select * from users where id > 0');
+            expect(report.tag).toBe('slow-task');
+            expect(report.ctx.tag).toBe('slow-task');
+            expect(report.plan.Plan['Node Type']).toBeDefined();
+            expect(report.plan['Execution Time']).toBeUndefined();
+            // the EXPLAIN is not reported as a query:
+            expect(queries).toEqual(['select * from users where id > 0']);
+        });
+    });
+
+    describe("with explain analyze for a prepared statement", function () {
+        var report;
+        beforeEach(function (done) {
+            options.slowQuery = {
+                threshold: 0,
+                explain: 'analyze',
+                handler: function (e) {
+                    report = e;
+                }
+            };
+            db.one({name: 'slow-query-test', text: 'select $1::int as value', values: [123]})
+                .finally(function () {
+                    delete options.slowQuery;
+                    done();
+                });
+        });
+        it("must capture the plan with execution details", function () {
+            expect(report.query).toBe('select $1::int as value');
+            expect(report.params).toEqual([123]);
+            expect(typeof report.plan['Execution Time']).toBe('number');
+        });
+    });
+
+    describe("for statements that cannot be explained", function () {
+        var reports = [], data, count;
+        beforeEach(function (done) {
+            options.slowQuery = {
+                threshold: 0,
+                explain: true,
+                handler: function (e) {
+                    reports.push(e);
+                    throw new Error("Ignored!");
+                }
+            };
+            db.tx(function (t) {
+                return t.none('create temp table slow_test(id int) on commit drop')
+                    .then(function () {
+                        return t.one('show server_version');
+                    })
+                    .then(function (d) {
+                        data = d;
+                        return t.result('select 1; insert into slow_test values(1)');
+                    })
+                    .then(function () {
+                        return t.one('select count(*)::int as value from slow_test');
+                    })
+                    .then(function (d) {
+                        count = d.value;
+                    });
+            })
+                .finally(function () {
+                    delete options.slowQuery;
+                    done();
+                });
+        });
+        it("must report them without a plan", function () {
+            expect(typeof data.server_version).toBe('string');
+            expect(count).toBe(1);
+            expect(reports.map(function (r) {
+                return r.query;
+            })).toEqual([
+                'create temp table slow_test(id int) on commit drop',
+                'show server_version',
+                'select 1; insert into slow_test values(1)',
+                'select count(*)::int as value from slow_test'
+            ]);
+            expect(reports[1].plan).toBeUndefined();
+            expect(reports[1].error).toBeUndefined();
+            expect(reports[2].plan).toBeUndefined();
+            expect(reports[3].plan).toBeDefined();
+        });
+    });
+
+    describe("with explain analyze for a write outside a transaction", function () {
+        var report, count;
+        beforeEach(function (done) {
+            db.task(function (t) {
+                return t.none('create temp table slow_write(id int)')
+                    .then(function () {
+                        options.slowQuery = {
+                            threshold: 0,
+                            explain: 'analyze',
+                            handler: function (e) {
+                                report = e;
+                            }
+                        };
+                        return t.none('insert into slow_write values(1)');
+                    })
+                    .then(function () {
+                        delete options.slowQuery;
+                        return t.one('select count(*)::int as value from slow_write');
+                    })
+                    .then(function (d) {
+                        count = d.value;
+                        return t.none('drop table slow_write');
+                    });
+            })
+                .finally(function () {
+                    delete options.slowQuery;
+                    done();
+                });
+        });
+        it("must not change the data again", function () {
+            expect(report.query).toBe('insert into slow_write values(1)');
+            expect(typeof report.plan['Execution Time']).toBe('number');
+            expect(count).toBe(1);
+        });
+    });
+
+    describe("when explain fails inside a transaction", function () {
+        var report, data;
+        beforeEach(function (done) {
+            options.slowQuery = {
+                threshold: 0,
+                explain: 'analyze',
+                handler: function (e) {
+                    if (e.query.indexOf('nextval') !== -1) {
+                        report = e;
+                    }
+                }
+            };
+            db.tx(function (t) {
+                return t.none('create temp sequence slow_seq')
+                    .then(function () {
+                        // division by zero, but only when executed for the second time:
+                        return t.one("select 1 / (2 - nextval('slow_seq')::int) as value");
+                    })
+                    .then(function () {
+                        return t.one('select 123 as value');
+                    });
+            })
+                .then(function (d) {
+                    data = d;
+                })
+                .finally(function () {
+                    delete options.slowQuery;
+                    done();
+                });
+        });
+        it("must report the error, and continue the transaction", function () {
+            expect(report.plan).toBeUndefined();
+            expect(report.error instanceof Error).toBe(true);
+            expect(report.error.message).toBe('division by zero');
+            expect(data).toEqual({value: 123});
+        });
+    });
+
+    describe("with invalid option", function () {
+        var errors = [];
+        beforeEach(function (done) {
+            function handler() {
+            }
+
+            var invalid = [123, {threshold: -1, handler: handler}, {threshold: 1}, {threshold: 1, explain: 'yes', handler: handler}];
+            promise.each(invalid, function (opt) {
+                options.slowQuery = opt;
+                return db.one('select 1')
+                    .catch(function (e) {
+                        errors.push(e);
+                    });
+            })
+                .finally(function () {
+                    delete options.slowQuery;
+                    done();
+                });
+        });
+        it("must reject all queries", function () {
+            expect(errors.length).toBe(4);
+            errors.forEach(function (e) {
+                expect(e instanceof TypeError).toBe(true);
+                expect(e.message).toBe("Invalid option 'slowQuery' specified.");
+            });
+        });
+    });
+});
@@ -0,0 +1,4 @@
+-- name: first
+SELECT 1
+-- name: first
+SELECT 2
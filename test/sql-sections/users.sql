@@ -0,0 +1,14 @@
+/*
+    Queries for table users
+*/
+
+-- name: findUser
+SELECT * FROM ${schema~}.users
+WHERE id = ${id}
+
+-- name: countUsers
+SELECT count(*) FROM ${schema~}.users
+
+-- name: broken
+SELECT 'unclosed
+FROM users
@@ -0,0 +1,108 @@
+'use strict';
+
+var header = require('./db/header');
+var promise = header.defPromise;
+var options = {
+    promiseLib: promise
+};
+var dbHeader = header(options);
+var pgp = dbHeader.pgp;
+var db = dbHeader.db;
+
+var sql = pgp.sql;
+
+// emulates a template literal call;
+function tag(fn, strings) {
+    return fn.apply(null, [strings].concat(Array.prototype.slice.call(arguments, 2)));
+}
+
+describe("sql", function () {
+
+    it("must be available before initialization", function () {
+        expect(require('../lib/index').sql).toBe(sql);
+    });
+
+    it("must provide helper 'name', also as 'identifier'", function () {
+        expect(typeof sql.name).toBe('function');
+        expect(sql.identifier).toBe(sql.name);
+        expect(tag(sql, ['select ', ''], sql.identifier('col')).text).toBe('select "col"');
+    });
+
+    describe("with plain values", function () {
+        it("must create a parameterized query", function () {
+            var pq = tag(sql, ['select * from users where id = ', ' and login = ', ''], 1, "O'Neil");
+            expect(pq instanceof pgp.ParameterizedQuery).toBe(true);
+            expect(pq.text).toBe('select * from users where id = $1 and login = $2');
+            expect(pq.values).toEqual([1, "O'Neil"]);
+        });
+        it("must support no values", function () {
+            var pq = tag(sql, ['select 1']);
+            expect(pq.text).toBe('select 1');
+            expect(pq.values).toBeUndefined();
+        });
+    });
+
+    describe("with markers", function () {
+        it("must format them inline", function () {
+            var pq = tag(sql, ['select ', ' from ', ' where id in (', ') and active = ', ''],
+                sql.name('login'), sql.raw('users'), sql.csv([1, 'two']), true);
+            expect(pq.text).toBe('select "login" from users where id in (1,\'two\') and active = $1');
+            expect(pq.values).toEqual([true]);
+        });
+    });
+
+    describe("with fragments", function () {
+        it("must renumber the parameters", function () {
+            var inner = tag(sql, ['id > ', ' and id < ', ''], 1, 10);
+            var pq = tag(sql, ['select * from users where login = ', ' and ', ' and active = ', ''], 'a', inner, true);
+            expect(pq.text).toBe('select * from users where login = $1 and id > $2 and id < $3 and active = $4');
+            expect(pq.values).toEqual(['a', 1, 10, true]);
+            expect(Object.keys(pq)).not.toContain('_template');
+        });
+        it("must reject other parameterized queries", function () {
+            var other = new pgp.ParameterizedQuery('select 1');
+            var error = new TypeError("Only queries created by function 'sql' can be inserted into a template.");
+            expect(function () {
+                tag(sql, ['select ', ''], other);
+            }).toThrow(error);
+            expect(function () {
+                tag(sql.format, ['select ', ''], other);
+            }).toThrow(error);
+        });
+    });
+
+    describe("format", function () {
+        it("must return a formatted string", function () {
+            var inner = tag(sql, ['id = ', ''], 5);
+            expect(tag(sql.format, ['select * from ', ' where ', ' and login = ', ''], sql.name('users'), inner, "O'Neil"))
+                .toBe('select * from "users" where id = 5 and login = \'O\'\'Neil\'');
+        });
+        it("must not format variables inside the values", function () {
+            expect(tag(sql.format, ['select ', ' where x = ', ' and y = \'$1\''], sql.csv(['a$1b']), "O'x"))
+                .toBe('select \'a$1b\' where x = \'O\'\'x\' and y = \'$1\'');
+        });
+    });
+
+    describe("for a query method", function () {
+        var result;
+        beforeEach(function (done) {
+            db.one(tag(sql, ['select count(*)::int as count from ', ' where id in (', ') and id > ', ''],
+                sql.name('users'), sql.csv([1, 2, 3]), 1))
+                .then(function (data) {
+                    result = data;
+                    done();
+                });
+        });
+        it("must execute the query", function () {
+            expect(result).toEqual({count: 2});
+        });
+    });
+
+    describe("with invalid usage", function () {
+        it("must throw an error", function () {
+            expect(function () {
+                sql('select 1');
+            }).toThrow(new TypeError("Function 'sql' can only be used as a template tag."));
+        });
+    });
+});
@@ -0,0 +1,167 @@
+'use strict';
+
+var header = require('./db/header');
+var promise = header.defPromise;
+var options = {
+    promiseLib: promise
+};
+var dbHeader = header(options);
+var pgp = dbHeader.pgp;
+
+// creates a database object with the transformation;
+function create(transform) {
+    options.transform = transform;
+    var db = pgp(dbHeader.cn);
+    delete options.transform;
+    return db;
+}
+
+describe("Transform", function () {
+
+    describe("by type and column", function () {
+        var db, data, fields = [];
+        beforeEach(function (done) {
+            db = create({
+                types: {
+                    20: function (value, field) {
+                        fields.push(field.name);
+                        return parseInt(value);
+                    },
+                    1700: function (value) {
+                        return 'numeric:' + value;
+                    }
+                },
+                columns: {
+                    second_big: function (value) {
+                        return 'column:' + value;
+                    }
+                }
+            });
+            db.one('select 123::bigint as first_big, 456::bigint as second_big, 1.5::numeric as num, null::bigint as empty')
+                .then(function (d) {
+                    data = d;
+                })
+                .finally(function () {
+                    done();
+                });
+        });
+        it("must convert the values", function () {
+            expect(data).toEqual({first_big: 123, second_big: 'column:456', num: 'numeric:1.5', empty: null});
+            expect(fields).toEqual(['first_big']);
+        });
+    });
+
+    describe("with camelized keys", function () {
+        var db, data, mapped;
+        beforeEach(function (done) {
+            db = create({keys: 'camel'});
+            db.many('select id as user_id, login as user_login from users order by id')
+                .then(function (d) {
+                    data = d;
+                    return db.map('select id as user_id from users order by id', [], function (row) {
+                        return row.userId;
+                    });
+                })
+                .then(function (d) {
+                    mapped = d;
+                })
+                .finally(function () {
+                    done();
+                });
+        });
+        it("must rename the columns", function () {
+            expect(data.length).toBe(4);
+            expect(Object.keys(data[0])).toEqual(['userId', 'userLogin']);
+            expect(mapped).toEqual([1, 2, 3, 4]);
+        });
+    });
+
+    describe("after event receive", function () {
+        var db, data;
+        beforeEach(function (done) {
+            options.receive = function (rows) {
+                rows[0].value += 1;
+            };
+            db = create({
+                keys: function (name) {
+                    return name.toUpperCase();
+                },
+                columns: {
+                    value: function (value) {
+                        return value * 10;
+                    }
+                }
+            });
+            db.one('select 1 as value')
+                .then(function (d) {
+                    data = d;
+                })
+                .finally(function () {
+                    delete options.receive;
+                    done();
+                });
+        });
+        it("must transform the modified rows", function () {
+            expect(data).toEqual({VALUE: 20});
+        });
+    });
+
+    describe("for array rows", function () {
+        var db, data;
+        beforeEach(function (done) {
+            db = create({
+                types: {
+                    20: function (value) {
+                        return parseInt(value);
+                    }
+                },
+                keys: 'camel'
+            });
+            db.one({text: 'select 1::bigint as first_value, $1::text as second_value', values: ['hi'], rowMode: 'array'})
+                .then(function (d) {
+                    data = d;
+                })
+                .finally(function () {
+                    done();
+                });
+        });
+        it("must keep the indexes", function () {
+            expect(data).toEqual([1, 'hi']);
+        });
+    });
+
+    describe("when a converter throws", function () {
+        var db, error;
+        beforeEach(function (done) {
+            db = create({
+                columns: {
+                    value: function () {
+                        throw new Error("Conversion failed.");
+                    }
+                }
+            });
+            db.one('select 1 as value')
+                .catch(function (e) {
+                    error = e;
+                })
+                .finally(function () {
+                    done();
+                });
+        });
+        it("must reject the query", function () {
+            expect(error instanceof Error).toBe(true);
+            expect(error.message).toBe("Conversion failed.");
+        });
+    });
+
+    describe("with invalid settings", function () {
+        it("must throw an error", function () {
+            [123, {types: 1}, {columns: {name: 'text'}}, {keys: 'snake'}].forEach(function (t) {
+                expect(function () {
+                    create(t);
+                }).toThrow(new TypeError("Invalid option 'transform' specified."));
+            });
+            delete options.transform;
+        });
+    });
+});
@@ -18,3 +18,4 @@ call tsc connection %PARAMS%
 call tsc tasks %PARAMS%
 call tsc utils %PARAMS%
 call tsc config %PARAMS%
+call tsc migrate %PARAMS%
@@ -16,6 +16,34 @@ var db2 = pgp({
     binary: true
 });
 
+var db3 = pgp({
+    database: 'test',
+    max: 20,
+    idleTimeout: 10000,
+    acquireTimeout: 5000
+});
+
+var stats = db3.$pool.stats();
+var active:number = stats.active;
+
+db3.$pool.end()
+    .then(()=> {
+        var ended:boolean = db3.$pool.ended;
+    });
+
+var db4 = pgp({
+    primary: 'primary-connection',
+    replicas: ['replica-connection', {database: 'test', max: 5}]
+});
+
+var replicas = db4.$replicas;
+var waiting:number = replicas[0].stats().waiting;
+
+db4.one({query: 'select 1', target: 'primary'});
+
+var mode = new pgp.txMode.TransactionMode({readOnly: true});
+var readOnly:boolean = mode.readOnly;
+
 db.connect()
     .then(ctx=> {
         var cn = ctx.client.connectionParameters;
@@ -11,5 +11,24 @@ var line = err2.error.position.line;
 var err3 = <typeof pgPromise.errors.PreparedStatementError>null;
 var file = err3.error.file;
 
+var err4 = <typeof pgPromise.errors.QueryCancelError>null;
+var timeout = err4.timeout;
+
 var qrec = pgPromise.errors.queryResultErrorCode;
 var t = qrec.multiple;
+
+pgPromise.QueryFile.watcher
+    .on('reload', qf => {
+        var file:string = qf.file;
+    })
+    .on('error', (error, qf) => {
+        var column:number = error.error.position.column;
+    });
+
+pgPromise.QueryFile.watcher.close();
+
+var sections = pgPromise.QueryFile.sections('users.sql', {minify: true, params: {schema: 'public'}});
+var findUser:pgPromise.QueryFile = sections['findUser'];
+var section:string = findUser.error.section;
+
+var qf = new pgPromise.QueryFile('users.sql', {section: 'findUser'});
@@ -40,3 +40,19 @@ db.task(t=> {
     .catch(error=> {
 
     });
+
+var monitorOptions = {};
+
+pgPromise.monitor.attach(monitorOptions);
+
+pgp.monitor.attach(monitorOptions, {
+    level: 'debug',
+    format: 'json',
+    output: (line:string, info:any)=> {
+        var event:string = info.event;
+    }
+});
+
+var isAttached:boolean = pgp.monitor.isAttached(monitorOptions);
+
+pgp.monitor.detach(monitorOptions);
@@ -11,3 +11,15 @@ var value3 = pgp.as.array([]);
 var value4 = pgp.as.array(()=>[]);
 var value5 = pgp.as.format('hello', []);
 var value6 = pgp.as.format(new pgPromise.QueryFile(''));
+
+var fragment:pgPromise.IFragment = pgp.as.fragment('id = ${id}', {id: 123});
+var value7 = pgp.as.format('SELECT * FROM users WHERE ${where}', {where: fragment});
+var text:string = fragment.toString();
+
+var where:string = pgp.as.where({id: [1, 2], name: null}, {join: 'OR'});
+var where2:string = pgp.as.where(['id > 0', fragment, {active: true}]);
+
+var range:string = pgp.as.range({lower: 1, upper: 10, bounds: '[]'});
+var interval:string = pgp.as.interval({days: 1, hours: 2});
+var hstore:string = pgp.as.hstore({a: 1}, true);
+var row:pgPromise.IRow = pgp.as.row([1, 'text']);
@@ -52,6 +52,10 @@ var cs = new pgp.helpers.ColumnSet([
 
 var insert = pgp.helpers.insert(data, cs, 'my-table');
 var update = pgp.helpers.update(data, cs, table1, {tableAlias: 'W'});
+var upsert1 = pgp.helpers.upsert(data, cs, 'my-table', {conflict: ['first'], doUpdate: ['second']});
+var upsert2 = pgp.helpers.upsert(data, cs, null, {doUpdate: false});
+var del = pgp.helpers.delete(data, cs, 'my-table');
+var select = pgp.helpers.select(cs, null, {where: {first: 1}, orderBy: ['second desc'], limit: 10, offset: 5});
 
 var values1 = pgp.helpers.values({});
 var values2 = pgp.helpers.values({}, []);
@@ -66,3 +70,16 @@ var test:boolean = cs.canUpdate(data);
 
 var cs1 = cs.extend(['']);
 var cs2 = cs1.merge(cs);
+
+var db = pgp('connection');
+
+db.introspect.table('users')
+    .then(info => {
+        var cs3:pgPromise.ColumnSet = pgp.helpers.ColumnSet.fromInfo(info);
+        db.introspect.clear();
+    });
+
+pgp.helpers.ColumnSet.fromTable(db, {table: 'users', schema: 'public'})
+    .then(cs4 => {
+        var insert2 = pgp.helpers.insert({}, cs4);
+    });
@@ -38,3 +38,40 @@ db.tx(function (t) {
     var w = t.one('');
     var q = t.hello;
 });
+
+var pgpSlow = pgPromise({
+    slowQuery: {
+        threshold: 1000,
+        explain: 'analyze',
+        handler: e=> {
+            var duration:number = e.duration;
+            var plan = e.plan;
+            var tag = e.tag;
+        }
+    }
+});
+
+var pgpCache = pgPromise({
+    cache: {
+        max: 100,
+        adapter: {
+            get: key=> undefined,
+            set: (key, value, ttl)=> {
+            },
+            delete: key=> {
+            }
+        }
+    }
+});
+
+var pgpTransform = pgPromise({
+    transform: {
+        types: {
+            20: value=> parseInt(value)
+        },
+        columns: {
+            created: (value, field)=> new Date(value)
+        },
+        keys: 'camel'
+    }
+});
@@ -0,0 +1,22 @@
+/// <reference path='../../typescript/pg-promise' />
+
+import * as pgPromise from 'pg-promise';
+
+var pgp:pgPromise.IMain = pgPromise();
+
+var db = pgp('connection');
+
+pgp.migrate.up(db, {dir: './migrations', files: {minify: true, params: {schema: 'public'}}})
+    .then(applied => {
+        var version:number = applied[0].version;
+        var name:string = applied[0].name;
+    });
+
+pgp.migrate.down(db, {dir: './migrations', table: {table: 'migrations', schema: 'public'}, to: 1, dryRun: true});
+
+pgp.migrate.status(db, {dir: './migrations'})
+    .then(list => {
+        var applied:boolean = list[0].applied;
+        var appliedAt:Date = list[0].appliedAt;
+        var changed:boolean = list[0].changed;
+    });
@@ -29,3 +29,10 @@ db.one({
 
 var test1 = <typeof pgPromise.errors.ParameterizedQueryError>pq1.parse();
 var file = test1.error.file;
+
+var sql = pgp.sql;
+var filter = sql`WHERE ${sql.name('id')} IN (${sql.csv([1, 2])})`;
+var pq5:pgPromise.ParameterizedQuery = sql`SELECT * FROM ${sql.raw('users')} ${filter} AND name = ${'John'}`;
+var text:string = sql.format`SELECT ${123}`;
+
+db.any(pq5);
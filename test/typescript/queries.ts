@@ -46,6 +46,49 @@ db.each('', null, row=>{
     var v = row.value;
 }).then();
 
+db.copyFrom('table', ['first', 'second'], [{first: 1, second: 2}])
+    .then(data=> {
+        var processed:number = data.processed;
+    });
+
+db.copyTo('', process.stdout)
+    .then(data=> {
+        var duration:number = data.duration;
+    });
+
+db.listen('channel', (payload, msg)=> {
+    var name:string = msg.channel;
+}, {json: true})
+    .then(sub=> {
+        var channel:string = sub.channel;
+        return db.notify(channel, {value: 123})
+            .then(()=> {
+                return sub.unlisten();
+            });
+    })
+    .then(removed=> {
+        var r:boolean = removed;
+    });
+
+db.one({query: '', timeout: 1000}, [])
+    .then(data=> {
+        var value = data.value;
+    });
+
+db.any('', [], {cache: {ttl: 60, tags: 'lookups'}})
+    .then(data=> {
+        var removed:number = db.$cache.invalidate({table: 'countries'});
+        var size:number = db.$cache.size;
+    });
+
+var c = db.cursor('', null, {batchSize: 10});
+c.next()
+    .then(r=> {
+        var done:boolean = r.done;
+        var v = r.value;
+        return c.return();
+    });
+
 db.task(t=> {
         return t.batch([
             t.one('')
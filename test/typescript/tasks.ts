@@ -26,3 +26,17 @@ db.tx(t=> {
 db.tx('with a name', t=> {
     var d:Date = t.ctx.start;
 });
+
+var dbTyped = pgp('connection');
+
+dbTyped.tx(t=> {
+    return t.savepoint('first', sp=> {
+        return sp.none('insert into users(name) values($1)', 'John');
+    })
+        .catch(()=> {
+            return t.savepoint('second');
+        })
+        .then(()=> {
+            return t.rollbackTo('second');
+        });
+});
@@ -12,6 +12,14 @@ utils.camelize('');
 
 utils.camelizeVar('');
 
+var nested:Array<any> = utils.nest([], {
+    key: 'id',
+    columns: ['id', 'name'],
+    children: {
+        orders: {key: 'order_id', columns: {id: 'order_id'}}
+    }
+});
+
 var tree = utils.enumSql('', {recursive: true, ignoreErrors: true}, (file, name, path)=> {
 
 });
@@ -38,3 +46,11 @@ utils.buildSqlModule({
         path: ''
     }
 });
+
+utils.buildRepositories({
+    db: pgp('connection'),
+    schemas: ['public'],
+    outDir: ''
+})
+    .then((files:Array<string>) => {
+    });
@@ -31,6 +31,81 @@ describe("camelizeVar", function () {
     });
 });
 
+describe("nest", function () {
+    var rows = [
+        {user_id: 1, user_name: 'John', order_id: 10, item_id: 100, item_name: 'A'},
+        {user_id: 1, user_name: 'John', order_id: 10, item_id: 101, item_name: 'B'},
+        {user_id: 1, user_name: 'John', order_id: 11, item_id: 100, item_name: 'A'},
+        {user_id: 2, user_name: 'Mary', order_id: null, item_id: null, item_name: null}
+    ];
+    var spec = {
+        key: 'user_id',
+        columns: {id: 'user_id', name: 'user_name'},
+        children: {
+            orders: {
+                key: 'order_id',
+                columns: {id: 'order_id'},
+                children: {
+                    items: {key: 'item_id', columns: {id: 'item_id', name: 'item_name'}}
+                }
+            }
+        }
+    };
+    var expected = [
+        {
+            id: 1, name: 'John', orders: [
+                {id: 10, items: [{id: 100, name: 'A'}, {id: 101, name: 'B'}]},
+                {id: 11, items: [{id: 100, name: 'A'}]}
+            ]
+        },
+        {id: 2, name: 'Mary', orders: []}
+    ];
+    it("must nest rows by keys", function () {
+        expect(utils.nest(rows, spec)).toEqual(expected);
+        expect(utils.nest([], spec)).toEqual([]);
+    });
+    it("must support camelized column names", function () {
+        var camelRows = rows.map(function (r) {
+            var obj = {};
+            for (var name in r) {
+                obj[utils.camelize(name)] = r[name];
+            }
+            return obj;
+        });
+        expect(utils.nest(camelRows, spec)).toEqual(expected);
+        expect(utils.nest(rows, {
+            key: 'userId',
+            columns: {id: 'userId', name: 'userName'},
+            children: {
+                orders: {key: ['orderId'], columns: ['orderId']}
+            }
+        })[0].orders).toEqual([{orderId: 10}, {orderId: 11}]);
+    });
+    it("must use the remaining columns by default", function () {
+        expect(utils.nest(rows, {
+            key: 'user_id',
+            children: {
+                orders: {key: 'order_id', columns: ['order_id', 'item_id', 'item_name']}
+            }
+        })[1]).toEqual({user_id: 2, user_name: 'Mary', orders: []});
+    });
+    it("must throw on invalid parameters", function () {
+        expect(function () {
+            utils.nest();
+        }).toThrow(new TypeError("Parameter 'rows' must be an array."));
+        var invalid = [undefined, {}, {key: []}, {key: 'id', columns: 123}, {key: 'id', columns: {a: 1}},
+            {key: 'id', columns: ['']}, {key: 'id', children: 1}, {key: 'id', children: {a: {}}}];
+        invalid.forEach(function (s) {
+            expect(function () {
+                utils.nest([], s);
+            }).toThrow(new TypeError("Invalid nesting specification."));
+        });
+        expect(function () {
+            utils.nest(rows, {key: 'unknown'});
+        }).toThrow(new Error("Column 'unknown' not found."));
+    });
+});
+
 describe("enumSql", function () {
 
     it("must list all sql files in a folder", function () {
@@ -237,3 +312,27 @@ describe("buildSqlModule", function () {
         });
     }
 });
+
+describe("buildRepositories", function () {
+
+    describe("negative", function () {
+        var db = {introspect: {}};
+        it("must throw on invalid configuration", function () {
+            expect(function () {
+                utils.buildRepositories();
+            }).toThrow(new TypeError("Invalid parameter 'config' specified."));
+            expect(function () {
+                utils.buildRepositories({outDir: 'repos'});
+            }).toThrow(new TypeError("Property 'db' must be a Database object."));
+            expect(function () {
+                utils.buildRepositories({db: db, schemas: [], outDir: 'repos'});
+            }).toThrow(new TypeError("Property 'schemas' must be a non-empty string or array of strings."));
+            expect(function () {
+                utils.buildRepositories({db: db, schemas: ['public', 1], outDir: 'repos'});
+            }).toThrow(new TypeError("Property 'schemas' must be a non-empty string or array of strings."));
+            expect(function () {
+                utils.buildRepositories({db: db});
+            }).toThrow(new Error("Property 'outDir' must be a non-empty string."));
+        });
+    });
+});
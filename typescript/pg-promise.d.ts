@@ -14,12 +14,14 @@ declare module 'pg-promise' {
     import * as pg from 'pg-subset';
     import * as pgMinify from 'pg-minify';
     import * as spexLib from 'spex';
+    import {EventEmitter} from 'events';
 
     type TQueryFileOptions= {
         debug?:boolean,
         minify?:boolean|'after',
         compress?:boolean,
-        params?:any
+        params?:any,
+        section?:string
     };
 
     type TFormattingOptions = {
@@ -31,6 +33,10 @@ declare module 'pg-promise' {
         direct?:boolean;
     };
 
+    type TCursorOptions = {
+        batchSize?:number
+    };
+
     type TPreparedBasic = {
         name:string,
         text:string,
@@ -63,7 +69,52 @@ declare module 'pg-promise' {
         rowMode?:string
     };
 
-    type TQuery = string|pgPromise.QueryFile|TPrepared|TParameterized|pgPromise.PreparedStatement|pgPromise.ParameterizedQuery;
+    // AbortSignal-like cancel token;
+    type TCancelToken = {
+        aborted:boolean,
+        addEventListener(type:string, listener:()=>void):void,
+        removeEventListener(type:string, listener:()=>void):void
+    };
+
+    type TQueryOptions = {
+        query:string|pgPromise.QueryFile|TPrepared|TParameterized|pgPromise.PreparedStatement|pgPromise.ParameterizedQuery,
+        timeout?:number,
+        cancel?:TCancelToken,
+        target?:string,
+        cache?:boolean|TCacheOptions
+    };
+
+    // Query result cache options;
+    // API: http://vitaly-t.github.io/pg-promise/Database.$cache.html
+    type TCacheOptions = {
+        ttl?:number,
+        tags?:string|Array<string>
+    };
+
+    // Cached query result, as stored by the cache adapter;
+    type TCachedResult = {
+        rows:Array<any>,
+        expires?:number,
+        tags:Array<string>,
+        tables:Array<string>
+    };
+
+    // Storage for cached query results;
+    type TCacheAdapter = {
+        get(key:string):any,
+        set(key:string, value:TCachedResult, ttl?:number):any,
+        delete(key:string):any
+    };
+
+    // Query options, without the query;
+    type TQueryOptionsOnly = {
+        timeout?:number,
+        cancel?:TCancelToken,
+        target?:string,
+        cache?:boolean|TCacheOptions
+    };
+
+    type TQuery = string|pgPromise.QueryFile|TPrepared|TParameterized|pgPromise.PreparedStatement|pgPromise.ParameterizedQuery|TQueryOptions;
 
     type TColumnConfig = {
         name:string,
@@ -86,12 +137,24 @@ declare module 'pg-promise' {
         valueAlias?:string
     };
 
+    type TUpsertOptions = {
+        conflict?:string|Array<string>,
+        doUpdate?:boolean|Array<string>
+    };
+
+    type TSelectOptions = {
+        where?:Object,
+        orderBy?:string|Array<string>,
+        limit?:number,
+        offset?:number
+    };
+
     type TTable = {
         table:string,
         schema?:string
     };
 
-    type TQueryColumns = Column|ColumnSet|Array<string|TColumnConfig|Column>;
+    type TQueryColumns = Column|pgPromise.ColumnSet|Array<string|TColumnConfig|Column>;
 
     type TSqlBuildConfig = {
         dir:string,
@@ -104,6 +167,12 @@ declare module 'pg-promise' {
         }
     };
 
+    type TRepositoriesConfig = {
+        db:IBaseProtocol<any>,
+        schemas?:string|Array<string>,
+        outDir:string
+    };
+
     // Base database protocol
     // API: http://vitaly-t.github.io/pg-promise/Database.html
     interface IBaseProtocol<Ext> {
@@ -123,13 +192,13 @@ declare module 'pg-promise' {
         oneOrNone(query:TQuery, values?:any, cb?:(value:any)=>any, thisArg?:any):XPromise<any>;
 
         // API: http://vitaly-t.github.io/pg-promise/Database.html#.many
-        many(query:TQuery, values?:any):XPromise<Array<any>>;
+        many(query:TQuery, values?:any, options?:TQueryOptionsOnly):XPromise<Array<any>>;
 
         // API: http://vitaly-t.github.io/pg-promise/Database.html#.manyOrNone
-        manyOrNone(query:TQuery, values?:any):XPromise<Array<any>>;
+        manyOrNone(query:TQuery, values?:any, options?:TQueryOptionsOnly):XPromise<Array<any>>;
 
         // API: http://vitaly-t.github.io/pg-promise/Database.html#.any
-        any(query:TQuery, values?:any):XPromise<Array<any>>;
+        any(query:TQuery, values?:any, options?:TQueryOptionsOnly):XPromise<Array<any>>;
 
         // API: http://vitaly-t.github.io/pg-promise/Database.html#.result
         result(query:TQuery, values?:any, cb?:(value:any)=>any, thisArg?:any):XPromise<pg.IResult>;
@@ -137,9 +206,21 @@ declare module 'pg-promise' {
         // API: http://vitaly-t.github.io/pg-promise/Database.html#.stream
         stream(qs:Object, init:(stream:NodeJS.ReadableStream)=>void):XPromise<{processed:number, duration:number}>;
 
+        // API: http://vitaly-t.github.io/pg-promise/Database.html#.copyFrom
+        copyFrom(table:string|TTable|TableName, columns:TQueryColumns, source:Array<Object>|NodeJS.ReadableStream):XPromise<{processed:number, duration:number}>;
+
+        // API: http://vitaly-t.github.io/pg-promise/Database.html#.copyTo
+        copyTo(query:string|pgPromise.QueryFile, destination:NodeJS.WritableStream):XPromise<{processed:number, duration:number}>;
+
+        // API: http://vitaly-t.github.io/pg-promise/Database.html#.cursor
+        cursor(query:string|pgPromise.QueryFile, values?:any, options?:TCursorOptions):ICursor;
+
         // API: http://vitaly-t.github.io/pg-promise/Database.html#.func
         func(funcName:string, values?:any, qrm?:pgPromise.queryResult):XPromise<any>;
 
+        // API: http://vitaly-t.github.io/pg-promise/Database.html#.notify
+        notify(channel:string, payload?:any):XPromise<void>;
+
         // API: http://vitaly-t.github.io/pg-promise/Database.html#.proc
         proc(procName:string, values?:any, cb?:(value:any)=>any, thisArg?:any):XPromise<any>;
 
@@ -149,6 +230,12 @@ declare module 'pg-promise' {
         // API: http://vitaly-t.github.io/pg-promise/Database.html#.each
         each(query:TQuery, values:any, cb:(row:any, index:number, data:Array<any>)=>void, thisArg?:any):XPromise<Array<any>>;
 
+        // API: http://vitaly-t.github.io/pg-promise/Database.html#.nest
+        nest(query:TQuery, values:any, spec:TNestSpec):XPromise<Array<any>>;
+
+        // API: http://vitaly-t.github.io/pg-promise/Database.introspect.html
+        introspect:IIntrospect;
+
         // Tasks
         // API: http://vitaly-t.github.io/pg-promise/Database.html#.task
         task(cb:(t:ITask<Ext>&Ext)=>any):XPromise<any>;
@@ -160,6 +247,105 @@ declare module 'pg-promise' {
         tx(tag:any, cb:(t:ITask<Ext>&Ext)=>any):XPromise<any>;
     }
 
+    // Asynchronous iterator returned by method cursor;
+    // API: http://vitaly-t.github.io/pg-promise/Database.html#.cursor
+    interface ICursor {
+        next():XPromise<{value:any, done:boolean}>;
+        return(value?:any):XPromise<{value:any, done:boolean}>;
+    }
+
+    // Connection pool options, set within the connection object;
+    // API: http://vitaly-t.github.io/pg-promise/Database.$pool.html
+    type TPoolOptions = {
+        max?:number,
+        idleTimeout?:number,
+        acquireTimeout?:number
+    };
+
+    // Connection pool of a Database object;
+    // API: http://vitaly-t.github.io/pg-promise/Database.$pool.html
+    interface IPool {
+        // these are all read-only:
+        max:number;
+        idleTimeout:number;
+        acquireTimeout:number;
+        ended:boolean;
+
+        // API: http://vitaly-t.github.io/pg-promise/Database.$pool.html#.stats
+        stats():{max:number, total:number, idle:number, active:number, waiting:number};
+
+        // API: http://vitaly-t.github.io/pg-promise/Database.$pool.html#.end
+        end():XPromise<void>;
+    }
+
+    // Nesting specification for utils.nest;
+    // API: http://vitaly-t.github.io/pg-promise/utils.html#.nest
+    type TNestSpec = {
+        key:string|Array<string>,
+        columns?:Array<string>|{[prop:string]:string},
+        children?:{[prop:string]:TNestSpec}
+    };
+
+    // Column value converter;
+    type TConverter = (value:any, field:{name:string, dataTypeID:number}) => any;
+
+    // Result row transformation;
+    // API: http://vitaly-t.github.io/pg-promise/module-pg-promise.html
+    type TTransform = {
+        types?:{[oid:number]:TConverter},
+        columns?:{[name:string]:TConverter},
+        keys?:'camel'|((name:string) => string)
+    };
+
+    // Table details, as returned by introspect.table;
+    // API: http://vitaly-t.github.io/pg-promise/Database.introspect.html#.table
+    type TTableInfo = {
+        table:string,
+        schema:string,
+        columns:Array<{
+            name:string,
+            type:string,
+            nullable:boolean,
+            default:string,
+            primary:boolean
+        }>
+    };
+
+    // Database introspection;
+    // API: http://vitaly-t.github.io/pg-promise/Database.introspect.html
+    interface IIntrospect {
+        // API: http://vitaly-t.github.io/pg-promise/Database.introspect.html#.table
+        table(name:string|TTable|TableName):XPromise<TTableInfo>;
+
+        // API: http://vitaly-t.github.io/pg-promise/Database.introspect.html#.clear
+        clear(name?:string|TTable|TableName):void;
+    }
+
+    // Query result cache;
+    // API: http://vitaly-t.github.io/pg-promise/Database.$cache.html
+    interface ICache {
+        // these are all read-only:
+        max:number;
+        size:number;
+
+        // API: http://vitaly-t.github.io/pg-promise/Database.$cache.html#.invalidate
+        invalidate(filter?:string|{tag?:string, table?:string}):number;
+    }
+
+    // Subscription returned by method listen;
+    // API: http://vitaly-t.github.io/pg-promise/Database.html#.listen
+    interface ISubscription {
+        channel:string;
+        unlisten():XPromise<boolean>;
+    }
+
+    // Notification message, passed into the listen handler;
+    interface INotification {
+        channel:string;
+        payload:string;
+        processId:number;
+    }
+
     // Database object in connected state;
     interface IConnected<Ext> extends IBaseProtocol<Ext> {
         client:pg.Client;
@@ -171,8 +357,36 @@ declare module 'pg-promise' {
     interface ITask<Ext> extends IBaseProtocol<Ext>, spexLib.ISpexBase {
         // API: http://vitaly-t.github.io/pg-promise/Task.html#.ctx
         ctx:ITaskContext;
+
+        // API: http://vitaly-t.github.io/pg-promise/Task.html#.savepoint
+        savepoint(name:string, cb?:(t:ITask<Ext>&Ext)=>any):XPromise<any>;
+
+        // API: http://vitaly-t.github.io/pg-promise/Task.html#.rollbackTo
+        rollbackTo(name:string):XPromise<void>;
     }
 
+    // Range value for formatting;
+    // API: http://vitaly-t.github.io/pg-promise/formatting.html#.range
+    type TRange = {
+        lower?:any,
+        upper?:any,
+        bounds?:'[)'|'[]'|'(]'|'()',
+        empty?:boolean
+    };
+
+    // Duration for interval formatting;
+    // API: http://vitaly-t.github.io/pg-promise/formatting.html#.interval
+    type TDuration = {
+        years?:number,
+        months?:number,
+        weeks?:number,
+        days?:number,
+        hours?:number,
+        minutes?:number,
+        seconds?:number,
+        milliseconds?:number
+    };
+
     // Query formatting namespace;
     // API: http://vitaly-t.github.io/pg-promise/formatting.html
     interface IFormatting {
@@ -195,6 +409,24 @@ declare module 'pg-promise' {
         // API: http://vitaly-t.github.io/pg-promise/formatting.html#.format
         format(query:string|pgPromise.QueryFile, values?:any, options?:TFormattingOptions):string;
 
+        // API: http://vitaly-t.github.io/pg-promise/formatting.html#.fragment
+        fragment(text:string|pgPromise.QueryFile, values?:any):pgPromise.IFragment;
+
+        // API: http://vitaly-t.github.io/pg-promise/formatting.html#.where
+        where(conditions:Object|Array<any>|(()=>any), options?:{join?:'AND'|'OR'}):string;
+
+        // API: http://vitaly-t.github.io/pg-promise/formatting.html#.range
+        range(range:TRange|Array<any>|(()=>any), raw?:boolean):string;
+
+        // API: http://vitaly-t.github.io/pg-promise/formatting.html#.interval
+        interval(duration:TDuration|(()=>TDuration), raw?:boolean):string;
+
+        // API: http://vitaly-t.github.io/pg-promise/formatting.html#.hstore
+        hstore(obj:Object|(()=>Object), raw?:boolean):string;
+
+        // API: http://vitaly-t.github.io/pg-promise/formatting.html#.row
+        row(values:Array<any>|Object|(()=>any)):pgPromise.IRow;
+
         // API: http://vitaly-t.github.io/pg-promise/formatting.html#.func
         func(func:()=>any, raw?:boolean, obj?:Object):string;
 
@@ -226,6 +458,13 @@ declare module 'pg-promise' {
         tag:any;
         dc:any;
 
+        // this is set only within a transaction:
+        txLevel:number;
+
+        // these are set only for transactions with a retry policy:
+        attempt:number;
+        failures:Array<any>;
+
         // these are set at the end of each task/transaction:
         finish:Date;
         success:boolean;
@@ -240,6 +479,8 @@ declare module 'pg-promise' {
         dc:any;
         query:any;
         params:any;
+        target:string;
+        savepoint:{name:string, action:string};
         ctx:ITaskContext;
     }
 
@@ -257,6 +498,9 @@ declare module 'pg-promise' {
     class TransactionMode {
         constructor(tiLevel?:isolationLevel, readOnly?:boolean, deferrable?:boolean);
         constructor(options:{tiLevel?:isolationLevel, readOnly?:boolean, deferrable?:boolean});
+
+        // read-only;
+        readOnly:boolean;
     }
 
     // QueryResultError interface;
@@ -279,6 +523,24 @@ declare module 'pg-promise' {
         toString():string;
     }
 
+    // QueryCancelError interface;
+    // API: http://vitaly-t.github.io/pg-promise/QueryCancelError.html
+    interface IQueryCancelError extends Error {
+
+        // standard error properties:
+        name:string;
+        message:string;
+        stack:string;
+
+        // extended properties:
+        timeout:number;
+        query:string;
+        values:any;
+
+        // API: http://vitaly-t.github.io/pg-promise/QueryCancelError.html#.toString
+        toString():string;
+    }
+
     // QueryFileError interface;
     // API: http://vitaly-t.github.io/pg-promise/QueryFileError.html
     interface IQueryFileError extends Error {
@@ -291,12 +553,24 @@ declare module 'pg-promise' {
         // extended properties:
         file:string;
         options:TQueryFileOptions;
+        section:string;
         error:pgMinify.SQLParsingError;
 
         // API: http://vitaly-t.github.io/pg-promise/QueryFileError.html#.toString
         toString():string;
     }
 
+    // Registry of QueryFile objects in debug mode;
+    // API: http://vitaly-t.github.io/pg-promise/QueryFile.watcher.html
+    interface IQueryFileWatcher extends EventEmitter {
+        on(event:'reload', listener:(qf:pgPromise.QueryFile)=>void):this;
+        on(event:'error', listener:(error:IQueryFileError, qf:pgPromise.QueryFile)=>void):this;
+        on(event:string, listener:Function):this;
+
+        // API: http://vitaly-t.github.io/pg-promise/QueryFile.watcher.html#.close
+        close():void;
+    }
+
     // PreparedStatementError interface;
     // API: http://vitaly-t.github.io/pg-promise/PreparedStatementError.html
     interface IPreparedStatementError extends Error {
@@ -345,6 +619,7 @@ declare module 'pg-promise' {
         QueryFileError:IQueryFileError;
         PreparedStatementError:IPreparedStatementError;
         ParameterizedQueryError:IParameterizedQueryError;
+        QueryCancelError:IQueryCancelError;
     }
 
     // Transaction Mode namespace;
@@ -354,14 +629,68 @@ declare module 'pg-promise' {
         TransactionMode:typeof TransactionMode;
     }
 
+    // Slow query details;
+    // API: http://vitaly-t.github.io/pg-promise/module-pg-promise.html
+    interface ISlowQueryContext {
+        client:pg.Client;
+        dc:any;
+        query:string;
+        params:any;
+        duration:number;
+        plan:any;
+        error:any;
+        tag:any;
+        ctx:ITaskContext;
+    }
+
+    // Slow-query detection option;
+    // API: http://vitaly-t.github.io/pg-promise/module-pg-promise.html
+    type TSlowQuery = {
+        threshold:number,
+        explain?:boolean|'analyze',
+        handler:(e:ISlowQueryContext)=>void
+    };
+
+    // Query monitor configuration;
+    // API: http://vitaly-t.github.io/pg-promise/monitor.html#.attach
+    type TMonitorConfig = {
+        events?:Array<string>,
+        level?:'debug'|'info'|'error',
+        format?:'text'|'json',
+        colors?:boolean,
+        paramLength?:number,
+        output?:(line:string, info:any)=>void
+    };
+
+    // Query monitor namespace;
+    // API: http://vitaly-t.github.io/pg-promise/monitor.html
+    interface IMonitor {
+        attach(options:any, config?:TMonitorConfig):boolean;
+        detach(options:any):boolean;
+        isAttached(options:any):boolean;
+    }
+
+    // SQL template tag function;
+    // API: http://vitaly-t.github.io/pg-promise/sql.html
+    interface ISql {
+        (strings:TemplateStringsArray, ...values:any[]):pgPromise.ParameterizedQuery;
+        format(strings:TemplateStringsArray, ...values:any[]):string;
+        name(name:any):Object;
+        identifier(name:any):Object;
+        raw(text:any):Object;
+        csv(values:any):Object;
+    }
+
     // General-purpose functions
     // API: http://vitaly-t.github.io/pg-promise/utils.html
     interface IUtils {
         camelize(text:string):string;
         camelizeVar(text:string):string;
+        nest(rows:Array<any>, spec:TNestSpec):Array<any>;
         objectToCode(obj:any, cb?:(value:any, name:string, obj:any)=>any):string;
         enumSql(dir:string, options?:{recursive?:boolean,ignoreErrors?:boolean}, cb?:(file:string, name:string, path:string)=>any):any;
         buildSqlModule(config?:string|TSqlBuildConfig):string;
+        buildRepositories(config:TRepositoriesConfig):XPromise<Array<string>>;
     }
 
     // helpers.TableName class;
@@ -399,25 +728,27 @@ declare module 'pg-promise' {
         toString():string;
     }
 
-    // helpers.Column class;
-    // API: http://vitaly-t.github.io/pg-promise/helpers.ColumnSet.html
-    class ColumnSet {
-        constructor(columns:Column, options?:TColumnSetOptions);
-        constructor(columns:Array<string|TColumnConfig|Column>, options?:TColumnSetOptions);
-        constructor(columns:Object, options?:TColumnSetOptions);
-
-        // these are all read-only:
-        columns:Array<Column>;
-        table:TableName;
-
-        canUpdate(data:Object|Array<Object>):boolean;
+    // Migration options;
+    // API: http://vitaly-t.github.io/pg-promise/migrate.html
+    type TMigrateOptions = {
+        dir:string,
+        table?:string|TTable|TableName,
+        files?:TQueryFileOptions,
+        to?:number,
+        dryRun?:boolean
+    };
 
-        extend(columns:Column|ColumnSet|Array<string|TColumnConfig|Column>):ColumnSet;
+    // SQL migrations;
+    // API: http://vitaly-t.github.io/pg-promise/migrate.html
+    interface IMigrate {
+        // API: http://vitaly-t.github.io/pg-promise/migrate.html#.up
+        up(db:IBaseProtocol<any>, options:TMigrateOptions):XPromise<Array<{version:number, name:string}>>;
 
-        merge(columns:Column|ColumnSet|Array<string|TColumnConfig|Column>):ColumnSet;
+        // API: http://vitaly-t.github.io/pg-promise/migrate.html#.down
+        down(db:IBaseProtocol<any>, options:TMigrateOptions):XPromise<Array<{version:number, name:string}>>;
 
-        // API: http://vitaly-t.github.io/pg-promise/helpers.ColumnSet.html#.toString
-        toString():string;
+        // API: http://vitaly-t.github.io/pg-promise/migrate.html#.status
+        status(db:IBaseProtocol<any>, options:TMigrateOptions):XPromise<Array<{version:number, name:string, applied:boolean, appliedAt:Date, changed:boolean}>>;
     }
 
     // Query Formatting Helpers
@@ -426,12 +757,15 @@ declare module 'pg-promise' {
 
         insert(data:Object|Array<Object>, columns?:TQueryColumns, table?:string|TTable|TableName):string;
         update(data:Object|Array<Object>, columns?:TQueryColumns, table?:string|TTable|TableName, options?:TUpdateOptions):string;
+        upsert(data:Object|Array<Object>, columns?:TQueryColumns, table?:string|TTable|TableName, options?:TUpsertOptions):string;
+        select(columns?:TQueryColumns, table?:string|TTable|TableName, options?:TSelectOptions):string;
+        delete(data:Object|Array<Object>, columns?:TQueryColumns, table?:string|TTable|TableName):string;
 
         values(data:Object|Array<Object>, columns?:TQueryColumns):string;
         sets(data:Object, columns?:TQueryColumns):string;
 
         Column:typeof Column;
-        ColumnSet:typeof ColumnSet;
+        ColumnSet:typeof pgPromise.ColumnSet;
         TableName:typeof TableName;
     }
 
@@ -528,7 +862,7 @@ declare module 'pg-promise' {
             constructor(file:string, options?:TQueryFileOptions);
 
             // API: http://vitaly-t.github.io/pg-promise/QueryFile.html#error
-            error:Error;
+            error:IQueryFileError;
 
             // API: http://vitaly-t.github.io/pg-promise/QueryFile.html#file
             file:string;
@@ -544,6 +878,12 @@ declare module 'pg-promise' {
 
             // API: http://vitaly-t.github.io/pg-promise/QueryFile.html#.toString
             toString():string;
+
+            // API: http://vitaly-t.github.io/pg-promise/QueryFile.html#.sections
+            static sections(file:string, options?:TQueryFileOptions):{[name:string]:QueryFile};
+
+            // API: http://vitaly-t.github.io/pg-promise/QueryFile.watcher.html
+            static watcher:IQueryFileWatcher;
         }
 
         // PromiseAdapter class;
@@ -552,9 +892,59 @@ declare module 'pg-promise' {
             constructor(create:(cb:any)=>Object, resolve:(data:any)=>void, reject:(reason:any)=>void);
         }
 
+        // helpers.Column class;
+        // API: http://vitaly-t.github.io/pg-promise/helpers.ColumnSet.html
+        class ColumnSet {
+            constructor(columns:Column, options?:TColumnSetOptions);
+            constructor(columns:Array<string|TColumnConfig|Column>, options?:TColumnSetOptions);
+            constructor(columns:Object, options?:TColumnSetOptions);
+
+            // these are all read-only:
+            columns:Array<Column>;
+            table:TableName;
+
+            canUpdate(data:Object|Array<Object>):boolean;
+
+            extend(columns:Column|ColumnSet|Array<string|TColumnConfig|Column>):ColumnSet;
+
+            merge(columns:Column|ColumnSet|Array<string|TColumnConfig|Column>):ColumnSet;
+
+            // API: http://vitaly-t.github.io/pg-promise/helpers.ColumnSet.html#.toString
+            toString():string;
+
+            // API: http://vitaly-t.github.io/pg-promise/helpers.ColumnSet.html#.fromTable
+            static fromTable(db:IBaseProtocol<any>, table:string|TTable|TableName):XPromise<ColumnSet>;
+
+            // API: http://vitaly-t.github.io/pg-promise/helpers.ColumnSet.html#.fromInfo
+            static fromInfo(info:TTableInfo):ColumnSet;
+        }
+
+        // Pre-formatted SQL fragment;
+        // API: http://vitaly-t.github.io/pg-promise/formatting.html#.fragment
+        interface IFragment {
+            // these are all read-only:
+            text:string;
+            values:any;
+
+            formatDBType():string;
+            toString():string;
+        }
+
+        // ROW constructor;
+        // API: http://vitaly-t.github.io/pg-promise/formatting.html#.row
+        interface IRow {
+            // read-only:
+            values:any;
+
+            formatDBType():string;
+            toString():string;
+        }
+
         var txMode:ITXMode;
         var errors:IErrors;
         var utils:IUtils;
+        var monitor:IMonitor;
+        var sql:ISql;
         var as:IFormatting;
 
         // Database full protocol;
@@ -565,18 +955,40 @@ declare module 'pg-promise' {
         interface IDatabase<Ext> extends IBaseProtocol<Ext> {
             connect(options?:TConnectionOptions):XPromise<IConnected<Ext>>;
 
+            // API: http://vitaly-t.github.io/pg-promise/Database.html#.listen
+            listen(channel:string, handler:(payload:any, message:INotification)=>void, options?:{json?:boolean}):XPromise<ISubscription>;
+
             // A hidden property, for integrating with third-party libraries.
             // API: http://vitaly-t.github.io/pg-promise/Database.html#$config
             $config:ILibConfig<Ext>;
+
+            // A hidden property, with the connection pool of the database object.
+            // API: http://vitaly-t.github.io/pg-promise/Database.$pool.html
+            $pool:IPool;
+
+            // A hidden property, with connection pools of all read replicas.
+            // API: http://vitaly-t.github.io/pg-promise/Database.html#.$replicas
+            $replicas:Array<IPool>;
+
+            // A hidden property, with the query result cache of the database object.
+            // API: http://vitaly-t.github.io/pg-promise/Database.$cache.html
+            $cache:ICache;
         }
 
-        type IConfig = pg.IConnectionParameters;
+        type IConfig = pg.IConnectionParameters & TPoolOptions;
+
+        // Connection details with read replicas;
+        // API: http://vitaly-t.github.io/pg-promise/Database.html
+        type IReplicatedConfig = {
+            primary:string|IConfig,
+            replicas?:Array<string|IConfig>
+        };
 
         // Post-initialization interface;
         // API: http://vitaly-t.github.io/pg-promise/module-pg-promise.html
         interface IMain {
-            (cn:string|IConfig, dc?:any):pgPromise.IDatabase<IEmptyExt>;
-            <T>(cn:string|IConfig, dc?:any):pgPromise.IDatabase<T>&T;
+            (cn:string|IConfig|IReplicatedConfig, dc?:any):pgPromise.IDatabase<IEmptyExt>;
+            <T>(cn:string|IConfig|IReplicatedConfig, dc?:any):pgPromise.IDatabase<T>&T;
             PromiseAdapter:typeof pgPromise.PromiseAdapter;
             PreparedStatement:typeof pgPromise.PreparedStatement;
             ParameterizedQuery:typeof pgPromise.ParameterizedQuery;
@@ -587,7 +999,10 @@ declare module 'pg-promise' {
             errors:IErrors;
             utils:IUtils;
             txMode:ITXMode;
+            monitor:IMonitor;
+            sql:ISql;
             helpers:IHelpers;
+            migrate:IMigrate;
             as:IFormatting;
             end():void;
             pg:typeof pg;
@@ -612,6 +1027,9 @@ declare module 'pg-promise' {
         extend?:(obj:pgPromise.IDatabase<Ext>&Ext, dc:any) => void;
         noLocking?:boolean;
         capSQL?:boolean;
+        slowQuery?:TSlowQuery;
+        cache?:{max?:number, adapter?:TCacheAdapter};
+        transform?:TTransform;
     }
 
     // Default library interface (before initialization)